@@ -10,9 +10,12 @@ const session = require('express-session');
 const apiRoutes = require('./src/routes/api');
 const corsConfig = require('./src/config/cors');
 const helmetConfig = require('./src/config/helmet');
-const { generalLimiter, strictLimiter } = require('./src/config/rateLimit');
+const { generalLimiter } = require('./src/config/rateLimit');
 const cookieParser = require('cookie-parser');
 const { generateCsrfToken, doubleCsrfProtection } = require('./src/config/csrf');
+const { crearSessionStore } = require('./src/config/sessionStore');
+const reporteTrabajoService = require('./src/services/reporteTrabajoService');
+const programacionReporteService = require('./src/services/programacionReporteService');
 require('dotenv').config();
 
 /** @type {express.Application} Inicializa la aplicación Express */
@@ -40,9 +43,10 @@ app.use(express.urlencoded({ extended: true })); // Parseo de cuerpos URL-encode
  */
 app.use(session({
     name: 'SessionId', // Nombre de la cookie de sesión
+    store: crearSessionStore(), // Almacén persistente (SQL Server) o en memoria según SESSION_STORE
     secret: process.env.SESSION_SECRET || 'secreto', // Clave secreta para firmar la sesión
     resave: false, // No guardar sesión si no hay cambios
-    saveUninitialized: true, // Generar session.id para nuevas sesiones
+    saveUninitialized: false, // Solo se guardan las sesiones con datos (inicio de sesión o token CSRF), no cada solicitud con clave API
     cookie: {
         secure: process.env.NODE_ENV === 'production', // Solo HTTPS en producción
         httpOnly: true, // Evita acceso a la cookie desde JavaScript del cliente
@@ -50,6 +54,13 @@ app.use(session({
     }
 }));
 
+/**
+ * @description Protección CSRF para solicitudes POST/PUT/PATCH/DELETE que usan la cookie de sesión, incluido
+ *              POST /api/auth/login. Se omite para clientes con `Authorization: Bearer` (ver skipCsrfProtection
+ *              en src/config/csrf.js).
+ */
+app.use(doubleCsrfProtection);
+
 /**
  * @route GET /api/csrf-token
  * @description Genera y devuelve un token CSRF para proteger formularios.
@@ -58,6 +69,9 @@ app.use(session({
  */
 app.get('/api/csrf-token', (req, res) => {
     try {
+        // Con saveUninitialized: false la sesión solo se guarda si tiene datos; se marca para que el token
+        // siga ligado al mismo ID de sesión en las solicitudes siguientes, incluido el inicio de sesión
+        req.session.csrfEmitido = true;
         // Asegurar que existe session.id
         if (!req.session.id) {
             req.session.save((err) => {
@@ -119,8 +133,21 @@ app.use((err, req, res, next) => {
 });
 
 /**
- * @description Inicia el servidor en el puerto especificado.
+ * @description Inicia el servidor en el puerto especificado cuando el archivo se ejecuta directamente
+ *              (npm start); las pruebas importan la aplicación sin abrir el puerto ni iniciar los trabajadores.
  */
-app.listen(port, () => {
-    console.log(`Servidor corriendo en http://localhost:${port}`);
-});
\ No newline at end of file
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`Servidor corriendo en http://localhost:${port}`);
+        // Trabajador de reportes en segundo plano; con varias instancias puede dejarse solo en algunas
+        if (process.env.REPORTES_TRABAJADOR !== 'false') {
+            reporteTrabajoService.iniciarTrabajador();
+        }
+        // Reportes programados; las programaciones se toman de forma atómica, así que varias instancias no los duplican
+        if (process.env.REPORTES_PROGRAMADOR !== 'false') {
+            programacionReporteService.iniciarProgramador();
+        }
+    });
+}
+
+module.exports = app;
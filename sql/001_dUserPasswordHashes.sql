@@ -0,0 +1,16 @@
+/*
+ * Base de datos: WP.SIASHidalgo.UserDomainCore (DB_USERS_NAME)
+ * Hashes bcrypt de contraseñas. Reemplazan gradualmente los hashes SHA-1 de mUsers.Password:
+ * loginService.loginUser crea el registro la primera vez que el usuario inicia sesión con su contraseña SHA-1.
+ */
+IF OBJECT_ID('[dbo].[dUserPasswordHashes]', 'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[dUserPasswordHashes] (
+        [UserID] INT NOT NULL PRIMARY KEY,
+        [PasswordHash] VARCHAR(100) NOT NULL,
+        [Algorithm] VARCHAR(20) NOT NULL DEFAULT 'bcrypt',
+        [CreatedAt] DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+        [UpdatedAt] DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+        CONSTRAINT [FK_dUserPasswordHashes_mUsers] FOREIGN KEY ([UserID]) REFERENCES [dbo].[mUsers] ([UserID])
+    );
+END
@@ -0,0 +1,27 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Ciclo de vida de claves API: nombre, alcances, vencimiento y rotación.
+ * A partir de este script la columna [key] guarda el SHA-256 (hex en minúsculas) de la clave, no la clave;
+ * las claves existentes se convierten una sola vez y siguen funcionando para sus dueños.
+ */
+IF COL_LENGTH('dbo.api_keys', 'name') IS NULL
+    ALTER TABLE [dbo].[api_keys] ADD [name] NVARCHAR(100) NULL;
+IF COL_LENGTH('dbo.api_keys', 'scopes') IS NULL
+    ALTER TABLE [dbo].[api_keys] ADD [scopes] VARCHAR(255) NULL;
+IF COL_LENGTH('dbo.api_keys', 'expires_at') IS NULL
+    ALTER TABLE [dbo].[api_keys] ADD [expires_at] DATETIME2 NULL;
+IF COL_LENGTH('dbo.api_keys', 'key_prefix') IS NULL
+    ALTER TABLE [dbo].[api_keys] ADD [key_prefix] VARCHAR(12) NULL;
+IF COL_LENGTH('dbo.api_keys', 'rotated_from_id') IS NULL
+    ALTER TABLE [dbo].[api_keys] ADD [rotated_from_id] BIGINT NULL;
+IF COL_LENGTH('dbo.api_keys', 'key_hashed') IS NULL
+    ALTER TABLE [dbo].[api_keys] ADD [key_hashed] BIT NOT NULL CONSTRAINT [DF_api_keys_key_hashed] DEFAULT 0;
+GO
+
+-- Convertir las claves en texto plano a SHA-256
+UPDATE [dbo].[api_keys]
+SET [key_prefix] = LEFT([key], 8),
+    [key] = LOWER(CONVERT(VARCHAR(64), HASHBYTES('SHA2_256', CAST([key] AS VARCHAR(255))), 2)),
+    [key_hashed] = 1
+WHERE [key_hashed] = 0;
+GO
@@ -0,0 +1,18 @@
+/*
+ * Base de datos: WP.SIASHidalgo.UserDomainCore (DB_USERS_NAME)
+ * Sesiones de express-session cuando SESSION_STORE=mssql (ver src/config/sessionStore.js).
+ * UserID se copia de la sesión para poder listar y terminar las sesiones de un usuario.
+ */
+IF OBJECT_ID('[dbo].[dSessions]', 'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[dSessions] (
+        [SessionID] VARCHAR(255) NOT NULL PRIMARY KEY,
+        [UserID] INT NULL,
+        [Data] NVARCHAR(MAX) NOT NULL,
+        [ExpiresAt] DATETIME2 NOT NULL,
+        [CreatedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        [UpdatedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+    );
+    CREATE INDEX [IX_dSessions_UserID] ON [dbo].[dSessions] ([UserID]);
+    CREATE INDEX [IX_dSessions_ExpiresAt] ON [dbo].[dSessions] ([ExpiresAt]);
+END
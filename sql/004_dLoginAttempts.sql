@@ -0,0 +1,21 @@
+/*
+ * Base de datos: WP.SIASHidalgo.UserDomainCore (DB_USERS_NAME)
+ * Bitácora de intentos de inicio de sesión. También sirve para calcular retrasos y bloqueos por usuario y por IP
+ * (ver src/services/bloqueoLoginService.js). Resultado: 'exito', 'fallo', 'bloqueado' o 'desbloqueo'.
+ * Un 'desbloqueo' con Login NULL desbloquea la IP; con Login, al usuario.
+ */
+IF OBJECT_ID('[dbo].[dLoginAttempts]', 'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[dLoginAttempts] (
+        [Id] BIGINT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        [Login] VARCHAR(50) NULL,
+        [UserID] INT NULL,
+        [IpAddress] VARCHAR(45) NULL,
+        [Resultado] VARCHAR(20) NOT NULL,
+        [Motivo] NVARCHAR(200) NULL,
+        [UserAgent] NVARCHAR(300) NULL,
+        [CreatedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+    );
+    CREATE INDEX [IX_dLoginAttempts_Login] ON [dbo].[dLoginAttempts] ([Login], [CreatedAt]);
+    CREATE INDEX [IX_dLoginAttempts_IpAddress] ON [dbo].[dLoginAttempts] ([IpAddress], [CreatedAt]);
+END
@@ -0,0 +1,29 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Flujo de estatus de la revista vehicular (ver src/config/estatusRevista.js).
+ * Agrega los estatus faltantes al catálogo y amplía Historial con el estatus anterior/nuevo y el motivo.
+ * Los IDs 1 (capturada) y 2 (impresa) ya los usan insertarRevista e imprimirRevista.
+ * Las revistas capturadas antes de este flujo ya no se pueden imprimir sin aprobarse; ver 015_revista_capturadas_previas.sql.
+ */
+DECLARE @Estatus TABLE ([IdEstatus] INT, [Estatus] NVARCHAR(50));
+INSERT INTO @Estatus VALUES (1, N'Capturada'), (2, N'Impresa'), (3, N'Revisada'), (4, N'Aprobada'), (5, N'Rechazada'), (6, N'Cancelada');
+
+IF COLUMNPROPERTY(OBJECT_ID('[RevistaVehicular].[Estatus]'), 'IdEstatus', 'IsIdentity') = 1
+    SET IDENTITY_INSERT [RevistaVehicular].[Estatus] ON;
+
+INSERT INTO [RevistaVehicular].[Estatus] ([IdEstatus], [Estatus])
+SELECT e.[IdEstatus], e.[Estatus]
+FROM @Estatus e
+WHERE NOT EXISTS (SELECT 1 FROM [RevistaVehicular].[Estatus] c WHERE c.[IdEstatus] = e.[IdEstatus]);
+
+IF COLUMNPROPERTY(OBJECT_ID('[RevistaVehicular].[Estatus]'), 'IdEstatus', 'IsIdentity') = 1
+    SET IDENTITY_INSERT [RevistaVehicular].[Estatus] OFF;
+GO
+
+IF COL_LENGTH('RevistaVehicular.Historial', 'IdEstatusAnterior') IS NULL
+    ALTER TABLE [RevistaVehicular].[Historial] ADD [IdEstatusAnterior] INT NULL;
+IF COL_LENGTH('RevistaVehicular.Historial', 'IdEstatusNuevo') IS NULL
+    ALTER TABLE [RevistaVehicular].[Historial] ADD [IdEstatusNuevo] INT NULL;
+IF COL_LENGTH('RevistaVehicular.Historial', 'Motivo') IS NULL
+    ALTER TABLE [RevistaVehicular].[Historial] ADD [Motivo] NVARCHAR(500) NULL;
+GO
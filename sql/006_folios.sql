@@ -0,0 +1,43 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Series de folios por delegación y bitácora de folios emitidos (ver src/services/folioService.js).
+ * Cada folio emitido queda en [RevistaVehicular].[Folio] como 'usado' (asignado a una revista impresa)
+ * o 'anulado' (forma echada a perder o número saltado). La restricción única evita duplicados.
+ */
+IF OBJECT_ID('[RevistaVehicular].[FolioSerie]', 'U') IS NULL
+BEGIN
+    CREATE TABLE [RevistaVehicular].[FolioSerie] (
+        [IdSerie] INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        [IdDelegacion] INT NOT NULL,
+        [Prefijo] NVARCHAR(8) NOT NULL DEFAULT N'',
+        [Longitud] INT NOT NULL DEFAULT 6, -- Dígitos del número (se rellena con ceros)
+        [FolioInicial] INT NOT NULL,
+        [FolioFinal] INT NOT NULL,
+        [Siguiente] INT NOT NULL,
+        [Activa] BIT NOT NULL DEFAULT 1,
+        [CreatedAt] DATETIME2 NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT [CK_FolioSerie_Rango] CHECK ([FolioFinal] >= [FolioInicial] AND [Siguiente] >= [FolioInicial] AND [Siguiente] <= [FolioFinal] + 1)
+    );
+    CREATE INDEX [IX_FolioSerie_IdDelegacion] ON [RevistaVehicular].[FolioSerie] ([IdDelegacion], [Activa]);
+END
+GO
+
+IF OBJECT_ID('[RevistaVehicular].[Folio]', 'U') IS NULL
+BEGIN
+    CREATE TABLE [RevistaVehicular].[Folio] (
+        [IdFolio] BIGINT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        [IdSerie] INT NOT NULL,
+        [Numero] INT NOT NULL,
+        [Folio] NVARCHAR(20) NOT NULL,
+        [Estatus] VARCHAR(20) NOT NULL, -- 'usado' o 'anulado'
+        [IdRevistaVehicular] BIGINT NULL,
+        [IdUsuario] INT NULL,
+        [Motivo] NVARCHAR(500) NULL,
+        [Fecha] DATETIME2 NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT [FK_Folio_FolioSerie] FOREIGN KEY ([IdSerie]) REFERENCES [RevistaVehicular].[FolioSerie] ([IdSerie]),
+        CONSTRAINT [UQ_Folio_Serie_Numero] UNIQUE ([IdSerie], [Numero]),
+        CONSTRAINT [UQ_Folio_Folio] UNIQUE ([Folio])
+    );
+    CREATE INDEX [IX_Folio_IdRevistaVehicular] ON [RevistaVehicular].[Folio] ([IdRevistaVehicular]);
+END
+GO
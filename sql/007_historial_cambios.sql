@@ -0,0 +1,12 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Edición de revistas antes de imprimirse (PUT /api/revista/:idRV, ver src/services/edicionRevistaService.js).
+ * Cada campo modificado se registra en Historial como una fila de edición con su valor anterior y nuevo.
+ */
+IF COL_LENGTH('RevistaVehicular.Historial', 'Campo') IS NULL
+    ALTER TABLE [RevistaVehicular].[Historial] ADD [Campo] NVARCHAR(100) NULL;
+IF COL_LENGTH('RevistaVehicular.Historial', 'ValorAnterior') IS NULL
+    ALTER TABLE [RevistaVehicular].[Historial] ADD [ValorAnterior] NVARCHAR(500) NULL;
+IF COL_LENGTH('RevistaVehicular.Historial', 'ValorNuevo') IS NULL
+    ALTER TABLE [RevistaVehicular].[Historial] ADD [ValorNuevo] NVARCHAR(500) NULL;
+GO
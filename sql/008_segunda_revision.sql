@@ -0,0 +1,17 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Segunda revisión de una revista no aprobada (ver src/services/segundaRevisionService.js).
+ * IdRevistaOrigen enlaza la revista de segunda revisión con la revista reprobada de la que se clonó.
+ */
+IF COL_LENGTH('dbo.RevistaVehicular', 'IdRevistaOrigen') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[RevistaVehicular] ADD [IdRevistaOrigen] BIGINT NULL;
+END
+GO
+
+IF OBJECT_ID('[dbo].[FK_RevistaVehicular_RevistaOrigen]', 'F') IS NULL
+    ALTER TABLE [dbo].[RevistaVehicular] ADD CONSTRAINT [FK_RevistaVehicular_RevistaOrigen]
+        FOREIGN KEY ([IdRevistaOrigen]) REFERENCES [dbo].[RevistaVehicular] ([IdRevistaVehicular]);
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_RevistaVehicular_IdRevistaOrigen')
+    CREATE INDEX [IX_RevistaVehicular_IdRevistaOrigen] ON [dbo].[RevistaVehicular] ([IdRevistaOrigen]) WHERE [IdRevistaOrigen] IS NOT NULL;
+GO
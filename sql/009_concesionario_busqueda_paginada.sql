@@ -0,0 +1,55 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Búsqueda paginada de concesionarios por nombre o RFC (ver obtenerConcesionariosPorNombre en src/services/dbService.js).
+ * Aplica los mismos filtros que ConcesionarioObtenerPorNombreRfc, pero ordena y pagina en la base de datos y
+ * devuelve el total en un segundo conjunto de resultados. Con @objetosPorPagina NULL devuelve todos los registros
+ * (modo exportación) sin el conteo.
+ */
+CREATE OR ALTER PROCEDURE [dbo].[ConcesionarioObtenerPorNombreRfcPaginado]
+    @nombre VARCHAR(100) = NULL,
+    @paterno VARCHAR(100) = NULL,
+    @materno VARCHAR(100) = NULL,
+    @RFC VARCHAR(13) = NULL,
+    @pagina INT = 1,
+    @objetosPorPagina INT = 15,
+    @ordenarPor VARCHAR(20) = 'id',
+    @direccion VARCHAR(4) = 'asc'
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    ;WITH Coincidencias AS (
+        SELECT
+            c.[IdConcesionario],
+            c.[TipoPersona],
+            CASE WHEN c.[TipoPersona] = 1 THEN c.[RazonSocial]
+                 ELSE LTRIM(RTRIM(CONCAT(c.[Nombre], ' ', c.[ApellidoPaterno], ' ', c.[ApellidoMaterno])))
+            END AS [NombreConcesionario],
+            c.[RFC]
+        FROM [Concesion].[Concesionario] c
+        WHERE (@nombre IS NULL OR c.[Nombre] LIKE '%' + @nombre + '%' OR c.[RazonSocial] LIKE '%' + @nombre + '%')
+          AND (@paterno IS NULL OR c.[ApellidoPaterno] LIKE '%' + @paterno + '%')
+          AND (@materno IS NULL OR c.[ApellidoMaterno] LIKE '%' + @materno + '%')
+          AND (@RFC IS NULL OR c.[RFC] LIKE @RFC + '%')
+    )
+    SELECT [IdConcesionario], [TipoPersona], [NombreConcesionario], [RFC]
+    FROM Coincidencias
+    ORDER BY
+        CASE WHEN @ordenarPor = 'nombre' AND @direccion = 'asc' THEN [NombreConcesionario] END ASC,
+        CASE WHEN @ordenarPor = 'nombre' AND @direccion = 'desc' THEN [NombreConcesionario] END DESC,
+        CASE WHEN @ordenarPor = 'rfc' AND @direccion = 'asc' THEN [RFC] END ASC,
+        CASE WHEN @ordenarPor = 'rfc' AND @direccion = 'desc' THEN [RFC] END DESC,
+        CASE WHEN @direccion = 'desc' THEN [IdConcesionario] END DESC,
+        [IdConcesionario] ASC
+    OFFSET CASE WHEN @objetosPorPagina IS NULL THEN 0 ELSE (@pagina - 1) * @objetosPorPagina END ROWS
+    FETCH NEXT ISNULL(@objetosPorPagina, 2147483647) ROWS ONLY;
+
+    IF @objetosPorPagina IS NOT NULL
+        SELECT COUNT(*) AS [Total]
+        FROM [Concesion].[Concesionario] c
+        WHERE (@nombre IS NULL OR c.[Nombre] LIKE '%' + @nombre + '%' OR c.[RazonSocial] LIKE '%' + @nombre + '%')
+          AND (@paterno IS NULL OR c.[ApellidoPaterno] LIKE '%' + @paterno + '%')
+          AND (@materno IS NULL OR c.[ApellidoMaterno] LIKE '%' + @materno + '%')
+          AND (@RFC IS NULL OR c.[RFC] LIKE @RFC + '%');
+END
+GO
@@ -0,0 +1,224 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Búsqueda de concesionarios por nombre, RFC o CURP sin distinguir acentos y tolerante a errores de captura
+ * (ver obtenerConcesionariosPorNombre en src/services/dbService.js). Reemplaza la versión de 009.
+ * Cada criterio recibe un puntaje: 100 exacta, 80 prefijo, 60 parcial y 40 aproximada (mismo sonido, SOUNDEX);
+ * el puntaje total ordena los resultados cuando @ordenarPor = 'relevancia'.
+ * Para no evaluar funciones por cada concesionario, el nombre, la razón social y los apellidos tienen columnas
+ * calculadas e indexadas con intercalación sin acentos (*Busqueda), y el sonido de cada una de sus palabras se guarda
+ * en [Concesion].[ConcesionarioPalabra], que mantiene un trigger. El procedimiento filtra con esas columnas e índices
+ * y solo calcula el puntaje de los concesionarios que cumplen todos los criterios.
+ */
+CREATE OR ALTER FUNCTION [dbo].[fnSinAcentos] (@texto NVARCHAR(250))
+RETURNS NVARCHAR(250)
+WITH SCHEMABINDING
+AS
+BEGIN
+    RETURN TRANSLATE(@texto, N'áéíóúàèìòùäëïöüâêîôûÁÉÍÓÚÀÈÌÒÙÄËÏÖÜÂÊÎÔÛñÑ', N'aeiouaeiouaeiouaeiouAEIOUAEIOUAEIOUAEIOUnN');
+END
+GO
+
+IF COL_LENGTH('Concesion.Concesionario', 'NombreBusqueda') IS NULL
+BEGIN
+    ALTER TABLE [Concesion].[Concesionario] ADD
+        [NombreBusqueda] AS CAST([Nombre] AS NVARCHAR(250)) COLLATE Latin1_General_CI_AI PERSISTED,
+        [RazonSocialBusqueda] AS CAST([RazonSocial] AS NVARCHAR(250)) COLLATE Latin1_General_CI_AI PERSISTED,
+        [ApellidoPaternoBusqueda] AS CAST([ApellidoPaterno] AS NVARCHAR(250)) COLLATE Latin1_General_CI_AI PERSISTED,
+        [ApellidoMaternoBusqueda] AS CAST([ApellidoMaterno] AS NVARCHAR(250)) COLLATE Latin1_General_CI_AI PERSISTED;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Concesionario_NombreBusqueda')
+    CREATE INDEX [IX_Concesionario_NombreBusqueda] ON [Concesion].[Concesionario] ([NombreBusqueda]);
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Concesionario_RazonSocialBusqueda')
+    CREATE INDEX [IX_Concesionario_RazonSocialBusqueda] ON [Concesion].[Concesionario] ([RazonSocialBusqueda]);
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Concesionario_ApellidoPaternoBusqueda')
+    CREATE INDEX [IX_Concesionario_ApellidoPaternoBusqueda] ON [Concesion].[Concesionario] ([ApellidoPaternoBusqueda]);
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Concesionario_ApellidoMaternoBusqueda')
+    CREATE INDEX [IX_Concesionario_ApellidoMaternoBusqueda] ON [Concesion].[Concesionario] ([ApellidoMaternoBusqueda]);
+GO
+
+/*
+ * Sonido (SOUNDEX sin acentos) de cada palabra de más de dos letras del concesionario.
+ * Campo: 'N' nombre o razón social, 'P' apellido paterno, 'M' apellido materno.
+ */
+IF OBJECT_ID('[Concesion].[ConcesionarioPalabra]', 'U') IS NULL
+BEGIN
+    CREATE TABLE [Concesion].[ConcesionarioPalabra] (
+        [Campo] CHAR(1) NOT NULL,
+        [Sonido] CHAR(4) NOT NULL,
+        [IdConcesionario] INT NOT NULL,
+        CONSTRAINT [PK_ConcesionarioPalabra] PRIMARY KEY ([Campo], [Sonido], [IdConcesionario])
+    );
+    CREATE INDEX [IX_ConcesionarioPalabra_IdConcesionario] ON [Concesion].[ConcesionarioPalabra] ([IdConcesionario]);
+END
+GO
+
+CREATE OR ALTER FUNCTION [dbo].[fnSonidosConcesionario] (
+    @nombre NVARCHAR(250),
+    @razonSocial NVARCHAR(250),
+    @apellidoPaterno NVARCHAR(250),
+    @apellidoMaterno NVARCHAR(250)
+)
+RETURNS TABLE
+AS
+RETURN
+    SELECT DISTINCT v.[Campo], SOUNDEX(palabra.value) AS [Sonido]
+    FROM (VALUES ('N', @nombre), ('N', @razonSocial), ('P', @apellidoPaterno), ('M', @apellidoMaterno)) AS v([Campo], [Valor])
+    CROSS APPLY STRING_SPLIT([dbo].[fnSinAcentos](v.[Valor]), N' ') palabra
+    WHERE LEN(palabra.value) > 2;
+GO
+
+CREATE OR ALTER TRIGGER [Concesion].[TR_Concesionario_Palabras]
+ON [Concesion].[Concesionario]
+AFTER INSERT, UPDATE, DELETE
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    IF EXISTS (SELECT 1 FROM inserted) AND EXISTS (SELECT 1 FROM deleted)
+       AND NOT (UPDATE([Nombre]) OR UPDATE([RazonSocial]) OR UPDATE([ApellidoPaterno]) OR UPDATE([ApellidoMaterno]))
+        RETURN;
+
+    DELETE p
+    FROM [Concesion].[ConcesionarioPalabra] p
+    WHERE p.[IdConcesionario] IN (SELECT [IdConcesionario] FROM deleted);
+
+    INSERT INTO [Concesion].[ConcesionarioPalabra] ([Campo], [Sonido], [IdConcesionario])
+    SELECT s.[Campo], s.[Sonido], i.[IdConcesionario]
+    FROM inserted i
+    CROSS APPLY [dbo].[fnSonidosConcesionario](i.[Nombre], i.[RazonSocial], i.[ApellidoPaterno], i.[ApellidoMaterno]) s;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM [Concesion].[ConcesionarioPalabra])
+    INSERT INTO [Concesion].[ConcesionarioPalabra] ([Campo], [Sonido], [IdConcesionario])
+    SELECT s.[Campo], s.[Sonido], c.[IdConcesionario]
+    FROM [Concesion].[Concesionario] c
+    CROSS APPLY [dbo].[fnSonidosConcesionario](c.[Nombre], c.[RazonSocial], c.[ApellidoPaterno], c.[ApellidoMaterno]) s;
+GO
+
+CREATE OR ALTER PROCEDURE [dbo].[ConcesionarioObtenerPorNombreRfcPaginado]
+    @nombre VARCHAR(100) = NULL,
+    @paterno VARCHAR(100) = NULL,
+    @materno VARCHAR(100) = NULL,
+    @RFC VARCHAR(13) = NULL,
+    @CURP VARCHAR(18) = NULL,
+    @pagina INT = 1,
+    @objetosPorPagina INT = 15,
+    @ordenarPor VARCHAR(20) = 'relevancia',
+    @direccion VARCHAR(4) = 'asc'
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    -- El sonido de cada criterio se calcula una sola vez
+    DECLARE @sonidoNombre CHAR(4) = SOUNDEX([dbo].[fnSinAcentos](@nombre));
+    DECLARE @sonidoPaterno CHAR(4) = SOUNDEX([dbo].[fnSinAcentos](@paterno));
+    DECLARE @sonidoMaterno CHAR(4) = SOUNDEX([dbo].[fnSinAcentos](@materno));
+
+    CREATE TABLE #Coincidencias (
+        [IdConcesionario] INT NOT NULL PRIMARY KEY,
+        [TipoPersona] INT NULL,
+        [NombreConcesionario] NVARCHAR(400) NULL,
+        [RFC] VARCHAR(13) NULL,
+        [CURP] VARCHAR(18) NULL,
+        [PuntajeNombre] INT NULL,
+        [PuntajePaterno] INT NULL,
+        [PuntajeMaterno] INT NULL,
+        [PuntajeRfc] INT NULL,
+        [PuntajeCurp] INT NULL,
+        [Puntaje] INT NOT NULL
+    );
+
+    INSERT INTO #Coincidencias
+    SELECT
+        c.[IdConcesionario],
+        c.[TipoPersona],
+        CASE WHEN c.[TipoPersona] = 1 THEN c.[RazonSocial]
+             ELSE LTRIM(RTRIM(CONCAT(c.[Nombre], ' ', c.[ApellidoPaterno], ' ', c.[ApellidoMaterno])))
+        END,
+        c.[RFC],
+        c.[CURP],
+        p.[PuntajeNombre],
+        p.[PuntajePaterno],
+        p.[PuntajeMaterno],
+        p.[PuntajeRfc],
+        p.[PuntajeCurp],
+        ISNULL(p.[PuntajeNombre], 0) + ISNULL(p.[PuntajePaterno], 0) + ISNULL(p.[PuntajeMaterno], 0)
+            + ISNULL(p.[PuntajeRfc], 0) + ISNULL(p.[PuntajeCurp], 0)
+    FROM [Concesion].[Concesionario] c
+    CROSS APPLY (
+        SELECT
+            CASE
+                WHEN @nombre IS NULL THEN NULL
+                WHEN c.[NombreBusqueda] = @nombre OR c.[RazonSocialBusqueda] = @nombre THEN 100
+                WHEN c.[NombreBusqueda] LIKE @nombre + '%' OR c.[RazonSocialBusqueda] LIKE @nombre + '%' THEN 80
+                WHEN c.[NombreBusqueda] LIKE '%' + @nombre + '%' OR c.[RazonSocialBusqueda] LIKE '%' + @nombre + '%' THEN 60
+                ELSE 40
+            END AS [PuntajeNombre],
+            CASE
+                WHEN @paterno IS NULL THEN NULL
+                WHEN c.[ApellidoPaternoBusqueda] = @paterno THEN 100
+                WHEN c.[ApellidoPaternoBusqueda] LIKE @paterno + '%' THEN 80
+                WHEN c.[ApellidoPaternoBusqueda] LIKE '%' + @paterno + '%' THEN 60
+                ELSE 40
+            END AS [PuntajePaterno],
+            CASE
+                WHEN @materno IS NULL THEN NULL
+                WHEN c.[ApellidoMaternoBusqueda] = @materno THEN 100
+                WHEN c.[ApellidoMaternoBusqueda] LIKE @materno + '%' THEN 80
+                WHEN c.[ApellidoMaternoBusqueda] LIKE '%' + @materno + '%' THEN 60
+                ELSE 40
+            END AS [PuntajeMaterno],
+            CASE
+                WHEN @RFC IS NULL THEN NULL
+                WHEN c.[RFC] = @RFC THEN 100
+                WHEN c.[RFC] LIKE @RFC + '%' THEN 80
+                ELSE 60
+            END AS [PuntajeRfc],
+            CASE
+                WHEN @CURP IS NULL THEN NULL
+                WHEN c.[CURP] = @CURP THEN 100
+                WHEN c.[CURP] LIKE @CURP + '%' THEN 80
+                ELSE 60
+            END AS [PuntajeCurp]
+    ) p
+    -- Cada criterio enviado debe coincidir de alguna forma: por texto en las columnas *Busqueda o por el sonido
+    -- de alguna palabra. El puntaje (CROSS APPLY) solo distingue el tipo de coincidencia de las filas que pasan
+    WHERE (@nombre IS NULL
+           OR c.[NombreBusqueda] LIKE '%' + @nombre + '%'
+           OR c.[RazonSocialBusqueda] LIKE '%' + @nombre + '%'
+           OR EXISTS (SELECT 1 FROM [Concesion].[ConcesionarioPalabra] w
+                      WHERE w.[Campo] = 'N' AND w.[Sonido] = @sonidoNombre AND w.[IdConcesionario] = c.[IdConcesionario]))
+      AND (@paterno IS NULL
+           OR c.[ApellidoPaternoBusqueda] LIKE '%' + @paterno + '%'
+           OR EXISTS (SELECT 1 FROM [Concesion].[ConcesionarioPalabra] w
+                      WHERE w.[Campo] = 'P' AND w.[Sonido] = @sonidoPaterno AND w.[IdConcesionario] = c.[IdConcesionario]))
+      AND (@materno IS NULL
+           OR c.[ApellidoMaternoBusqueda] LIKE '%' + @materno + '%'
+           OR EXISTS (SELECT 1 FROM [Concesion].[ConcesionarioPalabra] w
+                      WHERE w.[Campo] = 'M' AND w.[Sonido] = @sonidoMaterno AND w.[IdConcesionario] = c.[IdConcesionario]))
+      AND (@RFC IS NULL OR c.[RFC] LIKE '%' + @RFC + '%')
+      AND (@CURP IS NULL OR c.[CURP] LIKE '%' + @CURP + '%')
+    -- Con los criterios enviados conocidos, el optimizador descarta las ramas de los que vienen en NULL
+    OPTION (RECOMPILE);
+
+    SELECT [IdConcesionario], [TipoPersona], [NombreConcesionario], [RFC], [CURP],
+           [PuntajeNombre], [PuntajePaterno], [PuntajeMaterno], [PuntajeRfc], [PuntajeCurp], [Puntaje]
+    FROM #Coincidencias
+    ORDER BY
+        CASE WHEN @ordenarPor = 'relevancia' THEN [Puntaje] END DESC,
+        CASE WHEN @ordenarPor = 'nombre' AND @direccion = 'asc' THEN [NombreConcesionario] END ASC,
+        CASE WHEN @ordenarPor = 'nombre' AND @direccion = 'desc' THEN [NombreConcesionario] END DESC,
+        CASE WHEN @ordenarPor = 'rfc' AND @direccion = 'asc' THEN [RFC] END ASC,
+        CASE WHEN @ordenarPor = 'rfc' AND @direccion = 'desc' THEN [RFC] END DESC,
+        CASE WHEN @ordenarPor <> 'relevancia' AND @direccion = 'desc' THEN [IdConcesionario] END DESC,
+        [IdConcesionario] ASC
+    OFFSET CASE WHEN @objetosPorPagina IS NULL THEN 0 ELSE (@pagina - 1) * @objetosPorPagina END ROWS
+    FETCH NEXT ISNULL(@objetosPorPagina, 2147483647) ROWS ONLY;
+
+    IF @objetosPorPagina IS NOT NULL
+        SELECT COUNT(*) AS [Total] FROM #Coincidencias;
+END
+GO
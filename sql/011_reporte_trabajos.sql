@@ -0,0 +1,39 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Trabajos de generación de reportes en segundo plano (ver src/services/reporteTrabajoService.js).
+ * POST /api/reportes registra el trabajo como 'pendiente'; el trabajador lo toma ('procesando'), informa su avance
+ * y deja el archivo en REPORTES_DIRECTORIO ('terminado') hasta ExpiraEn, cuando se borra ('expirado').
+ * Un trabajo 'procesando' sin avance reciente (p. ej. por un reinicio) vuelve a 'pendiente' hasta agotar sus intentos.
+ * Estado: 'pendiente', 'procesando', 'terminado', 'fallido' o 'expirado'.
+ */
+IF SCHEMA_ID('Reporte') IS NULL
+    EXEC('CREATE SCHEMA [Reporte]');
+GO
+
+IF OBJECT_ID('[Reporte].[Trabajo]', 'U') IS NULL
+BEGIN
+    CREATE TABLE [Reporte].[Trabajo] (
+        [IdTrabajo] BIGINT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        [Tipo] VARCHAR(30) NOT NULL, -- Generador (ver TIPOS_REPORTE en reporteTrabajoService)
+        [Formato] VARCHAR(10) NOT NULL,
+        [Parametros] NVARCHAR(MAX) NOT NULL, -- JSON con los parámetros del reporte
+        [Estado] VARCHAR(20) NOT NULL DEFAULT 'pendiente',
+        [Progreso] TINYINT NOT NULL DEFAULT 0, -- Porcentaje
+        [RegistrosProcesados] INT NOT NULL DEFAULT 0,
+        [TotalRegistros] INT NULL,
+        [Intentos] INT NOT NULL DEFAULT 0,
+        [Archivo] NVARCHAR(260) NULL, -- Nombre del archivo dentro de REPORTES_DIRECTORIO
+        [TamanoBytes] BIGINT NULL,
+        [Error] NVARCHAR(1000) NULL,
+        [IdUsuario] INT NOT NULL,
+        [CreadoEn] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        [IniciadoEn] DATETIME2 NULL,
+        [ActualizadoEn] DATETIME2 NULL,
+        [TerminadoEn] DATETIME2 NULL,
+        [ExpiraEn] DATETIME2 NULL,
+        CONSTRAINT [CK_Trabajo_Estado] CHECK ([Estado] IN ('pendiente', 'procesando', 'terminado', 'fallido', 'expirado'))
+    );
+    CREATE INDEX [IX_Trabajo_Estado] ON [Reporte].[Trabajo] ([Estado], [IdTrabajo]);
+    CREATE INDEX [IX_Trabajo_IdUsuario] ON [Reporte].[Trabajo] ([IdUsuario], [CreadoEn]);
+END
+GO
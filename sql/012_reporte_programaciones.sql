@@ -0,0 +1,62 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Reportes programados (ver src/services/programacionReporteService.js).
+ * Cada programación tiene una expresión cron (en REPORTES_ZONA_HORARIA), una ventana de fechas relativa a la ejecución
+ * ('dia_anterior', 'semana_anterior', 'mes_anterior', 'ultimos_7_dias' o 'ultimos_30_dias'), los parámetros del reporte
+ * y la entrega: 'directorio' (REPORTES_PROGRAMADOS_DIRECTORIO) o 'correo' (Destinatarios separados por comas).
+ * Cada intento queda en EjecucionProgramada: 'procesando', 'entregado', 'sin_datos' o 'fallido'; un intento fallido con
+ * ReintentarEn se repite a esa hora con el mismo rango de fechas. Una ejecución 'procesando' cuyo ActualizadoEn
+ * (avance de la generación) quedó atrás se da por interrumpida.
+ */
+IF OBJECT_ID('[Reporte].[Programacion]', 'U') IS NULL
+BEGIN
+    CREATE TABLE [Reporte].[Programacion] (
+        [IdProgramacion] INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        [Nombre] NVARCHAR(100) NOT NULL,
+        [Tipo] VARCHAR(30) NOT NULL, -- Generador (ver TIPOS_REPORTE en reporteTrabajoService)
+        [Cron] VARCHAR(100) NOT NULL,
+        [Ventana] VARCHAR(20) NOT NULL,
+        [Formato] VARCHAR(10) NOT NULL,
+        [Parametros] NVARCHAR(MAX) NOT NULL, -- JSON con columnas, orden y agrupación
+        [Entrega] VARCHAR(20) NOT NULL,
+        [Destinatarios] NVARCHAR(1000) NULL,
+        [Activa] BIT NOT NULL DEFAULT 1,
+        [ProximaEjecucion] DATETIME2 NULL,
+        [UltimaEjecucion] DATETIME2 NULL,
+        [IdUsuario] INT NOT NULL,
+        [CreadoEn] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        [ActualizadoEn] DATETIME2 NULL,
+        CONSTRAINT [CK_Programacion_Entrega] CHECK ([Entrega] IN ('directorio', 'correo'))
+    );
+    CREATE INDEX [IX_Programacion_ProximaEjecucion] ON [Reporte].[Programacion] ([Activa], [ProximaEjecucion]);
+END
+GO
+
+IF OBJECT_ID('[Reporte].[EjecucionProgramada]', 'U') IS NULL
+BEGIN
+    CREATE TABLE [Reporte].[EjecucionProgramada] (
+        [IdEjecucion] BIGINT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        [IdProgramacion] INT NOT NULL,
+        [ProgramadaPara] DATETIME2 NOT NULL,
+        [FechaInicio] DATE NOT NULL,
+        [FechaFin] DATE NOT NULL,
+        [Intento] INT NOT NULL DEFAULT 1,
+        [Estado] VARCHAR(20) NOT NULL DEFAULT 'procesando',
+        [TotalRegistros] INT NULL,
+        [Archivo] NVARCHAR(260) NULL,
+        [Error] NVARCHAR(1000) NULL,
+        [ReintentarEn] DATETIME2 NULL,
+        [IniciadoEn] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        [ActualizadoEn] DATETIME2 NULL,
+        [TerminadoEn] DATETIME2 NULL,
+        CONSTRAINT [FK_EjecucionProgramada_Programacion] FOREIGN KEY ([IdProgramacion]) REFERENCES [Reporte].[Programacion] ([IdProgramacion]),
+        CONSTRAINT [CK_EjecucionProgramada_Estado] CHECK ([Estado] IN ('procesando', 'entregado', 'sin_datos', 'fallido'))
+    );
+    CREATE INDEX [IX_EjecucionProgramada_IdProgramacion] ON [Reporte].[EjecucionProgramada] ([IdProgramacion], [IdEjecucion]);
+    CREATE INDEX [IX_EjecucionProgramada_ReintentarEn] ON [Reporte].[EjecucionProgramada] ([ReintentarEn]) WHERE [ReintentarEn] IS NOT NULL;
+END
+GO
+
+IF COL_LENGTH('Reporte.EjecucionProgramada', 'ActualizadoEn') IS NULL
+    ALTER TABLE [Reporte].[EjecucionProgramada] ADD [ActualizadoEn] DATETIME2 NULL;
+GO
@@ -0,0 +1,36 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Plantillas de los reportes en Excel y PDF y del certificado de revista (ver src/services/plantillaReporteService.js).
+ * Cada plantilla guarda el logo institucional, el título, los textos de encabezado y pie de página, los colores del
+ * encabezado de las tablas, la orientación de la página, los bloques de firma y las definiciones de columnas (JSON).
+ * TipoReporte NULL aplica a cualquier reporte. La plantilla Predeterminada de un tipo se usa cuando la solicitud no
+ * indica `plantilla`; sin ninguna se usa la presentación base (PLANTILLA_BASE en src/config/plantillaReporte.js).
+ */
+IF OBJECT_ID('[Reporte].[Plantilla]', 'U') IS NULL
+BEGIN
+    CREATE TABLE [Reporte].[Plantilla] (
+        [IdPlantilla] INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        [Nombre] NVARCHAR(100) NOT NULL,
+        [TipoReporte] VARCHAR(30) NULL, -- 'inspecciones', 'inspectores', 'certificado' o NULL (cualquiera)
+        [Predeterminada] BIT NOT NULL DEFAULT 0,
+        [Titulo] NVARCHAR(150) NULL,
+        [Encabezado] NVARCHAR(300) NULL,
+        [PiePagina] NVARCHAR(200) NULL,
+        [ColorEncabezado] CHAR(6) NULL, -- Hexadecimal RRGGBB
+        [ColorTextoEncabezado] CHAR(6) NULL,
+        [Orientacion] VARCHAR(10) NULL, -- 'horizontal' o 'vertical'; NULL usa la del reporte
+        [Logo] VARBINARY(MAX) NULL,
+        [LogoTipo] VARCHAR(50) NULL,
+        [AnchoLogo] INT NULL, -- Milímetros en el PDF
+        [AltoLogo] INT NULL,
+        [Firmas] NVARCHAR(MAX) NULL, -- JSON: [{ "nombre": "...", "cargo": "..." }]
+        [Columnas] NVARCHAR(MAX) NULL, -- JSON: [{ "clave": "...", "titulo": "...", "anchoExcel": 0, "anchoPdf": 0 }]
+        [IdUsuario] INT NOT NULL,
+        [CreadoEn] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        [ActualizadoEn] DATETIME2 NULL,
+        CONSTRAINT [UQ_Plantilla_Nombre] UNIQUE ([Nombre]),
+        CONSTRAINT [CK_Plantilla_Orientacion] CHECK ([Orientacion] IN ('horizontal', 'vertical'))
+    );
+    CREATE INDEX [IX_Plantilla_Predeterminada] ON [Reporte].[Plantilla] ([TipoReporte]) WHERE [Predeterminada] = 1;
+END
+GO
@@ -0,0 +1,73 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Reporte paginado de inspecciones realizadas entre dos fechas (ver obtenerReporteInspecciones en src/services/dbService.js).
+ * Devuelve las mismas inspecciones que RV_ReporteRealizadasUsuario, con el trámite, la modalidad, el municipio,
+ * la placa, el folio, el dictamen y el estatus, pero ordena y pagina en la base de datos y devuelve el total en un
+ * segundo conjunto de resultados. Con @agruparPor ordena primero por el grupo (para calcular subtotales) y con
+ * @objetosPorPagina NULL devuelve todos los registros (modo exportación) sin el conteo.
+ * @ordenarPor: 'fecha', 'concesion', 'inspector' o 'tramite'. @agruparPor: 'municipio', 'modalidad', 'inspector' o 'tramite'.
+ */
+CREATE OR ALTER PROCEDURE [dbo].[RV_ReporteRealizadasUsuarioPaginado]
+    @fechaInspeccionInicio DATETIME,
+    @fechaInspeccionFin DATETIME,
+    @pagina INT = 1,
+    @objetosPorPagina INT = 20,
+    @ordenarPor VARCHAR(20) = 'fecha',
+    @direccion VARCHAR(4) = 'asc',
+    @agruparPor VARCHAR(20) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    ;WITH Inspecciones AS (
+        SELECT
+            rv.[IdRevistaVehicular],
+            rv.[FechaInspeccion],
+            rv.[IdConsesion],
+            ct.[Tramite],
+            rv.[Propietario],
+            cmod.[Modalidad],
+            cmun.[Nombre] AS [Municipio],
+            rv.[Inspector],
+            rv.[Observaciones],
+            rv.[Placa],
+            rv.[Folio],
+            rv.[Aprobado],
+            rv.[IdEstatus]
+        FROM [dbo].[RevistaVehicular] rv
+        LEFT JOIN [Catalogo].[Tramite] ct ON rv.[IdTramite] = ct.[IdTramite]
+        LEFT JOIN [Concesion].[Concesion] cc ON rv.[IdConsesion] = cc.[IdConcesion]
+        LEFT JOIN [Concesion].[Modalidad] cmod ON cc.[IdModalidad] = cmod.[IdModalidad]
+        LEFT JOIN [Catalogo].[Municipio] cmun ON cc.[IdMunicipioAutorizado] = cmun.[IdMunicipio]
+            AND cc.[IdEstadoExpedicion] = cmun.[IdEstado]
+        WHERE rv.[FechaInspeccion] BETWEEN @fechaInspeccionInicio AND @fechaInspeccionFin
+    )
+    SELECT [IdRevistaVehicular], [FechaInspeccion], [IdConsesion], [Tramite], [Propietario], [Modalidad],
+           [Municipio], [Inspector], [Observaciones], [Placa], [Folio], [Aprobado], [IdEstatus]
+    FROM Inspecciones
+    ORDER BY
+        CASE @agruparPor
+            WHEN 'municipio' THEN [Municipio]
+            WHEN 'modalidad' THEN [Modalidad]
+            WHEN 'inspector' THEN [Inspector]
+            WHEN 'tramite' THEN [Tramite]
+        END ASC,
+        CASE WHEN @ordenarPor = 'concesion' AND @direccion = 'asc' THEN [IdConsesion] END ASC,
+        CASE WHEN @ordenarPor = 'concesion' AND @direccion = 'desc' THEN [IdConsesion] END DESC,
+        CASE WHEN @ordenarPor = 'inspector' AND @direccion = 'asc' THEN [Inspector] END ASC,
+        CASE WHEN @ordenarPor = 'inspector' AND @direccion = 'desc' THEN [Inspector] END DESC,
+        CASE WHEN @ordenarPor = 'tramite' AND @direccion = 'asc' THEN [Tramite] END ASC,
+        CASE WHEN @ordenarPor = 'tramite' AND @direccion = 'desc' THEN [Tramite] END DESC,
+        CASE WHEN @ordenarPor = 'fecha' AND @direccion = 'asc' THEN [FechaInspeccion] END ASC,
+        CASE WHEN @ordenarPor = 'fecha' AND @direccion = 'desc' THEN [FechaInspeccion] END DESC,
+        CASE WHEN @direccion = 'desc' THEN [IdRevistaVehicular] END DESC,
+        [IdRevistaVehicular] ASC
+    OFFSET CASE WHEN @objetosPorPagina IS NULL THEN 0 ELSE (@pagina - 1) * @objetosPorPagina END ROWS
+    FETCH NEXT ISNULL(@objetosPorPagina, 2147483647) ROWS ONLY;
+
+    IF @objetosPorPagina IS NOT NULL
+        SELECT COUNT(*) AS [Total]
+        FROM [dbo].[RevistaVehicular] rv
+        WHERE rv.[FechaInspeccion] BETWEEN @fechaInspeccionInicio AND @fechaInspeccionFin;
+END
+GO
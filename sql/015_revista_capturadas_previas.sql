@@ -0,0 +1,37 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Revistas capturadas antes del flujo de estatus de 005_revista_estatus_flujo.sql.
+ * Antes de ese script imprimirRevista aceptaba cualquier revista con estatus 1 (capturada); ahora solo imprime
+ * revistas aprobadas (4), así que las capturadas pendientes de imprimir tendrían que pasar por revisada → aprobada.
+ * Este script las marca como aprobadas y deja el cambio en Historial con un motivo que identifica la migración.
+ * Ejecutarlo una sola vez, al desplegar el flujo: @FechaCorte es el momento del despliegue, para no aprobar las
+ * revistas capturadas después, que sí deben revisarse. Las revistas que se prefiera revisar deben excluirse antes.
+ */
+DECLARE @FechaCorte DATETIME = NULL; -- Fecha y hora del despliegue del flujo de estatus
+DECLARE @Motivo NVARCHAR(500) = N'Migración: capturada antes del flujo de revisión y aprobación';
+
+IF @FechaCorte IS NULL
+BEGIN
+    RAISERROR(N'Indique @FechaCorte (fecha y hora del despliegue del flujo de estatus)', 16, 1);
+    RETURN;
+END;
+
+BEGIN TRANSACTION;
+
+DECLARE @Aprobadas TABLE ([IdRevistaVehicular] BIGINT, [IdUser] INT);
+
+UPDATE [dbo].[RevistaVehicular]
+SET [IdEstatus] = 4
+OUTPUT inserted.[IdRevistaVehicular], inserted.[IdUser] INTO @Aprobadas
+WHERE [IdEstatus] = 1 AND [FechaInspeccion] < @FechaCorte;
+
+-- IdOperacion 3 = cambio de estatus; se atribuye al usuario que capturó la revista
+INSERT INTO [RevistaVehicular].[Historial]
+    ([IdRevistaVehicular], [IdOperacion], [IdUsuario], [Fecha], [IdEstatusAnterior], [IdEstatusNuevo], [Motivo])
+SELECT [IdRevistaVehicular], 3, [IdUser], GETDATE(), 1, 4, @Motivo
+FROM @Aprobadas;
+
+COMMIT TRANSACTION;
+
+SELECT COUNT(*) AS RevistasAprobadas FROM @Aprobadas;
+GO
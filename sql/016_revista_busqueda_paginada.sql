@@ -0,0 +1,93 @@
+/*
+ * Base de datos: WP.SIASHidalgo.TransportePublico (DB_NAME)
+ * Búsqueda paginada de revistas vehiculares (ver buscarRevistasVehiculares en src/services/dbService.js, GET /revista/buscar).
+ * Sustituye a RV_ObtenerListaRevista, RV_ObtenerListaRevistaPorConcesion y RV_ObtenerListaRevistaPorPlaca: combina
+ * todos los filtros antes de paginar, ordena y pagina en la base de datos y devuelve el total en un segundo conjunto
+ * de resultados. Con @objetosPorPagina NULL devuelve todos los registros.
+ * Modo cursor (@modoCursor = 1, scroll infinito): devuelve los @objetosPorPagina registros que siguen a la posición
+ * del cursor (@cursorFecha o @cursorEntero según @ordenarPor, con @cursorId como desempate) y no devuelve el conteo.
+ * Columnas: IdRevistaVehicular, IdConsesion, IdTramite, IdEstatus, IdRevistaOrigen, Placa, Propietario, Inspector,
+ * FechaInspeccion, Folio, Aprobado y Observaciones. Es un cambio respecto a los procedimientos anteriores: la lista solo
+ * trae los datos para identificar la revista y su estatus; el detalle (checklist, puntuación, vehículo) se obtiene
+ * con GET /revista/:idRV.
+ * @ordenarPor: 'fecha', 'estatus' o 'concesion'. @direccion: 'asc' o 'desc'.
+ */
+CREATE OR ALTER PROCEDURE [dbo].[RV_ObtenerListaRevistaPaginado]
+    @numeroConcesion INT = NULL,
+    @placa NVARCHAR(15) = NULL,
+    @estatus INT = NULL,
+    @fechaInspeccionInicio DATETIME = NULL,
+    @fechaInspeccionFin DATETIME = NULL,
+    @pagina INT = 1,
+    @objetosPorPagina INT = 10,
+    @ordenarPor VARCHAR(20) = 'fecha',
+    @direccion VARCHAR(4) = 'desc',
+    @modoCursor BIT = 0,
+    @cursorFecha DATETIME = NULL,
+    @cursorEntero INT = NULL,
+    @cursorId BIGINT = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    ;WITH Revistas AS (
+        SELECT
+            rv.[IdRevistaVehicular],
+            rv.[IdConsesion],
+            rv.[IdTramite],
+            rv.[IdEstatus],
+            rv.[IdRevistaOrigen],
+            rv.[Placa],
+            rv.[Propietario],
+            rv.[Inspector],
+            rv.[FechaInspeccion],
+            rv.[Folio],
+            rv.[Aprobado],
+            rv.[Observaciones]
+        FROM [dbo].[RevistaVehicular] rv
+        WHERE (@numeroConcesion IS NULL OR rv.[IdConsesion] = @numeroConcesion)
+            AND (@placa IS NULL OR rv.[Placa] = @placa)
+            AND (@estatus IS NULL OR rv.[IdEstatus] = @estatus)
+            AND (@fechaInspeccionInicio IS NULL OR rv.[FechaInspeccion] >= @fechaInspeccionInicio)
+            -- La fecha de fin se incluye completa
+            AND (@fechaInspeccionFin IS NULL OR rv.[FechaInspeccion] < DATEADD(DAY, 1, @fechaInspeccionFin))
+    )
+    SELECT [IdRevistaVehicular], [IdConsesion], [IdTramite], [IdEstatus], [IdRevistaOrigen], [Placa], [Propietario],
+           [Inspector], [FechaInspeccion], [Folio], [Aprobado], [Observaciones]
+    FROM Revistas
+    -- En modo cursor se continúa después de la última revista devuelta (orden + IdRevistaVehicular como desempate)
+    WHERE @cursorId IS NULL
+        OR (@ordenarPor = 'fecha' AND @direccion = 'asc'
+            AND ([FechaInspeccion] > @cursorFecha OR ([FechaInspeccion] = @cursorFecha AND [IdRevistaVehicular] > @cursorId)))
+        OR (@ordenarPor = 'fecha' AND @direccion = 'desc'
+            AND ([FechaInspeccion] < @cursorFecha OR ([FechaInspeccion] = @cursorFecha AND [IdRevistaVehicular] < @cursorId)))
+        OR (@ordenarPor = 'estatus' AND @direccion = 'asc'
+            AND ([IdEstatus] > @cursorEntero OR ([IdEstatus] = @cursorEntero AND [IdRevistaVehicular] > @cursorId)))
+        OR (@ordenarPor = 'estatus' AND @direccion = 'desc'
+            AND ([IdEstatus] < @cursorEntero OR ([IdEstatus] = @cursorEntero AND [IdRevistaVehicular] < @cursorId)))
+        OR (@ordenarPor = 'concesion' AND @direccion = 'asc'
+            AND ([IdConsesion] > @cursorEntero OR ([IdConsesion] = @cursorEntero AND [IdRevistaVehicular] > @cursorId)))
+        OR (@ordenarPor = 'concesion' AND @direccion = 'desc'
+            AND ([IdConsesion] < @cursorEntero OR ([IdConsesion] = @cursorEntero AND [IdRevistaVehicular] < @cursorId)))
+    ORDER BY
+        CASE WHEN @ordenarPor = 'estatus' AND @direccion = 'asc' THEN [IdEstatus] END ASC,
+        CASE WHEN @ordenarPor = 'estatus' AND @direccion = 'desc' THEN [IdEstatus] END DESC,
+        CASE WHEN @ordenarPor = 'concesion' AND @direccion = 'asc' THEN [IdConsesion] END ASC,
+        CASE WHEN @ordenarPor = 'concesion' AND @direccion = 'desc' THEN [IdConsesion] END DESC,
+        CASE WHEN @ordenarPor = 'fecha' AND @direccion = 'asc' THEN [FechaInspeccion] END ASC,
+        CASE WHEN @ordenarPor = 'fecha' AND @direccion = 'desc' THEN [FechaInspeccion] END DESC,
+        CASE WHEN @direccion = 'desc' THEN [IdRevistaVehicular] END DESC,
+        [IdRevistaVehicular] ASC
+    OFFSET CASE WHEN @objetosPorPagina IS NULL OR @modoCursor = 1 THEN 0 ELSE (@pagina - 1) * @objetosPorPagina END ROWS
+    FETCH NEXT ISNULL(@objetosPorPagina, 2147483647) ROWS ONLY;
+
+    IF @modoCursor = 0
+        SELECT COUNT(*) AS [Total]
+        FROM [dbo].[RevistaVehicular] rv
+        WHERE (@numeroConcesion IS NULL OR rv.[IdConsesion] = @numeroConcesion)
+            AND (@placa IS NULL OR rv.[Placa] = @placa)
+            AND (@estatus IS NULL OR rv.[IdEstatus] = @estatus)
+            AND (@fechaInspeccionInicio IS NULL OR rv.[FechaInspeccion] >= @fechaInspeccionInicio)
+            AND (@fechaInspeccionFin IS NULL OR rv.[FechaInspeccion] < DATEADD(DAY, 1, @fechaInspeccionFin));
+END
+GO
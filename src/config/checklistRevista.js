@@ -0,0 +1,141 @@
+/**
+ * @file checklistRevista.js
+ * @description Definición de los elementos revisados en una revista vehicular (checklist),
+ *              en el mismo orden en que se envían a RV_InsertarRevistaPuntuacion.
+ */
+
+/**
+ * @constant CHECKLIST_REVISTA
+ * @description Elementos del checklist. `columna` indica el nombre de la columna en [dbo].[RevistaVehicular]
+ *              cuando no coincide con el campo. `tipo` indica la columna en base de datos:
+ *              - 'bit': 0 = No / Mal, 1 = Sí / Bien.
+ *              - 'nivel': 0 = No tiene, 1 = Bien, 2 = Mal.
+ */
+const CHECKLIST_REVISTA = [
+    { campo: 'placaDelanteraVer', etiqueta: 'Placa delantera', tipo: 'bit' },
+    { campo: 'placaTraseraVer', etiqueta: 'Placa trasera', tipo: 'bit' },
+    { campo: 'calcaVerificacionVer', etiqueta: 'Calca de verificación', tipo: 'bit' },
+    { campo: 'calcaTenenciaVer', etiqueta: 'Calca de tenencia', tipo: 'bit' },
+    { campo: 'pinturaCarroceriaVer', etiqueta: 'Pintura y carrocería', tipo: 'bit' },
+    { campo: 'estadoLlantasVer', etiqueta: 'Estado de las llantas', tipo: 'bit' },
+    { campo: 'defensasVer', etiqueta: 'Defensas', tipo: 'nivel' },
+    { campo: 'vidriosVer', etiqueta: 'Vidrios', tipo: 'nivel' },
+    { campo: 'limpiadoresVer', etiqueta: 'Limpiadores', tipo: 'nivel' },
+    { campo: 'espejosVer', etiqueta: 'Espejos', tipo: 'nivel' },
+    { campo: 'llantaRefaccionVer', etiqueta: 'Llanta de refacción', tipo: 'nivel' },
+    { campo: 'parabrisasMedallonVer', etiqueta: 'Parabrisas y medallón', tipo: 'nivel' },
+    { campo: 'claxonVer', etiqueta: 'Claxon', tipo: 'bit' },
+    { campo: 'luzBajaVer', etiqueta: 'Luz baja', tipo: 'bit' },
+    { campo: 'luzAltaVer', etiqueta: 'Luz alta', tipo: 'bit' },
+    { campo: 'cuartosVer', etiqueta: 'Cuartos', tipo: 'bit' },
+    { campo: 'direccionalesVer', etiqueta: 'Direccionales', tipo: 'bit' },
+    { campo: 'intermitentesVer', etiqueta: 'Intermitentes', tipo: 'bit' },
+    { campo: 'stopVer', etiqueta: 'Luces de freno (stop)', tipo: 'bit' },
+    { campo: 'timbreVer', etiqueta: 'Timbre', tipo: 'bit' },
+    { campo: 'estinguidorVer', etiqueta: 'Extintor', tipo: 'nivel' },
+    { campo: 'herramientasVer', etiqueta: 'Herramientas', tipo: 'bit', columna: 'HerramientaVer' },
+    { campo: 'sistemaFrenadoVer', etiqueta: 'Sistema de frenado', tipo: 'bit' },
+    { campo: 'sistemaDireccionVer', etiqueta: 'Sistema de dirección', tipo: 'bit' },
+    { campo: 'sistemaSuspensionVer', etiqueta: 'Sistema de suspensión', tipo: 'bit' },
+    { campo: 'interioresVer', etiqueta: 'Interiores', tipo: 'bit' },
+    { campo: 'botiquinVer', etiqueta: 'Botiquín', tipo: 'bit' },
+    { campo: 'cinturonSeguridadVer', etiqueta: 'Cinturón de seguridad', tipo: 'bit' }
+];
+
+/**
+ * @constant CAMPOS_EDITABLES_REVISTA
+ * @description Campos que pueden corregirse con PUT /revista/:idRV mientras la revista no se imprime.
+ *              `columna` es la columna de [dbo].[RevistaVehicular] (mismos nombres que los parámetros de
+ *              RV_InsertarRevistaPuntuacion), `tipo` define cómo se normaliza el valor y `puntuacion`
+ *              marca los campos que obligan a recalcular la puntuación y la clasificación.
+ */
+const CAMPOS_EDITABLES_REVISTA = [
+    ...CHECKLIST_REVISTA.map(item => ({
+        campo: item.campo,
+        columna: item.columna || item.campo.charAt(0).toUpperCase() + item.campo.slice(1),
+        etiqueta: item.etiqueta,
+        tipo: item.tipo
+    })),
+    { campo: 'imagenCromaticaVer', columna: 'ImagenCromaticaVer', etiqueta: 'Imagen cromática', tipo: 'bit' },
+    { campo: 'aprobado', columna: 'Aprobado', etiqueta: 'Aprobado', tipo: 'bit' },
+    { campo: 'observaciones', columna: 'Observaciones', etiqueta: 'Observaciones', tipo: 'texto' },
+    { campo: 'modeloId', columna: 'ModeloId', etiqueta: 'Modelo del vehículo', tipo: 'entero', puntuacion: true },
+    { campo: 'tipoId', columna: 'TipoId', etiqueta: 'Tipo de vehículo', tipo: 'entero', puntuacion: true },
+    { campo: 'capacidadId', columna: 'CapacidadId', etiqueta: 'Capacidad de pasajeros', tipo: 'entero', puntuacion: true },
+    { campo: 'tipoBolsa', columna: 'TipoBolsa', etiqueta: 'Bolsas de aire', tipo: 'entero', puntuacion: true },
+    { campo: 'tieneAire', columna: 'TieneAire', etiqueta: 'Aire acondicionado', tipo: 'bit', puntuacion: true },
+    { campo: 'frenoId', columna: 'FrenoId', etiqueta: 'Tipo de freno', tipo: 'entero', puntuacion: true },
+    { campo: 'cinturonId', columna: 'CinturonId', etiqueta: 'Cinturones de seguridad', tipo: 'entero', puntuacion: true },
+    { campo: 'tapiceriaId', columna: 'TapiceriaId', etiqueta: 'Tapicería de asientos', tipo: 'entero', puntuacion: true }
+];
+
+/**
+ * Obtiene el valor de un campo de un registro sin distinguir mayúsculas y minúsculas,
+ * ya que los procedimientos almacenados devuelven las columnas en PascalCase.
+ * @function obtenerValorCampo
+ * @param {Object} registro - Registro devuelto por la base de datos.
+ * @param {string} campo - Nombre del campo (ej. 'placaDelanteraVer').
+ * @returns {*} El valor del campo o `undefined` si no existe.
+ */
+function obtenerValorCampo(registro, campo) {
+    if (!registro) return undefined;
+    if (campo in registro) return registro[campo];
+    const clave = Object.keys(registro).find(key => key.toLowerCase() === campo.toLowerCase());
+    return clave ? registro[clave] : undefined;
+}
+
+/**
+ * Convierte el valor de un elemento del checklist a su descripción legible.
+ * @function describirValorChecklist
+ * @param {Object} item - Elemento de CHECKLIST_REVISTA.
+ * @param {*} valor - Valor almacenado (bit o nivel).
+ * @returns {string} Descripción del resultado.
+ */
+function describirValorChecklist(item, valor) {
+    if (valor === null || valor === undefined) return 'Sin dato';
+    const numero = typeof valor === 'boolean' ? Number(valor) : parseInt(valor);
+    if (item.tipo === 'nivel') {
+        return ['No tiene', 'Bien', 'Mal'][numero] || 'Sin dato';
+    }
+    return numero === 1 ? 'Sí' : 'No';
+}
+
+/**
+ * @constant VALOR_APROBADO_CHECKLIST
+ * @description Único valor con el que un elemento del checklist se considera aprobado, tanto en 'bit' (Sí / Bien)
+ *              como en 'nivel' (Bien). Cualquier otro valor registrado (0 = No / Mal / No tiene, 2 = Mal) lo reprueba.
+ */
+const VALOR_APROBADO_CHECKLIST = 1;
+
+/**
+ * Indica si un elemento del checklist se considera reprobado.
+ * @function esItemReprobado
+ * @param {Object} item - Elemento de CHECKLIST_REVISTA.
+ * @param {*} valor - Valor almacenado (bit o nivel).
+ * @returns {boolean} `true` si el elemento no cumple; los elementos sin dato no se consideran reprobados.
+ */
+function esItemReprobado(item, valor) {
+    if (valor === null || valor === undefined) return false;
+    const numero = typeof valor === 'boolean' ? Number(valor) : parseInt(valor);
+    return numero !== VALOR_APROBADO_CHECKLIST;
+}
+
+/**
+ * Condición SQL equivalente a esItemReprobado para una columna del checklist (las filas sin dato no la cumplen).
+ * @function condicionItemReprobadoSql
+ * @param {string} columna - Columna de [dbo].[RevistaVehicular] con su alias (ej. 'rv.[DefensasVer]').
+ * @returns {string} Condición para un WHERE o un CASE.
+ */
+function condicionItemReprobadoSql(columna) {
+    return `${columna} <> ${VALOR_APROBADO_CHECKLIST}`;
+}
+
+module.exports = {
+    CHECKLIST_REVISTA,
+    CAMPOS_EDITABLES_REVISTA,
+    obtenerValorCampo,
+    describirValorChecklist,
+    VALOR_APROBADO_CHECKLIST,
+    esItemReprobado,
+    condicionItemReprobadoSql
+};
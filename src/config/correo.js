@@ -0,0 +1,36 @@
+/**
+ * @file correo.js
+ * @description Transporte de correo (nodemailer) para la entrega de reportes programados.
+ *              Con REPORTES_SMTP_TRANSPORTE=smtp (por defecto) se envía por el servidor SMTP configurado; con json
+ *              los mensajes solo se arman y se devuelven, sin enviarse (desarrollo y pruebas).
+ */
+
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+/** Remitente de los correos de reportes. */
+const REMITENTE_REPORTES = process.env.REPORTES_SMTP_REMITENTE || 'reportes@localhost';
+
+/**
+ * Crea el transporte de correo según REPORTES_SMTP_TRANSPORTE.
+ * @function crearTransporteCorreo
+ * @returns {Object} Transporte de nodemailer.
+ */
+function crearTransporteCorreo() {
+    if ((process.env.REPORTES_SMTP_TRANSPORTE || 'smtp') === 'json') {
+        return nodemailer.createTransport({ jsonTransport: true });
+    }
+    return nodemailer.createTransport({
+        host: process.env.REPORTES_SMTP_HOST || 'localhost',
+        port: parseInt(process.env.REPORTES_SMTP_PUERTO || 587),
+        secure: process.env.REPORTES_SMTP_SEGURO === 'true', // true para el puerto 465; en 587 se usa STARTTLS
+        auth: process.env.REPORTES_SMTP_USUARIO
+            ? { user: process.env.REPORTES_SMTP_USUARIO, pass: process.env.REPORTES_SMTP_CONTRASENA }
+            : undefined
+    });
+}
+
+module.exports = {
+    REMITENTE_REPORTES,
+    crearTransporteCorreo
+};
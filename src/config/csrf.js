@@ -24,15 +24,27 @@ const doubleCsrfOptions = {
     ignoredMethods: ['GET', 'HEAD', 'OPTIONS'], // Métodos HTTP ignorados
     /**
      * @description Obtiene el token CSRF desde la solicitud (cabeceras, cuerpo o consulta).
+     *              En multipart/form-data el cuerpo aún no está procesado, así que debe enviarse en la cabecera.
      * @param {express.Request} req - Objeto de solicitud HTTP.
      * @returns {string|undefined} Token CSRF.
      */
-    getCsfTokenFromRequest: (req) => {
-        return req.headers['x-csrf-token'] || 
-               req.body._csrf || 
-               req.body.csrfToken ||
+    getCsrfTokenFromRequest: (req) => {
+        return req.headers['x-csrf-token'] ||
+               req.body?._csrf ||
+               req.body?.csrfToken ||
                req.query._csrf;
     },
+    /**
+     * @description Omite la validación solo para clientes con `Authorization: Bearer <clave>`: un sitio ajeno no
+     *              puede enviar esa cabecera. POST /api/auth/login también la requiere, con el token de
+     *              GET /api/csrf-token, para que otro sitio no inicie sesión en el navegador con su propia cuenta.
+     *              Un `Bearer` sin clave no cuenta: authenticateApiKeyOrSession usaría la cookie de sesión.
+     * @param {express.Request} req - Objeto de solicitud HTTP.
+     * @returns {boolean} `true` si se omite la protección.
+     */
+    skipCsrfProtection: (req) => {
+        return /^Bearer \S/.test(req.headers['authorization'] || '');
+    },
 };
 
 /**
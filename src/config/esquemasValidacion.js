@@ -0,0 +1,690 @@
+/**
+ * @file esquemasValidacion.js
+ * @description Esquemas de express-validator para los parámetros, consultas y cuerpos de cada ruta de la API.
+ *              Se aplican con el middleware `validar` de src/middlewares/validacion.js.
+ */
+
+const { CHECKLIST_REVISTA, CAMPOS_EDITABLES_REVISTA } = require('./checklistRevista');
+const { CAPACIDADES } = require('./permisos');
+const { ESTATUS_REVISTA } = require('./estatusRevista');
+const { COLUMNAS_REPORTE_INSPECCIONES, AGRUPACIONES_REPORTE_INSPECCIONES, FORMATOS_REPORTE, resolverColumnas } = require('./reporteInspecciones');
+const { TIPOS_PLANTILLA, ORIENTACIONES, MAXIMO_FIRMAS } = require('./plantillaReporte');
+
+/** Caracteres del folio de una revista (parámetro @folio NVARCHAR(12) de RV_InsertarRevistaPuntuacion). */
+const ANCHO_FOLIO_REVISTA = 12;
+
+/**
+ * Campo entero positivo requerido.
+ * @param {string} ubicacion - 'params', 'query' o 'body'.
+ * @param {string} mensaje - Mensaje de error.
+ * @returns {Object} Definición del campo.
+ */
+const enteroRequerido = (ubicacion, mensaje) => ({
+    in: [ubicacion],
+    exists: { errorMessage: mensaje, bail: true },
+    isInt: { options: { min: 1 }, errorMessage: mensaje }
+});
+
+/**
+ * Campo entero opcional dentro de un rango.
+ * @param {string} ubicacion - 'params', 'query' o 'body'.
+ * @param {number} min - Valor mínimo.
+ * @param {number} [max] - Valor máximo.
+ * @returns {Object} Definición del campo.
+ */
+const enteroOpcional = (ubicacion, min, max) => ({
+    in: [ubicacion],
+    optional: { options: { values: 'falsy' } },
+    isInt: {
+        options: max === undefined ? { min } : { min, max },
+        errorMessage: max === undefined ? `Debe ser un entero mayor o igual a ${min}` : `Debe ser un entero entre ${min} y ${max}`
+    }
+});
+
+/**
+ * Cadena requerida con longitud máxima.
+ * @param {string} ubicacion - 'params', 'query' o 'body'.
+ * @param {number} max - Longitud máxima.
+ * @returns {Object} Definición del campo.
+ */
+const textoRequerido = (ubicacion, max) => ({
+    in: [ubicacion],
+    exists: { options: { values: 'falsy' }, errorMessage: 'Campo requerido', bail: true },
+    isString: { errorMessage: 'Debe ser texto', bail: true },
+    isLength: { options: { min: 1, max }, errorMessage: `Debe tener entre 1 y ${max} caracteres` }
+});
+
+/**
+ * Cadena opcional con longitud máxima.
+ * @param {string} ubicacion - 'params', 'query' o 'body'.
+ * @param {number} max - Longitud máxima.
+ * @returns {Object} Definición del campo.
+ */
+const textoOpcional = (ubicacion, max) => ({
+    in: [ubicacion],
+    optional: { options: { values: 'null' } },
+    isString: { errorMessage: 'Debe ser texto', bail: true },
+    isLength: { options: { max }, errorMessage: `Debe tener como máximo ${max} caracteres` }
+});
+
+/**
+ * Valida que al menos uno de los campos indicados esté presente en la ubicación dada.
+ * El error se asocia al primer campo de la lista.
+ * @param {string} ubicacion - 'query' o 'body'.
+ * @param {Array<string>} campos - Campos alternativos.
+ * @returns {Object} Definición del campo.
+ */
+const alMenosUno = (ubicacion, campos) => ({
+    in: [ubicacion],
+    custom: {
+        options: (value, { req }) => campos.some(campo => req[ubicacion][campo]),
+        errorMessage: `Se requiere al menos uno de los siguientes parámetros: ${campos.join(', ')}`
+    }
+});
+
+const FECHA_DD_MM_YYYY_O_ISO = /^(\d{2}\/\d{2}\/\d{4}|\d{4}-\d{2}-\d{2})$/;
+const FECHA_ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Paginación estándar (page y pageSize enteros positivos). */
+const paginacion = {
+    page: enteroOpcional('query', 1),
+    pageSize: enteroOpcional('query', 1)
+};
+
+/** Parámetros del reporte de inspecciones; se leen de la consulta tanto en GET como en POST. */
+const reporteInspecciones = {
+    fechaInicio: {
+        in: ['query'],
+        exists: { options: { values: 'falsy' }, errorMessage: 'Se requiere fechaInicio', bail: true },
+        matches: { options: FECHA_DD_MM_YYYY_O_ISO, errorMessage: 'Debe estar en formato DD/MM/YYYY o YYYY-MM-DD' }
+    },
+    fechaFin: {
+        in: ['query'],
+        exists: { options: { values: 'falsy' }, errorMessage: 'Se requiere fechaFin', bail: true },
+        matches: { options: FECHA_DD_MM_YYYY_O_ISO, errorMessage: 'Debe estar en formato DD/MM/YYYY o YYYY-MM-DD' }
+    },
+    page: enteroOpcional('query', 1),
+    format: {
+        in: ['query'],
+        optional: { options: { values: 'falsy' } },
+        isIn: { options: [Object.keys(FORMATOS_REPORTE)], errorMessage: 'Formato inválido. Use json, csv, jsonl, excel o pdf' }
+    },
+    allPages: {
+        in: ['query'],
+        optional: true,
+        isBoolean: { options: { loose: true }, errorMessage: 'Debe ser true o false' }
+    },
+    ordenarPor: {
+        in: ['query'],
+        optional: { options: { values: 'falsy' } },
+        isIn: { options: [['fecha', 'concesion', 'inspector', 'tramite']], errorMessage: 'Debe ser fecha, concesion, inspector o tramite' }
+    },
+    direccion: {
+        in: ['query'],
+        optional: { options: { values: 'falsy' } },
+        isIn: { options: [['asc', 'desc']], errorMessage: 'Debe ser asc o desc' }
+    },
+    agruparPor: {
+        in: ['query'],
+        optional: { options: { values: 'falsy' } },
+        isIn: { options: [Object.keys(AGRUPACIONES_REPORTE_INSPECCIONES)], errorMessage: 'Debe ser municipio, modalidad, inspector o tramite' }
+    },
+    columnas: {
+        in: ['query'],
+        optional: { options: { values: 'falsy' } },
+        custom: {
+            options: valor => resolverColumnas(valor).desconocidas.length === 0,
+            errorMessage: `Columnas válidas: ${COLUMNAS_REPORTE_INSPECCIONES.map(columna => columna.clave).join(', ')}`
+        }
+    },
+    plantilla: enteroOpcional('query', 1)
+};
+
+/** Parámetros del reporte de productividad de inspectores (fechas y formato de reporteInspecciones). */
+const reporteInspectores = {
+    fechaInicio: reporteInspecciones.fechaInicio,
+    fechaFin: reporteInspecciones.fechaFin,
+    format: reporteInspecciones.format,
+    plantilla: reporteInspecciones.plantilla
+};
+
+/**
+ * Trabajo de reporte en segundo plano (POST /reportes): los parámetros de reporteInspecciones en el cuerpo,
+ * sin paginación y solo con formatos de archivo.
+ */
+const trabajoReporte = {
+    tipo: {
+        in: ['body'],
+        optional: { options: { values: 'falsy' } },
+        isIn: { options: [['inspecciones', 'inspectores']], errorMessage: 'Tipo de reporte inválido. Use inspecciones o inspectores' }
+    },
+    ...Object.fromEntries(Object.entries(reporteInspecciones)
+        .filter(([campo]) => !['page', 'allPages'].includes(campo))
+        .map(([campo, definicion]) => [campo, { ...definicion, in: ['body'] }])),
+    format: {
+        in: ['body'],
+        isIn: { options: [['csv', 'jsonl', 'excel', 'pdf']], errorMessage: 'Formato inválido. Use csv, jsonl, excel o pdf' }
+    }
+};
+
+/**
+ * Programación de un reporte recurrente (POST /reportes/programaciones): calendario, ventana de fechas y entrega,
+ * más los parámetros de trabajoReporte sin las fechas (las pone cada ejecución).
+ */
+const programacionReporte = {
+    nombre: textoRequerido('body', 100),
+    tipo: trabajoReporte.tipo,
+    cron: textoRequerido('body', 100),
+    ventana: {
+        in: ['body'],
+        isIn: {
+            options: [['dia_anterior', 'semana_anterior', 'mes_anterior', 'ultimos_7_dias', 'ultimos_30_dias']],
+            errorMessage: 'Debe ser dia_anterior, semana_anterior, mes_anterior, ultimos_7_dias o ultimos_30_dias'
+        }
+    },
+    ...Object.fromEntries(Object.entries(trabajoReporte)
+        .filter(([campo]) => !['tipo', 'fechaInicio', 'fechaFin'].includes(campo))),
+    entrega: {
+        in: ['body'],
+        isIn: { options: [['directorio', 'correo']], errorMessage: 'Debe ser directorio o correo' }
+    },
+    destinatarios: {
+        in: ['body'],
+        optional: { options: { values: 'falsy' } },
+        custom: {
+            options: valor => (Array.isArray(valor) ? valor : String(valor).split(','))
+                .every(correo => /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/.test(String(correo).trim())),
+            errorMessage: 'Debe ser una lista de correos válidos separados por comas'
+        }
+    },
+    activa: {
+        in: ['body'],
+        optional: true,
+        isBoolean: { options: { loose: true }, errorMessage: 'Debe ser true o false' }
+    }
+};
+
+/** Cuerpo de PUT /reportes/programaciones/:idProgramacion: los campos de programacionReporte, todos opcionales. */
+const edicionProgramacionReporte = {
+    idProgramacion: enteroRequerido('params', 'Se requiere un ID de programación válido'),
+    ...Object.fromEntries(Object.entries(programacionReporte).map(([campo, definicion]) => [campo, { ...definicion, optional: true }]))
+};
+
+/**
+ * Color hexadecimal opcional (RRGGBB, con o sin #).
+ * @param {string} ubicacion - 'query' o 'body'.
+ * @returns {Object} Definición del campo.
+ */
+const colorOpcional = (ubicacion) => ({
+    in: [ubicacion],
+    optional: { options: { values: 'null' } },
+    matches: { options: /^(#?[0-9A-Fa-f]{6})?$/, errorMessage: 'Debe ser un color hexadecimal RRGGBB' }
+});
+
+/**
+ * Plantilla de reporte (POST /reportes/plantillas). Las firmas y las columnas se validan a detalle en
+ * plantillaReporteService, según el tipo de reporte; el logo se sube aparte.
+ */
+const plantillaReporte = {
+    nombre: textoRequerido('body', 100),
+    tipoReporte: {
+        in: ['body'],
+        optional: { options: { values: 'falsy' } },
+        isIn: { options: [Object.keys(TIPOS_PLANTILLA)], errorMessage: `Debe ser ${Object.keys(TIPOS_PLANTILLA).join(', ')}` }
+    },
+    predeterminada: {
+        in: ['body'],
+        optional: true,
+        isBoolean: { options: { loose: true }, errorMessage: 'Debe ser true o false' }
+    },
+    titulo: textoOpcional('body', 150),
+    encabezado: textoOpcional('body', 300),
+    piePagina: textoOpcional('body', 200),
+    colorEncabezado: colorOpcional('body'),
+    colorTextoEncabezado: colorOpcional('body'),
+    orientacion: {
+        in: ['body'],
+        optional: { options: { values: 'falsy' } },
+        isIn: { options: [Object.keys(ORIENTACIONES)], errorMessage: `Debe ser ${Object.keys(ORIENTACIONES).join(' o ')}` }
+    },
+    anchoLogo: enteroOpcional('body', 5, 150),
+    altoLogo: enteroOpcional('body', 5, 100),
+    firmas: {
+        in: ['body'],
+        optional: { options: { values: 'null' } },
+        isArray: { options: { max: MAXIMO_FIRMAS }, errorMessage: `Debe ser una lista de hasta ${MAXIMO_FIRMAS} firmas ({ nombre, cargo })` }
+    },
+    'firmas.*.nombre': textoRequerido('body', 100),
+    'firmas.*.cargo': textoOpcional('body', 100),
+    columnas: {
+        in: ['body'],
+        optional: { options: { values: 'null' } },
+        isArray: { errorMessage: 'Debe ser una lista de columnas ({ clave, titulo, anchoExcel, anchoPdf })' }
+    },
+    'columnas.*.clave': textoRequerido('body', 50),
+    'columnas.*.titulo': textoOpcional('body', 60)
+};
+
+/** Edición de una plantilla: los mismos campos de plantillaReporte, todos opcionales (null vacía los campos opcionales). */
+const edicionPlantillaReporte = {
+    idPlantilla: enteroRequerido('params', 'Se requiere un ID de plantilla válido'),
+    ...Object.fromEntries(Object.entries(plantillaReporte)
+        .map(([campo, definicion]) => [campo, campo.includes('*') ? definicion : { ...definicion, optional: definicion.optional || true }]))
+};
+
+/** Datos de puntuación del vehículo (catálogos de VehiculoObtenerDatosPuntuacion). */
+const datosPuntuacion = {
+    modeloId: enteroRequerido('body', 'Se requiere un modeloId válido'),
+    tipoId: enteroRequerido('body', 'Se requiere un tipoId válido'),
+    capacidadId: enteroRequerido('body', 'Se requiere un capacidadId válido'),
+    frenoId: enteroRequerido('body', 'Se requiere un frenoId válido'),
+    cinturonId: enteroRequerido('body', 'Se requiere un cinturonId válido'),
+    tapiceriaId: enteroRequerido('body', 'Se requiere un tapiceriaId válido'),
+    tipoBolsa: {
+        in: ['body'],
+        isInt: { options: { min: 0, max: 2 }, errorMessage: 'Debe ser 0, 1 o 2' }
+    },
+    tieneAire: {
+        in: ['body'],
+        isInt: { options: { min: 0, max: 1 }, errorMessage: 'Debe ser 0 o 1' }
+    }
+};
+
+/** Elementos del checklist: los 'bit' son booleanos opcionales y los 'nivel' enteros 0-2 requeridos. */
+const checklist = Object.fromEntries(CHECKLIST_REVISTA.map(item => [
+    item.campo,
+    item.tipo === 'nivel'
+        ? { in: ['body'], isInt: { options: { min: 0, max: 2 }, errorMessage: 'Debe ser 0 (No tiene), 1 (Bien) o 2 (Mal)' } }
+        : { in: ['body'], optional: { options: { values: 'null' } }, isBoolean: { options: { loose: true }, errorMessage: 'Debe ser booleano' } }
+]));
+
+/** Cuerpo de POST /revista. */
+const revista = {
+    idConcesion: enteroRequerido('body', 'Se requiere un idConcesion válido'),
+    idPropietario: enteroRequerido('body', 'Se requiere un idPropietario válido'),
+    idTramite: enteroRequerido('body', 'Se requiere un idTramite válido'),
+    idVehiculo: enteroRequerido('body', 'Se requiere un idVehiculo válido'),
+    placa: textoRequerido('body', 20),
+    propietario: textoRequerido('body', 150),
+    ...checklist,
+    imagenCromaticaVer: { in: ['body'], optional: { options: { values: 'null' } }, isBoolean: { options: { loose: true }, errorMessage: 'Debe ser booleano' } },
+    aprobado: { in: ['body'], optional: { options: { values: 'null' } }, isBoolean: { options: { loose: true }, errorMessage: 'Debe ser booleano' } },
+    observaciones: textoOpcional('body', 500),
+    folio: textoOpcional('body', 12),
+    ...datosPuntuacion,
+    // Los puntos de los catálogos pueden tener decimales; la comparación con la calculada usa una tolerancia
+    puntuacion: { in: ['body'], optional: { options: { values: 'falsy' } }, isFloat: { options: { min: 0 }, errorMessage: 'Debe ser un número mayor o igual a 0' } },
+    clasificacionId: enteroOpcional('body', 1)
+};
+
+/** Cuerpo de PUT /revista/:idRV: los campos editables de POST /revista, todos opcionales. */
+const edicionRevista = {
+    idRV: enteroRequerido('params', 'Se requiere un ID de inspección (idRV) válido'),
+    ...Object.fromEntries(CAMPOS_EDITABLES_REVISTA.map(({ campo }) => [campo, { ...revista[campo], optional: true }])),
+    puntuacion: revista.puntuacion,
+    clasificacionId: revista.clasificacionId,
+    motivo: textoOpcional('body', 500)
+};
+
+/** Cuerpo de POST /revista/:idRV/segunda-revision: solo los elementos reevaluados, todos opcionales aquí. */
+const segundaRevision = {
+    idRV: enteroRequerido('params', 'Se requiere un ID de inspección (idRV) válido'),
+    ...Object.fromEntries(CHECKLIST_REVISTA.map(({ campo }) => [campo, { ...checklist[campo], optional: { options: { values: 'null' } } }])),
+    imagenCromaticaVer: revista.imagenCromaticaVer,
+    observaciones: textoOpcional('body', 500)
+};
+
+/** Datos del vehículo en PUT /concesion/:idConcesion/vehiculo/:idVehiculo (tamaños según CV_ModificarVehiculo). */
+const vehiculo = {
+    vehiculo: {
+        in: ['body'],
+        exists: { errorMessage: 'Se requieren los datos del vehículo', bail: true },
+        isObject: { errorMessage: 'Debe ser un objeto' }
+    },
+    'vehiculo.Modelo': { in: ['body'], isInt: { options: { min: 1900, max: 2100 }, errorMessage: 'Debe ser un año válido' } },
+    'vehiculo.NumeroPasajeros': { in: ['body'], isInt: { options: { min: 0 }, errorMessage: 'Debe ser un entero' } },
+    'vehiculo.NumeroPuertas': { in: ['body'], isInt: { options: { min: 0 }, errorMessage: 'Debe ser un entero' } },
+    'vehiculo.IdVersion': { in: ['body'], isInt: { options: { min: 1 }, errorMessage: 'Debe ser un ID válido' } },
+    'vehiculo.IdTipoPlaca': { in: ['body'], isInt: { options: { min: 1 }, errorMessage: 'Debe ser un ID válido' } },
+    'vehiculo.Cilindros': { in: ['body'], optional: { options: { values: 'falsy' } }, isInt: { options: { min: 0 }, errorMessage: 'Debe ser un entero' } },
+    'vehiculo.IdPropietario': { in: ['body'], optional: { options: { values: 'falsy' } }, isInt: { options: { min: 1 }, errorMessage: 'Debe ser un ID válido' } },
+    'vehiculo.Capacidad': textoRequerido('body', 15),
+    'vehiculo.Clase': textoRequerido('body', 50),
+    'vehiculo.ClaveVehicular': textoRequerido('body', 50),
+    'vehiculo.Marca': textoRequerido('body', 50),
+    'vehiculo.NumeroMotor': textoRequerido('body', 50),
+    'vehiculo.NumeroSerie': textoRequerido('body', 50),
+    'vehiculo.PlacaAsignada': textoRequerido('body', 20),
+    'vehiculo.Tipo': textoRequerido('body', 50),
+    'vehiculo.PlacaAnterior': textoOpcional('body', 20),
+    'vehiculo.Color': textoOpcional('body', 50),
+    'vehiculo.Combustible': textoOpcional('body', 50),
+    'vehiculo.servicio': textoOpcional('body', 100),
+    'vehiculo.NRPV': textoOpcional('body', 20),
+    'vehiculo.Origen': textoOpcional('body', 50),
+    'vehiculo.RFV': textoOpcional('body', 50),
+    'vehiculo.Submarca': textoOpcional('body', 50),
+    'vehiculo.Uso': textoOpcional('body', 50),
+    'vehiculo.Version': textoOpcional('body', 50),
+    'vehiculo.NumeroToneladas': textoOpcional('body', 10)
+};
+
+/** Datos de la aseguradora en PUT /concesion/:idConcesion/vehiculo/:idVehiculo (tamaños según AseguradoraInsertar). */
+const seguro = {
+    seguro: {
+        in: ['body'],
+        exists: { errorMessage: 'Se requieren los datos del seguro', bail: true },
+        isObject: { errorMessage: 'Debe ser un objeto' }
+    },
+    'seguro.nombre': textoRequerido('body', 150),
+    'seguro.numeroPoliza': textoRequerido('body', 50),
+    'seguro.folioPago': textoRequerido('body', 50),
+    'seguro.fechaExp': { in: ['body'], isISO8601: { errorMessage: 'Debe ser una fecha válida (YYYY-MM-DD)' } },
+    'seguro.fechaVence': {
+        in: ['body'],
+        isISO8601: { errorMessage: 'Debe ser una fecha válida (YYYY-MM-DD)', bail: true },
+        custom: {
+            options: (value, { req }) => !req.body.seguro.fechaExp || new Date(value) >= new Date(req.body.seguro.fechaExp),
+            errorMessage: 'Debe ser posterior a la fecha de expedición'
+        }
+    },
+    'seguro.observaciones': textoOpcional('body', 5000)
+};
+
+/** Fecha de vencimiento opcional de una clave API: ISO 8601 y en el futuro. */
+const expiraEn = {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isISO8601: { errorMessage: 'Debe ser una fecha ISO 8601', bail: true },
+    custom: {
+        options: value => new Date(value) > new Date(),
+        errorMessage: 'Debe ser una fecha futura'
+    }
+};
+
+/**
+ * @constant esquemas
+ * @description Esquemas de validación indexados por ruta.
+ */
+const esquemas = {
+    login: {
+        username: textoRequerido('body', 50),
+        password: textoRequerido('body', 50)
+    },
+    concesionPorFolio: {
+        folio: textoRequerido('query', 50)
+    },
+    concesionPorExpediente: {
+        seriePlaca: alMenosUno('query', ['seriePlaca', 'folio'])
+    },
+    concesionPorId: {
+        id: enteroRequerido('params', 'ID de concesión inválido')
+    },
+    concesionariosPorNombre: {
+        nombre: alMenosUno('query', ['nombre', 'paterno', 'materno', 'rfc', 'curp']),
+        rfc: {
+            in: ['query'],
+            optional: { options: { values: 'falsy' } },
+            isLength: { options: { min: 4, max: 13 }, errorMessage: 'Debe tener entre 4 y 13 caracteres', bail: true },
+            matches: { options: /^[A-Za-zÑñ&]{3,4}[0-9A-Za-z]{0,9}$/, errorMessage: 'Debe ser un RFC o sus primeros caracteres' }
+        },
+        curp: {
+            in: ['query'],
+            optional: { options: { values: 'falsy' } },
+            matches: { options: /^[A-Za-z]{4}[0-9A-Za-z]{0,14}$/, errorMessage: 'Debe ser una CURP o sus primeros caracteres (mínimo 4)' }
+        },
+        ...paginacion,
+        ordenarPor: {
+            in: ['query'],
+            optional: { options: { values: 'falsy' } },
+            isIn: { options: [['relevancia', 'id', 'nombre', 'rfc']], errorMessage: 'Debe ser relevancia, id, nombre o rfc' }
+        },
+        direccion: {
+            in: ['query'],
+            optional: { options: { values: 'falsy' } },
+            isIn: { options: [['asc', 'desc']], errorMessage: 'Debe ser asc o desc' }
+        }
+    },
+    concesionesPorConcesionario: {
+        idConcesionario: enteroRequerido('params', 'ID de concesionario inválido')
+    },
+    vehiculoDeConcesion: {
+        idConcesion: enteroRequerido('params', 'ID de concesión inválido'),
+        idVehiculo: enteroRequerido('params', 'ID de vehículo inválido')
+    },
+    buscarVehiculo: {
+        placa: alMenosUno('query', ['placa', 'numSerie', 'numMotor'])
+    },
+    busquedaGlobal: {
+        q: textoRequerido('query', 100),
+        tipo: {
+            in: ['query'],
+            optional: { options: { values: 'falsy' } },
+            isIn: {
+                options: [['curp', 'rfc', 'niv', 'placa', 'motor', 'folio', 'expediente', 'nombre']],
+                errorMessage: 'Debe ser curp, rfc, niv, placa, motor, folio, expediente o nombre'
+            }
+        },
+        limite: enteroOpcional('query', 1, 20)
+    },
+    reporteInspecciones,
+    reporteInspectores,
+    trabajoReporte,
+    estadisticasRevistas: {
+        fechaInicio: {
+            in: ['query'],
+            optional: { options: { values: 'falsy' } },
+            matches: { options: FECHA_DD_MM_YYYY_O_ISO, errorMessage: 'Debe estar en formato DD/MM/YYYY o YYYY-MM-DD' }
+        },
+        fechaFin: {
+            in: ['query'],
+            optional: { options: { values: 'falsy' } },
+            matches: { options: FECHA_DD_MM_YYYY_O_ISO, errorMessage: 'Debe estar en formato DD/MM/YYYY o YYYY-MM-DD' }
+        },
+        periodo: {
+            in: ['query'],
+            optional: { options: { values: 'falsy' } },
+            isIn: { options: [['dia', 'semana', 'mes']], errorMessage: 'Debe ser dia, semana o mes' }
+        },
+        limiteElementos: enteroOpcional('query', 1, 50)
+    },
+    trabajoReportePorId: {
+        idTrabajo: enteroRequerido('params', 'Se requiere un ID de trabajo válido')
+    },
+    programacionReporte,
+    edicionProgramacionReporte,
+    plantillaReporte,
+    edicionPlantillaReporte,
+    plantillaReportePorId: {
+        idPlantilla: enteroRequerido('params', 'Se requiere un ID de plantilla válido')
+    },
+    listaPlantillasReporte: {
+        tipoReporte: { ...plantillaReporte.tipoReporte, in: ['query'] }
+    },
+    programacionReportePorId: {
+        idProgramacion: enteroRequerido('params', 'Se requiere un ID de programación válido')
+    },
+    simularPuntuacion: datosPuntuacion,
+    revista,
+    edicionRevista,
+    segundaRevision,
+    subirImagenRevista: {
+        idRV: enteroRequerido('body', 'Se requiere un ID de inspección (idRV) válido'),
+        tipoImagen: {
+            in: ['body'],
+            isInt: { options: { min: 1, max: 6 }, errorMessage: 'Tipo de imagen inválido. Debe ser 1, 2, 3, 4, 5 o 6' }
+        }
+    },
+    imagenesRevista: {
+        idRV: enteroRequerido('params', 'Se requiere un ID de inspección (idRV) válido'),
+        tipoImagen: enteroOpcional('query', 1, 6)
+    },
+    revistaPorId: {
+        idRV: enteroRequerido('params', 'Se requiere un ID de inspección (idRV) válido')
+    },
+    certificadoRevista: {
+        idRV: enteroRequerido('params', 'Se requiere un ID de inspección (idRV) válido'),
+        plantilla: enteroOpcional('query', 1)
+    },
+    eliminarImagenRevista: {
+        idImagen: enteroRequerido('params', 'Se requiere un ID de imagen válido')
+    },
+    categoriasVehiculo: {
+        idClase: enteroRequerido('query', 'ID de clase inválido')
+    },
+    marcasVehiculo: {
+        claveCategoria: textoRequerido('query', 20)
+    },
+    submarcasVehiculo: {
+        idMarca: enteroRequerido('query', 'ID de marca inválido'),
+        idCategoria: enteroRequerido('query', 'ID de categoría inválido')
+    },
+    versionesVehiculo: {
+        idClase: enteroRequerido('query', 'ID de clase inválido'),
+        idSubMarca: enteroRequerido('query', 'ID de submarca inválido')
+    },
+    modificarVehiculo: {
+        idConcesion: enteroRequerido('params', 'ID de concesión inválido'),
+        idVehiculo: enteroRequerido('params', 'ID de vehículo inválido'),
+        ...vehiculo,
+        ...seguro
+    },
+    crearApiKey: {
+        nombre: textoRequerido('body', 100),
+        nivel: enteroOpcional('body', 1, 4),
+        alcances: {
+            in: ['body'],
+            optional: { options: { values: 'null' } },
+            isArray: { options: { min: 1 }, errorMessage: 'Debe ser una lista de capacidades', bail: true },
+            custom: {
+                options: value => value.every(alcance => Object.values(CAPACIDADES).includes(alcance)),
+                errorMessage: `Capacidades válidas: ${Object.values(CAPACIDADES).join(', ')}`
+            }
+        },
+        expiraEn
+    },
+    rotarApiKey: {
+        id: enteroRequerido('params', 'ID de clave API inválido'),
+        horasGracia: { in: ['body'], optional: { options: { values: 'null' } }, isInt: { options: { min: 0, max: 720 }, errorMessage: 'Debe ser un entero entre 0 y 720' } },
+        expiraEn
+    },
+    revocarApiKey: {
+        id: enteroRequerido('params', 'ID de clave API inválido')
+    },
+    bloqueoLogin: {
+        login: {
+            ...alMenosUno('query', ['login', 'ip']),
+            isLength: { options: { max: 50 }, errorMessage: 'Debe tener como máximo 50 caracteres' }
+        },
+        ip: {
+            in: ['query'],
+            optional: { options: { values: 'falsy' } },
+            isIP: { errorMessage: 'Debe ser una dirección IP válida' }
+        }
+    },
+    sesionesUsuario: {
+        userId: enteroRequerido('params', 'ID de usuario inválido')
+    },
+    terminarSesion: {
+        userId: enteroRequerido('params', 'ID de usuario inválido'),
+        idSesion: {
+            in: ['params'],
+            matches: { options: /^[0-9a-f]{16}$/, errorMessage: 'ID de sesión inválido' }
+        }
+    },
+    cambiarEstatusRevista: {
+        idRV: enteroRequerido('params', 'Se requiere un ID de inspección (idRV) válido'),
+        estatus: {
+            in: ['body'],
+            exists: { errorMessage: 'Se requiere el estatus destino', bail: true },
+            isIn: {
+                options: [Object.values(ESTATUS_REVISTA).map(String)],
+                errorMessage: `Estatus inválido. Valores: ${Object.entries(ESTATUS_REVISTA).map(([nombre, id]) => `${id} (${nombre.toLowerCase()})`).join(', ')}`
+            }
+        },
+        motivo: textoOpcional('body', 500)
+    },
+    cancelarRevista: {
+        idRV: enteroRequerido('params', 'Se requiere un ID de inspección (idRV) válido'),
+        motivo: textoRequerido('body', 500)
+    },
+    imprimirRevista: {
+        idRV: enteroRequerido('body', 'Se requiere un ID de inspección (idRV) válido'),
+        idDelegacion: enteroOpcional('body', 1)
+    },
+    reimprimirRevista: {
+        idRV: enteroRequerido('params', 'Se requiere un ID de inspección (idRV) válido'),
+        motivo: textoRequerido('body', 300),
+        nuevoFolio: { in: ['body'], optional: { options: { values: 'null' } }, isBoolean: { errorMessage: 'Debe ser booleano' } },
+        idDelegacion: enteroOpcional('body', 1)
+    },
+    foliosDisponibles: {
+        idDelegacion: enteroOpcional('query', 1)
+    },
+    crearSerieFolios: {
+        idDelegacion: enteroRequerido('body', 'Se requiere un ID de delegación válido'),
+        prefijo: {
+            ...textoOpcional('body', 8),
+            matches: { options: /^[A-Za-z0-9-]*$/, errorMessage: 'Solo letras, números y guiones' }
+        },
+        longitud: enteroOpcional('body', 1, ANCHO_FOLIO_REVISTA),
+        folioInicial: enteroRequerido('body', 'Se requiere un folio inicial válido'),
+        folioFinal: {
+            ...enteroRequerido('body', 'Se requiere un folio final válido'),
+            custom: {
+                options: (value, { req }) => {
+                    if (parseInt(value) < parseInt(req.body.folioInicial)) {
+                        throw new Error('El folio final debe ser mayor o igual al inicial');
+                    }
+                    // El folio más largo de la serie es el último: prefijo y número rellenado a la longitud (6 por defecto)
+                    const ancho = String(req.body.prefijo || '').length
+                        + Math.max(parseInt(req.body.longitud) || 6, String(parseInt(value)).length);
+                    if (ancho > ANCHO_FOLIO_REVISTA) {
+                        throw new Error(`Los folios de la serie tendrían ${ancho} caracteres; el folio de la revista admite ${ANCHO_FOLIO_REVISTA}`);
+                    }
+                    return true;
+                }
+            }
+        }
+    },
+    anularFolio: {
+        folio: textoRequerido('body', 20),
+        motivo: textoRequerido('body', 500)
+    },
+    saltarFolios: {
+        idSerie: enteroRequerido('params', 'ID de serie inválido'),
+        cantidad: {
+            in: ['body'],
+            exists: { errorMessage: 'Se requiere la cantidad de folios', bail: true },
+            isInt: { options: { min: 1, max: 500 }, errorMessage: 'Debe ser un entero entre 1 y 500' }
+        },
+        motivo: textoRequerido('body', 500)
+    },
+    conciliacionFolios: {
+        idDelegacion: enteroOpcional('query', 1),
+        fechaInicio: { in: ['query'], optional: { options: { values: 'falsy' } }, matches: { options: FECHA_ISO, errorMessage: 'Debe estar en formato YYYY-MM-DD' } },
+        fechaFin: { in: ['query'], optional: { options: { values: 'falsy' } }, matches: { options: FECHA_ISO, errorMessage: 'Debe estar en formato YYYY-MM-DD' } }
+    },
+    buscarRevistas: {
+        noConcesion: enteroOpcional('query', 1),
+        placa: textoOpcional('query', 15),
+        estatus: enteroOpcional('query', 1),
+        fechaInicio: { in: ['query'], optional: { options: { values: 'falsy' } }, matches: { options: FECHA_ISO, errorMessage: 'Debe estar en formato YYYY-MM-DD' } },
+        fechaFin: { in: ['query'], optional: { options: { values: 'falsy' } }, matches: { options: FECHA_ISO, errorMessage: 'Debe estar en formato YYYY-MM-DD' } },
+        page: enteroOpcional('query', 1),
+        pageSize: { in: ['query'], optional: true, isInt: { options: { min: 0 }, errorMessage: 'Debe ser un entero mayor o igual a 0 (0 = sin paginación)' } },
+        ordenarPor: {
+            in: ['query'],
+            optional: { options: { values: 'falsy' } },
+            isIn: { options: [['fecha', 'estatus', 'concesion']], errorMessage: 'Debe ser fecha, estatus o concesion' }
+        },
+        direccion: {
+            in: ['query'],
+            optional: { options: { values: 'falsy' } },
+            isIn: { options: [['asc', 'desc']], errorMessage: 'Debe ser asc o desc' }
+        },
+        cursor: textoOpcional('query', 500)
+    }
+};
+
+module.exports = esquemas;
@@ -0,0 +1,104 @@
+/**
+ * @file estatusRevista.js
+ * @description Flujo de estatus de la revista vehicular: capturada → revisada → aprobada/rechazada → impresa,
+ *              y cancelada desde cualquier estatus. Cada transición exige una capacidad (ver src/config/permisos.js).
+ *              Los nombres que se muestran salen del catálogo [RevistaVehicular].[Estatus] (revistaEstatusMap).
+ */
+
+const { CAPACIDADES } = require('./permisos');
+
+/**
+ * @constant ESTATUS_REVISTA
+ * @description IDs de [RevistaVehicular].[Estatus].
+ */
+const ESTATUS_REVISTA = {
+    CAPTURADA: 1,
+    IMPRESA: 2,
+    REVISADA: 3,
+    APROBADA: 4,
+    RECHAZADA: 5,
+    CANCELADA: 6
+};
+
+/**
+ * @constant ESTATUS_EDITABLES
+ * @description Estatus en los que todavía se puede corregir una revista (PUT /revista/:idRV).
+ */
+const ESTATUS_EDITABLES = [ESTATUS_REVISTA.CAPTURADA, ESTATUS_REVISTA.REVISADA];
+
+/**
+ * @constant OPERACIONES_REVISTA
+ * @description Valores de IdOperacion en [RevistaVehicular].[Historial].
+ */
+const OPERACIONES_REVISTA = {
+    CAPTURA: 1,
+    IMPRESION: 2,
+    CAMBIO_ESTATUS: 3,
+    REIMPRESION: 4,
+    EDICION: 5,
+    SEGUNDA_REVISION: 6,
+    ANULACION_FOLIO: 7
+};
+
+/**
+ * @constant NOMBRES_OPERACION
+ * @description Descripción de cada IdOperacion para el historial.
+ */
+const NOMBRES_OPERACION = {
+    [OPERACIONES_REVISTA.CAPTURA]: 'Captura',
+    [OPERACIONES_REVISTA.IMPRESION]: 'Impresión',
+    [OPERACIONES_REVISTA.CAMBIO_ESTATUS]: 'Cambio de estatus',
+    [OPERACIONES_REVISTA.REIMPRESION]: 'Reimpresión',
+    [OPERACIONES_REVISTA.EDICION]: 'Edición',
+    [OPERACIONES_REVISTA.SEGUNDA_REVISION]: 'Segunda revisión',
+    [OPERACIONES_REVISTA.ANULACION_FOLIO]: 'Anulación de folio'
+};
+
+/**
+ * @constant TRANSICIONES_REVISTA
+ * @description Transiciones permitidas: estatus de origen, destino, capacidad requerida y si el motivo es obligatorio.
+ */
+const TRANSICIONES_REVISTA = [
+    { de: ESTATUS_REVISTA.CAPTURADA, a: ESTATUS_REVISTA.REVISADA, capacidad: CAPACIDADES.INSPECCIONAR, requiereMotivo: false },
+    { de: ESTATUS_REVISTA.REVISADA, a: ESTATUS_REVISTA.APROBADA, capacidad: CAPACIDADES.SUPERVISAR, requiereMotivo: false },
+    { de: ESTATUS_REVISTA.REVISADA, a: ESTATUS_REVISTA.RECHAZADA, capacidad: CAPACIDADES.SUPERVISAR, requiereMotivo: true },
+    { de: ESTATUS_REVISTA.APROBADA, a: ESTATUS_REVISTA.IMPRESA, capacidad: CAPACIDADES.IMPRIMIR, requiereMotivo: false },
+    ...[
+        ESTATUS_REVISTA.CAPTURADA,
+        ESTATUS_REVISTA.REVISADA,
+        ESTATUS_REVISTA.APROBADA,
+        ESTATUS_REVISTA.RECHAZADA,
+        ESTATUS_REVISTA.IMPRESA
+    ].map(de => ({ de, a: ESTATUS_REVISTA.CANCELADA, capacidad: CAPACIDADES.SUPERVISAR, requiereMotivo: true }))
+];
+
+/**
+ * Busca la transición entre dos estatus.
+ * @function obtenerTransicion
+ * @param {number} de - Estatus actual.
+ * @param {number} a - Estatus destino.
+ * @returns {Object|undefined} La transición o undefined si no está permitida.
+ */
+function obtenerTransicion(de, a) {
+    return TRANSICIONES_REVISTA.find(transicion => transicion.de === de && transicion.a === a);
+}
+
+/**
+ * Lista las transiciones posibles desde un estatus.
+ * @function transicionesDesde
+ * @param {number} de - Estatus actual.
+ * @returns {Array<Object>} Transiciones permitidas.
+ */
+function transicionesDesde(de) {
+    return TRANSICIONES_REVISTA.filter(transicion => transicion.de === de);
+}
+
+module.exports = {
+    ESTATUS_REVISTA,
+    ESTATUS_EDITABLES,
+    OPERACIONES_REVISTA,
+    NOMBRES_OPERACION,
+    TRANSICIONES_REVISTA,
+    obtenerTransicion,
+    transicionesDesde
+};
@@ -0,0 +1,101 @@
+/**
+ * @file permisos.js
+ * @description Modelo de permisos de la API: relaciona los perfiles de usuario (dUserProfiles.ProfileID)
+ *              y los niveles de clave API (api_keys.level) con las capacidades que exige cada ruta.
+ *              Los mapas pueden sobrescribirse con las variables de entorno PERMISOS_PERFILES y
+ *              PERMISOS_NIVELES_API_KEY en formato JSON, por ejemplo: {"1":["administrar"],"5":["consultar"]}.
+ */
+require('dotenv').config();
+
+/**
+ * @constant CAPACIDADES
+ * @description Capacidades disponibles en la API.
+ */
+const CAPACIDADES = {
+    CONSULTAR: 'consultar', // Consultar concesiones, vehículos, revistas y reportes
+    INSPECCIONAR: 'inspeccionar', // Capturar revistas vehiculares y sus fotografías
+    IMPRIMIR: 'imprimir', // Imprimir revistas y certificados
+    SUPERVISAR: 'supervisar', // Aprobar, rechazar y cancelar revistas vehiculares
+    EDITAR_VEHICULO: 'editar-vehiculo', // Modificar datos del vehículo y la aseguradora
+    ADMINISTRAR: 'administrar' // Administración; incluye todas las demás capacidades
+};
+
+/**
+ * @constant PERFILES_POR_DEFECTO
+ * @description Capacidades por perfil de usuario (ProfileID de dUserProfiles).
+ */
+const PERFILES_POR_DEFECTO = {
+    1: [CAPACIDADES.ADMINISTRAR], // Administrador
+    2: [CAPACIDADES.CONSULTAR, CAPACIDADES.INSPECCIONAR, CAPACIDADES.IMPRIMIR], // Inspector
+    3: [CAPACIDADES.CONSULTAR, CAPACIDADES.IMPRIMIR, CAPACIDADES.EDITAR_VEHICULO], // Ventanilla
+    4: [CAPACIDADES.CONSULTAR] // Consulta
+};
+
+/**
+ * @constant NIVELES_API_KEY_POR_DEFECTO
+ * @description Capacidades máximas por nivel de clave API (api_keys.level).
+ */
+const NIVELES_API_KEY_POR_DEFECTO = {
+    1: [CAPACIDADES.CONSULTAR], // Solo lectura
+    2: [CAPACIDADES.CONSULTAR, CAPACIDADES.INSPECCIONAR, CAPACIDADES.IMPRIMIR],
+    3: [CAPACIDADES.CONSULTAR, CAPACIDADES.INSPECCIONAR, CAPACIDADES.IMPRIMIR, CAPACIDADES.EDITAR_VEHICULO],
+    4: [CAPACIDADES.ADMINISTRAR]
+};
+
+/**
+ * Lee un mapa de permisos desde una variable de entorno JSON o usa el valor por defecto.
+ * @function leerMapa
+ * @param {string} variable - Nombre de la variable de entorno.
+ * @param {Object} porDefecto - Mapa por defecto.
+ * @returns {Object} Mapa de ID a lista de capacidades.
+ */
+function leerMapa(variable, porDefecto) {
+    if (!process.env[variable]) return porDefecto;
+    try {
+        return JSON.parse(process.env[variable]);
+    } catch (err) {
+        console.error(`Valor inválido en ${variable}, se usan los permisos por defecto:`, err.message);
+        return porDefecto;
+    }
+}
+
+const PERFILES = leerMapa('PERMISOS_PERFILES', PERFILES_POR_DEFECTO);
+const NIVELES_API_KEY = leerMapa('PERMISOS_NIVELES_API_KEY', NIVELES_API_KEY_POR_DEFECTO);
+
+/**
+ * Expande una lista de capacidades: 'administrar' implica todas las demás.
+ * @function expandir
+ * @param {Array<string>} capacidades - Lista de capacidades.
+ * @returns {Set<string>} Conjunto de capacidades efectivas.
+ */
+function expandir(capacidades) {
+    return capacidades.includes(CAPACIDADES.ADMINISTRAR)
+        ? new Set(Object.values(CAPACIDADES))
+        : new Set(capacidades);
+}
+
+/**
+ * Calcula las capacidades efectivas de un usuario.
+ * Para sesiones son las de sus perfiles; para claves API, las que permiten a la vez los perfiles
+ * del dueño y el nivel de la clave, de modo que una clave nunca supera a su usuario. Si la clave
+ * tiene alcances (api_keys.scopes), además se limita a ellos.
+ * @function resolverCapacidades
+ * @param {Array<number>} perfiles - ProfileID del usuario.
+ * @param {number|null} [nivelApiKey] - Nivel de la clave API, o null si es una sesión.
+ * @param {Array<string>|null} [alcances] - Alcances de la clave API, o null si no tiene.
+ * @returns {Array<string>} Capacidades efectivas.
+ */
+function resolverCapacidades(perfiles, nivelApiKey = null, alcances = null) {
+    const porPerfil = expandir(perfiles.flatMap(perfil => PERFILES[perfil] || []));
+    if (nivelApiKey === null || nivelApiKey === undefined) {
+        return [...porPerfil];
+    }
+    const porNivel = expandir(NIVELES_API_KEY[nivelApiKey] || []);
+    const porAlcance = alcances ? expandir(alcances) : null;
+    return [...porPerfil].filter(capacidad => porNivel.has(capacidad) && (!porAlcance || porAlcance.has(capacidad)));
+}
+
+module.exports = {
+    CAPACIDADES,
+    resolverCapacidades
+};
@@ -0,0 +1,59 @@
+/**
+ * @file plantillaReporte.js
+ * @description Presentación base de los reportes y tipos de reporte que admiten plantillas
+ *              (ver src/services/plantillaReporteService.js y sql/013_reporte_plantillas.sql).
+ */
+const { COLUMNAS_REPORTE_INSPECCIONES } = require('./reporteInspecciones');
+const { COLUMNAS_REPORTE_INSPECTORES } = require('./reporteInspectores');
+
+/**
+ * @constant TIPOS_PLANTILLA
+ * @description Tipos de reporte a los que puede asignarse una plantilla, con las columnas que pueden redefinirse.
+ */
+const TIPOS_PLANTILLA = {
+    inspecciones: COLUMNAS_REPORTE_INSPECCIONES,
+    inspectores: COLUMNAS_REPORTE_INSPECTORES,
+    certificado: []
+};
+
+/**
+ * @constant ORIENTACIONES
+ * @description Orientaciones de página de una plantilla y su valor en jsPDF y ExcelJS.
+ */
+const ORIENTACIONES = {
+    horizontal: 'landscape',
+    vertical: 'portrait'
+};
+
+/** Número máximo de bloques de firma por plantilla. */
+const MAXIMO_FIRMAS = 4;
+
+/**
+ * @constant PLANTILLA_BASE
+ * @description Presentación que se usa cuando no hay plantilla, y valores de los campos que una plantilla deja vacíos.
+ *              Sin título ni orientación, cada reporte usa los suyos.
+ */
+const PLANTILLA_BASE = {
+    idPlantilla: null,
+    nombre: 'Base',
+    tipoReporte: null,
+    predeterminada: false,
+    titulo: null,
+    encabezado: null,
+    piePagina: null,
+    colorEncabezado: 'C8C8C8',
+    colorTextoEncabezado: '000000',
+    orientacion: null,
+    anchoLogo: 50,
+    altoLogo: 30,
+    firmas: [],
+    columnas: [],
+    logo: null
+};
+
+module.exports = {
+    TIPOS_PLANTILLA,
+    ORIENTACIONES,
+    MAXIMO_FIRMAS,
+    PLANTILLA_BASE
+};
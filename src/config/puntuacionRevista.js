@@ -0,0 +1,58 @@
+/**
+ * @file puntuacionRevista.js
+ * @description Columnas de los catálogos de VehiculoObtenerDatosPuntuacion y puntos de los criterios
+ *              que no tienen catálogo (ver src/services/puntuacionService.js).
+ */
+
+/**
+ * @constant COLUMNAS_CATALOGOS_PUNTUACION
+ * @description Columnas de cada catálogo devuelto por obtenerDatosVehiculo: `id` y `descripcion` de cada registro,
+ *              `puntos` que aporta al elegirse, y en Clasificacion el rango `minimo`-`maximo` de puntuación
+ *              (`maximo` NULL deja el rango abierto). Si un catálogo no trae alguna de estas columnas la puntuación
+ *              no se calcula.
+ */
+const COLUMNAS_CATALOGOS_PUNTUACION = {
+    CapacidadPasajeros: { id: 'IdCapacidadPasajeros', descripcion: 'CapacidadPasajeros', puntos: 'Puntos' },
+    CinturonesSeguridad: { id: 'IdCinturonesSeguridad', descripcion: 'CinturonesSeguridad', puntos: 'Puntos' },
+    ModeloVehiculo: { id: 'IdModeloVehiculo', descripcion: 'ModeloVehiculo', puntos: 'Puntos' },
+    TapiceriaAsientos: { id: 'IdTapiceriaAsientos', descripcion: 'TapiceriaAsientos', puntos: 'Puntos' },
+    TiposFreno: { id: 'IdTiposFreno', descripcion: 'TiposFreno', puntos: 'Puntos' },
+    TipoVehiculo: { id: 'IdTipoVehiculo', descripcion: 'TipoVehiculo', puntos: 'Puntos' },
+    Clasificacion: { id: 'IdClasificacion', descripcion: 'Clasificacion', minimo: 'PuntuacionMinima', maximo: 'PuntuacionMaxima' }
+};
+
+/**
+ * Lee de una variable de entorno los puntos de cada valor de un criterio, separados por coma en el orden de sus valores.
+ * Sin la variable se usan los puntos por defecto; si no es válida se avisa al arrancar y también se usan los de por defecto,
+ * como en los mapas de src/config/permisos.js.
+ * @function puntosPorValor
+ * @param {string} variable - Nombre de la variable de entorno.
+ * @param {Array<number>} porDefecto - Puntos por valor por defecto; su longitud es la cantidad de valores del criterio.
+ * @returns {Array<number>} Puntos por valor (índice = valor).
+ */
+function puntosPorValor(variable, porDefecto) {
+    const valor = process.env[variable];
+    if (!valor || valor.trim() === '') return porDefecto;
+    const puntos = valor.split(',').map(item => item.trim() === '' ? NaN : Number(item));
+    if (puntos.some(isNaN) || puntos.length !== porDefecto.length) {
+        console.error(`Valor inválido en ${variable} (se esperan ${porDefecto.length} números separados por coma), se usan los puntos por defecto: ${porDefecto.join(',')}`);
+        return porDefecto;
+    }
+    return puntos;
+}
+
+/**
+ * @constant PUNTOS_CRITERIOS_SIN_CATALOGO
+ * @description Criterios que VehiculoObtenerDatosPuntuacion no devuelve como catálogo, con los puntos de cada valor
+ *              tomados de variables de entorno: bolsas de aire (0 = No tiene, 1 = Frontales, 2 = Frontales y laterales; por defecto 0, 5 y 10)
+ *              y aire acondicionado (0 = No tiene, 1 = Sí tiene; por defecto 0 y 5).
+ */
+const PUNTOS_CRITERIOS_SIN_CATALOGO = [
+    { campo: 'tipoBolsa', concepto: 'Bolsas de aire', variable: 'PUNTUACION_BOLSAS_AIRE', puntos: puntosPorValor('PUNTUACION_BOLSAS_AIRE', [0, 5, 10]) },
+    { campo: 'tieneAire', concepto: 'Aire acondicionado', variable: 'PUNTUACION_AIRE_ACONDICIONADO', puntos: puntosPorValor('PUNTUACION_AIRE_ACONDICIONADO', [0, 5]) }
+];
+
+module.exports = {
+    COLUMNAS_CATALOGOS_PUNTUACION,
+    PUNTOS_CRITERIOS_SIN_CATALOGO
+};
@@ -19,14 +19,19 @@ const generalLimiter = rateLimit({
 });
 
 /**
- * @constant strictLimiter
- * @description Limitador estricto para rutas sensibles.
- *              Permite hasta 10 solicitudes por IP en una ventana de 10 minutos.
+ * @constant loginLimiter
+ * @description Limitador estricto para POST /api/auth/login.
+ *              Permite hasta 10 intentos fallidos en 10 minutos por combinación de IP y usuario;
+ *              no cuenta por IP sola porque las tabletas de una oficina comparten IP (NAT).
  */
-const strictLimiter = rateLimit({
+const loginLimiter = rateLimit({
     windowMs: 10 * 60 * 1000, // 10 minutos
-    max: 10, // Máximo 10 solicitudes
-    message: { error: 'Límite de solicitudes alcanzado para esta ruta.' }
+    max: 10, // Máximo 10 intentos fallidos
+    skipSuccessfulRequests: true, // Solo cuentan los intentos fallidos
+    keyGenerator: (req) => `${req.ip}|${String(req.body?.username || '').toLowerCase()}`,
+    message: { error: 'Demasiados intentos de inicio de sesión, intenta de nuevo más tarde.' },
+    standardHeaders: true,
+    legacyHeaders: false
 });
 
-module.exports = { generalLimiter, strictLimiter };
\ No newline at end of file
+module.exports = { generalLimiter, loginLimiter };
\ No newline at end of file
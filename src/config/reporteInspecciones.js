@@ -0,0 +1,82 @@
+/**
+ * @file reporteInspecciones.js
+ * @description Columnas, agrupaciones y formatos disponibles en el reporte de inspecciones vehiculares
+ *              (ver src/services/reporteService.js).
+ */
+
+/**
+ * @constant COLUMNAS_REPORTE_INSPECCIONES
+ * @description Columnas que se pueden incluir en el reporte, en su orden por omisión. `clave` es el campo de la
+ *              inspección (ver mapearInspeccionReporte en dbService), `titulo` el encabezado y `anchoExcel`/`anchoPdf`
+ *              el ancho de la columna en cada formato. Las marcadas con `predeterminada` se incluyen si no se eligen columnas.
+ */
+const COLUMNAS_REPORTE_INSPECCIONES = [
+    { clave: 'IdRevistaVehicular', titulo: 'ID Revista', anchoExcel: 15, anchoPdf: 20, predeterminada: true },
+    { clave: 'FechaInspeccion', titulo: 'Fecha Inspección', anchoExcel: 20, anchoPdf: 25, predeterminada: true },
+    { clave: 'IdConsesion', titulo: 'ID Concesión', anchoExcel: 15, anchoPdf: 20, predeterminada: true },
+    { clave: 'Tramite', titulo: 'Trámite', anchoExcel: 20, anchoPdf: 20, predeterminada: true },
+    { clave: 'Concesionario', titulo: 'Concesionario', anchoExcel: 25, anchoPdf: 47, predeterminada: true },
+    { clave: 'Modalidad', titulo: 'Modalidad', anchoExcel: 15, anchoPdf: 30, predeterminada: true },
+    { clave: 'Municipio', titulo: 'Municipio', anchoExcel: 20, anchoPdf: 30, predeterminada: true },
+    { clave: 'Inspector', titulo: 'Inspector', anchoExcel: 20, anchoPdf: 30, predeterminada: true },
+    { clave: 'Observaciones', titulo: 'Observaciones', anchoExcel: 30, anchoPdf: 55, predeterminada: true },
+    { clave: 'Placa', titulo: 'Placa', anchoExcel: 12, anchoPdf: 20 },
+    { clave: 'Folio', titulo: 'Folio', anchoExcel: 15, anchoPdf: 20 },
+    { clave: 'Aprobado', titulo: 'Aprobado', anchoExcel: 10, anchoPdf: 18 },
+    { clave: 'Estatus', titulo: 'Estatus', anchoExcel: 15, anchoPdf: 22 }
+];
+
+/**
+ * @constant AGRUPACIONES_REPORTE_INSPECCIONES
+ * @description Agrupaciones con subtotales: `clave` es el campo de la inspección con el valor del grupo,
+ *              `expresion` la columna en las consultas agregadas (ver consultaReporteInspecciones en dbService).
+ *              Las claves son los valores de @agruparPor de RV_ReporteRealizadasUsuarioPaginado (sql/014).
+ */
+const AGRUPACIONES_REPORTE_INSPECCIONES = {
+    municipio: { clave: 'Municipio', titulo: 'Municipio', expresion: 'cmun.Nombre' },
+    modalidad: { clave: 'Modalidad', titulo: 'Modalidad', expresion: 'cmod.Modalidad' },
+    inspector: { clave: 'Inspector', titulo: 'Inspector', expresion: 'rv.Inspector' },
+    tramite: { clave: 'Tramite', titulo: 'Trámite', expresion: 'ct.Tramite' }
+};
+
+/**
+ * @constant FORMATOS_REPORTE
+ * @description Formatos de salida de los reportes con su tipo de contenido y extensión de archivo.
+ */
+const FORMATOS_REPORTE = {
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    excel: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+/**
+ * Convierte la lista de columnas recibida ("Placa,Inspector" o arreglo) en las definiciones correspondientes.
+ * @function resolverColumnas
+ * @param {string|string[]} [columnas] - Claves de COLUMNAS_REPORTE_INSPECCIONES; sin valor se usan las predeterminadas.
+ * @returns {{ columnas: Object[], desconocidas: string[] }} Columnas en el orden pedido y claves que no existen.
+ */
+function resolverColumnas(columnas) {
+    const claves = (Array.isArray(columnas) ? columnas : String(columnas || '').split(','))
+        .map(clave => String(clave).trim())
+        .filter(Boolean);
+    if (claves.length === 0) {
+        return { columnas: COLUMNAS_REPORTE_INSPECCIONES.filter(columna => columna.predeterminada), desconocidas: [] };
+    }
+    const desconocidas = claves.filter(clave => !COLUMNAS_REPORTE_INSPECCIONES.some(columna => columna.clave === clave));
+    const unicas = [...new Set(claves)];
+    return {
+        columnas: unicas
+            .map(clave => COLUMNAS_REPORTE_INSPECCIONES.find(columna => columna.clave === clave))
+            .filter(Boolean),
+        desconocidas
+    };
+}
+
+module.exports = {
+    COLUMNAS_REPORTE_INSPECCIONES,
+    AGRUPACIONES_REPORTE_INSPECCIONES,
+    FORMATOS_REPORTE,
+    resolverColumnas
+};
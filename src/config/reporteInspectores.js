@@ -0,0 +1,57 @@
+/**
+ * @file reporteInspectores.js
+ * @description Columnas, criterios de alerta y umbrales del reporte de productividad de inspectores
+ *              (ver src/services/reporteInspectoresService.js).
+ */
+require('dotenv').config();
+
+/**
+ * @constant COLUMNAS_REPORTE_INSPECTORES
+ * @description Columnas del reporte, con el mismo formato que COLUMNAS_REPORTE_INSPECCIONES.
+ */
+const COLUMNAS_REPORTE_INSPECTORES = [
+    { clave: 'IdUsuario', titulo: 'ID Usuario', anchoExcel: 12, anchoPdf: 14 },
+    { clave: 'Inspector', titulo: 'Inspector', anchoExcel: 30, anchoPdf: 40 },
+    { clave: 'Inspecciones', titulo: 'Inspecciones', anchoExcel: 13, anchoPdf: 18 },
+    { clave: 'DiasActivos', titulo: 'Días activos', anchoExcel: 12, anchoPdf: 15 },
+    { clave: 'PromedioDiario', titulo: 'Promedio diario', anchoExcel: 15, anchoPdf: 17 },
+    { clave: 'MaximoDiario', titulo: 'Máximo diario', anchoExcel: 14, anchoPdf: 16 },
+    { clave: 'TasaAprobacion', titulo: '% Aprobación', anchoExcel: 14, anchoPdf: 18 },
+    { clave: 'TasaPares', titulo: '% Aprobación pares', anchoExcel: 18, anchoPdf: 20 },
+    { clave: 'DiferenciaPares', titulo: 'Diferencia (pts)', anchoExcel: 15, anchoPdf: 18 },
+    { clave: 'HorasCapturaImpresion', titulo: 'Horas captura-impresión', anchoExcel: 22, anchoPdf: 22 },
+    { clave: 'FotosPorInspeccion', titulo: 'Fotos por inspección', anchoExcel: 18, anchoPdf: 18 },
+    { clave: 'FueraDeHorario', titulo: 'Fuera de horario', anchoExcel: 16, anchoPdf: 17 },
+    { clave: 'Alertas', titulo: 'Alertas', anchoExcel: 45, anchoPdf: 55 }
+];
+
+/**
+ * @constant UMBRALES_INSPECTORES
+ * @description Criterios para señalar valores atípicos, por variables de entorno.
+ */
+const UMBRALES_INSPECTORES = {
+    horaInicio: parseInt(process.env.INSPECTORES_HORA_INICIO || 7), // Horario laboral: desde esta hora...
+    horaFin: parseInt(process.env.INSPECTORES_HORA_FIN || 20), // ...hasta antes de esta hora
+    minimoInspecciones: parseInt(process.env.INSPECTORES_MINIMO_INSPECCIONES || 10), // Para señalar 100 % de aprobación
+    porcentajeFueraDeHorario: parseInt(process.env.INSPECTORES_PORCENTAJE_FUERA_HORARIO || 10),
+    desviaciones: parseFloat(process.env.INSPECTORES_DESVIACIONES || 2), // Productividad a más de N desviaciones estándar de la media
+    minimoFotos: parseFloat(process.env.INSPECTORES_MINIMO_FOTOS || 1) // Fotos por inspección por debajo de este promedio
+};
+
+/**
+ * @constant ALERTAS_INSPECTORES
+ * @description Descripción de cada alerta que puede aparecer en la columna Alertas.
+ */
+const ALERTAS_INSPECTORES = {
+    aprobacion_total: 'Aprueba el 100 % de sus inspecciones',
+    fuera_de_horario: 'Inspecciones fuera del horario laboral',
+    productividad_alta: 'Productividad muy por encima de sus pares',
+    productividad_baja: 'Productividad muy por debajo de sus pares',
+    pocas_fotos: 'Pocas fotos por inspección'
+};
+
+module.exports = {
+    COLUMNAS_REPORTE_INSPECTORES,
+    UMBRALES_INSPECTORES,
+    ALERTAS_INSPECTORES
+};
@@ -0,0 +1,172 @@
+/**
+ * @file sessionStore.js
+ * @description Almacén de sesiones de express-session. Con SESSION_STORE=mssql (por defecto) las sesiones
+ *              se guardan en la tabla dSessions de la base de datos de usuarios, sobreviven a reinicios y
+ *              pueden listarse o terminarse por usuario. Con SESSION_STORE=memory se usa el MemoryStore
+ *              de express-session (solo para desarrollo).
+ */
+
+const session = require('express-session');
+const sql = require('mssql');
+require('dotenv').config();
+
+/** Vigencia por defecto de una sesión sin fecha de expiración en la cookie: 1 día. */
+const TTL_POR_DEFECTO = 24 * 60 * 60 * 1000;
+
+/** Intervalo de limpieza de sesiones expiradas: 15 minutos. */
+const INTERVALO_LIMPIEZA = 15 * 60 * 1000;
+
+/**
+ * Almacén de sesiones respaldado por SQL Server (tabla dSessions).
+ * Implementa la interfaz de express-session (get, set, touch, destroy, all, length, clear)
+ * y agrega `listarPorUsuario` para consultar las sesiones de un usuario sin recorrerlas todas.
+ * @extends session.Store
+ */
+class SqlServerSessionStore extends session.Store {
+    /**
+     * @param {Object} opciones - Opciones del almacén.
+     * @param {Promise<sql.ConnectionPool>} opciones.poolPromise - Pool de la base de datos de usuarios.
+     * @param {number} [opciones.ttl] - Vigencia en milisegundos si la cookie no tiene expiración.
+     * @param {number} [opciones.intervaloLimpieza] - Cada cuántos milisegundos se borran las sesiones expiradas (0 = nunca).
+     */
+    constructor({ poolPromise, ttl = TTL_POR_DEFECTO, intervaloLimpieza = INTERVALO_LIMPIEZA }) {
+        super();
+        this.poolPromise = poolPromise;
+        this.ttl = ttl;
+        if (intervaloLimpieza > 0) {
+            this.temporizador = setInterval(() => {
+                this.limpiarExpiradas().catch(err => console.error('Error al limpiar sesiones expiradas:', err.message));
+            }, intervaloLimpieza);
+            this.temporizador.unref();
+        }
+    }
+
+    /**
+     * Calcula la fecha de expiración de una sesión.
+     * @param {Object} sess - Datos de la sesión.
+     * @returns {Date} Fecha de expiración.
+     */
+    expiracion(sess) {
+        return sess?.cookie?.expires ? new Date(sess.cookie.expires) : new Date(Date.now() + this.ttl);
+    }
+
+    /**
+     * Ejecuta una función asíncrona y entrega su resultado al callback de express-session.
+     * @param {Function} fn - Función asíncrona.
+     * @param {Function} [callback] - Callback (err, resultado).
+     */
+    responder(fn, callback) {
+        fn().then(resultado => callback && callback(null, resultado), err => callback && callback(err));
+    }
+
+    get(sid, callback) {
+        this.responder(async () => {
+            const pool = await this.poolPromise;
+            const result = await pool.request()
+                .input('SessionID', sql.VarChar(255), sid)
+                .query('SELECT Data FROM [dbo].[dSessions] WHERE SessionID = @SessionID AND ExpiresAt > SYSUTCDATETIME()');
+            return result.recordset[0] ? JSON.parse(result.recordset[0].Data) : null;
+        }, callback);
+    }
+
+    set(sid, sess, callback) {
+        this.responder(async () => {
+            const pool = await this.poolPromise;
+            await pool.request()
+                .input('SessionID', sql.VarChar(255), sid)
+                .input('UserID', sql.Int, sess.userId || null)
+                .input('Data', sql.NVarChar(sql.MAX), JSON.stringify(sess))
+                .input('ExpiresAt', sql.DateTime2, this.expiracion(sess))
+                .query(`
+                    MERGE [dbo].[dSessions] AS destino
+                    USING (SELECT @SessionID AS SessionID) AS origen ON destino.SessionID = origen.SessionID
+                    WHEN MATCHED THEN UPDATE SET UserID = @UserID, Data = @Data, ExpiresAt = @ExpiresAt, UpdatedAt = SYSUTCDATETIME()
+                    WHEN NOT MATCHED THEN INSERT (SessionID, UserID, Data, ExpiresAt) VALUES (@SessionID, @UserID, @Data, @ExpiresAt);
+                `);
+        }, callback);
+    }
+
+    touch(sid, sess, callback) {
+        this.responder(async () => {
+            const pool = await this.poolPromise;
+            await pool.request()
+                .input('SessionID', sql.VarChar(255), sid)
+                .input('ExpiresAt', sql.DateTime2, this.expiracion(sess))
+                .query('UPDATE [dbo].[dSessions] SET ExpiresAt = @ExpiresAt, UpdatedAt = SYSUTCDATETIME() WHERE SessionID = @SessionID');
+        }, callback);
+    }
+
+    destroy(sid, callback) {
+        this.responder(async () => {
+            const pool = await this.poolPromise;
+            await pool.request()
+                .input('SessionID', sql.VarChar(255), sid)
+                .query('DELETE FROM [dbo].[dSessions] WHERE SessionID = @SessionID');
+        }, callback);
+    }
+
+    all(callback) {
+        this.responder(async () => {
+            const pool = await this.poolPromise;
+            const result = await pool.request()
+                .query('SELECT SessionID, Data FROM [dbo].[dSessions] WHERE ExpiresAt > SYSUTCDATETIME()');
+            return Object.fromEntries(result.recordset.map(item => [item.SessionID, JSON.parse(item.Data)]));
+        }, callback);
+    }
+
+    length(callback) {
+        this.responder(async () => {
+            const pool = await this.poolPromise;
+            const result = await pool.request()
+                .query('SELECT COUNT(*) AS total FROM [dbo].[dSessions] WHERE ExpiresAt > SYSUTCDATETIME()');
+            return result.recordset[0].total;
+        }, callback);
+    }
+
+    clear(callback) {
+        this.responder(async () => {
+            const pool = await this.poolPromise;
+            await pool.request().query('DELETE FROM [dbo].[dSessions]');
+        }, callback);
+    }
+
+    /**
+     * Lista las sesiones vigentes de un usuario.
+     * @param {number} userId - ID del usuario.
+     * @returns {Promise<Object>} Sesiones indexadas por ID de sesión.
+     */
+    async listarPorUsuario(userId) {
+        const pool = await this.poolPromise;
+        const result = await pool.request()
+            .input('UserID', sql.Int, userId)
+            .query('SELECT SessionID, Data FROM [dbo].[dSessions] WHERE UserID = @UserID AND ExpiresAt > SYSUTCDATETIME()');
+        return Object.fromEntries(result.recordset.map(item => [item.SessionID, JSON.parse(item.Data)]));
+    }
+
+    /**
+     * Borra las sesiones expiradas.
+     * @returns {Promise<void>}
+     */
+    async limpiarExpiradas() {
+        const pool = await this.poolPromise;
+        await pool.request().query('DELETE FROM [dbo].[dSessions] WHERE ExpiresAt <= SYSUTCDATETIME()');
+    }
+}
+
+/**
+ * Crea el almacén de sesiones según SESSION_STORE ('mssql' por defecto o 'memory').
+ * @function crearSessionStore
+ * @returns {session.Store} Almacén para express-session.
+ */
+function crearSessionStore() {
+    if (process.env.SESSION_STORE === 'memory') {
+        console.warn('SESSION_STORE=memory: las sesiones se pierden al reiniciar el servidor');
+        return new session.MemoryStore();
+    }
+    return new SqlServerSessionStore({ poolPromise: require('./dbUsers') });
+}
+
+module.exports = {
+    SqlServerSessionStore,
+    crearSessionStore
+};
@@ -1,6 +1,7 @@
 const sql = require('mssql');
 const dbService = require('../services/loginService');
 const poolPromiseUsers = require('../config/dbUsers');
+const { resolverCapacidades } = require('../config/permisos');
 
 /**
  * Middleware para registrar solicitudes en api_logs.
@@ -13,7 +14,7 @@ const logRequest = async (req, res, next) => {
         const apiKey = req.headers['authorization']?.replace('Bearer ', '');
         const route = req.originalUrl;
         const method = req.method;
-        const publicKey = apiKey || 'N/A';
+        const publicKey = apiKey ? `${apiKey.slice(0, 8)}...` : 'N/A'; // Nunca registrar la clave completa
         const ipAddress = req.ip || req.connection.remoteAddress;
         const userId = req.user?.id || 0; // Obtener userId desde req.user si existe
 
@@ -37,6 +38,8 @@ const authenticateApiKeyOrSession = async (req, res, next) => {
         if (apiKey) {
             const result = await dbService.validateApiKey(apiKey);
             req.user = result.user;
+            req.user.perfiles = await dbService.obtenerPerfilesUsuario(req.user.id);
+            req.user.capacidades = resolverCapacidades(req.user.perfiles, req.user.api_key_level, req.user.api_key_alcances);
             return next();
         }
 
@@ -56,6 +59,8 @@ const authenticateApiKeyOrSession = async (req, res, next) => {
             `);
             if (result.recordset[0]) {
                 req.user = result.recordset[0];
+                req.user.perfiles = await dbService.obtenerPerfilesUsuario(req.user.id);
+                req.user.capacidades = resolverCapacidades(req.user.perfiles);
                 return next();
             }
         }
@@ -67,7 +72,28 @@ const authenticateApiKeyOrSession = async (req, res, next) => {
     }
 };
 
+/**
+ * Crea un middleware que exige una capacidad al usuario autenticado.
+ * Debe usarse después de authenticateApiKeyOrSession.
+ * @param {string} capacidad - Capacidad requerida (ver CAPACIDADES en src/config/permisos.js).
+ * @returns {Function} Middleware que responde 403 si el usuario no tiene la capacidad.
+ */
+const requierePermiso = (capacidad) => (req, res, next) => {
+    if (req.user?.capacidades?.includes(capacidad)) {
+        return next();
+    }
+    const origen = req.user?.api_key_level !== undefined
+        ? `la clave API (nivel ${req.user.api_key_level}${req.user.api_key_alcances ? `, alcances ${req.user.api_key_alcances.join(', ')}` : ''}) o los perfiles de su usuario no lo permiten`
+        : 'los perfiles del usuario no lo permiten';
+    return res.status(403).json({
+        error: 'Permiso insuficiente',
+        motivo: `Se requiere la capacidad "${capacidad}" y ${origen}`,
+        requerido: capacidad
+    });
+};
+
 module.exports = {
     logRequest,
-    authenticateApiKeyOrSession
+    authenticateApiKeyOrSession,
+    requierePermiso
 };
\ No newline at end of file
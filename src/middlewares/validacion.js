@@ -0,0 +1,62 @@
+const { checkSchema, validationResult } = require('express-validator');
+
+/**
+ * Crea un middleware que valida la solicitud con un esquema de express-validator.
+ * Si hay errores responde 400 con el formato:
+ * `{ error: 'Validación fallida', errores: [{ campo, ubicacion, mensaje, valor }] }`.
+ * @param {Object} schema - Esquema de express-validator (ver src/config/esquemasValidacion.js).
+ * @returns {Array<Function>} Cadena de middlewares para Express.
+ */
+const validar = (schema) => [
+    ...checkSchema(schema),
+    (req, res, next) => {
+        const result = validationResult(req);
+        if (result.isEmpty()) {
+            return next();
+        }
+        // Solo el primer error de cada campo para no repetir mensajes
+        const errores = result.array({ onlyFirstError: true }).map(error => ({
+            campo: error.path,
+            ubicacion: error.location,
+            mensaje: error.msg,
+            // Nunca devolver el valor de contraseñas
+            valor: /password/i.test(error.path) ? undefined : error.value
+        }));
+        return res.status(400).json({ error: 'Validación fallida', errores });
+    }
+];
+
+/**
+ * Construye la respuesta 400 de un servicio con el mismo formato que `validar`, para las validaciones que dependen
+ * de catálogos, de otros campos o de datos guardados y no caben en un esquema.
+ * Las rutas la envían como `{ error: message, ...detalle }`, igual que los demás resultados con `status`.
+ * @function errorValidacion
+ * @param {string} campo - Campo inválido.
+ * @param {string} ubicacion - Dónde viene el campo: 'body', 'query' o 'params'.
+ * @param {string} mensaje - Motivo del error.
+ * @param {Object} [detalle] - Campos adicionales de la respuesta (p. ej. los valores válidos).
+ * @returns {Object} `{ status: 400, message: 'Validación fallida', errores: [{ campo, ubicacion, mensaje }], ...detalle }`.
+ */
+const errorValidacion = (campo, ubicacion, mensaje, detalle = {}) => ({
+    status: 400,
+    message: 'Validación fallida',
+    errores: [{ campo, ubicacion, mensaje }],
+    ...detalle
+});
+
+/**
+ * Describe en una línea un resultado con `status`, para registrarlo cuando no hay una respuesta HTTP
+ * (trabajos y programaciones de reportes).
+ * @function describirError
+ * @param {Object} resultado - Resultado con `message` y, si es de validación, `errores`.
+ * @returns {string} Mensajes de los errores de validación separados por punto y coma, o `message`.
+ */
+const describirError = (resultado) => resultado.errores
+    ? resultado.errores.map(({ campo, mensaje }) => `${campo}: ${mensaje}`).join('; ')
+    : resultado.message;
+
+module.exports = {
+    validar,
+    errorValidacion,
+    describirError
+};
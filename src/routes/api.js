@@ -3,12 +3,34 @@
  * @module apiRoutes
  */
 const express = require('express');
+const { pipeline } = require('stream/promises');
 const router = express.Router();
 const dbService = require('../services/dbService');
 const loginService = require('../services/loginService');
+const apiKeyService = require('../services/apiKeyService');
+const sesionService = require('../services/sesionService');
+const bloqueoLoginService = require('../services/bloqueoLoginService');
+const certificadoService = require('../services/certificadoService');
+const folioService = require('../services/folioService');
+const edicionRevistaService = require('../services/edicionRevistaService');
+const segundaRevisionService = require('../services/segundaRevisionService');
+const busquedaGlobalService = require('../services/busquedaGlobalService');
+const estadisticaService = require('../services/estadisticaService');
+const reporteService = require('../services/reporteService');
+const reporteInspectoresService = require('../services/reporteInspectoresService');
+const reporteTrabajoService = require('../services/reporteTrabajoService');
+const programacionReporteService = require('../services/programacionReporteService');
+const plantillaReporteService = require('../services/plantillaReporteService');
+const { ESTATUS_REVISTA } = require('../config/estatusRevista');
+const { CAMPOS_EDITABLES_REVISTA } = require('../config/checklistRevista');
+const puntuacionService = require('../services/puntuacionService');
 // const poolUsers = require('../config/dbUsers'); // Asume que ya tienes poolUsers configurado
 
-const { logRequest, authenticateApiKeyOrSession } = require('../middlewares/middlewares');
+const { logRequest, authenticateApiKeyOrSession, requierePermiso } = require('../middlewares/middlewares');
+const { CAPACIDADES } = require('../config/permisos');
+const { loginLimiter } = require('../config/rateLimit');
+const { validar } = require('../middlewares/validacion');
+const esquemas = require('../config/esquemasValidacion');
 const fileUpload = require('express-fileupload');
 const multer = require('multer');
 const sql = require('mssql');
@@ -27,29 +49,55 @@ const upload = multer({
 router.use(logRequest);
 /**
  * Ruta para autenticar un usuario y establecer una sesión.
+ * Requiere el token de GET /api/csrf-token en la cabecera `x-csrf-token` (ver src/config/csrf.js).
+ * Aplica retraso progresivo tras intentos fallidos y bloqueo temporal por usuario o IP
+ * (ver src/services/bloqueoLoginService.js); cada intento queda en la bitácora dLoginAttempts.
  * @name POST /auth/login
  * @function
  * @param {Object} req.body - Cuerpo de la solicitud.
  * @param {string} req.body.username - Nombre de usuario.
  * @param {string} req.body.password - Contraseña del usuario.
- * @returns {Object} Respuesta JSON con `user`, `apiKey` y `returnValue`.
+ * @returns {Object} Respuesta JSON con `user`, `apiKey` y `returnValue`, o error 401/429.
  */
-router.post('/auth/login', async (req, res) => {
+router.post('/auth/login', loginLimiter, validar(esquemas.login), async (req, res) => {
+    const { username, password } = req.body;
+    const intento = { login: username, ip: req.ip, userAgent: req.get('user-agent') || null };
     try {
-        const { username, password } = req.body;
-        if (!username || !password) {
-            return res.status(400).json({ error: 'Se requieren username y password' });
+        // Si falla la consulta de intentos no se bloquea el acceso
+        const estado = await bloqueoLoginService.evaluarIntento(username, req.ip).catch(err => {
+            console.error(err);
+            return { bloqueado: false, retrasoMs: 0 };
+        });
+        if (estado.bloqueado) {
+            await bloqueoLoginService.registrarIntento({ ...intento, resultado: 'bloqueado', motivo: `Bloqueo por ${estado.motivo}` });
+            res.set('Retry-After', String(Math.ceil((estado.bloqueadoHasta - Date.now()) / 1000)));
+            return res.status(429).json({
+                error: 'Demasiados intentos fallidos, intenta de nuevo más tarde',
+                bloqueadoHasta: estado.bloqueadoHasta
+            });
+        }
+        if (estado.retrasoMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, estado.retrasoMs));
         }
 
         const result = await loginService.loginUser(username, password);
+        await bloqueoLoginService.registrarIntento({ ...intento, userId: result.user.id, resultado: 'exito' });
 
         // Establecer sesión
         req.session.userId = result.user.id;
         req.session.userName = result.user.name; // Guardar nombre completo para Inspector
+        req.session.iniciadaEn = new Date().toISOString();
+        req.session.ip = req.ip;
+        req.session.userAgent = req.get('user-agent') || null;
+        req.session.apiKeyId = result.apiKeyId; // Para revocarla si un administrador termina esta sesión
 
         res.json(result);
     } catch (err) {
         console.error(err);
+        // Solo las credenciales rechazadas cuentan como fallo; los errores de base de datos no
+        if (err.message.includes('Usuario no encontrado') || err.message.includes('sesión no activa')) {
+            await bloqueoLoginService.registrarIntento({ ...intento, resultado: 'fallo', motivo: err.message });
+        }
         res.status(401).json({
             error: err.message.includes('Usuario no encontrado') || err.message.includes('Contraseña incorrecta')
                 ? err.message
@@ -68,6 +116,259 @@ router.use((req, res, next) => {
     return authenticateApiKeyOrSession(req, res, next);
 });
 
+/**
+ * Ruta para consultar el progreso de la migración de contraseñas de SHA-1 a bcrypt.
+ * @name GET /auth/password/migracion
+ * @function
+ * @returns {Object} Respuesta JSON con `data` (`totalUsuarios`, `migrados`, `pendientes`, `porcentaje`, `sha1Eliminados`) y `returnValue`, o error 403/500.
+ */
+router.get('/auth/password/migracion', requierePermiso(CAPACIDADES.ADMINISTRAR), async (req, res) => {
+    try {
+        const result = await loginService.obtenerProgresoMigracionPasswords();
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al obtener el progreso de migración de contraseñas' });
+    }
+});
+
+/**
+ * Ruta para consultar el bloqueo de inicio de sesión de un usuario o de una IP.
+ * @name GET /auth/bloqueos
+ * @function
+ * @param {Object} req.query - Objeto con parámetros de consulta.
+ * @param {string} [req.query.login] - Nombre de usuario.
+ * @param {string} [req.query.ip] - Dirección IP.
+ * @returns {Object} Respuesta JSON con `data` (`fallosUsuario`, `fallosIp`, `bloqueado`, `motivo`, `bloqueadoHasta`) y `returnValue`, o error 400/403/500.
+ */
+router.get('/auth/bloqueos', requierePermiso(CAPACIDADES.ADMINISTRAR), validar(esquemas.bloqueoLogin), async (req, res) => {
+    try {
+        const { login, ip } = req.query;
+        const result = await bloqueoLoginService.obtenerEstadoBloqueo({ login: login || null, ip: ip || null });
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al consultar el bloqueo' });
+    }
+});
+
+/**
+ * Ruta para desbloquear el inicio de sesión de un usuario o de una IP.
+ * @name DELETE /auth/bloqueos
+ * @function
+ * @param {Object} req.query - Objeto con parámetros de consulta.
+ * @param {string} [req.query.login] - Nombre de usuario a desbloquear.
+ * @param {string} [req.query.ip] - Dirección IP a desbloquear.
+ * @returns {Object} Respuesta JSON con `data` (`login`, `ip`) y `returnValue`, o error 400/403/500.
+ */
+router.delete('/auth/bloqueos', requierePermiso(CAPACIDADES.ADMINISTRAR), validar(esquemas.bloqueoLogin), async (req, res) => {
+    try {
+        const { login, ip } = req.query;
+        const result = await bloqueoLoginService.desbloquear({ login: login || null, ip: ip || null }, req.user);
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al desbloquear' });
+    }
+});
+
+/**
+ * Ruta para cerrar la sesión: destruye la sesión de cookie y, si la solicitud usa la clave API
+ * emitida en el inicio de sesión, la revoca. Las claves con nombre se revocan con DELETE /auth/keys/:id.
+ * @name POST /auth/logout
+ * @function
+ * @returns {Object} Respuesta JSON con `message`, `apiKeyRevocada` y `returnValue`, o error 500.
+ */
+router.post('/auth/logout', async (req, res) => {
+    try {
+        let apiKeyRevocada = false;
+        if (req.user.api_key_id && req.user.api_key_nombre === apiKeyService.NOMBRE_API_KEY_SESION) {
+            const result = await apiKeyService.revocarApiKey(req.user, req.user.api_key_id);
+            apiKeyRevocada = result.returnValue === 0;
+        }
+        if (req.session.userId) {
+            await new Promise((resolve, reject) => {
+                req.session.destroy(err => (err ? reject(err) : resolve()));
+            });
+            res.clearCookie('SessionId');
+        }
+        res.json({ message: 'Sesión cerrada', apiKeyRevocada, returnValue: 0 });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al cerrar la sesión' });
+    }
+});
+
+/**
+ * Ruta para obtener el usuario autenticado tal como lo resuelve authenticateApiKeyOrSession.
+ * @name GET /auth/me
+ * @function
+ * @returns {Object} Respuesta JSON con `data` (usuario con `perfiles` y `capacidades`) y `returnValue`.
+ */
+router.get('/auth/me', (req, res) => {
+    res.json({ data: req.user, returnValue: 0 });
+});
+
+/**
+ * Ruta para listar las sesiones activas de un usuario.
+ * @name GET /auth/usuarios/:userId/sesiones
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.userId - ID del usuario.
+ * @returns {Object} Respuesta JSON con `data` (sesiones con `id`, `iniciadaEn`, `expiraEn`, `ip`, `userAgent`, `actual`) y `returnValue`, o error 400/403/500.
+ */
+router.get('/auth/usuarios/:userId/sesiones', requierePermiso(CAPACIDADES.ADMINISTRAR), validar(esquemas.sesionesUsuario), async (req, res) => {
+    try {
+        const result = await sesionService.listarSesionesUsuario(req.sessionStore, parseInt(req.params.userId), req.sessionID);
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al listar las sesiones del usuario' });
+    }
+});
+
+/**
+ * Ruta para terminar todas las sesiones activas de un usuario y revocar sus claves API de inicio de sesión.
+ * @name DELETE /auth/usuarios/:userId/sesiones
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.userId - ID del usuario.
+ * @returns {Object} Respuesta JSON con `data` (`terminadas`, `clavesRevocadas`) y `returnValue`, o error 400/403/500.
+ */
+router.delete('/auth/usuarios/:userId/sesiones', requierePermiso(CAPACIDADES.ADMINISTRAR), validar(esquemas.sesionesUsuario), async (req, res) => {
+    try {
+        const result = await sesionService.terminarSesionesUsuario(req.sessionStore, parseInt(req.params.userId));
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al terminar las sesiones del usuario' });
+    }
+});
+
+/**
+ * Ruta para terminar una sesión específica de un usuario y revocar la clave API emitida en ese inicio de sesión.
+ * @name DELETE /auth/usuarios/:userId/sesiones/:idSesion
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.userId - ID del usuario.
+ * @param {string} req.params.idSesion - Identificador público de la sesión (de GET /auth/usuarios/:userId/sesiones).
+ * @returns {Object} Respuesta JSON con `data` (`terminadas`, `clavesRevocadas`) y `returnValue`, o error 400/403/404/500.
+ */
+router.delete('/auth/usuarios/:userId/sesiones/:idSesion', requierePermiso(CAPACIDADES.ADMINISTRAR), validar(esquemas.terminarSesion), async (req, res) => {
+    try {
+        const result = await sesionService.terminarSesionesUsuario(req.sessionStore, parseInt(req.params.userId), req.params.idSesion);
+        if (result.status === 404) {
+            return res.status(404).json({ error: result.message });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al terminar la sesión' });
+    }
+});
+
+/**
+ * Ruta para listar las claves API del usuario autenticado (sin su valor).
+ * @name GET /auth/keys
+ * @function
+ * @returns {Object} Respuesta JSON con `data` (claves con `id`, `nombre`, `prefijo`, `nivel`, `alcances`, `expiraEn`, `estado`...) y `returnValue`, o error 500.
+ */
+router.get('/auth/keys', async (req, res) => {
+    try {
+        const result = await apiKeyService.listarApiKeys(req.user.id);
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al listar las claves API' });
+    }
+});
+
+/**
+ * Ruta para crear una clave API con nombre, alcances y vencimiento.
+ * La clave en claro solo se devuelve en esta respuesta.
+ * @name POST /auth/keys
+ * @function
+ * @param {Object} req.body - Cuerpo de la solicitud.
+ * @param {string} req.body.nombre - Nombre descriptivo de la clave.
+ * Con una clave API, la nueva no puede tener mayor nivel ni alcances fuera de los de esa clave.
+ * @param {number} [req.body.nivel] - Nivel de la clave (1-4); por defecto el de la clave API que autentica o el del usuario.
+ * @param {Array<string>} [req.body.alcances] - Capacidades a las que se limita la clave; por defecto las de la clave API que autentica.
+ * @param {string} [req.body.expiraEn] - Fecha de vencimiento ISO 8601; sin ella la clave no vence.
+ * @returns {Object} Respuesta JSON con `data` (clave creada, incluida `apiKey`) y `returnValue`, o error 400/403/500.
+ */
+router.post('/auth/keys', validar(esquemas.crearApiKey), async (req, res) => {
+    try {
+        const { nombre, nivel, expiraEn } = req.body;
+        const datos = {
+            nombre,
+            nivel: parseInt(nivel) || req.user.api_key_level || req.user.level || 1,
+            alcances: req.body.alcances || req.user.api_key_alcances || null,
+            expiraEn
+        };
+        const excedida = apiKeyService.comprobarLimitesClave(req.user, datos.nivel, datos.alcances);
+        if (excedida) {
+            return res.status(excedida.status).json({ error: excedida.message });
+        }
+        const result = await apiKeyService.crearApiKey(req.user.id, datos);
+        res.status(201).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al crear la clave API' });
+    }
+});
+
+/**
+ * Ruta para rotar una clave API: emite una nueva y la anterior sigue válida durante el periodo de gracia.
+ * Con una clave API solo pueden rotarse claves de nivel y alcances que no la superen.
+ * @name POST /auth/keys/:id/rotar
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.id - ID de la clave a rotar.
+ * @param {Object} req.body - Cuerpo de la solicitud.
+ * @param {number} [req.body.horasGracia] - Horas en que la clave anterior sigue válida (API_KEY_HORAS_GRACIA por defecto).
+ * @param {string} [req.body.expiraEn] - Vencimiento de la nueva clave; por defecto el de la anterior.
+ * @returns {Object} Respuesta JSON con `data` (`nueva`, `anteriorExpiraEn`) y `returnValue`, o error 400/403/404/500.
+ */
+router.post('/auth/keys/:id/rotar', validar(esquemas.rotarApiKey), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { horasGracia, expiraEn } = req.body;
+        const result = await apiKeyService.rotarApiKey(req.user, id, {
+            horasGracia: horasGracia === undefined || horasGracia === null ? undefined : parseInt(horasGracia),
+            expiraEn
+        });
+        if (result.status) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al rotar la clave API' });
+    }
+});
+
+/**
+ * Ruta para revocar una clave API.
+ * Con una clave API solo pueden revocarse claves de nivel y alcances que no la superen.
+ * @name DELETE /auth/keys/:id
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.id - ID de la clave a revocar.
+ * @returns {Object} Respuesta JSON con `data` (`id`, `revocadaEn`) y `returnValue`, o error 400/403/404/500.
+ */
+router.delete('/auth/keys/:id', validar(esquemas.revocarApiKey), async (req, res) => {
+    try {
+        const result = await apiKeyService.revocarApiKey(req.user, parseInt(req.params.id));
+        if (result.status) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al revocar la clave API' });
+    }
+});
+
 /**
  * Ruta para buscar concesiones solo por folio.
  * @name GET /concesion/folio
@@ -76,12 +377,9 @@ router.use((req, res, next) => {
  * @param {string} req.query.folio - Folio de la concesión.
  * @returns {Object} Respuesta JSON con `data` (concesiones) y `returnValue`, o error 400/404/500.
  */
-router.get('/concesion/folio', async (req, res) => {
+router.get('/concesion/folio', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.concesionPorFolio), async (req, res) => {
     try {
         const { folio } = req.query;
-        if (!folio) {
-            return res.status(400).json({ error: 'Se requiere el folio' });
-        }
         const result = await dbService.obtenerConcesionPorFolio(folio);
         if (!result.data) {
             return res.status(404).json({ message: 'No se encontraron concesiones', returnValue: result.returnValue });
@@ -102,12 +400,9 @@ router.get('/concesion/folio', async (req, res) => {
  * @param {string} req.query.folio - Folio de la concesión.
  * @returns {Object} Respuesta JSON con `data` (concesiones) y `returnValue`, o error 400/404/500.
  */
-router.get('/concesion/expediente', async (req, res) => {
+router.get('/concesion/expediente', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.concesionPorExpediente), async (req, res) => {
     try {
         const { seriePlaca, folio } = req.query;
-        if (!seriePlaca && !folio) {
-            return res.status(400).json({ error: 'Se requiere al menos seriePlaca o folio' });
-        }
         const result = await dbService.obtenerConcesionPorFolioPlaca(seriePlaca, folio);
         if (!result.data) {
             return res.status(404).json({ message: 'No se encontraron concesiones', returnValue: result.returnValue });
@@ -127,7 +422,7 @@ router.get('/concesion/expediente', async (req, res) => {
  * @param {string} req.params.id - ID de la concesión.
  * @returns {Object} Respuesta JSON con detalles de la concesión, o error 404/500.
  */
-router.get('/concesion/autorizacion/:id', async (req, res) => {
+router.get('/concesion/autorizacion/:id', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.concesionPorId), async (req, res) => {
     try {
         const result = await dbService.obtenerConcesionPorId(req.params.id);
         if (!result.data) {
@@ -141,27 +436,30 @@ router.get('/concesion/autorizacion/:id', async (req, res) => {
 });
 
 /**
- * Ruta para buscar concesionarios por nombre con paginación.
+ * Ruta para buscar concesionarios por nombre, RFC o CURP con paginación. No distingue acentos, tolera errores
+ * de captura en nombre y apellidos, y por defecto ordena por relevancia.
  * @name GET /concesion/titular
  * @function
  * @param {Object} req.query - Objeto con parámetros de consulta.
  * @param {string} req.query.nombre - Nombre del concesionario.
  * @param {string} req.query.paterno - Apellido paterno.
  * @param {string} req.query.materno - Apellido materno.
+ * @param {string} req.query.rfc - RFC completo o sus primeros caracteres (mínimo 4).
+ * @param {string} req.query.curp - CURP completa o sus primeros caracteres (mínimo 4).
  * @param {number} [req.query.page=1] - Número de página.
  * @param {number} [req.query.pageSize=15] - Tamaño de página.
- * @returns {Object} Respuesta JSON con `data` (concesionarios), `totalRecords`, `totalPages`, etc., o error 400/404/500.
+ * @param {string} [req.query.ordenarPor=relevancia] - Orden: 'relevancia', 'id', 'nombre' o 'rfc'.
+ * @param {string} [req.query.direccion=asc] - Dirección del orden: 'asc' o 'desc'.
+ * @returns {Object} Respuesta JSON con `data` (concesionarios, cada uno con `puntaje` y `coincidencias`: campo que coincidió y tipo
+ *          de coincidencia), `totalRecords`, `totalPages`, etc., o error 400/404/500.
  */
-router.get('/concesion/titular', async (req, res) => {
+router.get('/concesion/titular', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.concesionariosPorNombre), async (req, res) => {
     try {
-        const { nombre, paterno, materno, page = 1, pageSize = 15 } = req.query;
-        // Validación modificada: solo falla si faltan TODOS los parámetros
-        if (!nombre && !paterno && !materno) {
-            return res.status(400).json({
-                error: 'Se requiere al menos uno de los siguientes parámetros: nombre, paterno o materno'
-            });
-        }
-        const result = await dbService.obtenerConcesionariosPorNombre(nombre, paterno, materno, parseInt(page), parseInt(pageSize));
+        const { nombre, paterno, materno, rfc, curp, page = 1, pageSize = 15, ordenarPor, direccion } = req.query;
+        const result = await dbService.obtenerConcesionariosPorNombre({ nombre, paterno, materno, rfc, curp }, parseInt(page), parseInt(pageSize), {
+            ordenarPor: ordenarPor || 'relevancia',
+            direccion: direccion || 'asc'
+        });
         if (!result.data || result.data.length === 0) {
             return res.status(404).json({ message: 'No se encontraron concesionarios', returnValue: result.returnValue });
         }
@@ -172,6 +470,41 @@ router.get('/concesion/titular', async (req, res) => {
     }
 });
 
+/**
+ * Ruta para exportar todos los concesionarios que coinciden con la búsqueda, sin paginación.
+ * La respuesta se transmite en JSON Lines (un concesionario por línea) conforme llegan de la base de datos.
+ * @name GET /concesion/titular/exportar
+ * @function
+ * @param {Object} req.query - Objeto con parámetros de consulta (`nombre`, `paterno`, `materno`, `rfc`, `curp`, `ordenarPor`, `direccion`, como GET /concesion/titular).
+ * @returns {Stream} Respuesta `application/x-ndjson`, o error 400/500 si falla antes de empezar a transmitir.
+ */
+router.get('/concesion/titular/exportar', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.concesionariosPorNombre), async (req, res) => {
+    try {
+        const { nombre, paterno, materno, rfc, curp, ordenarPor, direccion } = req.query;
+        const filas = await dbService.transmitirConcesionariosPorNombre({ nombre, paterno, materno, rfc, curp }, {
+            ordenarPor: ordenarPor || 'relevancia',
+            direccion: direccion || 'asc'
+        });
+        res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename=Concesionarios.jsonl');
+        try {
+            // pipeline respeta la contrapresión del cliente y, si la conexión se cierra o falla, destruye el stream de filas
+            await pipeline(filas, async function* (origen) {
+                for await (const item of origen) {
+                    yield JSON.stringify(item) + '\n';
+                }
+            }, res);
+        } catch (err) {
+            // Los encabezados ya se enviaron: solo queda cortar la respuesta
+            console.error(err);
+            res.destroy(err);
+        }
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al exportar concesionarios por titular' });
+    }
+});
+
 /**
  * Ruta para obtener concesiones asociadas a un concesionario.
  * @name GET /concesion/concesionario/:idConcesionario
@@ -182,7 +515,7 @@ router.get('/concesion/titular', async (req, res) => {
  * @returns {Object} Respuesta JSON con `data` (concesiones o datos del concesionario) y `returnValue`, o error 404/500.
  */
 
-router.get('/concesion/concesionario/:idConcesionario', async (req, res) => {
+router.get('/concesion/concesionario/:idConcesionario', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.concesionesPorConcesionario), async (req, res) => {
     try {
         const result = await dbService.obtenerConcesionesPorConcesionario(req.params.idConcesionario);
         // Caso 1: Concesionario no encontrado (status: 404)
@@ -212,113 +545,579 @@ router.get('/concesion/concesionario/:idConcesionario', async (req, res) => {
  * Ruta para obtener los datos del vehículo y la aseguradora por ID de concesión e ID de vehículo
  * @name GET /concesion/:idConcesion/vehiculo/:idVehiculo
  * @function
- * @param {Object} req.params - Parámetros de ruta.
- * @param {string} req.params.idConcesion - ID de la concesión.
- * @param {string} req.params.idVehiculo - ID del vehículo.
- * @returns {Object} Respuesta JSON con datos del vehículo y aseguradora, o error 400/404/500.
+ * @param {Object} req.params - Parámetros de ruta.
+ * @param {string} req.params.idConcesion - ID de la concesión.
+ * @param {string} req.params.idVehiculo - ID del vehículo.
+ * @returns {Object} Respuesta JSON con datos del vehículo y aseguradora, o error 400/404/500.
+ */
+router.get('/concesion/:idConcesion/vehiculo/:idVehiculo', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.vehiculoDeConcesion), async (req, res) => {
+    try {
+        const idConcesion = parseInt(req.params.idConcesion);
+        const idVehiculo = parseInt(req.params.idVehiculo);
+
+        const result = await dbService.obtenerVehiculoYAseguradora(idConcesion, idVehiculo);
+        if (result.message) {
+            return res.status(404).json(result);
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al obtener vehículo y aseguradora' });
+    }
+});
+
+/**
+ * Ruta para obtener la información completa de una concesión por su ID.
+ * @name GET /concesion/:id
+ * @function
+ * @param {Object} req.params - Objeto con parámetros de ruta.
+ * @param {string} req.params.id - ID de la concesión.
+ * @returns {Object} Respuesta JSON con detalles de la concesión y relacionados, o error 404/500.
+ */
+router.get('/concesion/:id', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.concesionPorId), async (req, res) => {
+    try {
+        const result = await dbService.obtenerInformacionCompletaPorConcesion(req.params.id);
+        if (result.message) {
+            return res.status(404).json(result);
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al obtener la información de la concesión' });
+    }
+});
+
+/**
+ * Ruta para buscar vehículos por placa, número de serie o número de motor.
+ * @name GET /vehiculo/buscar
+ * @function
+ * @param {Object} req.query - Objeto con parámetros de consulta.
+ * @param {string} req.query.placa - Placa del vehículo.
+ * @param {string} req.query.numSerie - Número de serie del vehículo.
+ * @param {string} req.query.numMotor - Número de motor del vehículo.
+ * @returns {Object} Respuesta JSON con `data` (vehículos) y `returnValue`, o error 400/404/500.
+ */
+
+router.get('/vehiculo/buscar', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.buscarVehiculo), async (req, res) => {
+    try {
+        const { placa, numSerie, numMotor } = req.query;
+        const result = await dbService.obtenerVehiculosPorPlacaNumSerie(placa, numSerie, numMotor);
+        if (!result.data || result.data.length === 0) {
+            return res.status(404).json({ message: 'No se encontraron vehículos', returnValue: result.returnValue });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al buscar vehículos' });
+    }
+});
+
+/**
+ * Ruta de búsqueda global: detecta si el texto es una placa, NIV, número de motor, folio, expediente, RFC, CURP o nombre,
+ * consulta las búsquedas que aplican y agrupa los resultados (concesiones, concesionarios, vehículos y revistas).
+ * @name GET /buscar
+ * @function
+ * @param {Object} req.query - Objeto con parámetros de consulta.
+ * @param {string} req.query.q - Texto a buscar.
+ * @param {string} [req.query.tipo] - Fuerza el tipo de dato: curp, rfc, niv, placa, motor, folio, expediente o nombre.
+ * @param {number} [req.query.limite=5] - Resultados máximos por grupo (1 a 20).
+ * @returns {Object} Respuesta JSON con `data` (`consulta`, `tiposDetectados` y `grupos`; cada resultado trae `entidad`, `id`,
+ *          `titulo`, `descripcion`, `tipoDato`, `enlace` al endpoint de detalle y `datos`) y `returnValue`, o error 400/404/500.
+ */
+router.get('/buscar', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.busquedaGlobal), async (req, res) => {
+    try {
+        const { q, tipo, limite } = req.query;
+        const result = await busquedaGlobalService.buscar(q, {
+            tipo: tipo || null,
+            limite: limite ? parseInt(limite) : undefined
+        });
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error en la búsqueda global' });
+    }
+});
+
+/**
+ * Ruta para obtener el reporte de inspecciones realizadas entre dos fechas, con paginación y exportación.
+ * @name GET /reporte/inspecciones
+ * @function
+ * @param {Object} req.query - Objeto con parámetros de consulta.
+ * @param {string} req.query.fechaInicio - Fecha de inicio del rango (formato: DD/MM/YYYY).
+ * @param {string} req.query.fechaFin - Fecha de fin del rango (formato: DD/MM/YYYY).
+ * @param {string} [req.query.page=1] - Número de página (entero positivo, por defecto 1).
+ * @param {string} [req.query.format=json] - Formato de salida (json, csv, jsonl, excel, pdf).
+ * @param {string} [req.query.allPages=false] - Si es true, exporta todos los registros sin paginación (CSV, JSON Lines y Excel se transmiten fila por fila).
+ * @param {string} [req.query.ordenarPor=fecha] - Orden: 'fecha', 'concesion', 'inspector' o 'tramite'.
+ * @param {string} [req.query.direccion=asc] - Dirección del orden: 'asc' o 'desc'.
+ * @param {string} [req.query.agruparPor] - Agrupa con subtotales por 'municipio', 'modalidad', 'inspector' o 'tramite'.
+ * @param {string} [req.query.columnas] - Columnas separadas por comas (ver COLUMNAS_REPORTE_INSPECCIONES); por omisión las de la plantilla o las nueve originales.
+ * @param {string} [req.query.plantilla] - ID de la plantilla de presentación de Excel y PDF (ver /reportes/plantillas); sin ella, la predeterminada.
+ * @returns {Object} Respuesta JSON o archivo CSV, JSON Lines, Excel (con hoja de resumen) o PDF según el formato solicitado.
+ */
+router.get('/reporte/inspecciones', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.reporteInspecciones), async (req, res) => {
+    await reporteService.generarReporte(req, res);
+});
+/**
+ * Ruta para generar un reporte de inspecciones realizadas entre dos fechas, con paginación y exportación, incluyendo un logo opcional.
+ * @name POST /reporte/inspecciones
+ * @function
+ * @param {Object} req.body - Objeto con parámetros de la solicitud.
+ * @param {string} req.body.fechaInicio - Fecha de inicio del rango (formato: DD/MM/YYYY).
+ * @param {string} req.body.fechaFin - Fecha de fin del rango (formato: DD/MM/YYYY).
+ * @param {number} [req.body.page=1] - Número de página (entero positivo, por defecto 1).
+ * @param {string} [req.body.format=json] - Formato de salida (json, csv, jsonl, excel, pdf).
+ * @param {boolean} [req.body.allPages=false] - Si es true, exporta todos los registros sin paginación.
+ * @param {string} [req.body.agruparPor] - Agrupación con subtotales (como GET /reporte/inspecciones).
+ * @param {string} [req.body.columnas] - Columnas separadas por comas (como GET /reporte/inspecciones).
+ * @param {string} [req.body.plantilla] - ID de la plantilla de presentación (como GET /reporte/inspecciones).
+ * @param {Object} [req.file] - Archivo de logo subido; reemplaza el logo de la plantilla.
+ * @returns {Object} Respuesta JSON o archivo CSV, JSON Lines, Excel o PDF según el formato solicitado.
+ * @throws {Object} Error con código de estado:
+ * - 400: Si los parámetros `fechaInicio` o `fechaFin` no están en formato DD/MM/YYYY o faltan.
+ * - 500: Si ocurre un error interno al generar el reporte.
+ */
+router.post('/reporte/inspecciones', requierePermiso(CAPACIDADES.CONSULTAR), upload.single('logo'), validar(esquemas.reporteInspecciones), async (req, res) => {
+    await reporteService.generarReporte(req, res);
+});
+
+/**
+ * Ruta para obtener el reporte de productividad de inspectores entre dos fechas (auditoría de control interno):
+ * por cada inspector, inspecciones por día, tasa de aprobación frente a sus pares, horas entre captura e impresión,
+ * fotos por inspección e inspecciones fuera de horario, con alertas según UMBRALES_INSPECTORES.
+ * @name GET /reporte/inspectores
+ * @function
+ * @param {Object} req.query - Objeto con parámetros de consulta.
+ * @param {string} req.query.fechaInicio - Fecha de inicio del rango (formato: DD/MM/YYYY o YYYY-MM-DD).
+ * @param {string} req.query.fechaFin - Fecha de fin del rango (formato: DD/MM/YYYY o YYYY-MM-DD).
+ * @param {string} [req.query.format=json] - Formato de salida (json, csv, jsonl, excel, pdf).
+ * @param {string} [req.query.plantilla] - ID de la plantilla de presentación de Excel y PDF; sin ella, la predeterminada.
+ * @returns {Object} Respuesta JSON (con resumen del grupo y umbrales) o archivo CSV, JSON Lines, Excel o PDF.
+ * @throws {Object} Error con código de estado:
+ * - 400: Si faltan las fechas o no son válidas.
+ * - 403: Si el usuario no tiene la capacidad de supervisar.
+ * - 404: Si no hay inspecciones en el rango o no existe la plantilla.
+ * - 500: Si ocurre un error interno al generar el reporte.
+ */
+router.get('/reporte/inspectores', requierePermiso(CAPACIDADES.SUPERVISAR), validar(esquemas.reporteInspectores), async (req, res) => {
+    await reporteInspectoresService.generarReporte(req, res);
+});
+/**
+ * Ruta para generar el reporte de productividad de inspectores con un logo opcional (parámetros como GET /reporte/inspectores).
+ * @name POST /reporte/inspectores
+ * @function
+ * @param {Object} [req.file] - Archivo de logo subido; reemplaza el logo de la plantilla.
+ * @returns {Object} Respuesta JSON o archivo CSV, JSON Lines, Excel o PDF según el formato solicitado.
+ */
+router.post('/reporte/inspectores', requierePermiso(CAPACIDADES.SUPERVISAR), upload.single('logo'), validar(esquemas.reporteInspectores), async (req, res) => {
+    await reporteInspectoresService.generarReporte(req, res);
+});
+
+/**
+ * Ruta para solicitar un reporte en segundo plano. El archivo se genera fuera de la solicitud (sin límite de tiempo
+ * del proxy) y se descarga con GET /reportes/:idTrabajo/archivo cuando el trabajo termina.
+ * @name POST /reportes
+ * @function
+ * @param {Object} req.body - Cuerpo de la solicitud.
+ * @param {string} [req.body.tipo=inspecciones] - Tipo de reporte: 'inspecciones' o 'inspectores' (productividad de inspectores; solo usa fechas y formato).
+ * @param {string} req.body.fechaInicio - Fecha de inicio del rango (formato: DD/MM/YYYY o YYYY-MM-DD).
+ * @param {string} req.body.fechaFin - Fecha de fin del rango (formato: DD/MM/YYYY o YYYY-MM-DD).
+ * @param {string} req.body.format - Formato del archivo: csv, jsonl, excel o pdf.
+ * @param {string|string[]} [req.body.columnas] - Columnas del reporte (como GET /reporte/inspecciones).
+ * @param {string} [req.body.agruparPor] - Agrupación con subtotales (como GET /reporte/inspecciones).
+ * @param {string} [req.body.ordenarPor=fecha] - Orden (como GET /reporte/inspecciones).
+ * @param {string} [req.body.direccion=asc] - Dirección del orden.
+ * @param {number} [req.body.plantilla] - ID de la plantilla de presentación (ver /reportes/plantillas); sin ella, la predeterminada.
+ * @returns {Object} Respuesta 202 con `data` (trabajo pendiente) y `returnValue`, o error 400/403 (tipo inspectores sin capacidad de supervisar)/404 (plantilla)/500.
+ */
+router.post('/reportes', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.trabajoReporte), async (req, res) => {
+    try {
+        const { tipo, fechaInicio, fechaFin, format, columnas, agruparPor, ordenarPor, direccion, plantilla } = req.body;
+        const result = await reporteTrabajoService.crearTrabajo(tipo || 'inspecciones', {
+            fechaInicio, fechaFin, format, columnas, agruparPor, ordenarPor, direccion, plantilla
+        }, req.user);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.status(202).location(`/api/reportes/${result.data.idTrabajo}`).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al solicitar el reporte' });
+    }
+});
+
+/**
+ * Ruta para listar las plantillas de presentación de los reportes (sin el contenido del logo), para elegir el
+ * parámetro `plantilla` de los reportes y del certificado.
+ * @name GET /reportes/plantillas
+ * @function
+ * @param {string} [req.query.tipoReporte] - Solo las de 'inspecciones', 'inspectores' o 'certificado' (y las que aplican a cualquiera).
+ * @returns {Object} Respuesta JSON con `data` (plantillas) y `returnValue`, o error 400/500.
+ */
+router.get('/reportes/plantillas', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.listaPlantillasReporte), async (req, res) => {
+    try {
+        const result = await plantillaReporteService.listarPlantillas(req.query.tipoReporte || null);
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al listar las plantillas de reporte' });
+    }
+});
+
+/**
+ * Ruta para registrar una plantilla de presentación de reportes en Excel y PDF.
+ * @name POST /reportes/plantillas
+ * @function
+ * @param {Object} req.body - Cuerpo de la solicitud.
+ * @param {string} req.body.nombre - Nombre único de la plantilla.
+ * @param {string} [req.body.tipoReporte] - 'inspecciones', 'inspectores' o 'certificado'; sin valor aplica a cualquiera.
+ * @param {boolean} [req.body.predeterminada=false] - Si se usa cuando la solicitud no indica plantilla (reemplaza a la anterior de su tipo).
+ * @param {string} [req.body.titulo] - Título del documento; sin valor, el del reporte.
+ * @param {string} [req.body.encabezado] - Texto debajo del título (p. ej. dependencia o área).
+ * @param {string} [req.body.piePagina] - Texto del pie de página, antes del número de página; sin valor, la fecha de generación.
+ * @param {string} [req.body.colorEncabezado=C8C8C8] - Fondo del encabezado de las tablas (RRGGBB).
+ * @param {string} [req.body.colorTextoEncabezado=000000] - Texto del encabezado de las tablas (RRGGBB).
+ * @param {string} [req.body.orientacion] - 'horizontal' o 'vertical'; sin valor, la del reporte.
+ * @param {number} [req.body.anchoLogo=50] - Ancho del logo en milímetros.
+ * @param {number} [req.body.altoLogo=30] - Alto del logo en milímetros.
+ * @param {Object[]} [req.body.firmas] - Bloques de firma al final del documento: `{ nombre, cargo }` (hasta cuatro).
+ * @param {Object[]} [req.body.columnas] - Definiciones de columnas: `{ clave, titulo, anchoExcel, anchoPdf }`; su orden
+ *        es la selección predeterminada del reporte.
+ * @returns {Object} Respuesta 201 con `data` (plantilla) y `returnValue`, o error 400/409/500.
+ */
+router.post('/reportes/plantillas', requierePermiso(CAPACIDADES.ADMINISTRAR), validar(esquemas.plantillaReporte), async (req, res) => {
+    try {
+        const result = await plantillaReporteService.crearPlantilla(req.body, req.user);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.status(201).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al registrar la plantilla de reporte' });
+    }
+});
+
+/**
+ * Ruta para obtener una plantilla de reporte (sin el contenido del logo).
+ * @name GET /reportes/plantillas/:idPlantilla
+ * @function
+ * @param {string} req.params.idPlantilla - ID de la plantilla.
+ * @returns {Object} Respuesta JSON con `data` (plantilla) y `returnValue`, o error 400/404/500.
+ */
+router.get('/reportes/plantillas/:idPlantilla', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.plantillaReportePorId), async (req, res) => {
+    try {
+        const result = await plantillaReporteService.obtenerPlantilla(parseInt(req.params.idPlantilla));
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al obtener la plantilla de reporte' });
+    }
+});
+
+/**
+ * Ruta para modificar una plantilla de reporte. Los campos omitidos conservan su valor; null vacía los opcionales.
+ * @name PUT /reportes/plantillas/:idPlantilla
+ * @function
+ * @param {string} req.params.idPlantilla - ID de la plantilla.
+ * @param {Object} req.body - Campos a modificar (como POST /reportes/plantillas).
+ * @returns {Object} Respuesta JSON con `data` (plantilla) y `returnValue`, o error 400/404/409/500.
+ */
+router.put('/reportes/plantillas/:idPlantilla', requierePermiso(CAPACIDADES.ADMINISTRAR), validar(esquemas.edicionPlantillaReporte), async (req, res) => {
+    try {
+        const result = await plantillaReporteService.actualizarPlantilla(parseInt(req.params.idPlantilla), req.body);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al modificar la plantilla de reporte' });
+    }
+});
+
+/**
+ * Ruta para eliminar una plantilla de reporte.
+ * @name DELETE /reportes/plantillas/:idPlantilla
+ * @function
+ * @param {string} req.params.idPlantilla - ID de la plantilla.
+ * @returns {Object} Respuesta JSON con `data` (`idPlantilla`) y `returnValue`, o error 400/404/500.
+ */
+router.delete('/reportes/plantillas/:idPlantilla', requierePermiso(CAPACIDADES.ADMINISTRAR), validar(esquemas.plantillaReportePorId), async (req, res) => {
+    try {
+        const result = await plantillaReporteService.eliminarPlantilla(parseInt(req.params.idPlantilla));
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al eliminar la plantilla de reporte' });
+    }
+});
+
+/**
+ * Ruta para guardar el logo institucional de una plantilla; se usa en todos los reportes generados con ella.
+ * @name PUT /reportes/plantillas/:idPlantilla/logo
+ * @function
+ * @param {string} req.params.idPlantilla - ID de la plantilla.
+ * @param {Object} req.file - Imagen del logo (JPG o PNG), en el campo `logo`.
+ * @returns {Object} Respuesta JSON con `data` (plantilla) y `returnValue`, o error 400/404/500.
+ */
+router.put('/reportes/plantillas/:idPlantilla/logo', requierePermiso(CAPACIDADES.ADMINISTRAR), upload.single('logo'), validar(esquemas.plantillaReportePorId), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Se requiere la imagen del logo (campo logo)' });
+        }
+        const result = await plantillaReporteService.guardarLogoPlantilla(parseInt(req.params.idPlantilla), {
+            buffer: req.file.buffer,
+            mimetype: req.file.mimetype
+        });
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al guardar el logo de la plantilla de reporte' });
+    }
+});
+
+/**
+ * Ruta para quitar el logo de una plantilla.
+ * @name DELETE /reportes/plantillas/:idPlantilla/logo
+ * @function
+ * @param {string} req.params.idPlantilla - ID de la plantilla.
+ * @returns {Object} Respuesta JSON con `data` (plantilla) y `returnValue`, o error 400/404/500.
+ */
+router.delete('/reportes/plantillas/:idPlantilla/logo', requierePermiso(CAPACIDADES.ADMINISTRAR), validar(esquemas.plantillaReportePorId), async (req, res) => {
+    try {
+        const result = await plantillaReporteService.guardarLogoPlantilla(parseInt(req.params.idPlantilla), null);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al quitar el logo de la plantilla de reporte' });
+    }
+});
+
+/**
+ * Ruta para listar las programaciones de reportes recurrentes, con su última ejecución.
+ * @name GET /reportes/programaciones
+ * @function
+ * @returns {Object} Respuesta JSON con `data` (programaciones) y `returnValue`, o error 500.
+ */
+router.get('/reportes/programaciones', requierePermiso(CAPACIDADES.SUPERVISAR), async (req, res) => {
+    try {
+        const result = await programacionReporteService.listarProgramaciones();
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al listar las programaciones de reporte' });
+    }
+});
+
+/**
+ * Ruta para programar un reporte recurrente. El programador lo genera según la expresión cron, con el rango de fechas
+ * de la ventana, y lo deja en el directorio de entrega o lo envía por correo.
+ * @name POST /reportes/programaciones
+ * @function
+ * @param {Object} req.body - Cuerpo de la solicitud.
+ * @param {string} req.body.nombre - Nombre de la programación (también del archivo y del asunto del correo).
+ * @param {string} [req.body.tipo=inspecciones] - Tipo de reporte: 'inspecciones' o 'inspectores' (productividad de inspectores; solo usa fechas y formato).
+ * @param {string} req.body.cron - Expresión cron en REPORTES_ZONA_HORARIA (p. ej. `0 7 * * 1` los lunes a las 7:00, `0 7 1 * *` el día primero).
+ * @param {string} req.body.ventana - Rango de fechas: dia_anterior, semana_anterior, mes_anterior, ultimos_7_dias o ultimos_30_dias.
+ * @param {string} req.body.format - Formato del archivo: csv, jsonl, excel o pdf.
+ * @param {string} req.body.entrega - directorio o correo.
+ * @param {string|string[]} [req.body.destinatarios] - Correos (separados por comas o arreglo); requeridos para la entrega por correo.
+ * @param {boolean} [req.body.activa=true] - Si la programación se ejecuta.
+ * @param {string|string[]} [req.body.columnas] - Columnas del reporte (como GET /reporte/inspecciones).
+ * @param {string} [req.body.agruparPor] - Agrupación con subtotales (como GET /reporte/inspecciones).
+ * @param {string} [req.body.ordenarPor=fecha] - Orden (como GET /reporte/inspecciones).
+ * @param {string} [req.body.direccion=asc] - Dirección del orden.
+ * @param {number} [req.body.plantilla] - ID de la plantilla de presentación (ver /reportes/plantillas); sin ella, la predeterminada.
+ * @returns {Object} Respuesta 201 con `data` (programación, con `proximaEjecucion`) y `returnValue`, o error 400/404 (plantilla)/500.
+ */
+router.post('/reportes/programaciones', requierePermiso(CAPACIDADES.SUPERVISAR), validar(esquemas.programacionReporte), async (req, res) => {
+    try {
+        const result = await programacionReporteService.crearProgramacion(req.body, req.user);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.status(201).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al registrar la programación de reporte' });
+    }
+});
+
+/**
+ * Ruta para modificar una programación de reporte (p. ej. desactivarla con `activa: false`).
+ * @name PUT /reportes/programaciones/:idProgramacion
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.idProgramacion - ID de la programación.
+ * @param {Object} req.body - Los campos de POST /reportes/programaciones a modificar; los omitidos conservan su valor.
+ * @returns {Object} Respuesta JSON con `data` (programación, con la `proximaEjecucion` recalculada) y `returnValue`, o error 400/404/500.
+ */
+router.put('/reportes/programaciones/:idProgramacion', requierePermiso(CAPACIDADES.SUPERVISAR), validar(esquemas.edicionProgramacionReporte), async (req, res) => {
+    try {
+        const result = await programacionReporteService.actualizarProgramacion(parseInt(req.params.idProgramacion), req.body);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al modificar la programación de reporte' });
+    }
+});
+
+/**
+ * Ruta para consultar el historial de ejecuciones de una programación de reporte (la más reciente primero).
+ * @name GET /reportes/programaciones/:idProgramacion/ejecuciones
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.idProgramacion - ID de la programación.
+ * @returns {Object} Respuesta JSON con `data` (ejecuciones: rango de fechas, intento, `estado` entregado, sin_datos, fallido
+ *          o procesando, `error` y `reintentarEn`) y `returnValue`, o error 400/404/500.
  */
-router.get('/concesion/:idConcesion/vehiculo/:idVehiculo', async (req, res) => {
+router.get('/reportes/programaciones/:idProgramacion/ejecuciones', requierePermiso(CAPACIDADES.SUPERVISAR), validar(esquemas.programacionReportePorId), async (req, res) => {
     try {
-        const idConcesion = parseInt(req.params.idConcesion);
-        const idVehiculo = parseInt(req.params.idVehiculo);
-
-        if (isNaN(idConcesion) || isNaN(idVehiculo)) {
-            return res.status(400).json({ error: 'ID de concesión o vehículo inválido' });
-        }
-
-        const result = await dbService.obtenerVehiculoYAseguradora(idConcesion, idVehiculo);
-        if (result.message) {
-            return res.status(404).json(result);
+        const result = await programacionReporteService.obtenerEjecuciones(parseInt(req.params.idProgramacion));
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
         }
         res.json(result);
     } catch (err) {
         console.error(err);
-        res.status(500).json({ error: 'Error al obtener vehículo y aseguradora' });
+        res.status(500).json({ error: 'Error al obtener las ejecuciones de la programación de reporte' });
     }
 });
 
 /**
- * Ruta para obtener la información completa de una concesión por su ID.
- * @name GET /concesion/:id
+ * Ruta para ejecutar una programación de reporte en este momento, con la ventana calculada para hoy.
+ * La ejecución sigue en segundo plano; su resultado aparece en el historial de ejecuciones.
+ * @name POST /reportes/programaciones/:idProgramacion/ejecutar
  * @function
- * @param {Object} req.params - Objeto con parámetros de ruta.
- * @param {string} req.params.id - ID de la concesión.
- * @returns {Object} Respuesta JSON con detalles de la concesión y relacionados, o error 404/500.
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.idProgramacion - ID de la programación.
+ * @returns {Object} Respuesta 202 con `data` (`fechaInicio`, `fechaFin`) y `returnValue`, o error 400/404/500.
  */
-router.get('/concesion/:id', async (req, res) => {
+router.post('/reportes/programaciones/:idProgramacion/ejecutar', requierePermiso(CAPACIDADES.SUPERVISAR), validar(esquemas.programacionReportePorId), async (req, res) => {
     try {
-        const result = await dbService.obtenerInformacionCompletaPorConcesion(req.params.id);
-        if (result.message) {
-            return res.status(404).json(result);
+        const idProgramacion = parseInt(req.params.idProgramacion);
+        const result = await programacionReporteService.ejecutarAhora(idProgramacion);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
         }
-        res.json(result);
+        res.status(202).location(`/api/reportes/programaciones/${idProgramacion}/ejecuciones`).json(result);
     } catch (err) {
         console.error(err);
-        res.status(500).json({ error: 'Error al obtener la información de la concesión' });
+        res.status(500).json({ error: 'Error al ejecutar la programación de reporte' });
     }
 });
 
 /**
- * Ruta para buscar vehículos por placa, número de serie o número de motor.
- * @name GET /vehiculo/buscar
+ * Ruta para consultar el estado y el avance de un trabajo de reporte (solo el del usuario, salvo con capacidad de supervisar).
+ * @name GET /reportes/:idTrabajo
  * @function
- * @param {Object} req.query - Objeto con parámetros de consulta.
- * @param {string} req.query.placa - Placa del vehículo.
- * @param {string} req.query.numSerie - Número de serie del vehículo.
- * @param {string} req.query.numMotor - Número de motor del vehículo.
- * @returns {Object} Respuesta JSON con `data` (vehículos) y `returnValue`, o error 400/404/500.
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.idTrabajo - ID del trabajo.
+ * @returns {Object} Respuesta JSON con `data` (`estado`, `progreso`, `registrosProcesados`, `totalRegistros`, `enlace` de descarga
+ *          si terminó, `expiraEn`, `error`) y `returnValue`, o error 400/404/500.
  */
-
-router.get('/vehiculo/buscar', async (req, res) => {
+router.get('/reportes/:idTrabajo', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.trabajoReportePorId), async (req, res) => {
     try {
-        const { placa, numSerie, numMotor } = req.query;
-        if (!placa && !numSerie && !numMotor) {
-            return res.status(400).json({ error: 'Se requiere al menos placa, numSerie o numMotor' });
-        }
-        const result = await dbService.obtenerVehiculosPorPlacaNumSerie(placa, numSerie, numMotor);
-        if (!result.data || result.data.length === 0) {
-            return res.status(404).json({ message: 'No se encontraron vehículos', returnValue: result.returnValue });
+        const result = await reporteTrabajoService.obtenerTrabajo(parseInt(req.params.idTrabajo), req.user);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
         }
         res.json(result);
     } catch (err) {
         console.error(err);
-        res.status(500).json({ error: 'Error al buscar vehículos' });
+        res.status(500).json({ error: 'Error al obtener el trabajo de reporte' });
     }
 });
 
 /**
- * Ruta para obtener el reporte de inspecciones realizadas entre dos fechas, con paginación y exportación.
- * @name GET /reporte/inspecciones
+ * Ruta para descargar el archivo de un trabajo de reporte terminado.
+ * @name GET /reportes/:idTrabajo/archivo
  * @function
- * @param {Object} req.query - Objeto con parámetros de consulta.
- * @param {string} req.query.fechaInicio - Fecha de inicio del rango (formato: DD/MM/YYYY).
- * @param {string} req.query.fechaFin - Fecha de fin del rango (formato: DD/MM/YYYY).
- * @param {string} [req.query.page=1] - Número de página (entero positivo, por defecto 1).
- * @param {string} [req.query.format=json] - Formato de salida (json, excel, pdf).
- * @param {string} [req.query.allPages=false] - Si es true, exporta todos los registros sin paginación.
- * @returns {Object} Respuesta JSON, archivo Excel o PDF según el formato solicitado.
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.idTrabajo - ID del trabajo.
+ * @returns {File} El archivo del reporte, o error 400/404/409 (no ha terminado o falló)/410 (venció)/500.
  */
-router.get('/reporte/inspecciones', async (req, res) => {
-    await dbService.generarReporte(req, res);
+router.get('/reportes/:idTrabajo/archivo', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.trabajoReportePorId), async (req, res) => {
+    try {
+        const result = await reporteTrabajoService.obtenerArchivoTrabajo(parseInt(req.params.idTrabajo), req.user);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        const { ruta, nombre, contentType } = result.data;
+        res.download(ruta, nombre, { headers: { 'Content-Type': contentType } }, (err) => {
+            if (err) {
+                console.error(err);
+                if (!res.headersSent) {
+                    res.status(500).json({ error: 'Error al descargar el reporte' });
+                }
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al descargar el reporte' });
+    }
 });
+
 /**
- * Ruta para generar un reporte de inspecciones realizadas entre dos fechas, con paginación y exportación, incluyendo un logo opcional.
- * @name POST /reporte/inspecciones
+ * Ruta para obtener las estadísticas de inspecciones del tablero: conteos y tasa de aprobación por periodo, municipio,
+ * modalidad, trámite e inspector, los elementos del checklist más reprobados y las puntuaciones por clasificación.
+ * Aprobadas y reprobadas se cuentan por el estatus que asignó el supervisor; la tasa es sobre las ya resueltas.
+ * @name GET /estadisticas/revistas
  * @function
- * @param {Object} req.body - Objeto con parámetros de la solicitud.
- * @param {string} req.body.fechaInicio - Fecha de inicio del rango (formato: DD/MM/YYYY).
- * @param {string} req.body.fechaFin - Fecha de fin del rango (formato: DD/MM/YYYY).
- * @param {number} [req.body.page=1] - Número de página (entero positivo, por defecto 1).
- * @param {string} [req.body.format=json] - Formato de salida (json, excel, pdf).
- * @param {boolean} [req.body.allPages=false] - Si es true, exporta todos los registros sin paginación.
- * @param {Object} [req.file] - Archivo de logo subido.
- * @returns {Object} Respuesta JSON, archivo Excel o PDF según el formato solicitado.
- * @throws {Object} Error con código de estado:
- * - 400: Si los parámetros `fechaInicio` o `fechaFin` no están en formato DD/MM/YYYY o faltan.
- * - 500: Si ocurre un error interno al generar el reporte.
+ * @param {Object} req.query - Parámetros de consulta.
+ * @param {string} [req.query.fechaInicio] - Fecha de inicio (DD/MM/YYYY o YYYY-MM-DD); por defecto, hace 29 días.
+ * @param {string} [req.query.fechaFin] - Fecha de fin, incluida (DD/MM/YYYY o YYYY-MM-DD); por defecto, hoy.
+ * @param {string} [req.query.periodo=dia] - Agrupación en el tiempo: dia, semana (de lunes a domingo) o mes.
+ * @param {number} [req.query.limiteElementos=10] - Número de elementos del checklist más reprobados a devolver.
+ * @returns {Object} Respuesta JSON con `data` (`resumen`, `porPeriodo`, `porMunicipio`, `porModalidad`, `porTramite`,
+ *          `porInspector`, `elementosReprobados`, `clasificaciones`) y `returnValue`, o error 400/500.
  */
-router.post('/reporte/inspecciones', upload.single('logo'), async (req, res) => {
-    await dbService.generarReporte(req, res);
+router.get('/estadisticas/revistas', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.estadisticasRevistas), async (req, res) => {
+    try {
+        const { fechaInicio, fechaFin, periodo, limiteElementos } = req.query;
+        const result = await estadisticaService.obtenerEstadisticasRevistas({ fechaInicio, fechaFin, periodo, limiteElementos });
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al obtener las estadísticas de inspecciones' });
+    }
 });
 
 /**
@@ -327,7 +1126,7 @@ router.post('/reporte/inspecciones', upload.single('logo'), async (req, res) =>
  * @function
  * @returns {Object} Respuesta JSON con `data` (tipos de trámite) y `returnValue`, o error 500.
  */
-router.get('/revista/tipos-tramite', async (req, res) => {
+router.get('/revista/tipos-tramite', requierePermiso(CAPACIDADES.CONSULTAR), async (req, res) => {
     try {
         const result = await dbService.obtenerTiposTramite();
         res.json(result);
@@ -343,7 +1142,7 @@ router.get('/revista/tipos-tramite', async (req, res) => {
  * @function
  * @returns {Object} Respuesta JSON con `data` (tipos de imagen) y `returnValue`, o error 500.
  */
-router.get('/revista/tipos-imagen', async (req, res) => {
+router.get('/revista/tipos-imagen', requierePermiso(CAPACIDADES.CONSULTAR), async (req, res) => {
     try {
         const result = await dbService.obtenerTiposImagen();
         res.json(result);
@@ -353,14 +1152,39 @@ router.get('/revista/tipos-imagen', async (req, res) => {
     }
 });
 
+/**
+ * Ruta para previsualizar la puntuación y clasificación que el servidor asignaría a una inspección.
+ * @name POST /revista/puntuacion/simular
+ * @function
+ * @param {Object} req.body - Datos de puntuación: modeloId, tipoId, capacidadId, tipoBolsa, tieneAire, frenoId, cinturonId y tapiceriaId.
+ * @returns {Object} Respuesta JSON con `data` (`puntuacion`, `clasificacionId`, `clasificacion`, `desglose`) y `returnValue`, o error 400/500.
+ */
+router.post('/revista/puntuacion/simular', requierePermiso(CAPACIDADES.INSPECCIONAR), validar(esquemas.simularPuntuacion), async (req, res) => {
+    try {
+        const { modeloId, tipoId, capacidadId, tipoBolsa, tieneAire, frenoId, cinturonId, tapiceriaId } = req.body;
+        const result = await puntuacionService.calcularPuntuacion({
+            modeloId, tipoId, capacidadId, tipoBolsa, tieneAire, frenoId, cinturonId, tapiceriaId
+        });
+        if (result.status === 400) {
+            return res.status(400).json({ error: result.message, errores: result.errores });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al calcular la puntuación' });
+    }
+});
+
 /**
  * Ruta para guardar una inspección vehicular.
+ * La puntuación y la clasificación se calculan en el servidor; si el cliente envía `puntuacion`
+ * o `clasificacionId` y no coinciden con el cálculo, la inspección se rechaza.
  * @name POST /revista
  * @function
  * @param {Object} req.body - Cuerpo de la solicitud con los datos de la inspección.
- * @returns {Object} Respuesta JSON con `idRV` (ID de la inspección) y `success`, o error 400/500.
+ * @returns {Object} Respuesta JSON con `idRV` (ID de la inspección) y `success`, o error 400/422/500.
  */
-router.post('/revista', async (req, res) => {
+router.post('/revista', requierePermiso(CAPACIDADES.INSPECCIONAR), validar(esquemas.revista), async (req, res) => {
     try {
         // Desestructurar todos los campos del cuerpo de la solicitud
         const {
@@ -423,9 +1247,19 @@ router.post('/revista', async (req, res) => {
         // Log para depuración: ver qué se recibe del frontend
         //console.log("Datos recibidos en POST /revista:", req.body);
 
-        // Validar campos requeridos esenciales
-        if (!idConcesion || !idPropietario || !idTramite || !idVehiculo || !placa || !propietario) {
-            return res.status(400).json({ error: 'Faltan campos requeridos: idConcesion, idPropietario, idTramite, idVehiculo, placa, o propietario.' });
+        // Calcular la puntuación en el servidor; no se confía en la enviada por el cliente
+        const puntuacionResult = await puntuacionService.calcularPuntuacion({
+            modeloId, tipoId, capacidadId, tipoBolsa, tieneAire, frenoId, cinturonId, tapiceriaId
+        });
+        if (puntuacionResult.status === 400) {
+            return res.status(400).json({ error: puntuacionResult.message, errores: puntuacionResult.errores });
+        }
+        const diferencias = puntuacionService.compararConCliente(puntuacionResult.data, puntuacion, clasificacionId);
+        if (diferencias.length > 0) {
+            return res.status(422).json({
+                error: 'La puntuación o clasificación enviada no coincide con la calculada por el servidor',
+                diferencias
+            });
         }
 
         // --- CONVERSIÓN DE BOOLEANOS A 1 O 0 PARA LA BASE DE DATOS ---
@@ -482,14 +1316,14 @@ router.post('/revista', async (req, res) => {
             frenoId: frenoId ? parseInt(frenoId) : null,
             cinturonId: cinturonId ? parseInt(cinturonId) : null,
             tapiceriaId: tapiceriaId ? parseInt(tapiceriaId) : null,
-            puntuacion: puntuacion ? parseInt(puntuacion) : null, // Asegurar que puntuacion sea un número
-            clasificacionId: clasificacionId ? parseInt(clasificacionId) : null // Asegurar que clasificacionId sea un número
+            puntuacion: puntuacionResult.data.puntuacion, // Calculada en el servidor
+            clasificacionId: puntuacionResult.data.clasificacionId // Calculada en el servidor
         };
 
-        // Obtener IdUser y nombre completo desde la sesión
-        // Asegúrate de que req.session esté configurado y disponible.
-        const IdUser = req.session.userId || 0; // Valor por defecto si no hay sesión
-        const Inspector = req.session.userName || 'Desconocido'; // Valor por defecto
+        // El inspector es el usuario autenticado, por sesión o por clave API (como en la segunda revisión);
+        // RV_InsertarRevistaPuntuacion usa @IdUser también en la operación de captura de Historial
+        const IdUser = req.user.id;
+        const Inspector = (req.user.name || req.session.userName || req.user.username || '').trim();
 
         // Añadir IdUser e Inspector a los datos que se enviarán al servicio
         Object.assign(dataToInsert, { IdUser, Inspector });
@@ -521,7 +1355,7 @@ router.post('/revista', async (req, res) => {
  * @param {Object} req.body - Cuerpo de la solicitud con `idRV` y `tipoImagen`.
  * @returns {Object} Respuesta JSON con `success` y mensaje, o error 400/500.
  */
-router.post('/revista/imagen', upload.single('imagen'), async (req, res) => {
+router.post('/revista/imagen', requierePermiso(CAPACIDADES.INSPECCIONAR), upload.single('imagen'), validar(esquemas.subirImagenRevista), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No se proporcionó ninguna imagen' });
@@ -530,16 +1364,6 @@ router.post('/revista/imagen', upload.single('imagen'), async (req, res) => {
         const { idRV, tipoImagen } = req.body;
         const imagen = req.file;
 
-        // Validar tipo de imagen
-        if (!tipoImagen || !['1', '2', '3', '4', '5', '6'].includes(tipoImagen)) {
-            return res.status(400).json({ error: 'Tipo de imagen inválido. Debe ser 1, 2, 3, 4, 5 o 6' });
-        }
-
-        // Validar idRV
-        if (!idRV || isNaN(parseInt(idRV))) {
-            return res.status(400).json({ error: 'Se requiere un ID de inspección (idRV) válido' });
-        }
-
         // Verificar si idRV existe en la base de datos
         const pool = await require('../config/db');
         const exists = await pool.request()
@@ -581,7 +1405,7 @@ router.post('/revista/imagen', upload.single('imagen'), async (req, res) => {
  * @param {string} [req.query.tipoImagen] - Tipo de imagen (opcional, filtra por tipo).
  * @returns {Object} Respuesta JSON con `data` (imágenes en base64 o rutas) y `returnValue`, o error 404/500.
  */
-router.get('/revista/:idRV/imagenes', async (req, res) => {
+router.get('/revista/:idRV/imagenes', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.imagenesRevista), async (req, res) => {
     try {
         const { idRV } = req.params;
         const { tipoImagen } = req.query; // Opcional: filtrar por tipo de imagen
@@ -595,6 +1419,42 @@ router.get('/revista/:idRV/imagenes', async (req, res) => {
         res.status(500).json({ error: 'Error al obtener las imágenes' });
     }
 });
+/**
+ * Ruta para generar el certificado de inspección en PDF de una revista vehicular.
+ * Incluye concesión, propietario, vehículo, resultados del checklist, puntuación, clasificación y fotografías.
+ * @name GET /revista/:idRV/certificado
+ * @function
+ * @param {Object} req.params - Objeto con parámetros de ruta.
+ * @param {string} req.params.idRV - ID de la inspección.
+ * @param {string} [req.query.plantilla] - ID de la plantilla de presentación (ver /reportes/plantillas); sin ella, la predeterminada del certificado.
+ * @returns {Buffer} Archivo PDF del certificado, o error 400/404/409/500.
+ */
+router.get('/revista/:idRV/certificado', requierePermiso(CAPACIDADES.IMPRIMIR), validar(esquemas.certificadoRevista), async (req, res) => {
+    try {
+        const { idRV } = req.params;
+        const estatus = await dbService.obtenerEstatusRevista(parseInt(idRV));
+        if (estatus?.IdEstatus === ESTATUS_REVISTA.CANCELADA) {
+            return res.status(409).json({ error: 'La inspección está cancelada y no puede imprimirse' });
+        }
+        const plantilla = await plantillaReporteService.obtenerPlantillaReporte(req.query.plantilla, 'certificado');
+        if (plantilla.status) {
+            const { status, message, ...detalle } = plantilla;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        const pdf = await certificadoService.generarCertificadoRevista(parseInt(idRV), plantilla.data);
+        if (!pdf) {
+            return res.status(404).json({ message: 'Inspección no encontrada' });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=Certificado_Revista_${parseInt(idRV)}.pdf`);
+        res.send(pdf);
+    } catch (err) {
+        console.error('Error en /revista/:idRV/certificado:', err);
+        res.status(500).json({ error: 'Error al generar el certificado de la inspección' });
+    }
+});
+
 /**
  * Ruta para eliminar una imagen asociada a una inspección vehicular.
  * @name DELETE /revista/imagen/:idImagen
@@ -603,15 +1463,10 @@ router.get('/revista/:idRV/imagenes', async (req, res) => {
  * @param {string} req.params.idImagen - ID de la imagen a eliminar.
  * @returns {Object} Respuesta JSON con `success` y `message`, o error 400/404/500.
  */
-router.delete('/revista/imagen/:idImagen', async (req, res) => {
+router.delete('/revista/imagen/:idImagen', requierePermiso(CAPACIDADES.INSPECCIONAR), validar(esquemas.eliminarImagenRevista), async (req, res) => {
     try {
         const { idImagen } = req.params;
 
-        // Validar idImagen
-        if (!idImagen || isNaN(parseInt(idImagen))) {
-            return res.status(400).json({ error: 'Se requiere un ID de imagen válido' });
-        }
-
         // Verificar si la imagen existe
         const pool = await require('../config/db');
         const exists = await pool.request()
@@ -638,7 +1493,7 @@ router.delete('/revista/imagen/:idImagen', async (req, res) => {
  * @function
  * @returns {Object} Respuesta JSON con `data` (lista de clases) y `returnValue`.
  */
-router.get('/vehiculo/clases', async (req, res) => {
+router.get('/vehiculo/clases', requierePermiso(CAPACIDADES.CONSULTAR), async (req, res) => {
     try {
         const result = await dbService.obtenerClasesVehiculo();
         res.json({
@@ -657,7 +1512,7 @@ router.get('/vehiculo/clases', async (req, res) => {
  * @function
  * @returns {Object} Respuesta JSON con `data` (lista de tipos) y `returnValue`.
  */
-router.get('/vehiculo/tipos', async (req, res) => {
+router.get('/vehiculo/tipos', requierePermiso(CAPACIDADES.CONSULTAR), async (req, res) => {
     try {
         const result = await dbService.obtenerTiposVehiculo();
         res.json({
@@ -678,13 +1533,10 @@ router.get('/vehiculo/tipos', async (req, res) => {
  * @param {string} req.query.idClase - ID de la clase del vehículo.
  * @returns {Object} Respuesta JSON con `data` (lista de categorías) y `returnValue`.
  */
-router.get('/vehiculo/categorias', async (req, res) => {
+router.get('/vehiculo/categorias', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.categoriasVehiculo), async (req, res) => {
     try {
         const { idClase } = req.query;
         const idClaseInt = parseInt(idClase);
-        if (isNaN(idClaseInt)) {
-            return res.status(400).json({ error: 'ID de clase inválido' });
-        }
         const result = await dbService.obtenerCategoriasVehiculo(idClaseInt);
         res.json({
             data: result.data,
@@ -704,12 +1556,9 @@ router.get('/vehiculo/categorias', async (req, res) => {
  * @param {string} req.query.claveCategoria - Clave de la categoría del vehículo.
  * @returns {Object} Respuesta JSON con `data` (lista de marcas) y `returnValue`.
  */
-router.get('/vehiculo/marcas', async (req, res) => {
+router.get('/vehiculo/marcas', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.marcasVehiculo), async (req, res) => {
     try {
         const { claveCategoria } = req.query;
-        if (!claveCategoria) {
-            return res.status(400).json({ error: 'Clave de categoría requerida' });
-        }
         const result = await dbService.obtenerMarcasVehiculo(claveCategoria);
         res.json({
             data: result.data,
@@ -730,14 +1579,11 @@ router.get('/vehiculo/marcas', async (req, res) => {
  * @param {string} req.query.idCategoria - ID de la categoría del vehículo.
  * @returns {Object} Respuesta JSON con `data` (lista de submarcas) y `returnValue`.
  */
-router.get('/vehiculo/submarcas', async (req, res) => {
+router.get('/vehiculo/submarcas', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.submarcasVehiculo), async (req, res) => {
     try {
         const { idMarca, idCategoria } = req.query;
         const idMarcaInt = parseInt(idMarca);
         const idCategoriaInt = parseInt(idCategoria);
-        if (isNaN(idMarcaInt) || isNaN(idCategoriaInt)) {
-            return res.status(400).json({ error: 'ID de marca o categoría inválido' });
-        }
         const result = await dbService.obtenerSubmarcasPorMarcaCategoria(idMarcaInt, idCategoriaInt);
         res.json({
             data: result.data,
@@ -758,14 +1604,11 @@ router.get('/vehiculo/submarcas', async (req, res) => {
  * @param {string} req.query.idSubMarca - ID de la submarca del vehículo.
  * @returns {Object} Respuesta JSON con `data` (lista de versiones) y `returnValue`.
  */
-router.get('/vehiculo/versiones', async (req, res) => {
+router.get('/vehiculo/versiones', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.versionesVehiculo), async (req, res) => {
     try {
         const { idClase, idSubMarca } = req.query;
         const idClaseInt = parseInt(idClase);
         const idSubMarcaInt = parseInt(idSubMarca);
-        if (isNaN(idClaseInt) || isNaN(idSubMarcaInt)) {
-            return res.status(400).json({ error: 'ID de clase o submarca inválido' });
-        }
         const result = await dbService.obtenerVersionesPorClaseSubmarca(idClaseInt, idSubMarcaInt);
         res.json({
             data: result.data,
@@ -782,7 +1625,7 @@ router.get('/vehiculo/versiones', async (req, res) => {
  * @function
  * @returns {Object} Respuesta JSON con `data` (resultados de las tablas) y `returnValue`, o error 500.
  */
-router.get('/vehiculo/datos/puntuacion', async (req, res) => {
+router.get('/vehiculo/datos/puntuacion', requierePermiso(CAPACIDADES.CONSULTAR), async (req, res) => {
     try {
         const result = await dbService.obtenerDatosVehiculo();
         res.json(result);
@@ -995,24 +1838,17 @@ router.get('/vehiculo/datos/puntuacion', async (req, res) => {
 //     }
 // });
 
-router.put('/concesion/:idConcesion/vehiculo/:idVehiculo', async (req, res) => {
+router.put('/concesion/:idConcesion/vehiculo/:idVehiculo', requierePermiso(CAPACIDADES.EDITAR_VEHICULO), validar(esquemas.modificarVehiculo), async (req, res) => {
     try {
         // Corrected line: change the variable names to match the JSON keys
         const { vehiculo, seguro } = req.body;
-        const { idConcesion, idVehiculo } = req.params;
-        // console.log('📌 Parámetros recibidos:', { idConcesion, idVehiculo });
+        // console.log('📌 Parámetros recibidos:', req.params);
         //console.log('🚗 Datos del vehículo recibidos:', JSON.stringify(vehiculo, null, 2));
         //console.log('🛡️ Datos del seguro recibidos:', JSON.stringify(seguro, null, 2));
 
-        // Validar IDs
+        // Convertir IDs (ya validados por el esquema)
         const idConcesionInt = parseInt(req.params.idConcesion);
         const idVehiculoInt = parseInt(req.params.idVehiculo);
-        // imprimir los IDs para depuración
-        console.log('🔍 Validando IDs:', { idConcesionInt, idVehiculoInt });
-        if (isNaN(idConcesionInt) || isNaN(idVehiculoInt)) {
-            console.error('❌ IDs inválidos:', { idConcesion, idVehiculo });
-            return res.status(400).json({ error: 'ID de concesión o vehículo inválido' });
-        }
 
         //console.log('🔍 Obteniendo datos de usuario...');
         // Obtener datos de usuario, perfil, smartcard y delegación
@@ -1055,29 +1891,296 @@ router.put('/concesion/:idConcesion/vehiculo/:idVehiculo', async (req, res) => {
 });
 
 /**
- * Ruta para registrar la impresión de una revista vehicular usando el procedimiento RV_ImprimirRevista.
+ * Ruta para registrar la impresión de una revista vehicular. Solo se pueden imprimir revistas aprobadas.
  * @name POST /revista/imprimir
  * @function
- * @param {Object} req.body - Cuerpo de la solicitud con `idRV` y `folio` (opcional).
- * @returns {Object} Respuesta JSON con `success` y `message`, o error 400/401/500.
+ * El folio lo asigna el servidor desde la serie de la delegación indicada (o FOLIOS_DELEGACION_POR_DEFECTO).
+ * @param {Object} req.body - Cuerpo de la solicitud con `idRV` e `idDelegacion` (opcional).
+ * Repetir la solicitud no vuelve a imprimir: responde con el folio ya asignado y `data.yaImpresa: true`.
+ * @returns {Object} Respuesta JSON con `success`, `message` y `data` (estatus anterior y nuevo, `folio` y `yaImpresa`),
+ *          o error 400/401/403/404/409 (cancelada o sin folios)/422 (no aprobada)/500.
  */
-router.post('/revista/imprimir', async (req, res) => {
+router.post('/revista/imprimir', requierePermiso(CAPACIDADES.IMPRIMIR), validar(esquemas.imprimirRevista), async (req, res) => {
     try {
-        const { idRV, folio = '' } = req.body;
-        const idUsuario = req.session.userId || 0;
-
-        // Validar idRV
-        if (!idRV || isNaN(parseInt(idRV))) {
-            return res.status(400).json({ error: 'Se requiere un ID de inspección (idRV) válido' });
+        const { idRV } = req.body;
+        const idDelegacion = parseInt(req.body.idDelegacion || process.env.FOLIOS_DELEGACION_POR_DEFECTO);
+        if (!idDelegacion) {
+            return res.status(400).json({ error: 'Se requiere la delegación (idDelegacion) para asignar el folio' });
+        }
+        const result = await dbService.imprimirRevista(parseInt(idRV), req.user, idDelegacion);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
         }
-        const result = await dbService.imprimirRevista(idRV, idUsuario, folio);
 
-        res.json({ success: true, message: 'Impresión registrada correctamente' });
+        const message = result.data.yaImpresa
+            ? 'La inspección ya estaba impresa; no se registró una nueva impresión'
+            : 'Impresión registrada correctamente';
+        res.json({ success: true, message, data: result.data });
     } catch (err) {
         console.error('Error en /revista/imprimir:', err);
         res.status(500).json({ error: 'Error interno al registrar la impresión' });
     }
 });
+
+/**
+ * Ruta para registrar la reimpresión de una revista ya impresa. Se guarda en el historial como operación
+ * de reimpresión y no cambia el estatus. Con `nuevoFolio` se anula el folio anterior y se asigna uno nuevo.
+ * @name POST /revista/:idRV/reimprimir
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.idRV - ID de la inspección.
+ * @param {Object} req.body - Cuerpo de la solicitud.
+ * @param {string} req.body.motivo - Motivo de la reimpresión.
+ * @param {boolean} [req.body.nuevoFolio=false] - Anular el folio anterior y asignar uno nuevo.
+ * @param {number} [req.body.idDelegacion] - Delegación del folio nuevo (FOLIOS_DELEGACION_POR_DEFECTO si se omite).
+ * @returns {Object} Respuesta JSON con `success`, `message` y `data` (`folio`, `folioAnterior`), o error 400/401/403/404/409/422/500.
+ */
+router.post('/revista/:idRV/reimprimir', requierePermiso(CAPACIDADES.IMPRIMIR), validar(esquemas.reimprimirRevista), async (req, res) => {
+    try {
+        const nuevoFolio = [true, 'true', 1, '1'].includes(req.body.nuevoFolio);
+        const idDelegacion = parseInt(req.body.idDelegacion || process.env.FOLIOS_DELEGACION_POR_DEFECTO) || null;
+        if (nuevoFolio && !idDelegacion) {
+            return res.status(400).json({ error: 'Se requiere la delegación (idDelegacion) para asignar el folio' });
+        }
+        const result = await dbService.reimprimirRevista(parseInt(req.params.idRV), req.user, {
+            motivo: req.body.motivo,
+            nuevoFolio,
+            idDelegacion
+        });
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.json({ success: true, message: 'Reimpresión registrada correctamente', data: result.data });
+    } catch (err) {
+        console.error('Error en /revista/:idRV/reimprimir:', err);
+        res.status(500).json({ error: 'Error interno al registrar la reimpresión' });
+    }
+});
+
+/**
+ * Ruta para cambiar el estatus de una revista vehicular según el flujo
+ * capturada → revisada → aprobada/rechazada → impresa, o cancelada (ver src/config/estatusRevista.js).
+ * Cada transición exige su propia capacidad; rechazar y cancelar requieren motivo.
+ * @name POST /revista/:idRV/estatus
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.idRV - ID de la inspección.
+ * @param {Object} req.body - Cuerpo de la solicitud.
+ * @param {number} req.body.estatus - ID del estatus destino.
+ * @param {string} [req.body.motivo] - Motivo del cambio.
+ * @returns {Object} Respuesta JSON con `data` (`estatusAnterior`, `estatusNuevo`) y `returnValue`, o error 400/403/404/409/500.
+ */
+router.post('/revista/:idRV/estatus', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.cambiarEstatusRevista), async (req, res) => {
+    try {
+        const { estatus, motivo } = req.body;
+        const result = await dbService.cambiarEstatusRevista(parseInt(req.params.idRV), parseInt(estatus), req.user, motivo || null);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al cambiar el estatus de la revista' });
+    }
+});
+
+/**
+ * Ruta para cancelar una revista vehicular capturada por error. Requiere motivo; la revista cancelada
+ * no puede imprimirse y sigue apareciendo en GET /revista/buscar filtrando por su estatus. Si ya estaba
+ * impresa, su folio queda anulado.
+ * @name POST /revista/:idRV/cancelar
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.idRV - ID de la inspección.
+ * @param {Object} req.body - Cuerpo de la solicitud.
+ * @param {string} req.body.motivo - Motivo de la cancelación.
+ * @returns {Object} Respuesta JSON con `data` (`estatusAnterior`, `estatusNuevo` y `folioAnulado` si estaba impresa) y `returnValue`, o error 400/403/404/409/500.
+ */
+router.post('/revista/:idRV/cancelar', requierePermiso(CAPACIDADES.SUPERVISAR), validar(esquemas.cancelarRevista), async (req, res) => {
+    try {
+        const result = await dbService.cancelarRevista(parseInt(req.params.idRV), req.user, req.body.motivo);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al cancelar la revista' });
+    }
+});
+
+/**
+ * Ruta para obtener el historial (línea de tiempo) de una revista vehicular.
+ * @name GET /revista/:idRV/historial
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.idRV - ID de la inspección.
+ * @returns {Object} Respuesta JSON con `data` (`estatusActual` e `historial` con fecha, operación, usuario, estatus, motivo y,
+ *          en las ediciones, `campo` con `valorAnterior` y `valorNuevo`) y `returnValue`, o error 400/404/500.
+ */
+router.get('/revista/:idRV/historial', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.revistaPorId), async (req, res) => {
+    try {
+        const result = await dbService.obtenerHistorialRevista(parseInt(req.params.idRV));
+        if (result.status === 404) {
+            return res.status(404).json({ error: result.message });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al obtener el historial de la revista' });
+    }
+});
+
+/**
+ * Ruta para registrar la segunda revisión de una revista no aprobada. Se clona la revista reprobada y solo se
+ * reevalúan los elementos que reprobaron; la nueva revista queda enlazada a la original y debe registrarse
+ * dentro de REVISION_DIAS_LIMITE días.
+ * @name POST /revista/:idRV/segunda-revision
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.idRV - ID de la revista reprobada.
+ * @param {Object} req.body - Nuevos valores de los elementos reprobados (mismos campos que POST /revista) y `observaciones` opcionales.
+ * @returns {Object} Respuesta JSON 201 con `data` (`idRV` nuevo, `idRevistaOrigen`, `aprobado`, `reevaluados`, `fechaLimite`) y `returnValue`,
+ *          o error 400/403/404/409/422/500.
+ */
+router.post('/revista/:idRV/segunda-revision', requierePermiso(CAPACIDADES.INSPECCIONAR), validar(esquemas.segundaRevision), async (req, res) => {
+    try {
+        const { observaciones, ...reevaluacion } = req.body;
+        const usuario = { id: req.user.id, nombre: (req.user.name || req.session.userName || req.user.username || '').trim() };
+        const result = await segundaRevisionService.registrarSegundaRevision(parseInt(req.params.idRV), reevaluacion, usuario, observaciones);
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.status(201).json(result);
+    } catch (err) {
+        console.error('Error en /revista/:idRV/segunda-revision:', err);
+        res.status(500).json({ error: 'Error al registrar la segunda revisión' });
+    }
+});
+
+/**
+ * Ruta para consultar los folios disponibles de las series activas.
+ * @name GET /folios/disponibles
+ * @function
+ * @param {Object} req.query - Parámetros de consulta.
+ * @param {number} [req.query.idDelegacion] - Filtra por delegación.
+ * @returns {Object} Respuesta JSON con `data` (series con `siguienteFolio`, `ultimoFolio` y `disponibles`), `totalDisponibles` y `returnValue`, o error 400/500.
+ */
+router.get('/folios/disponibles', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.foliosDisponibles), async (req, res) => {
+    try {
+        const idDelegacion = req.query.idDelegacion ? parseInt(req.query.idDelegacion) : null;
+        const result = await folioService.obtenerFoliosDisponibles(idDelegacion);
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al obtener los folios disponibles' });
+    }
+});
+
+/**
+ * Ruta para dar de alta una serie de folios para una delegación.
+ * @name POST /folios/series
+ * @function
+ * @param {Object} req.body - Cuerpo con `idDelegacion`, `prefijo` (opcional), `longitud` (opcional), `folioInicial` y `folioFinal`.
+ * @returns {Object} Respuesta JSON 201 con `data` (`idSerie`) y `returnValue`, o error 400/403/409/500.
+ */
+router.post('/folios/series', requierePermiso(CAPACIDADES.ADMINISTRAR), validar(esquemas.crearSerieFolios), async (req, res) => {
+    try {
+        const { idDelegacion, prefijo, longitud, folioInicial, folioFinal } = req.body;
+        const result = await folioService.crearSerie({
+            idDelegacion: parseInt(idDelegacion),
+            prefijo: prefijo || '',
+            longitud: longitud ? parseInt(longitud) : undefined,
+            folioInicial: parseInt(folioInicial),
+            folioFinal: parseInt(folioFinal)
+        });
+        if (result.status) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        res.status(201).json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al crear la serie de folios' });
+    }
+});
+
+/**
+ * Ruta para saltar números de una serie por formas dañadas antes de imprimirse. Los números quedan anulados.
+ * @name POST /folios/series/:idSerie/saltar
+ * @function
+ * @param {Object} req.params - Parámetros de la URL.
+ * @param {string} req.params.idSerie - ID de la serie.
+ * @param {Object} req.body - Cuerpo con `cantidad` y `motivo`.
+ * @returns {Object} Respuesta JSON con `data` (`folios` anulados) y `returnValue`, o error 400/403/409/500.
+ */
+router.post('/folios/series/:idSerie/saltar', requierePermiso(CAPACIDADES.SUPERVISAR), validar(esquemas.saltarFolios), async (req, res) => {
+    try {
+        const result = await folioService.saltarFolios(
+            parseInt(req.params.idSerie),
+            parseInt(req.body.cantidad),
+            req.body.motivo,
+            req.user.id
+        );
+        if (result.status) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al saltar folios' });
+    }
+});
+
+/**
+ * Ruta para anular un folio emitido cuya forma se echó a perder. Si el folio es de una revista, la anulación
+ * queda en su historial; para imprimirla en una forma nueva use POST /revista/:idRV/reimprimir con `nuevoFolio`.
+ * @name POST /folios/anular
+ * @function
+ * @param {Object} req.body - Cuerpo con `folio` y `motivo`.
+ * @returns {Object} Respuesta JSON con `data` (`folio`, `idRV`) y `returnValue`, o error 400/403/404/409/500.
+ */
+router.post('/folios/anular', requierePermiso(CAPACIDADES.SUPERVISAR), validar(esquemas.anularFolio), async (req, res) => {
+    try {
+        const result = await folioService.anularFolio(req.body.folio, req.body.motivo, req.user.id);
+        if (result.status) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al anular el folio' });
+    }
+});
+
+/**
+ * Ruta para obtener la conciliación de folios: emitidos, usados y anulados por serie, huecos e inconsistencias.
+ * @name GET /folios/conciliacion
+ * @function
+ * @param {Object} req.query - Parámetros de consulta.
+ * @param {number} [req.query.idDelegacion] - Filtra por delegación.
+ * @param {string} [req.query.fechaInicio] - Fecha inicial de emisión (YYYY-MM-DD).
+ * @param {string} [req.query.fechaFin] - Fecha final de emisión (YYYY-MM-DD).
+ * @returns {Object} Respuesta JSON con `data` (`series`, `anulados`, `huecos`, `inconsistencias`) y `returnValue`, o error 400/403/500.
+ */
+router.get('/folios/conciliacion', requierePermiso(CAPACIDADES.SUPERVISAR), validar(esquemas.conciliacionFolios), async (req, res) => {
+    try {
+        const { idDelegacion, fechaInicio, fechaFin } = req.query;
+        const result = await folioService.obtenerConciliacionFolios({
+            idDelegacion: idDelegacion ? parseInt(idDelegacion) : null,
+            fechaInicio: fechaInicio || null,
+            fechaFin: fechaFin || null
+        });
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Error al generar la conciliación de folios' });
+    }
+});
 /*
  * Ruta para buscar revistas vehiculares según criterios específicos.
  * @name GET /revista/buscar
@@ -1090,20 +2193,29 @@ router.post('/revista/imprimir', async (req, res) => {
  * @param {string} [req.query.fechaFin] - Fecha de fin en formato YYYY-MM-DD (opcional).
  * @param {number} [req.query.page=1] - Número de página para paginación.
  * @param {number} [req.query.pageSize=10] - Cantidad de registros por página. Si es 0, se devuelven todos los registros sin paginación.
+ * @param {string} [req.query.ordenarPor=fecha] - Orden: 'fecha', 'estatus' o 'concesion'.
+ * @param {string} [req.query.direccion=desc] - Dirección del orden: 'asc' o 'desc'.
+ * @param {string} [req.query.cursor] - Modo cursor (scroll infinito): vacío para la primera página, o el `nextCursor` de la respuesta anterior.
+ *        En este modo se ignora `page`.
  * @returns {Object} Respuesta JSON con los resultados de la búsqueda:
- * - `data`: Array de revistas vehiculares con sus detalles y el campo `Estatus` enriquecido.
- * - `totalRecords`: Número total de registros devueltos.
- * - `page`: Página actual.
+ * - `data`: Array de revistas vehiculares con los datos de identificación y estatus que devuelve RV_ObtenerListaRevistaPaginado
+ *   (ver buscarRevistasVehiculares; el detalle de la inspección está en GET /revista/:idRV), los campos `Estatus` y `Tramite`
+ *   enriquecidos y `CadenaRevision` (revista reprobada y sus segundas revisiones, vacía si no forma parte de una cadena).
+ * - `totalRecords`: Número total de registros que cumplen los filtros (modo página).
+ * - `totalPages`: Número total de páginas (modo página).
+ * - `page`: Página actual (null en modo cursor).
  * - `pageSize`: Tamaño de la página.
+ * - `ordenarPor`, `direccion`: Orden aplicado.
+ * - `nextCursor`: Cursor de la siguiente página, null si no hay más (modo cursor).
  * - `returnValue`: Valor de retorno (0 para éxito).
  * @throws {Object} Error con código de estado:
- * - 400: Si las fechas no están en formato YYYY-MM-DD.
- * - 404: Si no se encuentran revistas vehiculares.
+ * - 400: Si las fechas no están en formato YYYY-MM-DD o el cursor no es válido.
+ * - 404: Si no se encuentran revistas vehiculares (en modo cursor, solo en la primera página).
  * - 500: Si ocurre un error interno al buscar revistas.
  */
-router.get('/revista/buscar', async (req, res) => {
+router.get('/revista/buscar', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.buscarRevistas), async (req, res) => {
     try {
-        const { noConcesion, placa, estatus, fechaInicio, fechaFin } = req.query;
+        const { noConcesion, placa, estatus, fechaInicio, fechaFin, ordenarPor, direccion, cursor } = req.query;
         let { page = 1, pageSize = 10 } = req.query;
 
         // Validar y convertir los parámetros de paginación
@@ -1116,12 +2228,6 @@ router.get('/revista/buscar', async (req, res) => {
             pageSize = null;
         }
 
-        // Validar fechas para el formato YYYY-MM-DD
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if ((fechaInicio && !dateRegex.test(fechaInicio)) || (fechaFin && !dateRegex.test(fechaFin))) {
-            return res.status(400).json({ error: 'Las fechas deben estar en formato YYYY-MM-DD' });
-        }
-
         // Función para convertir de YYYY-MM-DD a MM/DD/YYYY
         const convertToMMDDYYYY = (dateStr) => {
             if (!dateStr) return null;
@@ -1136,9 +2242,22 @@ router.get('/revista/buscar', async (req, res) => {
             convertToMMDDYYYY(fechaInicio),
             convertToMMDDYYYY(fechaFin),
             page,
-            pageSize
+            pageSize,
+            {
+                ordenarPor: ordenarPor || 'fecha',
+                direccion: direccion || 'desc',
+                cursor: cursor === undefined ? null : cursor
+            }
         );
 
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        // En modo cursor, una página vacía después de la primera solo indica que no hay más resultados
+        if (cursor && result.data.length === 0) {
+            return res.json(result);
+        }
         if (!result.data || result.data.length === 0) {
             return res.status(404).json({ message: 'No se encontraron revistas vehiculares', returnValue: result.returnValue });
         }
@@ -1220,15 +2339,9 @@ router.get('/revista/buscar', async (req, res) => {
  * @param {string} req.params.idRV - ID de la inspección vehicular.
  * @returns {Object} Respuesta JSON con `data` (detalles de la inspección) y `returnValue`, o error 400/404/500.
  */
-router.get('/revista/:idRV', async (req, res) => {
+router.get('/revista/:idRV', requierePermiso(CAPACIDADES.CONSULTAR), validar(esquemas.revistaPorId), async (req, res) => {
     try {
         const { idRV } = req.params;
-
-        // Validar idRV
-        if (!idRV || isNaN(parseInt(idRV))) {
-            return res.status(400).json({ error: 'Se requiere un ID de inspección (idRV) válido' });
-        }
-
         const result = await dbService.obtenerRevistaPorId(idRV);
         if (!result.data) {
             return res.status(404).json({ message: 'Inspección no encontrada', returnValue: result.returnValue });
@@ -1240,4 +2353,39 @@ router.get('/revista/:idRV', async (req, res) => {
         res.status(500).json({ error: 'Error al obtener la inspección' });
     }
 });
+
+/**
+ * Ruta para corregir una inspección vehicular antes de imprimirla (solo en estatus capturada o revisada).
+ * Se envían solo los campos a modificar; cada cambio queda en el historial con su valor anterior y nuevo,
+ * y la puntuación y la clasificación se recalculan si cambia algún dato de puntuación.
+ * @name PUT /revista/:idRV
+ * @function
+ * @param {Object} req.params - Parámetros de ruta.
+ * @param {string} req.params.idRV - ID de la inspección vehicular.
+ * @param {Object} req.body - Campos a modificar (checklist, `imagenCromaticaVer`, `aprobado`, `observaciones` y datos de puntuación),
+ *                            `motivo` opcional y, si se desea verificar, `puntuacion`/`clasificacionId` esperadas.
+ * @returns {Object} Respuesta JSON con `data` (`cambios` con campo, valor anterior y nuevo, y la puntuación recalculada) y `returnValue`,
+ *          o error 400/403/404/409/422/500.
+ */
+router.put('/revista/:idRV', requierePermiso(CAPACIDADES.INSPECCIONAR), validar(esquemas.edicionRevista), async (req, res) => {
+    try {
+        const { motivo, puntuacion, clasificacionId, ...datos } = req.body;
+        if (!CAMPOS_EDITABLES_REVISTA.some(({ campo }) => campo in datos)) {
+            return res.status(400).json({ error: 'Se requiere al menos un campo a modificar' });
+        }
+        const result = await edicionRevistaService.editarRevista(parseInt(req.params.idRV), datos, req.user, {
+            motivo: motivo || null,
+            puntuacion,
+            clasificacionId
+        });
+        if (result.status) {
+            const { status, message, ...detalle } = result;
+            return res.status(status).json({ error: message, ...detalle });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error('Error en PUT /revista/:idRV:', err);
+        res.status(500).json({ error: 'Error al editar la inspección' });
+    }
+});
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,330 @@
+/**
+ * Módulo para administrar el ciclo de vida de las claves API: creación, listado, rotación y revocación.
+ * Las claves se guardan como SHA-256 en la columna [key]; el valor en claro solo se devuelve al crearlas.
+ * @module apiKeyService
+ */
+const crypto = require('crypto');
+const sql = require('mssql');
+const poolPromise = require('../config/db');
+const { CAPACIDADES } = require('../config/permisos');
+
+/** Nombre de las claves que se emiten al iniciar sesión; POST /auth/logout las revoca. */
+const NOMBRE_API_KEY_SESION = 'Inicio de sesión';
+
+/** Longitud del prefijo visible que identifica una clave en los listados. */
+const LONGITUD_PREFIJO = 8;
+
+/** Horas de gracia por defecto en las que la clave anterior sigue válida tras una rotación. */
+const HORAS_GRACIA_ROTACION = parseInt(process.env.API_KEY_HORAS_GRACIA || 24);
+
+/**
+ * Calcula el hash con el que se guarda y busca una clave API.
+ * @function hashApiKey
+ * @param {string} apiKey - Clave API en claro.
+ * @returns {string} SHA-256 en hexadecimal (minúsculas).
+ */
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Convierte la columna `scopes` (lista separada por comas) en arreglo.
+ * @function leerAlcances
+ * @param {string|null} scopes - Valor de la columna.
+ * @returns {Array<string>|null} Alcances de la clave, o null si no tiene restricciones adicionales.
+ */
+function leerAlcances(scopes) {
+    return scopes ? scopes.split(',').map(alcance => alcance.trim()).filter(Boolean) : null;
+}
+
+/**
+ * Da formato a un registro de api_keys para las respuestas, sin el hash de la clave.
+ * @function formatearApiKey
+ * @param {Object} registro - Registro de api_keys.
+ * @returns {Object} Clave con `id`, `nombre`, `prefijo`, `nivel`, `alcances`, `creadaEn`, `expiraEn`, `revocadaEn`, `rotadaDe` y `estado`.
+ */
+function formatearApiKey(registro) {
+    let estado = 'activa';
+    if (registro.deleted_at) {
+        estado = 'revocada';
+    } else if (registro.expires_at && new Date(registro.expires_at) <= new Date()) {
+        estado = 'expirada';
+    }
+    return {
+        id: registro.id,
+        nombre: registro.name,
+        prefijo: registro.key_prefix,
+        nivel: registro.level,
+        alcances: leerAlcances(registro.scopes),
+        creadaEn: registro.created_at,
+        expiraEn: registro.expires_at,
+        revocadaEn: registro.deleted_at,
+        rotadaDe: registro.rotated_from_id,
+        estado
+    };
+}
+
+/**
+ * Comprueba que una clave emitida desde una solicitud autenticada con otra clave API no la supere: su nivel no puede ser
+ * mayor y sus alcances deben estar dentro de los de la clave actual (una clave sin alcances no puede salir de una que
+ * los tiene). Las solicitudes con sesión no tienen este límite; las capacidades de sus claves ya se acotan a los perfiles.
+ * @function comprobarLimitesClave
+ * @param {Object} usuario - Usuario autenticado (req.user), con `api_key_level` y `api_key_alcances` si usa clave API.
+ * @param {number} nivel - Nivel de la clave que se emite.
+ * @param {Array<string>|null} alcances - Alcances de la clave que se emite.
+ * @returns {Object|null} `{ status: 403, message }` si la clave superaría a la actual, o null si se permite.
+ */
+function comprobarLimitesClave(usuario, nivel, alcances) {
+    if (usuario.api_key_level === undefined || usuario.api_key_level === null) return null;
+    if (nivel > usuario.api_key_level) {
+        return { status: 403, message: `El nivel no puede ser mayor que el de la clave API con la que se autentica (${usuario.api_key_level})` };
+    }
+    const actuales = usuario.api_key_alcances;
+    if (actuales && !actuales.includes(CAPACIDADES.ADMINISTRAR)
+        && (!alcances || alcances.some(alcance => !actuales.includes(alcance)))) {
+        return { status: 403, message: `Los alcances deben estar dentro de los de la clave API con la que se autentica (${actuales.join(', ')})` };
+    }
+    return null;
+}
+
+/**
+ * Crea una clave API para un usuario.
+ * @async
+ * @function crearApiKey
+ * @param {number} userId - ID del usuario dueño de la clave.
+ * @param {Object} opciones - Datos de la clave.
+ * @param {string} opciones.nombre - Nombre descriptivo.
+ * @param {number} opciones.nivel - Nivel de la clave (api_keys.level).
+ * @param {Array<string>} [opciones.alcances] - Capacidades a las que se limita la clave (ver src/config/permisos.js).
+ * @param {Date|string} [opciones.expiraEn] - Fecha de vencimiento; sin ella la clave no vence.
+ * @param {number} [opciones.rotadaDe] - ID de la clave que reemplaza.
+ * @returns {Promise<Object>} Objeto con `data` (clave creada, incluida `apiKey` en claro) y `returnValue`.
+ * @throws {Error} Si falla la inserción.
+ */
+async function crearApiKey(userId, { nombre, nivel, alcances = null, expiraEn = null, rotadaDe = null }) {
+    try {
+        const apiKey = crypto.randomBytes(32).toString('hex');
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('user_id', sql.BigInt, userId)
+            .input('key', sql.VarChar(255), hashApiKey(apiKey))
+            .input('key_prefix', sql.VarChar(12), apiKey.slice(0, LONGITUD_PREFIJO))
+            .input('name', sql.NVarChar(100), nombre)
+            .input('level', sql.SmallInt, nivel)
+            .input('scopes', sql.VarChar(255), alcances && alcances.length > 0 ? alcances.join(',') : null)
+            .input('expires_at', sql.DateTime2, expiraEn ? new Date(expiraEn) : null)
+            .input('rotated_from_id', sql.BigInt, rotadaDe)
+            .input('created_at', sql.DateTime2, new Date())
+            .query(`
+                INSERT INTO [dbo].[api_keys] (user_id, [key], key_prefix, key_hashed, name, level, scopes, ignore_limits, expires_at, rotated_from_id, created_at)
+                OUTPUT INSERTED.id, INSERTED.name, INSERTED.key_prefix, INSERTED.level, INSERTED.scopes,
+                       INSERTED.created_at, INSERTED.expires_at, INSERTED.deleted_at, INSERTED.rotated_from_id
+                VALUES (@user_id, @key, @key_prefix, 1, @name, @level, @scopes, 0, @expires_at, @rotated_from_id, @created_at)
+            `);
+        return {
+            data: { ...formatearApiKey(result.recordset[0]), apiKey },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al crear la clave API: ${err.message}`);
+    }
+}
+
+/**
+ * Lista las claves API de un usuario, incluidas las expiradas y revocadas.
+ * @async
+ * @function listarApiKeys
+ * @param {number} userId - ID del usuario.
+ * @returns {Promise<Object>} Objeto con `data` (claves sin su valor) y `returnValue`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function listarApiKeys(userId) {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('user_id', sql.BigInt, userId)
+            .query(`
+                SELECT id, name, key_prefix, level, scopes, created_at, expires_at, deleted_at, rotated_from_id
+                FROM [dbo].[api_keys]
+                WHERE user_id = @user_id
+                ORDER BY created_at DESC
+            `);
+        return {
+            data: result.recordset.map(formatearApiKey),
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al listar las claves API: ${err.message}`);
+    }
+}
+
+/**
+ * Obtiene una clave API vigente (no revocada ni expirada) de un usuario.
+ * @async
+ * @function obtenerApiKeyVigente
+ * @param {number} userId - ID del usuario.
+ * @param {number} id - ID de la clave.
+ * @returns {Promise<Object|undefined>} Registro de api_keys o undefined si no existe o no está vigente.
+ */
+async function obtenerApiKeyVigente(userId, id) {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('id', sql.BigInt, id)
+        .input('user_id', sql.BigInt, userId)
+        .query(`
+            SELECT id, name, level, scopes, expires_at
+            FROM [dbo].[api_keys]
+            WHERE id = @id AND user_id = @user_id AND deleted_at IS NULL
+              AND (expires_at IS NULL OR expires_at > SYSUTCDATETIME())
+        `);
+    return result.recordset[0];
+}
+
+/**
+ * Rota una clave API: crea una nueva con el mismo nombre, nivel y alcances, y deja la anterior
+ * válida solo durante el periodo de gracia. Desde una clave API solo pueden rotarse claves que no la superen.
+ * @async
+ * @function rotarApiKey
+ * @param {Object} usuario - Usuario autenticado (req.user), dueño de la clave.
+ * @param {number} id - ID de la clave a rotar.
+ * @param {Object} [opciones] - Opciones de rotación.
+ * @param {number} [opciones.horasGracia] - Horas en que la clave anterior sigue válida (API_KEY_HORAS_GRACIA por defecto).
+ * @param {Date|string} [opciones.expiraEn] - Vencimiento de la nueva clave; por defecto el de la anterior.
+ * @returns {Promise<Object>} Objeto con `data` (`nueva` con la clave en claro y `anteriorExpiraEn`) y `returnValue`,
+ *          `{ status: 404, message }` si la clave no existe o ya no está vigente, o `{ status: 403, message }`
+ *          si supera a la clave API con la que se autentica la solicitud.
+ * @throws {Error} Si falla la consulta.
+ */
+async function rotarApiKey(usuario, id, { horasGracia = HORAS_GRACIA_ROTACION, expiraEn } = {}) {
+    try {
+        const anterior = await obtenerApiKeyVigente(usuario.id, id);
+        if (!anterior) {
+            return { status: 404, message: 'Clave API no encontrada o no vigente' };
+        }
+        const excedida = comprobarLimitesClave(usuario, anterior.level, leerAlcances(anterior.scopes));
+        if (excedida) {
+            return excedida;
+        }
+
+        const nueva = await crearApiKey(usuario.id, {
+            nombre: anterior.name,
+            nivel: anterior.level,
+            alcances: leerAlcances(anterior.scopes),
+            expiraEn: expiraEn || anterior.expires_at,
+            rotadaDe: anterior.id
+        });
+
+        // La anterior vence al terminar la gracia, salvo que ya venciera antes
+        const finGracia = new Date(Date.now() + horasGracia * 60 * 60 * 1000);
+        const anteriorExpiraEn = anterior.expires_at && new Date(anterior.expires_at) < finGracia
+            ? anterior.expires_at
+            : finGracia;
+        const pool = await poolPromise;
+        await pool.request()
+            .input('id', sql.BigInt, anterior.id)
+            .input('expires_at', sql.DateTime2, anteriorExpiraEn)
+            .query('UPDATE [dbo].[api_keys] SET expires_at = @expires_at WHERE id = @id');
+
+        return {
+            data: { nueva: nueva.data, anteriorExpiraEn },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al rotar la clave API: ${err.message}`);
+    }
+}
+
+/**
+ * Revoca una clave API marcando deleted_at. Como al rotar, desde una clave API solo pueden revocarse claves
+ * que no la superen, para que una clave limitada no deje sin acceso a los clientes de una de mayor nivel.
+ * @async
+ * @function revocarApiKey
+ * @param {Object} usuario - Usuario autenticado (req.user), dueño de la clave.
+ * @param {number} id - ID de la clave.
+ * @returns {Promise<Object>} Objeto con `data` (`id`, `revocadaEn`) y `returnValue`,
+ *          `{ status: 404, message }` si la clave no existe o ya estaba revocada, o `{ status: 403, message }`
+ *          si supera a la clave API con la que se autentica la solicitud.
+ * @throws {Error} Si falla la consulta.
+ */
+async function revocarApiKey(usuario, id) {
+    try {
+        const pool = await poolPromise;
+        const claveResult = await pool.request()
+            .input('id', sql.BigInt, id)
+            .input('user_id', sql.BigInt, usuario.id)
+            .query(`
+                SELECT level, scopes
+                FROM [dbo].[api_keys]
+                WHERE id = @id AND user_id = @user_id AND deleted_at IS NULL
+            `);
+        const clave = claveResult.recordset[0];
+        if (!clave) {
+            return { status: 404, message: 'Clave API no encontrada o ya revocada' };
+        }
+        const excedida = comprobarLimitesClave(usuario, clave.level, leerAlcances(clave.scopes));
+        if (excedida) {
+            return excedida;
+        }
+
+        const revocadaEn = new Date();
+        const result = await pool.request()
+            .input('id', sql.BigInt, id)
+            .input('user_id', sql.BigInt, usuario.id)
+            .input('deleted_at', sql.DateTime2, revocadaEn)
+            .query(`
+                UPDATE [dbo].[api_keys] SET deleted_at = @deleted_at
+                WHERE id = @id AND user_id = @user_id AND deleted_at IS NULL
+            `);
+        if (result.rowsAffected[0] === 0) {
+            return { status: 404, message: 'Clave API no encontrada o ya revocada' };
+        }
+        return {
+            data: { id, revocadaEn },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al revocar la clave API: ${err.message}`);
+    }
+}
+
+/**
+ * Revoca las claves API vigentes que se emitieron al iniciar sesión (NOMBRE_API_KEY_SESION), para que terminar
+ * las sesiones de un usuario también deje fuera a los clientes que usan esa clave como Bearer.
+ * @async
+ * @function revocarApiKeysSesion
+ * @param {number} userId - ID del usuario dueño de las claves.
+ * @param {Array<number>} [ids] - IDs de las claves a revocar; sin ellos se revocan todas las de inicio de sesión del usuario.
+ * @returns {Promise<number>} Número de claves revocadas.
+ * @throws {Error} Si falla la consulta.
+ */
+async function revocarApiKeysSesion(userId, ids = null) {
+    try {
+        if (ids && ids.length === 0) return 0;
+        const pool = await poolPromise;
+        const request = pool.request()
+            .input('user_id', sql.BigInt, userId)
+            .input('name', sql.NVarChar(100), NOMBRE_API_KEY_SESION)
+            .input('deleted_at', sql.DateTime2, new Date());
+        (ids || []).forEach((id, index) => request.input(`id${index}`, sql.BigInt, id));
+        const result = await request.query(`
+            UPDATE [dbo].[api_keys] SET deleted_at = @deleted_at
+            WHERE user_id = @user_id AND name = @name AND deleted_at IS NULL
+            ${ids ? `AND id IN (${ids.map((id, index) => `@id${index}`).join(', ')})` : ''}
+        `);
+        return result.rowsAffected[0];
+    } catch (err) {
+        throw new Error(`Error al revocar las claves API de sesión: ${err.message}`);
+    }
+}
+
+module.exports = {
+    NOMBRE_API_KEY_SESION,
+    hashApiKey,
+    leerAlcances,
+    comprobarLimitesClave,
+    crearApiKey,
+    listarApiKeys,
+    rotarApiKey,
+    revocarApiKey,
+    revocarApiKeysSesion
+};
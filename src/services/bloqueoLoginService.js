@@ -0,0 +1,227 @@
+/**
+ * Módulo de protección contra fuerza bruta en el inicio de sesión.
+ * Cuenta los intentos fallidos recientes por usuario y por IP (tabla dLoginAttempts), calcula un retraso
+ * progresivo y bloquea temporalmente al usuario o a la IP al superar el límite. El límite por IP es mucho
+ * mayor que el de usuario porque las tabletas de campo de una oficina comparten la misma IP (NAT).
+ * @module bloqueoLoginService
+ */
+const sql = require('mssql');
+const poolPromiseUsers = require('../config/dbUsers');
+
+/**
+ * @constant CONFIG_BLOQUEO
+ * @description Límites de intentos fallidos, configurables por variables de entorno.
+ */
+const CONFIG_BLOQUEO = {
+    ventanaMinutos: parseInt(process.env.LOGIN_VENTANA_MINUTOS || 15), // Periodo en que se cuentan los fallos
+    bloqueoMinutos: parseInt(process.env.LOGIN_BLOQUEO_MINUTOS || 15), // Duración del bloqueo desde el último fallo
+    maxFallosUsuario: parseInt(process.env.LOGIN_MAX_FALLOS_USUARIO || 5),
+    maxFallosIp: parseInt(process.env.LOGIN_MAX_FALLOS_IP || 50),
+    fallosIpSinRetraso: parseInt(process.env.LOGIN_FALLOS_IP_SIN_RETRASO || 10), // Errores de captura tolerados por oficina
+    retrasoBaseMs: parseInt(process.env.LOGIN_RETRASO_BASE_MS || 500),
+    retrasoMaxMs: parseInt(process.env.LOGIN_RETRASO_MAX_MS || 8000)
+};
+
+/**
+ * Retraso progresivo: se duplica con cada fallo hasta el máximo configurado.
+ * @function calcularRetraso
+ * @param {number} fallos - Fallos recientes.
+ * @returns {number} Retraso en milisegundos.
+ */
+function calcularRetraso(fallos) {
+    if (fallos <= 0) return 0;
+    return Math.min(CONFIG_BLOQUEO.retrasoBaseMs * 2 ** (fallos - 1), CONFIG_BLOQUEO.retrasoMaxMs);
+}
+
+/**
+ * Calcula hasta cuándo está bloqueado un usuario o IP.
+ * @function bloqueadoHasta
+ * @param {number} fallos - Fallos recientes.
+ * @param {Date|null} ultimoFallo - Fecha del último fallo.
+ * @param {number} maximo - Fallos permitidos.
+ * @returns {Date|null} Fin del bloqueo, o null si no está bloqueado.
+ */
+function bloqueadoHasta(fallos, ultimoFallo, maximo) {
+    if (fallos < maximo || !ultimoFallo) return null;
+    const fin = new Date(new Date(ultimoFallo).getTime() + CONFIG_BLOQUEO.bloqueoMinutos * 60 * 1000);
+    return fin > new Date() ? fin : null;
+}
+
+/**
+ * Cuenta los fallos recientes de un usuario y de una IP. Los fallos del usuario se reinician con un inicio
+ * de sesión exitoso o un desbloqueo; los de la IP solo con un desbloqueo de la IP.
+ * @async
+ * @function contarFallos
+ * @param {string} login - Nombre de usuario.
+ * @param {string} ip - Dirección IP.
+ * @returns {Promise<Object>} `{ fallosUsuario, ultimoFalloUsuario, fallosIp, ultimoFalloIp }`.
+ */
+async function contarFallos(login, ip) {
+    const pool = await poolPromiseUsers;
+    const result = await pool.request()
+        .input('Login', sql.VarChar(50), login)
+        .input('IpAddress', sql.VarChar(45), ip)
+        .input('Ventana', sql.Int, CONFIG_BLOQUEO.ventanaMinutos)
+        .query(`
+            DECLARE @Desde DATETIME2 = DATEADD(MINUTE, -@Ventana, SYSUTCDATETIME());
+            DECLARE @ReinicioUsuario DATETIME2 = (
+                SELECT MAX(CreatedAt) FROM [dbo].[dLoginAttempts]
+                WHERE Login = @Login AND Resultado IN ('exito', 'desbloqueo')
+            );
+            DECLARE @ReinicioIp DATETIME2 = (
+                SELECT MAX(CreatedAt) FROM [dbo].[dLoginAttempts]
+                WHERE IpAddress = @IpAddress AND Login IS NULL AND Resultado = 'desbloqueo'
+            );
+            SELECT
+                (SELECT COUNT(*) FROM [dbo].[dLoginAttempts]
+                 WHERE Login = @Login AND Resultado = 'fallo' AND CreatedAt > @Desde
+                   AND (@ReinicioUsuario IS NULL OR CreatedAt > @ReinicioUsuario)) AS fallosUsuario,
+                (SELECT MAX(CreatedAt) FROM [dbo].[dLoginAttempts]
+                 WHERE Login = @Login AND Resultado = 'fallo' AND CreatedAt > @Desde
+                   AND (@ReinicioUsuario IS NULL OR CreatedAt > @ReinicioUsuario)) AS ultimoFalloUsuario,
+                (SELECT COUNT(*) FROM [dbo].[dLoginAttempts]
+                 WHERE IpAddress = @IpAddress AND Resultado = 'fallo' AND CreatedAt > @Desde
+                   AND (@ReinicioIp IS NULL OR CreatedAt > @ReinicioIp)) AS fallosIp,
+                (SELECT MAX(CreatedAt) FROM [dbo].[dLoginAttempts]
+                 WHERE IpAddress = @IpAddress AND Resultado = 'fallo' AND CreatedAt > @Desde
+                   AND (@ReinicioIp IS NULL OR CreatedAt > @ReinicioIp)) AS ultimoFalloIp
+        `);
+    return result.recordset[0];
+}
+
+/**
+ * Evalúa si un intento de inicio de sesión debe rechazarse por bloqueo y cuánto debe retrasarse.
+ * @async
+ * @function evaluarIntento
+ * @param {string} login - Nombre de usuario.
+ * @param {string} ip - Dirección IP del cliente.
+ * @returns {Promise<Object>} `{ bloqueado, motivo, bloqueadoHasta, retrasoMs, fallosUsuario, fallosIp }`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function evaluarIntento(login, ip) {
+    try {
+        const { fallosUsuario, ultimoFalloUsuario, fallosIp, ultimoFalloIp } = await contarFallos(login, ip);
+        const finUsuario = bloqueadoHasta(fallosUsuario, ultimoFalloUsuario, CONFIG_BLOQUEO.maxFallosUsuario);
+        const finIp = bloqueadoHasta(fallosIp, ultimoFalloIp, CONFIG_BLOQUEO.maxFallosIp);
+        const fin = [finUsuario, finIp].filter(Boolean).sort((a, b) => b - a)[0] || null;
+        return {
+            bloqueado: Boolean(fin),
+            motivo: finUsuario ? 'usuario' : finIp ? 'ip' : null,
+            bloqueadoHasta: fin,
+            retrasoMs: Math.max(
+                calcularRetraso(fallosUsuario),
+                calcularRetraso(fallosIp - CONFIG_BLOQUEO.fallosIpSinRetraso)
+            ),
+            fallosUsuario,
+            fallosIp
+        };
+    } catch (err) {
+        throw new Error(`Error al evaluar el intento de inicio de sesión: ${err.message}`);
+    }
+}
+
+/**
+ * Registra un intento de inicio de sesión en dLoginAttempts.
+ * @async
+ * @function registrarIntento
+ * @param {Object} intento - Datos del intento.
+ * @param {string|null} intento.login - Nombre de usuario (null en desbloqueos de IP).
+ * @param {number} [intento.userId] - ID del usuario, si se conoce.
+ * @param {string|null} intento.ip - Dirección IP del cliente.
+ * @param {string} intento.resultado - 'exito', 'fallo', 'bloqueado' o 'desbloqueo'.
+ * @param {string} [intento.motivo] - Detalle del resultado.
+ * @param {string} [intento.userAgent] - Agente de usuario.
+ * @returns {Promise<void>}
+ */
+async function registrarIntento({ login, userId = null, ip, resultado, motivo = null, userAgent = null }) {
+    try {
+        const pool = await poolPromiseUsers;
+        await pool.request()
+            .input('Login', sql.VarChar(50), login)
+            .input('UserID', sql.Int, userId)
+            .input('IpAddress', sql.VarChar(45), ip)
+            .input('Resultado', sql.VarChar(20), resultado)
+            .input('Motivo', sql.NVarChar(200), motivo ? motivo.slice(0, 200) : null)
+            .input('UserAgent', sql.NVarChar(300), userAgent ? userAgent.slice(0, 300) : null)
+            .query(`
+                INSERT INTO [dbo].[dLoginAttempts] (Login, UserID, IpAddress, Resultado, Motivo, UserAgent)
+                VALUES (@Login, @UserID, @IpAddress, @Resultado, @Motivo, @UserAgent)
+            `);
+    } catch (err) {
+        console.error(`Error al registrar intento de inicio de sesión: ${err.message}`);
+        // No lanzar error para no interrumpir el inicio de sesión
+    }
+}
+
+/**
+ * Obtiene el estado de bloqueo de un usuario o de una IP.
+ * @async
+ * @function obtenerEstadoBloqueo
+ * @param {Object} filtro - Usuario o IP.
+ * @param {string} [filtro.login] - Nombre de usuario.
+ * @param {string} [filtro.ip] - Dirección IP.
+ * @returns {Promise<Object>} Objeto con `data` (`login`, `ip`, `fallosUsuario`, `fallosIp`, `bloqueado`, `motivo`, `bloqueadoHasta`) y `returnValue`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerEstadoBloqueo({ login = null, ip = null }) {
+    try {
+        const estado = await evaluarIntento(login, ip);
+        return {
+            data: {
+                login,
+                ip,
+                fallosUsuario: login ? estado.fallosUsuario : null,
+                fallosIp: ip ? estado.fallosIp : null,
+                bloqueado: estado.bloqueado,
+                motivo: estado.motivo,
+                bloqueadoHasta: estado.bloqueadoHasta
+            },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al obtener el estado de bloqueo: ${err.message}`);
+    }
+}
+
+/**
+ * Desbloquea a un usuario o a una IP registrando un 'desbloqueo', que reinicia su conteo de fallos.
+ * @async
+ * @function desbloquear
+ * @param {Object} filtro - Usuario o IP.
+ * @param {string} [filtro.login] - Nombre de usuario.
+ * @param {string} [filtro.ip] - Dirección IP.
+ * @param {Object} administrador - Usuario que desbloquea (`id`, `username`).
+ * @returns {Promise<Object>} Objeto con `data` (`login`, `ip`) y `returnValue`.
+ * @throws {Error} Si falla el registro.
+ */
+async function desbloquear({ login = null, ip = null }, administrador) {
+    try {
+        const pool = await poolPromiseUsers;
+        const motivo = `Desbloqueado por ${administrador.username || administrador.id}`;
+        const request = pool.request()
+            .input('Login', sql.VarChar(50), login)
+            .input('IpAddress', sql.VarChar(45), ip)
+            .input('Motivo', sql.NVarChar(200), motivo);
+        // Un desbloqueo de usuario lleva Login; uno de IP, Login NULL
+        await request.query(`
+            IF @Login IS NOT NULL
+                INSERT INTO [dbo].[dLoginAttempts] (Login, IpAddress, Resultado, Motivo) VALUES (@Login, NULL, 'desbloqueo', @Motivo);
+            IF @IpAddress IS NOT NULL
+                INSERT INTO [dbo].[dLoginAttempts] (Login, IpAddress, Resultado, Motivo) VALUES (NULL, @IpAddress, 'desbloqueo', @Motivo);
+        `);
+        return {
+            data: { login, ip },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al desbloquear: ${err.message}`);
+    }
+}
+
+module.exports = {
+    CONFIG_BLOQUEO,
+    evaluarIntento,
+    registrarIntento,
+    obtenerEstadoBloqueo,
+    desbloquear
+};
@@ -0,0 +1,306 @@
+/**
+ * Módulo para la búsqueda global (GET /buscar): detecta qué tipo de dato se capturó (placa, NIV, número de motor,
+ * folio, expediente, RFC, CURP o nombre), consulta en paralelo las búsquedas existentes de dbService que aplican
+ * y devuelve los resultados agrupados por tipo, cada uno con el enlace a su endpoint de detalle.
+ * @module busquedaGlobalService
+ */
+const dbService = require('./dbService');
+
+/** Resultados por grupo cuando no se indica `limite`. */
+const LIMITE_POR_GRUPO = 5;
+
+/**
+ * @constant PATRONES_BUSQUEDA
+ * @description Expresiones para reconocer cada tipo de dato (sobre el texto en mayúsculas y sin espacios ni guiones,
+ *              salvo `nombre`, que se evalúa sobre el texto original).
+ */
+const PATRONES_BUSQUEDA = {
+    curp: /^[A-Z]{4}\d{6}[HMX][A-Z]{5}[0-9A-Z]\d$/,
+    rfc: /^[A-ZÑ&]{3,4}\d{6}[A-Z0-9]{3}$/,
+    niv: /^[A-HJ-NPR-Z0-9]{17}$/,
+    placa: /^(?=.*[A-Z])(?=.*\d)[A-Z0-9]{5,8}$/,
+    motor: /^(?=.*\d)[A-Z0-9]{6,16}$/,
+    folio: /^\d{1,10}$/,
+    nombre: /^[A-Za-zÁÉÍÓÚÜÑáéíóúüñ.'\s]{3,}$/
+};
+
+/**
+ * @constant TIPOS_BUSQUEDA
+ * @description Tipos de dato que reconoce la búsqueda global, en orden de prioridad.
+ */
+const TIPOS_BUSQUEDA = ['curp', 'rfc', 'niv', 'placa', 'motor', 'folio', 'expediente', 'nombre'];
+
+/**
+ * Detecta los tipos de dato que puede representar el texto capturado, del más al menos probable.
+ * Un mismo texto puede corresponder a varios tipos (p. ej. una placa también puede ser un número de motor).
+ * @function detectarTipos
+ * @param {string} consulta - Texto capturado.
+ * @returns {Array<string>} Tipos detectados (ver TIPOS_BUSQUEDA).
+ */
+function detectarTipos(consulta) {
+    const texto = String(consulta).trim();
+    const compacto = texto.toUpperCase().replace(/[\s-]/g, '');
+    const tipos = [];
+    if (PATRONES_BUSQUEDA.curp.test(compacto)) tipos.push('curp');
+    if (PATRONES_BUSQUEDA.rfc.test(compacto)) tipos.push('rfc');
+    if (tipos.length > 0) return tipos;
+
+    if (PATRONES_BUSQUEDA.niv.test(compacto)) tipos.push('niv');
+    if (PATRONES_BUSQUEDA.placa.test(compacto)) tipos.push('placa', 'expediente');
+    if (PATRONES_BUSQUEDA.motor.test(compacto)) tipos.push('motor');
+    if (PATRONES_BUSQUEDA.folio.test(compacto)) tipos.push('folio');
+    if (tipos.length === 0 && PATRONES_BUSQUEDA.nombre.test(texto)) tipos.push('nombre');
+    return tipos;
+}
+
+/**
+ * Separa un nombre completo en nombre, apellido paterno y materno (los dos últimos son los apellidos).
+ * @function separarNombre
+ * @param {string} texto - Nombre capturado.
+ * @returns {Object} `{ nombre, paterno, materno }`; con una sola palabra se toma como apellido paterno.
+ */
+function separarNombre(texto) {
+    const palabras = texto.trim().split(/\s+/);
+    if (palabras.length === 1) return { paterno: palabras[0] };
+    if (palabras.length === 2) return { nombre: palabras[0], paterno: palabras[1] };
+    return {
+        nombre: palabras.slice(0, -2).join(' '),
+        paterno: palabras[palabras.length - 2],
+        materno: palabras[palabras.length - 1]
+    };
+}
+
+/**
+ * Convierte un vehículo de obtenerVehiculosPorPlacaNumSerie en resultado de búsqueda.
+ * @function resultadoVehiculo
+ * @param {Object} item - Vehículo.
+ * @returns {Object} Resultado con `entidad`, `id`, `titulo`, `descripcion`, `enlace` y `datos`.
+ */
+function resultadoVehiculo(item) {
+    return {
+        entidad: 'vehiculo',
+        id: item.IdVehiculo,
+        titulo: [item.Marca, item.SubMarca, item.PlacaAsignada].filter(Boolean).join(' '),
+        descripcion: `NIV ${item.SerieNIV || 'N/D'} · Motor ${item.Motor || 'N/D'} · ${item.Estatus}`,
+        enlace: item.IdConcesion ? `/api/concesion/${item.IdConcesion}/vehiculo/${item.IdVehiculo}` : null,
+        datos: item
+    };
+}
+
+/**
+ * Convierte una concesión (`idConcesion`, `folio`, `seriePlaca`, `numeroExpediente`) en resultado de búsqueda.
+ * @function resultadoConcesion
+ * @param {Object} item - Concesión.
+ * @returns {Object} Resultado con `entidad`, `id`, `titulo`, `descripcion`, `enlace` y `datos`.
+ */
+function resultadoConcesion(item) {
+    const idConcesion = item.idConcesion ?? item.IdConcesion;
+    const folio = item.folio ?? item.Folio;
+    return {
+        entidad: 'concesion',
+        id: idConcesion,
+        titulo: `Concesión ${folio || idConcesion}`,
+        descripcion: [
+            item.seriePlaca ?? item.SeriePlacaActual,
+            (item.numeroExpediente ?? item.NumeroExpediente) ? `Expediente ${item.numeroExpediente ?? item.NumeroExpediente}` : null
+        ].filter(Boolean).join(' · '),
+        enlace: `/api/concesion/${idConcesion}`,
+        datos: item
+    };
+}
+
+/**
+ * Convierte un concesionario de obtenerConcesionariosPorNombre en resultado de búsqueda.
+ * @function resultadoConcesionario
+ * @param {Object} item - Concesionario.
+ * @returns {Object} Resultado con `entidad`, `id`, `titulo`, `descripcion`, `enlace`, `coincidencias` y `datos`.
+ */
+function resultadoConcesionario(item) {
+    return {
+        entidad: 'concesionario',
+        id: item.idConcesionario,
+        titulo: item.nombreCompleto,
+        descripcion: [item.tipoPersona, item.RFC, item.CURP].filter(Boolean).join(' · '),
+        enlace: `/api/concesion/concesionario/${item.idConcesionario}`,
+        coincidencias: item.coincidencias,
+        datos: item
+    };
+}
+
+/**
+ * Convierte una revista de buscarRevistasVehiculares en resultado de búsqueda.
+ * @function resultadoRevista
+ * @param {Object} item - Revista vehicular.
+ * @returns {Object} Resultado con `entidad`, `id`, `titulo`, `descripcion`, `enlace` y `datos`.
+ */
+function resultadoRevista(item) {
+    return {
+        entidad: 'revista',
+        id: item.IdRevistaVehicular,
+        titulo: `Revista ${item.IdRevistaVehicular} · ${item.Placa || 'sin placa'}`,
+        descripcion: [item.Estatus, item.Tramite, item.FechaInspeccion ? new Date(item.FechaInspeccion).toISOString().slice(0, 10) : null]
+            .filter(Boolean).join(' · '),
+        enlace: `/api/revista/${item.IdRevistaVehicular}`,
+        datos: item
+    };
+}
+
+/**
+ * @constant BUSQUEDAS
+ * @description Búsquedas de cada tipo de dato: grupo de resultados, etiqueta y función que consulta dbService.
+ *              Cada función recibe el texto normalizado y el límite, y devuelve `{ total, resultados }`.
+ */
+const BUSQUEDAS = {
+    curp: [{
+        grupo: 'concesionarios',
+        etiqueta: 'Concesionarios por CURP',
+        buscar: async (texto, limite) => {
+            const result = await dbService.obtenerConcesionariosPorNombre({ curp: texto }, 1, limite);
+            return { total: result.totalRecords, resultados: result.data.map(resultadoConcesionario) };
+        }
+    }],
+    rfc: [{
+        grupo: 'concesionarios',
+        etiqueta: 'Concesionarios por RFC',
+        buscar: async (texto, limite) => {
+            const result = await dbService.obtenerConcesionariosPorNombre({ rfc: texto }, 1, limite);
+            return { total: result.totalRecords, resultados: result.data.map(resultadoConcesionario) };
+        }
+    }],
+    niv: [{
+        grupo: 'vehiculos',
+        etiqueta: 'Vehículos por NIV',
+        buscar: async texto => {
+            const result = await dbService.obtenerVehiculosPorPlacaNumSerie(null, texto, null);
+            return { total: result.data.length, resultados: result.data.map(resultadoVehiculo) };
+        }
+    }],
+    placa: [{
+        grupo: 'vehiculos',
+        etiqueta: 'Vehículos por placa',
+        buscar: async texto => {
+            const result = await dbService.obtenerVehiculosPorPlacaNumSerie(texto, null, null);
+            return { total: result.data.length, resultados: result.data.map(resultadoVehiculo) };
+        }
+    }, {
+        grupo: 'revistas',
+        etiqueta: 'Revistas por placa',
+        buscar: async (texto, limite) => {
+            const result = await dbService.buscarRevistasVehiculares(null, texto, null, null, null, 1, limite);
+            return { total: result.totalRecords, resultados: result.data.map(resultadoRevista) };
+        }
+    }],
+    expediente: [{
+        grupo: 'concesiones',
+        etiqueta: 'Concesiones por serie de placa',
+        buscar: async texto => {
+            const result = await dbService.obtenerConcesionPorFolioPlaca(texto, null);
+            const data = result.data || [];
+            return { total: data.length, resultados: data.map(resultadoConcesion) };
+        }
+    }],
+    motor: [{
+        grupo: 'vehiculos',
+        etiqueta: 'Vehículos por número de motor',
+        buscar: async texto => {
+            const result = await dbService.obtenerVehiculosPorPlacaNumSerie(null, null, texto);
+            return { total: result.data.length, resultados: result.data.map(resultadoVehiculo) };
+        }
+    }],
+    folio: [{
+        grupo: 'concesiones',
+        etiqueta: 'Concesiones por folio',
+        buscar: async texto => {
+            const result = await dbService.obtenerConcesionPorFolio(texto);
+            return { total: result.data ? 1 : 0, resultados: result.data ? [resultadoConcesion(result.data)] : [] };
+        }
+    }],
+    nombre: [{
+        grupo: 'concesionarios',
+        etiqueta: 'Concesionarios por nombre',
+        buscar: async (texto, limite) => {
+            const result = await dbService.obtenerConcesionariosPorNombre(separarNombre(texto), 1, limite);
+            return { total: result.totalRecords, resultados: result.data.map(resultadoConcesionario) };
+        }
+    }, {
+        grupo: 'concesionarios',
+        etiqueta: 'Concesionarios por razón social',
+        buscar: async (texto, limite) => {
+            const result = await dbService.obtenerConcesionariosPorNombre({ nombre: texto }, 1, limite);
+            return { total: result.totalRecords, resultados: result.data.map(resultadoConcesionario) };
+        }
+    }]
+};
+
+/**
+ * Busca el texto capturado en concesiones, concesionarios, vehículos y revistas según el tipo de dato detectado.
+ * Las búsquedas se ejecutan en paralelo; si alguna falla, su grupo se reporta con `error` y las demás se devuelven.
+ * Los resultados repetidos dentro de un grupo (misma entidad e ID) se devuelven una sola vez.
+ * @async
+ * @function buscar
+ * @param {string} consulta - Texto capturado.
+ * @param {Object} [opciones] - Opciones de la búsqueda.
+ * @param {string} [opciones.tipo] - Fuerza un tipo de dato (ver TIPOS_BUSQUEDA) en lugar de detectarlo.
+ * @param {number} [opciones.limite=5] - Resultados máximos por grupo.
+ * @returns {Promise<Object>} Objeto con `data` (`consulta`, `tiposDetectados`, `grupos` con `grupo`, `etiquetas`, `total`,
+ *          `resultados` y `errores`) y `returnValue`, o `{ status: 404, message, tiposDetectados }` si no hay resultados
+ *          o el texto no corresponde a ningún tipo.
+ */
+async function buscar(consulta, { tipo = null, limite = LIMITE_POR_GRUPO } = {}) {
+    const texto = String(consulta).trim().replace(/\s+/g, ' ');
+    const tiposDetectados = tipo ? [tipo] : detectarTipos(texto);
+    if (tiposDetectados.length === 0) {
+        return {
+            status: 404,
+            message: 'No se reconoce el dato capturado como placa, NIV, número de motor, folio, expediente, RFC, CURP o nombre',
+            tiposDetectados
+        };
+    }
+
+    // Los identificadores se buscan en mayúsculas y sin espacios ni guiones; los nombres tal como se capturaron
+    const compacto = texto.toUpperCase().replace(/[\s-]/g, '');
+    const busquedas = tiposDetectados.flatMap(tipoDetectado => BUSQUEDAS[tipoDetectado].map(busqueda => ({ ...busqueda, tipo: tipoDetectado })));
+    const respuestas = await Promise.allSettled(busquedas.map(busqueda =>
+        busqueda.buscar(busqueda.tipo === 'nombre' ? texto : compacto, limite)));
+
+    const grupos = new Map();
+    busquedas.forEach((busqueda, index) => {
+        if (!grupos.has(busqueda.grupo)) {
+            grupos.set(busqueda.grupo, { grupo: busqueda.grupo, etiquetas: [], total: 0, resultados: [], errores: [] });
+        }
+        const grupo = grupos.get(busqueda.grupo);
+        const respuesta = respuestas[index];
+        if (respuesta.status === 'rejected') {
+            console.error(`Error en la búsqueda global (${busqueda.etiqueta}):`, respuesta.reason);
+            grupo.errores.push(`Error al consultar ${busqueda.etiqueta.toLowerCase()}`);
+            return;
+        }
+        const nuevos = respuesta.value.resultados.filter(resultado =>
+            !grupo.resultados.some(existente => existente.entidad === resultado.entidad && existente.id === resultado.id));
+        grupo.etiquetas.push(busqueda.etiqueta);
+        grupo.total += respuesta.value.total - (respuesta.value.resultados.length - nuevos.length);
+        grupo.resultados.push(...nuevos.map(resultado => ({ ...resultado, tipoDato: busqueda.tipo })));
+    });
+
+    const data = [...grupos.values()]
+        .map(grupo => ({ ...grupo, resultados: grupo.resultados.slice(0, limite) }))
+        .filter(grupo => grupo.resultados.length > 0 || grupo.errores.length > 0);
+    if (data.length === 0) {
+        return { status: 404, message: 'No se encontraron resultados', tiposDetectados };
+    }
+
+    return {
+        data: {
+            consulta: texto,
+            tiposDetectados,
+            grupos: data
+        },
+        returnValue: 0
+    };
+}
+
+module.exports = {
+    TIPOS_BUSQUEDA,
+    detectarTipos,
+    buscar
+};
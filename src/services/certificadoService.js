@@ -0,0 +1,256 @@
+/**
+ * Módulo para generar el certificado imprimible (PDF) de una revista vehicular.
+ * @module certificadoService
+ */
+const { jsPDF } = require('jspdf');
+const { autoTable } = require('jspdf-autotable');
+const dbService = require('./dbService');
+const puntuacionService = require('./puntuacionService');
+const plantillaReporteService = require('./plantillaReporteService');
+const { ORIENTACIONES, PLANTILLA_BASE } = require('../config/plantillaReporte');
+const {
+    CHECKLIST_REVISTA,
+    obtenerValorCampo,
+    describirValorChecklist
+} = require('../config/checklistRevista');
+
+/**
+ * Formatea un valor para mostrarlo en el certificado.
+ * @function formatearValor
+ * @param {*} valor - Valor a formatear.
+ * @returns {string} Valor como texto, con las fechas en formato DD/MM/YYYY HH:mm.
+ */
+function formatearValor(valor) {
+    if (valor === null || valor === undefined || valor === '') return '-';
+    if (valor instanceof Date) {
+        const day = String(valor.getDate()).padStart(2, '0');
+        const month = String(valor.getMonth() + 1).padStart(2, '0');
+        const hours = String(valor.getHours()).padStart(2, '0');
+        const minutes = String(valor.getMinutes()).padStart(2, '0');
+        return `${day}/${month}/${valor.getFullYear()} ${hours}:${minutes}`;
+    }
+    return String(valor);
+}
+
+/**
+ * Construye las filas [etiqueta, valor] de una sección a partir de un registro.
+ * Los campos que no existan en el registro se omiten.
+ * @function filasDesdeRegistro
+ * @param {Object} registro - Registro devuelto por la base de datos.
+ * @param {Array<Array>} campos - Pares [etiqueta, [camposCandidatos]].
+ * @returns {Array<Array<string>>} Filas para autoTable.
+ */
+function filasDesdeRegistro(registro, campos) {
+    if (!registro) return [];
+    return campos
+        .map(([etiqueta, candidatos]) => {
+            const campo = candidatos.find(c => obtenerValorCampo(registro, c) !== undefined);
+            return campo ? [etiqueta, formatearValor(obtenerValorCampo(registro, campo))] : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Detecta el formato de una imagen codificada en base64 para jsPDF.
+ * @function formatoImagen
+ * @param {string} base64 - Imagen en base64.
+ * @returns {string|null} 'PNG', 'JPEG' o null si no se reconoce.
+ */
+function formatoImagen(base64) {
+    if (!base64) return null;
+    if (base64.startsWith('iVBOR')) return 'PNG';
+    if (base64.startsWith('/9j/')) return 'JPEG';
+    return null;
+}
+
+/**
+ * Reúne toda la información necesaria para el certificado de una revista vehicular.
+ * @async
+ * @function obtenerDatosCertificado
+ * @param {number} idRV - ID de la inspección vehicular.
+ * @returns {Promise<Object|null>} Objeto con `revista`, `concesion`, `concesionario`, `vehiculo`,
+ *          `clasificacion` e `imagenes`, o null si la inspección no existe.
+ * @throws {Error} Si falla alguna de las consultas.
+ */
+async function obtenerDatosCertificado(idRV) {
+    const revistaResult = await dbService.obtenerRevistaPorId(idRV);
+    const revista = revistaResult.data;
+    if (!revista) return null;
+
+    // La columna de la concesión en RevistaVehicular se llama IdConsesion
+    const idConcesion = parseInt(obtenerValorCampo(revista, 'IdConsesion'));
+    const idPropietario = parseInt(obtenerValorCampo(revista, 'IdPropietario'));
+    const idVehiculo = parseInt(obtenerValorCampo(revista, 'IdVehiculo'));
+
+    const [concesion, concesionario, vehiculo, imagenes, catalogos] = await Promise.all([
+        isNaN(idConcesion) ? { data: null } : dbService.obtenerConcesionPorId(idConcesion),
+        isNaN(idPropietario) ? { data: null } : dbService.obtenerConcesionarioPorId(idPropietario),
+        isNaN(idVehiculo) ? { data: null } : dbService.obtenerVehiculoPorId(idVehiculo),
+        dbService.obtenerImagenesRevista(idRV),
+        puntuacionService.obtenerCatalogosPuntuacion()
+    ]);
+
+    // Resolver el nombre de la clasificación si el procedimiento solo devuelve el ID
+    let clasificacion = obtenerValorCampo(revista, 'Clasificacion');
+    const clasificacionId = parseInt(obtenerValorCampo(revista, 'ClasificacionId'));
+    if (!clasificacion && !isNaN(clasificacionId)) {
+        const registro = (catalogos.Clasificacion || []).find(item => item.id === clasificacionId);
+        clasificacion = registro ? registro.descripcion : clasificacionId;
+    }
+
+    return {
+        revista,
+        concesion: concesion.data,
+        concesionario: concesionario.data,
+        vehiculo: vehiculo.data,
+        clasificacion,
+        imagenes: imagenes.data || []
+    };
+}
+
+/**
+ * Genera el certificado de inspección en PDF de una revista vehicular con la presentación de una plantilla
+ * (logo, título, encabezado, colores, orientación, firmas y pie de página).
+ * @async
+ * @function generarCertificadoRevista
+ * @param {number} idRV - ID de la inspección vehicular.
+ * @param {Object} [plantilla] - Plantilla de plantillaReporteService.obtenerPlantillaReporte; por defecto PLANTILLA_BASE.
+ * @returns {Promise<Buffer|null>} Buffer con el PDF, o null si la inspección no existe.
+ * @throws {Error} Si falla la obtención de datos o la generación del documento.
+ */
+async function generarCertificadoRevista(idRV, plantilla = PLANTILLA_BASE) {
+    try {
+        const datos = await obtenerDatosCertificado(idRV);
+        if (!datos) return null;
+        const { revista, concesion, concesionario, vehiculo, clasificacion, imagenes } = datos;
+
+        const doc = new jsPDF({ orientation: ORIENTACIONES[plantilla.orientacion || 'vertical'] });
+        const pageWidth = doc.internal.pageSize.width;
+        const pageHeight = doc.internal.pageSize.height;
+        const margin = 14;
+        const { logo, anchoLogo, altoLogo } = plantilla;
+        const headStyles = {
+            fillColor: plantillaReporteService.colorRgb(plantilla.colorEncabezado),
+            textColor: plantillaReporteService.colorRgb(plantilla.colorTextoEncabezado),
+            fontStyle: 'bold'
+        };
+
+        // Encabezado: con logo, el texto se centra en el espacio a su derecha
+        if (logo) {
+            doc.addImage(logo.buffer.toString('base64'), logo.mimetype.split('/')[1].toUpperCase(), margin, 8, anchoLogo, altoLogo);
+        }
+        const centroX = logo ? (margin + anchoLogo + pageWidth - margin) / 2 : pageWidth / 2;
+        doc.setFontSize(16);
+        doc.text(plantilla.titulo || 'Certificado de Revista Vehicular', centroX, 18, { align: 'center' });
+        doc.setFontSize(10);
+        doc.text(`Inspección No. ${idRV}`, centroX, 25, { align: 'center' });
+        if (plantilla.encabezado) {
+            doc.setFontSize(9);
+            doc.text(plantilla.encabezado, centroX, 31, { align: 'center' });
+        }
+        const finEncabezado = Math.max(plantilla.encabezado ? 34 : 28, logo ? 8 + altoLogo : 0);
+
+        const tablaSeccion = (titulo, filas) => {
+            if (filas.length === 0) return;
+            autoTable(doc, {
+                head: [[{ content: titulo, colSpan: 2 }]],
+                body: filas,
+                startY: (doc.lastAutoTable ? doc.lastAutoTable.finalY : finEncabezado) + 4,
+                margin: { left: margin, right: margin },
+                styles: { fontSize: 9, cellPadding: 1.5 },
+                headStyles,
+                columnStyles: { 0: { cellWidth: 60, fontStyle: 'bold' } }
+            });
+        };
+
+        tablaSeccion('Datos de la inspección', filasDesdeRegistro(revista, [
+            ['Fecha de inspección', ['FechaInspeccion']],
+            ['Trámite', ['Tramite', 'IdTramite']],
+            ['Estatus', ['Estatus', 'IdEstatus']],
+            ['Folio', ['Folio']],
+            ['Inspector', ['Inspector']]
+        ]));
+
+        tablaSeccion('Concesión', filasDesdeRegistro(concesion, [
+            ['ID de concesión', ['IdConcesion', 'IdConsesion']],
+            ['Folio', ['Folio']],
+            ['Número de expediente', ['NumeroExpediente']],
+            ['Modalidad', ['Modalidad']],
+            ['Municipio', ['Municipio']],
+            ['Serie de placa', ['SeriePlacaActual']]
+        ]));
+
+        tablaSeccion('Propietario', filasDesdeRegistro(concesionario || revista, [
+            ['Nombre', ['NombreConcesionario', 'NombreCompleto', 'Propietario']],
+            ['Tipo de persona', ['TipoPersona']],
+            ['RFC', ['RFC']],
+            ['CURP', ['CURP']]
+        ]));
+
+        tablaSeccion('Vehículo', filasDesdeRegistro(vehiculo || revista, [
+            ['Placa', ['PlacaAsignada', 'Placa']],
+            ['Marca', ['Marca']],
+            ['Submarca', ['SubMarca', 'Submarca']],
+            ['Modelo', ['Modelo', 'Anio']],
+            ['Número de serie (NIV)', ['SerieNIV', 'NumeroSerie']],
+            ['Número de motor', ['Motor', 'NumeroMotor']],
+            ['Color', ['Color']]
+        ]));
+
+        // Resultados del checklist
+        autoTable(doc, {
+            head: [['Elemento revisado', 'Resultado']],
+            body: CHECKLIST_REVISTA.map(item => [
+                item.etiqueta,
+                describirValorChecklist(item, obtenerValorCampo(revista, item.columna || item.campo))
+            ]),
+            startY: doc.lastAutoTable.finalY + 4,
+            margin: { left: margin, right: margin },
+            styles: { fontSize: 9, cellPadding: 1.5 },
+            headStyles
+        });
+
+        const aprobado = parseInt(obtenerValorCampo(revista, 'Aprobado')) === 1;
+        tablaSeccion('Resultado', [
+            ['Puntuación', formatearValor(obtenerValorCampo(revista, 'Puntuacion'))],
+            ['Clasificación', formatearValor(clasificacion)],
+            ['Dictamen', aprobado ? 'APROBADO' : 'NO APROBADO'],
+            ['Observaciones', formatearValor(obtenerValorCampo(revista, 'Observaciones'))]
+        ]);
+        plantillaReporteService.agregarFirmasPdf(doc, plantilla.firmas, doc.lastAutoTable.finalY, margin);
+
+        // Fotografías (dos por fila)
+        const fotos = imagenes.filter(img => formatoImagen(img.ImagenBase64));
+        if (fotos.length > 0) {
+            doc.addPage();
+            doc.setFontSize(12);
+            doc.text('Fotografías de la inspección', margin, 18);
+            const fotoWidth = (pageWidth - margin * 3) / 2;
+            const fotoHeight = fotoWidth * 0.75;
+            let y = 24;
+            fotos.forEach((img, index) => {
+                const columna = index % 2;
+                if (columna === 0 && index > 0) y += fotoHeight + 12;
+                if (y + fotoHeight + 8 > pageHeight - margin) {
+                    doc.addPage();
+                    y = 18;
+                }
+                const x = margin + columna * (fotoWidth + margin);
+                doc.addImage(img.ImagenBase64, formatoImagen(img.ImagenBase64), x, y, fotoWidth, fotoHeight);
+                doc.setFontSize(8);
+                doc.text(formatearValor(img.TipoImagen), x, y + fotoHeight + 4);
+            });
+        }
+
+        // Pie de página en todas las hojas
+        plantillaReporteService.agregarPiePdf(doc, plantilla);
+
+        return Buffer.from(doc.output('arraybuffer'));
+    } catch (err) {
+        throw new Error(`Error al generar el certificado de la revista: ${err.message}`);
+    }
+}
+
+module.exports = {
+    generarCertificadoRevista
+};
@@ -6,7 +6,12 @@ const poolPromise = require('../config/db');
 const poolVehiclePromise = require('../config/dbVehicle');
 const poolUsersPromise = require('../config/dbUsers');
 const sql = require('mssql');
-const ExcelJS = require('exceljs');
+const { Transform } = require('stream');
+const { ESTATUS_REVISTA, OPERACIONES_REVISTA, NOMBRES_OPERACION, obtenerTransicion, transicionesDesde } = require('../config/estatusRevista');
+const { asignarFolio, anularFolioEnTransaccion } = require('./folioService');
+const { CHECKLIST_REVISTA, CAMPOS_EDITABLES_REVISTA, condicionItemReprobadoSql } = require('../config/checklistRevista');
+const { AGRUPACIONES_REPORTE_INSPECCIONES } = require('../config/reporteInspecciones');
+const { errorValidacion } = require('../middlewares/validacion');
 // Catálogos en memoria
 let generoMap = new Map();
 let nacionalidadMap = new Map();
@@ -141,58 +146,168 @@ async function obtenerConcesionPorFolioPlaca(seriePlaca, folio) {
 }
 
 /**
- * Busca concesionarios por nombre con paginación.
+ * Ejecuta una consulta o procedimiento en modo stream y devuelve sus filas como un stream de objetos,
+ * con contrapresión: la lectura de la base de datos se pausa mientras el consumidor no pida más filas,
+ * y se cancela si el stream se destruye antes de terminar.
+ * @function transmitirFilas
+ * @param {sql.Request} request - Solicitud con sus parámetros ya definidos.
+ * @param {Object} origen - `{ query }` o `{ procedimiento }` a ejecutar.
+ * @param {Function} mapear - Transforma cada fila antes de entregarla.
+ * @returns {Transform} Stream de objetos (objectMode) con las filas mapeadas.
+ */
+function transmitirFilas(request, { query, procedimiento }, mapear) {
+    const salida = new Transform({
+        objectMode: true,
+        transform(fila, encoding, callback) {
+            callback(null, mapear(fila));
+        }
+    });
+    const filas = request.toReadableStream();
+    filas.on('error', err => salida.destroy(err));
+    filas.pipe(salida);
+    // Si el consumidor abandona el stream (p. ej. el cliente cerró la conexión) se cancela la consulta
+    salida.on('close', () => {
+        if (!filas.readableEnded) {
+            request.cancel();
+            filas.destroy();
+        }
+    });
+    // En modo stream los errores llegan por el evento 'error'; la promesa solo se atrapa para no dejarla sin manejar
+    (procedimiento ? request.execute(procedimiento) : request.query(query)).catch(err => salida.destroy(err));
+    return salida;
+}
+
+/**
+ * @constant ORDEN_CONCESIONARIOS
+ * @description Valores de @ordenarPor de ConcesionarioObtenerPorNombreRfcPaginado.
+ */
+const ORDEN_CONCESIONARIOS = ['relevancia', 'id', 'nombre', 'rfc'];
+
+/**
+ * @constant TIPOS_COINCIDENCIA
+ * @description Tipo de coincidencia según el puntaje de cada criterio (ver sql/010_concesionario_busqueda_aproximada.sql).
+ */
+const TIPOS_COINCIDENCIA = { 100: 'exacta', 80: 'prefijo', 60: 'parcial', 40: 'aproximada' };
+
+/**
+ * Normaliza un criterio de búsqueda: quita espacios sobrantes y, si se indica, lo pasa a mayúsculas.
+ * @function normalizarCriterio
+ * @param {string} [valor] - Texto capturado.
+ * @param {boolean} [mayusculas=false] - Convertir a mayúsculas (RFC y CURP).
+ * @returns {string|null} Criterio normalizado o null si está vacío.
+ */
+function normalizarCriterio(valor, mayusculas = false) {
+    if (!valor) return null;
+    const texto = String(valor).trim().replace(/\s+/g, ' ');
+    if (!texto) return null;
+    return mayusculas ? texto.toUpperCase() : texto;
+}
+
+/**
+ * Convierte una fila de ConcesionarioObtenerPorNombreRfcPaginado al formato de la API.
+ * @function mapearConcesionario
+ * @param {Object} item - Fila del procedimiento.
+ * @returns {Object} `{ idConcesionario, tipoPersona, nombreCompleto, RFC, CURP, puntaje, coincidencias }`,
+ *          donde `coincidencias` indica qué campo coincidió y cómo (exacta, prefijo, parcial o aproximada), de mejor a peor.
+ */
+function mapearConcesionario(item) {
+    const coincidencias = [
+        ['nombre', item.PuntajeNombre],
+        ['paterno', item.PuntajePaterno],
+        ['materno', item.PuntajeMaterno],
+        ['rfc', item.PuntajeRfc],
+        ['curp', item.PuntajeCurp]
+    ]
+        .filter(([, puntaje]) => puntaje > 0)
+        .sort((a, b) => b[1] - a[1])
+        .map(([campo, puntaje]) => ({ campo, tipo: TIPOS_COINCIDENCIA[puntaje] || 'parcial' }));
+    return {
+        idConcesionario: item.IdConcesionario,
+        tipoPersona: item.TipoPersona === 0 ? 'Física' : item.TipoPersona === 1 ? 'Moral' : item.TipoPersona,
+        nombreCompleto: item.NombreConcesionario,
+        RFC: item.RFC,
+        CURP: item.CURP,
+        puntaje: item.Puntaje,
+        coincidencias
+    };
+}
+
+/**
+ * Prepara la solicitud de ConcesionarioObtenerPorNombreRfcPaginado.
+ * @async
+ * @function solicitudConcesionarios
+ * @param {Object} filtros - `nombre`, `paterno`, `materno`, `rfc`, `curp`.
+ * @param {Object} opciones - `page`, `pageSize` (null para todos), `ordenarPor`, `direccion`.
+ * @returns {Promise<sql.Request>} Solicitud con los parámetros definidos.
+ */
+async function solicitudConcesionarios({ nombre, paterno, materno, rfc, curp }, { page, pageSize, ordenarPor, direccion }) {
+    const pool = await poolPromise;
+    const request = pool.request();
+    request.input('nombre', sql.VarChar, normalizarCriterio(nombre));
+    request.input('paterno', sql.VarChar, normalizarCriterio(paterno));
+    request.input('materno', sql.VarChar, normalizarCriterio(materno));
+    request.input('RFC', sql.VarChar(13), normalizarCriterio(rfc, true));
+    request.input('CURP', sql.VarChar(18), normalizarCriterio(curp, true));
+    request.input('pagina', sql.Int, page || 1);
+    request.input('objetosPorPagina', sql.Int, pageSize || null);
+    request.input('ordenarPor', sql.VarChar(20), ORDEN_CONCESIONARIOS.includes(ordenarPor) ? ordenarPor : 'relevancia');
+    request.input('direccion', sql.VarChar(4), direccion === 'desc' ? 'desc' : 'asc');
+    return request;
+}
+
+/**
+ * Busca concesionarios por nombre, RFC o CURP con paginación. La búsqueda no distingue acentos y tolera errores
+ * de captura en nombre y apellidos; la base de datos ordena (por relevancia, salvo que se pida otro orden),
+ * pagina y cuenta el total (ConcesionarioObtenerPorNombreRfcPaginado), así que solo se reciben las filas de la página.
  * @async
  * @function obtenerConcesionariosPorNombre
- * @param {string} nombre - Nombre del concesionario.
- * @param {string} paterno - Apellido paterno.
- * @param {string} materno - Apellido materno.
+ * @param {Object} filtros - Criterios de búsqueda; se requiere al menos uno.
+ * @param {string} [filtros.nombre] - Nombre o razón social del concesionario.
+ * @param {string} [filtros.paterno] - Apellido paterno.
+ * @param {string} [filtros.materno] - Apellido materno.
+ * @param {string} [filtros.rfc] - RFC completo o sus primeros caracteres.
+ * @param {string} [filtros.curp] - CURP completa o sus primeros caracteres.
  * @param {number} page - Número de página (por defecto 1).
  * @param {number} pageSize - Tamaño de página (por defecto 15).
- * @returns {Promise<Object>} Objeto con `data` (lista de concesionarios), `totalRecords`, `totalPages`, `returnValue`, `page`, y `pageSize`.
+ * @param {Object} [orden] - Orden de los resultados.
+ * @param {string} [orden.ordenarPor='relevancia'] - 'relevancia', 'id', 'nombre' o 'rfc'.
+ * @param {string} [orden.direccion='asc'] - 'asc' o 'desc' (no aplica a 'relevancia', que va de mejor a peor).
+ * @returns {Promise<Object>} Objeto con `data` (lista de concesionarios con `puntaje` y `coincidencias`), `totalRecords`, `totalPages`, `returnValue`, `page`, y `pageSize`.
  * @throws {Error} Si falla la ejecución del procedimiento.
  */
-async function obtenerConcesionariosPorNombre(nombre, paterno, materno, page, pageSize) {
+async function obtenerConcesionariosPorNombre(filtros, page, pageSize, { ordenarPor = 'relevancia', direccion = 'asc' } = {}) {
     try {
-        const pool = await poolPromise;
-        const request = pool.request();
-        request.input('nombre', sql.VarChar, nombre || null);
-        request.input('paterno', sql.VarChar, paterno || null);
-        request.input('materno', sql.VarChar, materno || null);
-        request.input('RFC', sql.VarChar, null);
-
-        // Obtener todos los resultados del procedimiento
-        const result = await request.execute('ConcesionarioObtenerPorNombreRfc');
-        const totalRecords = result.recordset.length;
-
-        // Obtener resultados paginados
-        const offset = (page - 1) * pageSize;
-        const data = result.recordset
-            .sort((a, b) => a.IdConcesionario - b.IdConcesionario)
-            .slice(offset, offset + pageSize)
-            .map(item => ({
-                idConcesionario: item.IdConcesionario,
-                tipoPersona: item.TipoPersona === 0 ? 'Física' : item.TipoPersona === 1 ? 'Moral' : item.TipoPersona,
-                nombreCompleto: item.NombreConcesionario,
-                RFC: item.RFC
-            }));
-
-        // Calcular el número total de páginas
-        const totalPages = Math.ceil(totalRecords / pageSize);
+        const request = await solicitudConcesionarios(filtros, { page, pageSize, ordenarPor, direccion });
+        const result = await request.execute('ConcesionarioObtenerPorNombreRfcPaginado');
+        const totalRecords = result.recordsets[1]?.[0]?.Total || 0;
 
         return {
-            data: data,
+            data: result.recordsets[0].map(mapearConcesionario),
             totalRecords: totalRecords,
-            totalPages: totalPages,
+            totalPages: Math.ceil(totalRecords / pageSize),
             returnValue: result.returnValue,
             page: page,
             pageSize: pageSize
         };
     } catch (err) {
-        throw new Error(`Error al ejecutar ConcesionarioObtenerPorNombreRfc: ${err.message}`);
+        throw new Error(`Error al ejecutar ConcesionarioObtenerPorNombreRfcPaginado: ${err.message}`);
     }
 }
 
+/**
+ * Transmite todos los concesionarios que coinciden con la búsqueda, fila por fila, para exportaciones.
+ * El uso de memoria no depende del número de resultados.
+ * @async
+ * @function transmitirConcesionariosPorNombre
+ * @param {Object} filtros - `nombre`, `paterno`, `materno`, `rfc`, `curp` (ver obtenerConcesionariosPorNombre).
+ * @param {Object} [orden] - `ordenarPor` ('relevancia', 'id', 'nombre' o 'rfc') y `direccion` ('asc' o 'desc').
+ * @returns {Promise<Transform>} Stream de objetos con el mismo formato que `data` de obtenerConcesionariosPorNombre.
+ */
+async function transmitirConcesionariosPorNombre(filtros, { ordenarPor = 'relevancia', direccion = 'asc' } = {}) {
+    const request = await solicitudConcesionarios(filtros, { page: 1, pageSize: null, ordenarPor, direccion });
+    return transmitirFilas(request, { procedimiento: 'ConcesionarioObtenerPorNombreRfcPaginado' }, mapearConcesionario);
+}
+
 /**
  * Obtiene las concesiones asociadas a un concesionario o información del concesionario si no tiene concesiones.
  * @async
@@ -356,347 +471,356 @@ async function obtenerVehiculosPorPlacaNumSerie(placa, numSerie, numMotor) {
     }
 }
 
+/**
+ * @constant ORDEN_REPORTE_INSPECCIONES
+ * @description Valores de @ordenarPor de RV_ReporteRealizadasUsuarioPaginado.
+ */
+const ORDEN_REPORTE_INSPECCIONES = ['fecha', 'concesion', 'inspector', 'tramite'];
+
+/**
+ * @constant PERIODOS_ESTADISTICAS
+ * @description Inicio del periodo (día, semana de lunes a domingo o mes) de cada inspección, para las estadísticas.
+ */
+const PERIODOS_ESTADISTICAS = {
+    dia: 'CAST(rv.FechaInspeccion AS DATE)',
+    semana: 'DATEADD(DAY, -((DATEPART(WEEKDAY, rv.FechaInspeccion) + @@DATEFIRST - 2) % 7), CAST(rv.FechaInspeccion AS DATE))',
+    mes: 'DATEFROMPARTS(YEAR(rv.FechaInspeccion), MONTH(rv.FechaInspeccion), 1)'
+};
+
+/**
+ * Formatea la fecha de inspección del reporte como DD/MM/YYYY HH:mm.
+ * @function formatearFechaReporte
+ * @param {Date|string} date - Fecha de inspección.
+ * @returns {string} Fecha formateada.
+ */
+function formatearFechaReporte(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    const year = d.getFullYear();
+    const hours = String(d.getUTCHours()).padStart(2, '0');
+    const minutes = String(d.getMinutes()).padStart(2, '0');
+    return `${day}/${month}/${year} ${hours}:${minutes}`;
+}
+
+/**
+ * Convierte una fila del reporte de inspecciones al formato de la API y de las exportaciones.
+ * @function mapearInspeccionReporte
+ * @param {Object} item - Fila de la consulta.
+ * @returns {Object} Inspección del reporte.
+ */
+function mapearInspeccionReporte(item) {
+    return {
+        IdRevistaVehicular: item.IdRevistaVehicular,
+        FechaInspeccion: formatearFechaReporte(item.FechaInspeccion),
+        IdConsesion: item.IdConsesion,
+        Tramite: item.Tramite,
+        Concesionario: item.Propietario,
+        Modalidad: item.Modalidad,
+        Municipio: item.Municipio,
+        Inspector: item.Inspector,
+        Observaciones: item.Observaciones,
+        Placa: item.Placa,
+        Folio: item.Folio,
+        Aprobado: item.Aprobado === null || item.Aprobado === undefined ? null : (item.Aprobado ? 'Sí' : 'No'),
+        Estatus: revistaEstatusMap.get(item.IdEstatus) || 'Desconocido'
+    };
+}
+
+/**
+ * Prepara la solicitud con el rango de fechas de las inspecciones y el FROM/WHERE de las consultas agregadas
+ * (subtotales, estadísticas y productividad), con las mismas uniones que RV_ReporteRealizadasUsuarioPaginado.
+ * @async
+ * @function consultaReporteInspecciones
+ * @param {string} fechaInicio - Fecha de inicio del rango (formato: MM/DD/YYYY).
+ * @param {string} fechaFin - Fecha de fin del rango (formato: MM/DD/YYYY), incluida completa.
+ * @returns {Promise<Object>} `{ request, desde }`: la solicitud con @fechaInspeccionInicio y @fechaInspeccionFin, y el FROM/WHERE.
+ * @throws {Error} Si las fechas no son válidas.
+ */
+async function consultaReporteInspecciones(fechaInicio, fechaFin) {
+    // Convertir fechas de MM/DD/YYYY a objeto Date
+    const parseDate = (dateStr) => {
+        const [month, day, year] = dateStr.split('/').map(Number);
+        return new Date(year, month - 1, day);
+    };
+    const startDate = parseDate(fechaInicio);
+    const endDate = parseDate(fechaFin);
+    endDate.setHours(23, 59, 59, 999); // Incluir todo el día
+
+    if (isNaN(startDate) || isNaN(endDate)) {
+        throw new Error('Formato de fecha inválido');
+    }
+
+    const pool = await poolPromise;
+    const request = pool.request();
+    request.input('fechaInspeccionInicio', sql.DateTime, startDate);
+    request.input('fechaInspeccionFin', sql.DateTime, endDate);
+
+    const desde = `
+        FROM [${process.env.DB_NAME}].[dbo].[RevistaVehicular] rv
+        LEFT JOIN [${process.env.DB_NAME}].[Catalogo].[Tramite] ct ON rv.IdTramite = ct.IdTramite
+        LEFT JOIN [${process.env.DB_NAME}].[Concesion].[Concesion] cc ON rv.IdConsesion = cc.IdConcesion
+        LEFT JOIN [${process.env.DB_NAME}].[Concesion].[Modalidad] cmod ON cc.IdModalidad = cmod.IdModalidad
+        LEFT JOIN [${process.env.DB_NAME}].[Catalogo].[Municipio] cmun ON cc.IdMunicipioAutorizado = cmun.IdMunicipio
+            AND cc.IdEstadoExpedicion = cmun.IdEstado
+        WHERE rv.FechaInspeccion BETWEEN @fechaInspeccionInicio AND @fechaInspeccionFin
+    `;
+    return { request, desde };
+}
+
+/**
+ * Prepara la solicitud de RV_ReporteRealizadasUsuarioPaginado.
+ * @async
+ * @function solicitudReporteInspecciones
+ * @param {string} fechaInicio - Fecha de inicio del rango (formato: MM/DD/YYYY).
+ * @param {string} fechaFin - Fecha de fin del rango (formato: MM/DD/YYYY), incluida completa.
+ * @param {Object} opciones - `page`, `pageSize` (null para todos), `ordenarPor` (valor de ORDEN_REPORTE_INSPECCIONES),
+ *        `direccion` ('asc' o 'desc') y `agruparPor` (clave de AGRUPACIONES_REPORTE_INSPECCIONES), que ordena primero
+ *        por el grupo para poder calcular subtotales.
+ * @returns {Promise<sql.Request>} Solicitud con los parámetros definidos.
+ * @throws {Error} Si las fechas no son válidas.
+ */
+async function solicitudReporteInspecciones(fechaInicio, fechaFin, { page, pageSize, ordenarPor, direccion, agruparPor }) {
+    const { request } = await consultaReporteInspecciones(fechaInicio, fechaFin);
+    request.input('pagina', sql.Int, page || 1);
+    request.input('objetosPorPagina', sql.Int, pageSize || null);
+    request.input('ordenarPor', sql.VarChar(20), ORDEN_REPORTE_INSPECCIONES.includes(ordenarPor) ? ordenarPor : 'fecha');
+    request.input('direccion', sql.VarChar(4), direccion === 'desc' ? 'desc' : 'asc');
+    request.input('agruparPor', sql.VarChar(20), AGRUPACIONES_REPORTE_INSPECCIONES[agruparPor] ? agruparPor : null);
+    return request;
+}
+
 /**
  * Obtiene el reporte de inspecciones realizadas entre dos fechas, con paginación opcional.
+ * La base de datos ordena, pagina y cuenta el total (RV_ReporteRealizadasUsuarioPaginado); solo se reciben las filas de la página.
  * @async
  * @function obtenerReporteInspecciones
  * @param {string} fechaInicio - Fecha de inicio del rango (formato: MM/DD/YYYY).
  * @param {string} fechaFin - Fecha de fin del rango (formato: MM/DD/YYYY).
  * @param {number} page - Número de página (entero positivo).
  * @param {number} pageSize - Tamaño de página (número de registros por página).
- * @param {boolean} [allPages=false] - Si es true, devuelve todos los registros sin paginación.
+ * @param {boolean} [allPages=false] - Si es true, devuelve todos los registros sin paginación
+ *        (para exportaciones grandes conviene transmitirReporteInspecciones).
+ * @param {Object} [orden] - `ordenarPor` ('fecha', 'concesion', 'inspector' o 'tramite'), `direccion` ('asc' o 'desc')
+ *        y `agruparPor` ('municipio', 'modalidad', 'inspector' o 'tramite').
  * @returns {Promise<Object>} Objeto con `data` (lista de inspecciones), `totalRecords`, `totalPages`, y `returnValue`.
- * @throws {Error} Si falla la ejecución del procedimiento.
+ * @throws {Error} Si falla la consulta.
  */
-async function obtenerReporteInspecciones(fechaInicio, fechaFin, page, pageSize, allPages = false) {
+async function obtenerReporteInspecciones(fechaInicio, fechaFin, page, pageSize, allPages = false, orden = {}) {
     try {
-        // Convertir fechas de MM/DD/YYYY a objeto Date
-        const parseDate = (dateStr) => {
-            const [month, day, year] = dateStr.split('/').map(Number);
-            return new Date(year, month - 1, day);
-        };
-        const startDate = parseDate(fechaInicio);
-        const endDate = parseDate(fechaFin);
-        endDate.setHours(23, 59, 59, 999); // Incluir todo el día
-
-        if (isNaN(startDate) || isNaN(endDate)) {
-            throw new Error('Formato de fecha inválido');
-        }
-
-        const pool = await poolPromise;
-        const request = pool.request();
-        request.input('fechaInspeccionInicio', sql.DateTime, startDate);
-        request.input('fechaInspeccionFin', sql.DateTime, endDate);
-        const result = await request.execute('RV_ReporteRealizadasUsuario');
-
-        // Función para formatear la fecha al formato DD/MM/YYYY HH:mm
-        const formatDate = (date) => {
-            const d = new Date(date);
-            const month = String(d.getMonth() + 1).padStart(2, '0');
-            const day = String(d.getDate()).padStart(2, '0');
-            const year = d.getFullYear();
-            const hours = String(d.getUTCHours()).padStart(2, '0');
-            const minutes = String(d.getMinutes()).padStart(2, '0');
-            return `${day}/${month}/${year} ${hours}:${minutes}`;
-        };
-
-        // Mapear y ordenar los resultados por FechaInspeccion
-        const sortedData = result.recordset
-            .map(item => ({
-                IdRevistaVehicular: item.IdRevistaVehicular,
-                FechaInspeccion: formatDate(item.FechaInspeccion),
-                IdConsesion: item.IdConsesion,
-                Tramite: item.Tramite,
-                Concesionario: item.Propietario,
-                Modalidad: item.Modalidad,
-                Municipio: item.Municipio,
-                Inspector: item.Inspector,
-                Observaciones: item.Observaciones,
-                _sortDate: new Date(item.FechaInspeccion)
-            }))
-            .sort((a, b) => a._sortDate - b._sortDate);
-
-        // Calcular paginación
-        const totalRecords = sortedData.length;
-        const totalPages = allPages ? 1 : Math.ceil(totalRecords / pageSize);
-        const data = allPages
-            ? sortedData.map(({ _sortDate, ...item }) => item) // Todos los registros
-            : sortedData
-                .slice((page - 1) * pageSize, (page - 1) * pageSize + pageSize)
-                .map(({ _sortDate, ...item }) => item); // Paginado
+        const request = await solicitudReporteInspecciones(fechaInicio, fechaFin, { ...orden, page, pageSize: allPages ? null : pageSize });
+        const result = await request.execute('RV_ReporteRealizadasUsuarioPaginado');
 
+        const data = result.recordsets[0].map(mapearInspeccionReporte);
+        // Sin paginar, el procedimiento no devuelve el conteo
+        const totalRecords = allPages ? data.length : (result.recordsets[1]?.[0]?.Total || 0);
         return {
             data,
             page: allPages ? 1 : page,
             totalRecords,
-            totalPages,
+            totalPages: allPages ? 1 : Math.ceil(totalRecords / pageSize),
             returnValue: result.returnValue
         };
     } catch (err) {
-        throw new Error(`Error al ejecutar RV_ReporteRealizadasUsuario: ${err.message}`);
+        throw new Error(`Error al obtener el reporte de inspecciones: ${err.message}`);
     }
 }
+
 /**
- * Genera el reporte en el formato solicitado.
+ * Transmite todas las inspecciones del reporte entre dos fechas, fila por fila, para exportaciones.
+ * El uso de memoria no depende del número de resultados.
  * @async
- * @function generarReporte
- * @param {Object} req - Objeto de solicitud.
- * @param {Object} res - Objeto de respuesta.
- * @param {File} [req.file] - Archivo del logo (opcional para POST).
- * @returns {void}
- */
-async function generarReporte(req, res) {
-    const { fechaInicio, fechaFin, page = '1', format, allPages = 'false' } = req.query;
-    console.log("recine",req.query)
-    // console.log('Parámetros recibidos:', { fechaInicio, fechaFin, page, format, allPages });
-
-    // Permitir fechas en formato DD/MM/YYYY o YYYY-MM-DD
-    const isDDMMYYYY = /^\d{2}\/\d{2}\/\d{4}$/.test(fechaInicio) && /^\d{2}\/\d{2}\/\d{4}$/.test(fechaFin);
-    const isYYYYMMDD = /^\d{4}-\d{2}-\d{2}$/.test(fechaInicio) && /^\d{4}-\d{2}-\d{2}$/.test(fechaFin);
-
-    if (!fechaInicio || !fechaFin) {
-        console.log('Error: Faltan fechas');
-        return res.status(400).json({ error: 'Se requieren fechaInicio y fechaFin' });
-    }
-
-    if (!isDDMMYYYY && !isYYYYMMDD) {
-        console.log('Error: Formato de fecha inválido');
-        return res.status(400).json({ error: 'Las fechas deben estar en formato DD/MM/YYYY o YYYY-MM-DD' });
-    }
-
-    const pageNumber = parseInt(page, 10);
-    if (isNaN(pageNumber) || pageNumber < 1) {
-        console.log('Error: page inválido');
-        return res.status(400).json({ error: 'El parámetro page debe ser un entero positivo' });
-    }
-
-    if (!['json', 'excel', 'pdf'].includes(format)) {
-        console.log('Error: Formato inválido');
-        return res.status(400).json({ error: 'Formato inválido. Use json, excel o pdf' });
-    }
-
-    const exportAllPages = allPages.toLowerCase() === 'true';
-
-    // Convertir fechas a MM/DD/YYYY para la función interna
-    function toMMDDYYYY(dateStr) {
-        if (/^\d{2}\/\d{2}\/\d{4}$/.test(dateStr)) {
-            // DD/MM/YYYY -> MM/DD/YYYY
-            const [day, month, year] = dateStr.split('/');
-            return `${month}/${day}/${year}`;
-        }
-        if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-            // YYYY-MM-DD -> MM/DD/YYYY
-            const [year, month, day] = dateStr.split('-');
-            return `${month}/${day}/${year}`;
-        }
-        return dateStr;
-    }
-    const fechaInicioConverted = toMMDDYYYY(fechaInicio);
-    const fechaFinConverted = toMMDDYYYY(fechaFin);
-
-    //console.log('Fechas convertidas:', { fechaInicioConverted, fechaFinConverted });
+ * @function transmitirReporteInspecciones
+ * @param {string} fechaInicio - Fecha de inicio del rango (formato: MM/DD/YYYY).
+ * @param {string} fechaFin - Fecha de fin del rango (formato: MM/DD/YYYY).
+ * @param {Object} [orden] - `ordenarPor`, `direccion` y `agruparPor` (ver obtenerReporteInspecciones).
+ * @returns {Promise<Transform>} Stream de objetos con el mismo formato que `data` de obtenerReporteInspecciones.
+ * @throws {Error} Si las fechas no son válidas.
+ */
+async function transmitirReporteInspecciones(fechaInicio, fechaFin, orden = {}) {
+    const request = await solicitudReporteInspecciones(fechaInicio, fechaFin, { ...orden, page: 1, pageSize: null });
+    return transmitirFilas(request, { procedimiento: 'RV_ReporteRealizadasUsuarioPaginado' }, mapearInspeccionReporte);
+}
 
-    const pageSize = 20;
-    let result;
+/**
+ * Cuenta las inspecciones del reporte entre dos fechas por grupo (municipio, modalidad, inspector o trámite).
+ * @async
+ * @function obtenerSubtotalesReporteInspecciones
+ * @param {string} fechaInicio - Fecha de inicio del rango (formato: MM/DD/YYYY).
+ * @param {string} fechaFin - Fecha de fin del rango (formato: MM/DD/YYYY).
+ * @param {string} agruparPor - Clave de AGRUPACIONES_REPORTE_INSPECCIONES.
+ * @returns {Promise<Object>} Objeto con `data` (`grupo`, `inspecciones`, `aprobadas`, `reprobadas`, ordenado por grupo) y `returnValue`.
+ * @throws {Error} Si la agrupación no existe o falla la consulta.
+ */
+async function obtenerSubtotalesReporteInspecciones(fechaInicio, fechaFin, agruparPor) {
     try {
-        result = await obtenerReporteInspecciones(
-            fechaInicioConverted,
-            fechaFinConverted,
-            pageNumber,
-            pageSize,
-            exportAllPages && format !== 'json'
-        );
-    } catch (err) {
-        console.error('Error en obtenerReporteInspecciones:', err);
-        return res.status(500).json({ error: 'Error interno al obtener el reporte' });
-    }
-
-    if (!result.data || result.data.length === 0) {
-        console.log('No se encontraron inspecciones');
-        return res.status(404).json({
-            message: 'No se encontraron inspecciones',
-            totalRecords: 0,
-            totalPages: 0,
-            returnValue: result.returnValue
-        });
-    }
-
-    const headers = [
-        'ID Revista', 'Fecha Inspección', 'ID Concesión', 'Trámite', 'Concesionario',
-        'Modalidad', 'Municipio', 'Inspector', 'Observaciones'
-    ];
-
-    // Exportar a Excel
-    if (format === 'excel') {
-        const workbook = new ExcelJS.Workbook();
-        const worksheet = workbook.addWorksheet('Reporte de Inspecciones');
-
-        // Agregar logo si está presente (solo para POST)
-        let logoBase64 = null;
-        if (req.file) {
-            logoBase64 = `data:image/${req.file.mimetype.split('/')[1]};base64,${req.file.buffer.toString('base64')}`;
+        const grupo = AGRUPACIONES_REPORTE_INSPECCIONES[agruparPor];
+        if (!grupo) {
+            throw new Error(`Agrupación desconocida: ${agruparPor}`);
         }
-
-        if (logoBase64) {
-            const imageId = workbook.addImage({
-                base64: logoBase64.replace(/^data:image\/(png|jpg|jpeg);base64,/, ''),
-                extension: req.file.mimetype.split('/')[1]
-            });
-            worksheet.addImage(imageId, {
-                tl: { col: 0, row: 0 },
-                ext: { width: 100, height: 50 }
-            });
-        }
-
-        worksheet.addRow(['Reporte de Inspecciones Vehiculares']);
-        worksheet.getRow(logoBase64 ? 2 : 1).font = { bold: true, size: 14 };
-        worksheet.getRow(logoBase64 ? 2 : 1).alignment = { horizontal: 'center' };
-        worksheet.getRow(logoBase64 ? 2 : 1).height = 20;
-
-        worksheet.addRow([`Rango de fechas: ${fechaInicio} - ${fechaFin}`]);
-        worksheet.getRow(logoBase64 ? 3 : 2).font = { italic: true };
-        worksheet.getRow(logoBase64 ? 3 : 2).alignment = { horizontal: 'center' };
-        worksheet.getRow(logoBase64 ? 3 : 2).height = 15;
-        // Título
-        const titleRow = 1;
-        const titleColStart = logoBase64 ? 2 : 1;
-        worksheet.getCell(`${String.fromCharCode(65 + titleColStart - 1)}${titleRow}`).value = 'Reporte de inspecciones vehiculares';
-        worksheet.getCell(`${String.fromCharCode(65 + titleColStart - 1)}${titleRow}`).font = { bold: true, size: 14 };
-        worksheet.getCell(`${String.fromCharCode(65 + titleColStart - 1)}${titleRow}`).alignment = { horizontal: 'left' };
-
-        // Rango de fechas
-        const dateRow = 2;
-        worksheet.getCell(`${String.fromCharCode(65 + titleColStart - 1)}${dateRow}`).value = `Rango de fechas: ${fechaInicio} - ${fechaFin}`;
-        worksheet.getCell(`${String.fromCharCode(65 + titleColStart - 1)}${dateRow}`).font = { italic: true };
-        worksheet.getCell(`${String.fromCharCode(65 + titleColStart - 1)}${dateRow}`).alignment = { horizontal: 'left' };
-        worksheet.getRow(dateRow).height = 1
-
-        worksheet.addRow([]);
-        worksheet.getRow(logoBase64 ? 4 : 3).height = 5;
-
-        const headerRow = worksheet.addRow(headers);
-        headerRow.font = { bold: true };
-        headerRow.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FFCCCCCC' }
-        };
-        headerRow.alignment = { horizontal: 'center' };
-        headerRow.border = {
-            top: { style: 'thin' },
-            left: { style: 'thin' },
-            bottom: { style: 'medium' },
-            right: { style: 'thin' }
+        const { request, desde } = await consultaReporteInspecciones(fechaInicio, fechaFin);
+        const result = await request.query(`
+            SELECT ${grupo.expresion} AS Grupo,
+                   COUNT(*) AS Inspecciones,
+                   SUM(CASE WHEN rv.Aprobado = 1 THEN 1 ELSE 0 END) AS Aprobadas
+            ${desde}
+            GROUP BY ${grupo.expresion}
+            ORDER BY ${grupo.expresion} ASC
+        `);
+        return {
+            data: result.recordset.map(item => ({
+                grupo: item.Grupo,
+                inspecciones: item.Inspecciones,
+                aprobadas: item.Aprobadas,
+                reprobadas: item.Inspecciones - item.Aprobadas
+            })),
+            returnValue: 0
         };
-        worksheet.getRow(logoBase64 ? 5 : 4).height = 25;
-
-        worksheet.columns = [
-            { key: 'IdRevistaVehicular', width: 15 },
-            { key: 'FechaInspeccion', width: 20 },
-            { key: 'IdConsesion', width: 15 },
-            { key: 'Tramite', width: 20 },
-            { key: 'Concesionario', width: 25 },
-            { key: 'Modalidad', width: 15 },
-            { key: 'Municipio', width: 20 },
-            { key: 'Inspector', width: 20 },
-            { key: 'Observaciones', width: 30 },
-        ];
-
-        const dataRows = worksheet.addRows(result.data);
-        dataRows.forEach((row, index) => {
-            const excelRow = worksheet.getRow(logoBase64 ? index + 6 : index + 5);
-            excelRow.border = {
-                top: { style: 'thin' },
-                left: { style: 'thin' },
-                bottom: { style: 'thin' },
-                right: { style: 'thin' }
-            };
-            excelRow.alignment = { horizontal: 'left' };
-        });
-
-        worksheet.headerFooter.oddFooter = '&LGenerated on &D&RPage &P of &N';
-
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        res.setHeader('Content-Disposition', 'attachment; filename=Reporte_Inspecciones.xlsx');
-        await workbook.xlsx.write(res);
-        //console.log('Excel generado y enviado');
-        return res.end();
+    } catch (err) {
+        throw new Error(`Error al obtener los subtotales del reporte de inspecciones: ${err.message}`);
     }
+}
 
-    // Exportar a PDF
-    if (format === 'pdf') {
-        const { jsPDF } = require('jspdf');
-        const { autoTable } = require('jspdf-autotable');
-        const doc = new jsPDF({ orientation: 'landscape' });
-        const maxTextLength = 50;
-
-        let logoBase64 = null;
-        if (req.file) {
-            logoBase64 = `data:image/${req.file.mimetype.split('/')[1]};base64,${req.file.buffer.toString('base64')}`;
-        }
-        const headerY = 10;
-        const logoWidth = 50;
-        const logoHeight = 30;
-
-        if (logoBase64) {
-            const logoData = logoBase64.replace(/^data:image\/(png|jpg|jpeg);base64,/, '');
-            doc.addImage(logoData, req.file.mimetype.split('/')[1].toUpperCase(), 10, headerY, logoWidth, logoHeight);
+/**
+ * Obtiene las estadísticas de las inspecciones entre dos fechas en una sola consulta: totales, conteos por periodo
+ * y por municipio, modalidad, trámite e inspector, reprobaciones de cada elemento del checklist y puntuaciones
+ * por clasificación. Las aprobadas y rechazadas se cuentan por estatus (el resultado del supervisor), no por el bit
+ * Aprobado que captura el inspector: aprobada es APROBADA o IMPRESA (solo se imprime una revista aprobada) y rechazada
+ * es RECHAZADA; las capturadas, revisadas y canceladas no cuentan en ninguno de los dos.
+ * @async
+ * @function obtenerEstadisticasRevistas
+ * @param {string} fechaInicio - Fecha de inicio del rango (formato: MM/DD/YYYY).
+ * @param {string} fechaFin - Fecha de fin del rango (formato: MM/DD/YYYY), incluida completa.
+ * @param {string} [periodo='dia'] - Clave de PERIODOS_ESTADISTICAS.
+ * @returns {Promise<Object>} Objeto con `data` (`totales`, `porPeriodo`, `porGrupo` indexado por clave de
+ *          AGRUPACIONES_REPORTE_INSPECCIONES, `checklist` y `clasificaciones`, con los conteos sin procesar) y `returnValue`.
+ * @throws {Error} Si el periodo no existe o falla la consulta.
+ */
+async function obtenerEstadisticasRevistas(fechaInicio, fechaFin, periodo = 'dia') {
+    try {
+        const expresionPeriodo = PERIODOS_ESTADISTICAS[periodo];
+        if (!expresionPeriodo) {
+            throw new Error(`Periodo desconocido: ${periodo}`);
         }
-        // Título
-        const textX = doc.internal.pageSize.width / 2 - (logoBase64 ? logoWidth / 2 : 0) - 10;
-        doc.setFontSize(16);
-        doc.text('Reporte de inspecciones vehiculares', textX, headerY + 5); // Ajuste Y para centrar verticalmente con el logo
-        // Rango de fechas
-        doc.setFontSize(12);
-        doc.text(`Fechas: ${fechaInicio} - ${fechaFin}`, textX, headerY + 15); // Debajo del título, en la misma "línea"
-
-        const tableData = result.data.map(item => [
-            item.IdRevistaVehicular,
-            item.FechaInspeccion,
-            item.IdConsesion,
-            item.Tramite,
-            item.Concesionario,
-            item.Modalidad,
-            item.Municipio,
-            item.Inspector,
-            (item.Observaciones || '').substring(0, maxTextLength) + ((item.Observaciones || '').length > maxTextLength ? '...' : '')
-        ]);
+        const { request, desde } = await consultaReporteInspecciones(fechaInicio, fechaFin);
+        request.input('estatusAprobada', sql.Int, ESTATUS_REVISTA.APROBADA);
+        request.input('estatusImpresa', sql.Int, ESTATUS_REVISTA.IMPRESA);
+        request.input('estatusRechazada', sql.Int, ESTATUS_REVISTA.RECHAZADA);
+        const conteos = `COUNT(*) AS Inspecciones,
+            SUM(CASE WHEN rv.IdEstatus IN (@estatusAprobada, @estatusImpresa) THEN 1 ELSE 0 END) AS Aprobadas,
+            SUM(CASE WHEN rv.IdEstatus = @estatusRechazada THEN 1 ELSE 0 END) AS Rechazadas`;
+        const agrupaciones = Object.entries(AGRUPACIONES_REPORTE_INSPECCIONES);
+        // Un elemento cuenta como reprobado con la misma regla que esItemReprobado (ver VALOR_APROBADO_CHECKLIST)
+        const elementos = CHECKLIST_REVISTA.map(item => ({
+            ...item,
+            columna: CAMPOS_EDITABLES_REVISTA.find(campo => campo.campo === item.campo).columna
+        }));
+        const reprobaciones = elementos.map(item => `
+            SUM(CASE WHEN ${condicionItemReprobadoSql(`rv.[${item.columna}]`)} THEN 1 ELSE 0 END) AS [Mal_${item.campo}],
+            COUNT(rv.[${item.columna}]) AS [Evaluadas_${item.campo}]`).join(',');
+
+        const result = await request.query(`
+            SELECT ${conteos}, AVG(CAST(rv.Puntuacion AS FLOAT)) AS PuntuacionPromedio ${desde};
+            SELECT ${expresionPeriodo} AS Periodo, ${conteos} ${desde}
+            GROUP BY ${expresionPeriodo} ORDER BY ${expresionPeriodo};
+            ${agrupaciones.map(([, grupo]) => `
+            SELECT ${grupo.expresion} AS Grupo, ${conteos} ${desde}
+            GROUP BY ${grupo.expresion} ORDER BY COUNT(*) DESC, ${grupo.expresion};`).join('')}
+            SELECT ${reprobaciones} ${desde};
+            SELECT rv.ClasificacionId, COUNT(*) AS Inspecciones, MIN(rv.Puntuacion) AS PuntuacionMinima,
+                   AVG(CAST(rv.Puntuacion AS FLOAT)) AS PuntuacionPromedio, MAX(rv.Puntuacion) AS PuntuacionMaxima
+            ${desde}
+            GROUP BY rv.ClasificacionId ORDER BY rv.ClasificacionId;
+        `);
 
-        autoTable(doc, {
-            head: [headers],
-            body: tableData,
-            startY: logoBase64 ? 60 : 50,
-            margin: { left: 10, right: 10 },
-            styles: { fontSize: 10, cellPadding: 2 },
-            headStyles: { fillColor: [200, 200, 200], textColor: [0, 0, 0], fontStyle: 'bold' },
-            columnStyles: {
-                0: { cellWidth: 20 },
-                1: { cellWidth: 25 },
-                2: { cellWidth: 20 },
-                3: { cellWidth: 20 },
-                4: { cellWidth: 47 },
-                5: { cellWidth: 30 },
-                6: { cellWidth: 30 },
-                7: { cellWidth: 30 },
-                8: { cellWidth: 55 }
+        const [totales, porPeriodo, ...resto] = result.recordsets;
+        const checklist = resto[agrupaciones.length][0];
+        return {
+            data: {
+                totales: totales[0],
+                porPeriodo,
+                porGrupo: Object.fromEntries(agrupaciones.map(([clave], index) => [clave, resto[index]])),
+                checklist: elementos.map(item => ({
+                    campo: item.campo,
+                    etiqueta: item.etiqueta,
+                    mal: checklist[`Mal_${item.campo}`] || 0,
+                    evaluadas: checklist[`Evaluadas_${item.campo}`] || 0
+                })),
+                clasificaciones: resto[agrupaciones.length + 1]
             },
-            didDrawPage: (data) => {
-                doc.setFontSize(10);
-                doc.text(`Generado el ${new Date().toLocaleDateString()} - Página ${doc.getNumberOfPages()}`, doc.internal.pageSize.width / 2, doc.internal.pageSize.height - 10, { align: 'center' });
-            }
-        });
-
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', 'attachment; filename=Reporte_Inspecciones.pdf');
-        res.send(Buffer.from(doc.output('arraybuffer')));
-        //console.log('PDF generado y enviado');
-        return;
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al obtener las estadísticas de inspecciones: ${err.message}`);
     }
+}
 
-    // Respuesta JSON por defecto
-    //console.log('Respuesta JSON enviada');
-    res.json(result);
+/**
+ * Obtiene la productividad de cada inspector (usuario que capturó la revista, columna IdUser) entre dos fechas:
+ * inspecciones, días con actividad y máximo en un día, aprobadas, tiempo promedio entre la captura y la impresión
+ * (según Historial; la captura es la columna FechaInspeccion si no hay operación de captura), fotos adjuntas
+ * ([dbo].[ImagenRevistaVehicular]) e inspecciones fuera del horario laboral.
+ * @async
+ * @function obtenerProductividadInspectores
+ * @param {string} fechaInicio - Fecha de inicio del rango (formato: MM/DD/YYYY).
+ * @param {string} fechaFin - Fecha de fin del rango (formato: MM/DD/YYYY), incluida completa.
+ * @param {Object} horario - `horaInicio` y `horaFin` (hora de 0 a 24) del horario laboral.
+ * @returns {Promise<Object>} Objeto con `data` (un registro por inspector, de más a menos inspecciones) y `returnValue`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerProductividadInspectores(fechaInicio, fechaFin, { horaInicio, horaFin }) {
+    try {
+        const { request, desde } = await consultaReporteInspecciones(fechaInicio, fechaFin);
+        const result = await request
+            .input('captura', sql.Int, OPERACIONES_REVISTA.CAPTURA)
+            .input('impresion', sql.Int, OPERACIONES_REVISTA.IMPRESION)
+            .input('horaInicio', sql.Int, horaInicio)
+            .input('horaFin', sql.Int, horaFin)
+            .query(`
+                ;WITH Inspecciones AS (
+                    SELECT rv.IdRevistaVehicular, rv.IdUser, rv.Inspector, rv.FechaInspeccion, rv.Aprobado
+                    ${desde}
+                ),
+                Base AS (
+                    SELECT i.*, COALESCE(h.FechaCaptura, i.FechaInspeccion) AS FechaCaptura, h.FechaImpresion,
+                           (SELECT COUNT(*) FROM [${process.env.DB_NAME}].[dbo].[ImagenRevistaVehicular] img
+                            WHERE img.IdRevistaVehicular = i.IdRevistaVehicular) AS Fotos
+                    FROM Inspecciones i
+                    OUTER APPLY (
+                        SELECT MIN(CASE WHEN hi.IdOperacion = @captura THEN hi.Fecha END) AS FechaCaptura,
+                               MIN(CASE WHEN hi.IdOperacion = @impresion THEN hi.Fecha END) AS FechaImpresion
+                        FROM [${process.env.DB_NAME}].[RevistaVehicular].[Historial] hi
+                        WHERE hi.IdRevistaVehicular = i.IdRevistaVehicular
+                    ) h
+                ),
+                PorDia AS (
+                    SELECT IdUser, CAST(FechaInspeccion AS DATE) AS Dia, COUNT(*) AS Inspecciones
+                    FROM Base
+                    GROUP BY IdUser, CAST(FechaInspeccion AS DATE)
+                )
+                SELECT b.IdUser, MAX(b.Inspector) AS Inspector,
+                       COUNT(*) AS Inspecciones,
+                       COUNT(DISTINCT CAST(b.FechaInspeccion AS DATE)) AS DiasActivos,
+                       (SELECT MAX(p.Inspecciones) FROM PorDia p WHERE p.IdUser = b.IdUser OR (p.IdUser IS NULL AND b.IdUser IS NULL)) AS MaximoDiario,
+                       SUM(CASE WHEN b.Aprobado = 1 THEN 1 ELSE 0 END) AS Aprobadas,
+                       COUNT(b.FechaImpresion) AS Impresas,
+                       AVG(CAST(DATEDIFF(MINUTE, b.FechaCaptura, b.FechaImpresion) AS FLOAT)) AS MinutosCapturaImpresion,
+                       SUM(b.Fotos) AS Fotos,
+                       SUM(CASE WHEN DATEPART(HOUR, b.FechaInspeccion) < @horaInicio OR DATEPART(HOUR, b.FechaInspeccion) >= @horaFin
+                                THEN 1 ELSE 0 END) AS FueraDeHorario
+                FROM Base b
+                GROUP BY b.IdUser
+                ORDER BY COUNT(*) DESC, b.IdUser
+            `);
+        return {
+            data: result.recordset,
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al obtener la productividad de los inspectores: ${err.message}`);
+    }
 }
+
 /**
  * Obtiene los detalles de un concesionario por su ID.
  * @async
@@ -992,13 +1116,14 @@ async function obtenerTiposTramite() {
  * @param {number} data.tapiceriaId - ID de la tapicería. Material de la tapicería.
  * @param {number} data.puntuacion - Puntuación del vehículo.
  * @param {number} data.clasificacionId - ID de la clasificación. Clasificación del vehículo (e.g., 'esencial', 'selecto', 'prime').
+ * @param {sql.Transaction} [transaction] - Transacción en la que se ejecuta el procedimiento (opcional).
  * @returns {Promise<Object>} Objeto con el ID de la revista insertada: - `idRV`: ID de la revista vehicular generada.
  * @throws {Error} Si ocurre un error al ejecutar el procedimiento `RV_InsertarRevistaPuntuacion`, con el mensaje "Error al insertar la inspección: [mensaje de error]".
  */
-async function insertarRevista(data) {
+async function insertarRevista(data, transaction = null) {
     try {
         const pool = await poolPromise;
-        const request = pool.request();
+        const request = transaction ? transaction.request() : pool.request();
 
         // Mapear los datos a los parámetros del procedimiento almacenado
         request.input('idConcesion', sql.Int, parseInt(data.idConcesion));
@@ -1108,7 +1233,7 @@ async function obtenerImagenesRevista(idRV, tipoImagen) {
             imagenes = result.recordset;
         } else {
             // Obtener todos los tipos de imagen
-            const tiposImagen = await this.obtenerTiposImagen();
+            const tiposImagen = await obtenerTiposImagen();
             // Iterar sobre cada tipo de imagen
             for (const tipo of tiposImagen.data) {
                 const request = pool.request()
@@ -1525,72 +1650,163 @@ async function obtenerVersionesPorClaseSubmarca(idClase, idSubMarca) {
     }
 }
 /**
- * Busca revistas vehiculares según criterios específicos, usando procedimientos almacenados.
+ * @constant ORDEN_REVISTAS
+ * @description Columnas por las que se puede ordenar la búsqueda de revistas (GET /revista/buscar) y parámetro de
+ *              RV_ObtenerListaRevistaPaginado con el que se envía la posición del cursor.
+ */
+const ORDEN_REVISTAS = {
+    fecha: { columna: 'FechaInspeccion', parametro: 'cursorFecha', tipo: sql.DateTime },
+    estatus: { columna: 'IdEstatus', parametro: 'cursorEntero', tipo: sql.Int },
+    concesion: { columna: 'IdConsesion', parametro: 'cursorEntero', tipo: sql.Int }
+};
+
+/**
+ * Codifica la posición de la última revista devuelta para continuar la búsqueda en modo cursor.
+ * @function codificarCursorRevistas
+ * @param {Object} item - Última revista de la página.
+ * @param {string} ordenarPor - Clave de ORDEN_REVISTAS.
+ * @param {string} direccion - 'asc' o 'desc'.
+ * @returns {string} Cursor en base64url. El ID (BIGINT) se guarda como cadena de dígitos para no perder precisión.
+ */
+function codificarCursorRevistas(item, ordenarPor, direccion) {
+    const { columna } = ORDEN_REVISTAS[ordenarPor];
+    const valor = item[columna] instanceof Date ? item[columna].toISOString() : item[columna];
+    return Buffer.from(JSON.stringify({ o: ordenarPor, d: direccion, v: valor, id: String(item.IdRevistaVehicular) })).toString('base64url');
+}
+
+/**
+ * Decodifica un cursor de codificarCursorRevistas.
+ * @function decodificarCursorRevistas
+ * @param {string} cursor - Cursor recibido.
+ * @param {string} ordenarPor - Orden de la búsqueda actual.
+ * @param {string} direccion - Dirección de la búsqueda actual.
+ * @returns {Object|null} `{ valor, id }` (`id` como cadena de dígitos, para enlazarlo como sql.BigInt) o null si el cursor
+ *          no es válido o se generó con otro orden.
+ */
+function decodificarCursorRevistas(cursor, ordenarPor, direccion) {
+    try {
+        const { o, d, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (o !== ordenarPor || d !== direccion || v === undefined || typeof id !== 'string' || !/^\d{1,19}$/.test(id)) return null;
+        const valor = ordenarPor === 'fecha' ? new Date(v) : v;
+        if (ordenarPor === 'fecha' ? isNaN(valor.getTime()) : !Number.isInteger(valor)) return null;
+        return { valor, id };
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Busca revistas vehiculares según criterios específicos. RV_ObtenerListaRevistaPaginado (sql/016_revista_busqueda_paginada.sql)
+ * aplica todos los filtros antes de paginar, ordena y cuenta el total; solo se reciben las filas de la página.
+ * Hay dos modos de paginación:
+ * - Por página (`page`, `pageSize`): devuelve el total real de registros y de páginas.
+ * - Por cursor (`opciones.cursor`, para scroll infinito): devuelve `pageSize` registros a partir del cursor y `nextCursor`
+ *   para pedir los siguientes (null cuando ya no hay más). Un cursor vacío ('') pide la primera página.
  * @async
  * @function buscarRevistasVehiculares
- * @param {number} [noConcesion] - Número de concesión para filtrar revistas (opcional).
- * @param {string} [placa] - Placa del vehículo para filtrar revistas (opcional).
- * @param {number} [estatus] - ID del estatus de la revista (opcional, null si no se filtra por estatus).
- * @param {string|Date} [fechaInicio] - Fecha de inicio para filtrar inspecciones (formato 'YYYY-MM-DD', opcional, por defecto '2000-01-01').
- * @param {string|Date} [fechaFin] - Fecha de fin para filtrar inspecciones (formato 'YYYY-MM-DD', opcional, por defecto fecha actual).
- * @param {number} [page=1] - Número de página para paginación.
- * @param {number} [pageSize=10] - Cantidad de registros por página.
+ * @param {number} [noConcesion] - Número (ID) de concesión para filtrar revistas (opcional).
+ * @param {string} [placa] - Placa del vehículo para filtrar revistas (opcional). Se combina con `noConcesion`.
+ * @param {number} [estatus] - ID del estatus de la revista (opcional, null si no se filtra por estatus; ver ESTATUS_REVISTA, p. ej. 6 = cancelada).
+ * @param {string|Date} [fechaInicio] - Fecha de inicio para filtrar inspecciones (formato 'YYYY-MM-DD', opcional).
+ * @param {string|Date} [fechaFin] - Fecha de fin para filtrar inspecciones, incluida completa (formato 'YYYY-MM-DD', opcional).
+ * @param {number|null} [page=1] - Número de página para paginación (null para no paginar).
+ * @param {number|null} [pageSize=10] - Cantidad de registros por página (null para devolver todos).
+ * @param {Object} [opciones] - Orden y cursor.
+ * @param {string} [opciones.ordenarPor='fecha'] - 'fecha', 'estatus' o 'concesion' (ver ORDEN_REVISTAS).
+ * @param {string} [opciones.direccion='desc'] - 'asc' o 'desc'.
+ * @param {string|null} [opciones.cursor=null] - Cursor de la respuesta anterior; activa el modo cursor.
  * @returns {Promise<Object>} Objeto con los resultados de la búsqueda:
- * - `data`: Array de revistas vehiculares con sus detalles y el campo `Estatus` enriquecido (mapeado desde `IdEstatus`).
- * - `totalRecords`: Número total de registros devueltos.
- * - `page`: Página actual.
+ * - `data`: Array de revistas vehiculares con `IdRevistaVehicular`, `IdConsesion`, `IdTramite`, `IdEstatus`, `IdRevistaOrigen`,
+ *   `Placa`, `Propietario`, `Inspector`, `FechaInspeccion`, `Folio`, `Aprobado` y `Observaciones` (las columnas que devuelve
+ *   el procedimiento; a diferencia de los RV_ObtenerListaRevista* anteriores no incluye el detalle de la inspección, que se
+ *   obtiene con obtenerRevistaPorId), más `Estatus` y `Tramite` enriquecidos. Cada una incluye `CadenaRevision` con la revista reprobada y sus segundas revisiones (vacía si no forma parte de una cadena).
+ * - `totalRecords`: Número total de registros que cumplen los filtros (solo en modo página).
+ * - `totalPages`: Número total de páginas (solo en modo página).
+ * - `page`: Página actual (null en modo cursor).
  * - `pageSize`: Tamaño de la página.
+ * - `ordenarPor`, `direccion`: Orden aplicado.
+ * - `nextCursor`: Cursor para la siguiente página (solo en modo cursor).
  * - `returnValue`: Valor de retorno (0 para éxito).
+ * O un error de validación (errorValidacion) si el orden o el cursor no son válidos.
  * @throws {Error} Si ocurre un error al ejecutar el procedimiento almacenado, con el mensaje "Error al buscar revistas vehiculares: [mensaje de error]".
  */
-async function buscarRevistasVehiculares(noConcesion, placa, estatus, fechaInicio, fechaFin, page = 1, pageSize = 10) {
+async function buscarRevistasVehiculares(noConcesion, placa, estatus, fechaInicio, fechaFin, page = 1, pageSize = 10, { ordenarPor = 'fecha', direccion = 'desc', cursor = null } = {}) {
     try {
+        const orden = ORDEN_REVISTAS[ordenarPor];
+        if (!orden) {
+            return errorValidacion('ordenarPor', 'query', `Debe ser uno de: ${Object.keys(ORDEN_REVISTAS).join(', ')}`);
+        }
+        const sentido = direccion === 'asc' ? 'ASC' : 'DESC';
+        const modoCursor = cursor !== null && cursor !== undefined;
+
         const pool = await poolPromise;
         const request = pool.request();
+        request.input('numeroConcesion', sql.Int, noConcesion || null);
+        request.input('placa', sql.NVarChar(15), placa || null);
+        request.input('estatus', sql.Int, estatus || null);
+        request.input('fechaInspeccionInicio', sql.DateTime, fechaInicio || null);
+        request.input('fechaInspeccionFin', sql.DateTime, fechaFin || null);
+        request.input('ordenarPor', sql.VarChar(20), ordenarPor);
+        request.input('direccion', sql.VarChar(4), sentido.toLowerCase());
+        request.input('modoCursor', sql.Bit, modoCursor);
+
+        // En modo cursor se continúa después de la última revista devuelta (orden + IdRevistaVehicular como desempate)
+        if (modoCursor && cursor !== '') {
+            const posicion = decodificarCursorRevistas(cursor, ordenarPor, sentido.toLowerCase());
+            if (!posicion) {
+                return errorValidacion('cursor', 'query', 'El cursor no es válido o corresponde a otro orden');
+            }
+            request.input(orden.parametro, orden.tipo, posicion.valor);
+            request.input('cursorId', sql.BigInt, posicion.id);
+        }
 
-        let procedure = '';
-        let params = {};
+        const tamanio = modoCursor ? (pageSize || 10) : pageSize;
+        // En modo cursor se pide un registro de más para saber si hay otra página
+        request.input('pagina', sql.Int, modoCursor ? 1 : (page || 1));
+        request.input('objetosPorPagina', sql.Int, modoCursor ? tamanio + 1 : (page && pageSize ? pageSize : null));
 
-        // Determinar el procedimiento base
-        if (noConcesion) {
-            procedure = 'RV_ObtenerListaRevistaPorConcesion';
-            request.input('numeroConcesion', sql.Int, noConcesion);
-        } else if (placa) {
-            procedure = 'RV_ObtenerListaRevistaPorPlaca';
-            request.input('placa', sql.NVarChar(15), placa);
-        } else {
-            procedure = 'RV_ObtenerListaRevista';
-        }
+        const result = await request.execute('RV_ObtenerListaRevistaPaginado');
 
-        // Configurar parámetros comunes
-        request.input('objetosPorPagina', sql.Int, pageSize);
-        request.input('pagina', sql.Int, page);
-        request.input('estatus', sql.Int, estatus || null);
-        request.input('fechaInspeccionInicio', sql.DateTime, fechaInicio || '2000-01-01 00:00:00.000');
-        request.input('fechaInspeccionFin', sql.DateTime, fechaFin || new Date());
+        let filas = result.recordsets[0];
+        let nextCursor = null;
+        if (modoCursor && filas.length > tamanio) {
+            filas = filas.slice(0, tamanio);
+            nextCursor = codificarCursorRevistas(filas[filas.length - 1], ordenarPor, sentido.toLowerCase());
+        }
 
-        // Ejecutar el procedimiento
-        const result = await request.execute(procedure);
         const tiposTramiteResult = await obtenerTiposTramite();
         const tramiteMap = new Map(tiposTramiteResult.data.map(item => [item.IdTramite, item.Tramite]));
-        // Filtrar por placa si se proporcionó y se usó RV_ObtenerListaRevistaPorConcesion
-        let filteredData = result.recordset;
-        if (noConcesion && placa) {
-            filteredData = result.recordset.filter(item => item.Placa === placa);
-        }
-        const enrichedData = filteredData.map(item => {
+        const cadenas = await obtenerCadenasRevision(filas.map(item => item.IdRevistaVehicular));
+        const enrichedData = filas.map(item => {
             return {
                 ...item,
                 Estatus: revistaEstatusMap.get(item.IdEstatus) || 'Desconocido',
-                Tramite: tramiteMap.get(item.IdTramite) || 'Desconocido'
+                Tramite: tramiteMap.get(item.IdTramite) || 'Desconocido',
+                CadenaRevision: cadenas.get(String(item.IdRevistaVehicular)) || []
             };
         });
 
+        if (modoCursor) {
+            return {
+                data: enrichedData,
+                page: null,
+                pageSize: tamanio,
+                ordenarPor,
+                direccion: sentido.toLowerCase(),
+                nextCursor,
+                returnValue: 0
+            };
+        }
+
+        const totalRecords = result.recordsets[1][0].Total;
         return {
             data: enrichedData,
-            totalRecords: enrichedData.length,
+            totalRecords,
+            totalPages: pageSize ? Math.ceil(totalRecords / pageSize) : (totalRecords > 0 ? 1 : 0),
             page: page,
             pageSize: pageSize,
+            ordenarPor,
+            direccion: sentido.toLowerCase(),
             returnValue: 0
         };
     } catch (err) {
@@ -1598,36 +1814,494 @@ async function buscarRevistasVehiculares(noConcesion, placa, estatus, fechaInici
     }
 }
 /**
- * Registra la impresión de una revista vehicular.
+ * Obtiene la cadena de revisiones (revista reprobada y sus segundas revisiones, enlazadas por IdRevistaOrigen)
+ * de cada revista indicada, desde la primera revisión hasta la última.
+ * @async
+ * @function obtenerCadenasRevision
+ * @param {Array<number|string>} ids - IDs de las revistas. IdRevistaVehicular es BIGINT y el driver lo devuelve
+ *        como cadena, así que se aceptan números enteros o cadenas de dígitos.
+ * @returns {Promise<Map<string, Array<Object>>>} Cadena de cada revista que forma parte de una, con el ID como cadena
+ *          (`IdRevistaVehicular`, `IdRevistaOrigen`, `Estatus`, `Aprobado`, `Paso`); las revistas sin segunda revisión no aparecen.
+ */
+async function obtenerCadenasRevision(ids) {
+    const idsValidos = [...new Set(ids.map(id => String(id)).filter(id => /^\d+$/.test(id)))];
+    const cadenas = new Map();
+    if (idsValidos.length === 0) return cadenas;
+
+    const pool = await poolPromise;
+    const request = pool.request();
+    idsValidos.forEach((id, index) => request.input(`id${index}`, sql.BigInt, id));
+    const result = await request.query(`
+        WITH Ascendentes AS (
+            SELECT r.IdRevistaVehicular AS IdBuscada, r.IdRevistaVehicular, r.IdRevistaOrigen
+            FROM [${process.env.DB_NAME}].[dbo].[RevistaVehicular] r
+            WHERE r.IdRevistaVehicular IN (${idsValidos.map((id, index) => `@id${index}`).join(', ')})
+            UNION ALL
+            SELECT a.IdBuscada, o.IdRevistaVehicular, o.IdRevistaOrigen
+            FROM Ascendentes a
+            JOIN [${process.env.DB_NAME}].[dbo].[RevistaVehicular] o ON o.IdRevistaVehicular = a.IdRevistaOrigen
+        ),
+        Descendientes AS (
+            SELECT a.IdBuscada, r.IdRevistaVehicular, r.IdRevistaOrigen, r.IdEstatus, r.Aprobado, 0 AS Paso
+            FROM Ascendentes a
+            JOIN [${process.env.DB_NAME}].[dbo].[RevistaVehicular] r ON r.IdRevistaVehicular = a.IdRevistaVehicular
+            WHERE a.IdRevistaOrigen IS NULL
+            UNION ALL
+            SELECT d.IdBuscada, h.IdRevistaVehicular, h.IdRevistaOrigen, h.IdEstatus, h.Aprobado, d.Paso + 1
+            FROM Descendientes d
+            JOIN [${process.env.DB_NAME}].[dbo].[RevistaVehicular] h ON h.IdRevistaOrigen = d.IdRevistaVehicular
+        )
+        SELECT IdBuscada, IdRevistaVehicular, IdRevistaOrigen, IdEstatus, Aprobado, Paso
+        FROM Descendientes
+        ORDER BY IdBuscada, Paso, IdRevistaVehicular
+        OPTION (MAXRECURSION 100)
+    `);
+
+    for (const item of result.recordset) {
+        const idBuscada = String(item.IdBuscada);
+        if (!cadenas.has(idBuscada)) cadenas.set(idBuscada, []);
+        cadenas.get(idBuscada).push({
+            IdRevistaVehicular: item.IdRevistaVehicular,
+            IdRevistaOrigen: item.IdRevistaOrigen,
+            Estatus: revistaEstatusMap.get(item.IdEstatus) || 'Desconocido',
+            Aprobado: Boolean(item.Aprobado),
+            Paso: item.Paso
+        });
+    }
+    // Solo interesan las revistas que forman parte de una cadena
+    for (const [id, cadena] of cadenas) {
+        if (cadena.length < 2) cadenas.delete(id);
+    }
+    return cadenas;
+}
+
+/**
+ * Obtiene el estatus y el folio actuales de una revista vehicular.
+ * @async
+ * @function obtenerEstatusRevista
  * @param {number} idRV - ID de la inspección vehicular.
- * @param {number} idUsuario - ID del usuario que registra la impresión.
- * @param {string} folio - Folio de la revista (opcional, por defecto '').
- * @returns {Object} - Resultado con success.
+ * @returns {Promise<Object|null>} `{ IdEstatus, Folio }` o null si no existe.
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerEstatusRevista(idRV) {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('idRevistaVehicular', sql.BigInt, idRV)
+        .query(`
+            SELECT IdEstatus, Folio
+            FROM [${process.env.DB_NAME}].[dbo].[RevistaVehicular]
+            WHERE IdRevistaVehicular = @idRevistaVehicular
+        `);
+    return result.recordset[0] || null;
+}
+
+/**
+ * Describe un estatus de revista con su nombre del catálogo revistaEstatusMap.
+ * @function describirEstatusRevista
+ * @param {number|null} idEstatus - ID del estatus.
+ * @returns {Object|null} `{ idEstatus, estatus }` o null.
+ */
+function describirEstatusRevista(idEstatus) {
+    if (idEstatus === null || idEstatus === undefined) return null;
+    return { idEstatus, estatus: revistaEstatusMap.get(idEstatus) || 'Desconocido' };
+}
+
+/**
+ * Cambia el estatus de una revista vehicular según el flujo de src/config/estatusRevista.js y lo registra en Historial.
+ * La actualización solo se aplica si el estatus no cambió desde que se leyó, para evitar transiciones simultáneas.
+ * Al cancelar una revista ya impresa, su folio se anula en la misma transacción.
+ * @async
+ * @function cambiarEstatusRevista
+ * @param {number} idRV - ID de la inspección vehicular.
+ * @param {number} nuevoEstatus - ID del estatus destino.
+ * @param {Object} usuario - Usuario que realiza el cambio (`id`, `capacidades`).
+ * @param {string} [motivo] - Motivo del cambio (obligatorio en rechazos y cancelaciones).
+ * @param {Object} [opciones] - Opciones adicionales.
+ * @param {Function} [opciones.enTransaccion] - Función `(transaction) => ({ folio } | { status, message })` que se
+ *          ejecuta dentro de la transacción del cambio; si devuelve `folio` se guarda en la revista y si devuelve
+ *          `status` se revierte todo y se responde con ese resultado.
+ * @returns {Promise<Object>} Objeto con `data` (`idRV`, `estatusAnterior`, `estatusNuevo`, `folio` si se asignó y
+ *          `folioAnulado` si se anuló) y `returnValue`, o `{ status, message }` con 404 (no existe),
+ *          409 (transición no permitida), 403 (sin capacidad) o 400 (falta motivo).
+ * @throws {Error} Si falla la consulta.
+ */
+async function cambiarEstatusRevista(idRV, nuevoEstatus, usuario, motivo = null, opciones = {}) {
+    try {
+        const revista = await obtenerEstatusRevista(idRV);
+        if (!revista) {
+            return { status: 404, message: 'Inspección no encontrada' };
+        }
+
+        const estatusActual = revista.IdEstatus;
+        const transicion = obtenerTransicion(estatusActual, nuevoEstatus);
+        if (!transicion) {
+            return {
+                status: 409,
+                message: `No se permite cambiar de "${revistaEstatusMap.get(estatusActual) || estatusActual}" a "${revistaEstatusMap.get(nuevoEstatus) || nuevoEstatus}"`,
+                estatusActual: describirEstatusRevista(estatusActual),
+                permitidos: transicionesDesde(estatusActual).map(item => describirEstatusRevista(item.a))
+            };
+        }
+        if (!usuario.capacidades?.includes(transicion.capacidad)) {
+            return {
+                status: 403,
+                message: `Se requiere la capacidad "${transicion.capacidad}" para este cambio de estatus`,
+                requerido: transicion.capacidad
+            };
+        }
+        if (transicion.requiereMotivo && !motivo) {
+            return errorValidacion('motivo', 'body', 'Se requiere un motivo para este cambio de estatus');
+        }
+
+        const idOperacion = nuevoEstatus === ESTATUS_REVISTA.IMPRESA
+            ? OPERACIONES_REVISTA.IMPRESION
+            : OPERACIONES_REVISTA.CAMBIO_ESTATUS;
+        const pool = await poolPromise;
+        const transaction = pool.transaction();
+        await transaction.begin();
+        let extra = {};
+        try {
+            const actualizacion = await transaction.request()
+                .input('idRevistaVehicular', sql.BigInt, idRV)
+                .input('estatusAnterior', sql.Int, estatusActual)
+                .input('estatusNuevo', sql.Int, nuevoEstatus)
+                .query(`
+                    UPDATE [${process.env.DB_NAME}].[dbo].[RevistaVehicular]
+                    SET IdEstatus = @estatusNuevo
+                    WHERE IdRevistaVehicular = @idRevistaVehicular AND IdEstatus = @estatusAnterior
+                `);
+            if (actualizacion.rowsAffected[0] === 0) {
+                await transaction.rollback();
+                return { status: 409, message: 'La inspección cambió de estatus mientras se procesaba la solicitud, intente de nuevo' };
+            }
+
+            // Al cancelar una revista impresa su folio se anula, para que la conciliación no lo cuente como usado
+            if (nuevoEstatus === ESTATUS_REVISTA.CANCELADA && estatusActual === ESTATUS_REVISTA.IMPRESA) {
+                const impresa = await transaction.request()
+                    .input('idRevistaVehicular', sql.BigInt, idRV)
+                    .query(`
+                        SELECT Folio FROM [${process.env.DB_NAME}].[dbo].[RevistaVehicular]
+                        WHERE IdRevistaVehicular = @idRevistaVehicular
+                    `);
+                const folio = impresa.recordset[0]?.Folio;
+                if (folio && await anularFolioEnTransaccion(transaction, folio, `Cancelación: ${motivo}`.slice(0, 500), usuario.id)) {
+                    extra.folioAnulado = folio;
+                }
+            }
+
+            // Trabajo adicional dentro de la misma transacción (p. ej. asignar el folio al imprimir)
+            if (typeof opciones.enTransaccion === 'function') {
+                extra = { ...extra, ...(await opciones.enTransaccion(transaction)) };
+                if (extra.status) {
+                    await transaction.rollback();
+                    return extra;
+                }
+                if (extra.folio) {
+                    await transaction.request()
+                        .input('idRevistaVehicular', sql.BigInt, idRV)
+                        .input('folio', sql.NVarChar(20), extra.folio)
+                        .query(`
+                            UPDATE [${process.env.DB_NAME}].[dbo].[RevistaVehicular]
+                            SET Folio = @folio
+                            WHERE IdRevistaVehicular = @idRevistaVehicular
+                        `);
+                }
+            }
+
+            await transaction.request()
+                .input('idRevistaVehicular', sql.BigInt, idRV)
+                .input('idOperacion', sql.Int, idOperacion)
+                .input('idUsuario', sql.Int, usuario.id)
+                .input('estatusAnterior', sql.Int, estatusActual)
+                .input('estatusNuevo', sql.Int, nuevoEstatus)
+                .input('motivo', sql.NVarChar(500), motivo)
+                .query(`
+                    INSERT INTO [${process.env.DB_NAME}].[RevistaVehicular].[Historial]
+                        ([IdRevistaVehicular], [IdOperacion], [IdUsuario], [Fecha], [IdEstatusAnterior], [IdEstatusNuevo], [Motivo])
+                    VALUES
+                        (@idRevistaVehicular, @idOperacion, @idUsuario, GETDATE(), @estatusAnterior, @estatusNuevo, @motivo)
+                `);
+            await transaction.commit();
+        } catch (err) {
+            await transaction.rollback().catch(() => {});
+            throw err;
+        }
+
+        return {
+            data: {
+                idRV,
+                estatusAnterior: describirEstatusRevista(estatusActual),
+                estatusNuevo: describirEstatusRevista(nuevoEstatus),
+                ...(extra.folio ? { folio: extra.folio } : {}),
+                ...(extra.folioAnulado ? { folioAnulado: extra.folioAnulado } : {})
+            },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al cambiar el estatus de la revista: ${err.message}`);
+    }
+}
+
+/**
+ * Obtiene el historial de una revista vehicular en orden cronológico, con los nombres de estatus
+ * de revistaEstatusMap y el nombre de cada usuario.
+ * @async
+ * @function obtenerHistorialRevista
+ * @param {number} idRV - ID de la inspección vehicular.
+ * @returns {Promise<Object>} Objeto con `data` (`estatusActual` y `historial`) y `returnValue`, o `{ status: 404, message }`.
+ * @throws {Error} Si falla la consulta.
  */
-async function imprimirRevista(idRV, idUsuario, folio = '') {
+async function obtenerHistorialRevista(idRV) {
     try {
+        const revista = await obtenerEstatusRevista(idRV);
+        if (!revista) {
+            return { status: 404, message: 'Inspección no encontrada' };
+        }
+
         const pool = await poolPromise;
-        const request = pool.request()
+        const result = await pool.request()
             .input('idRevistaVehicular', sql.BigInt, idRV)
-            .input('idUsuario', sql.Int, idUsuario)
-            .input('folio', sql.NVarChar(20), folio);
-
-        await request.query(`
-            INSERT INTO [${process.env.DB_NAME}].[RevistaVehicular].[Historial]
-                ([IdRevistaVehicular], [IdOperacion], [IdUsuario], [Fecha])
-            VALUES
-                (@idRevistaVehicular, 2, @idUsuario, GETDATE())
-        `);
+            .query(`
+                SELECT [IdOperacion], [IdUsuario], [Fecha], [IdEstatusAnterior], [IdEstatusNuevo], [Motivo],
+                       [Campo], [ValorAnterior], [ValorNuevo]
+                FROM [${process.env.DB_NAME}].[RevistaVehicular].[Historial]
+                WHERE IdRevistaVehicular = @idRevistaVehicular
+                ORDER BY [Fecha] ASC
+            `);
+
+        // Nombres de los usuarios que aparecen en el historial
+        const idsUsuario = [...new Set(result.recordset.map(item => item.IdUsuario).filter(Boolean))];
+        let usuariosMap = new Map();
+        if (idsUsuario.length > 0) {
+            const poolUsers = await poolUsersPromise;
+            const request = poolUsers.request();
+            idsUsuario.forEach((id, index) => request.input(`id${index}`, sql.Int, id));
+            const usuariosResult = await request.query(`
+                SELECT UserID, Name + ' ' + ISNULL(LastName, '') + ' ' + ISNULL(Surname, '') AS Nombre
+                FROM [dbo].[mUsers]
+                WHERE UserID IN (${idsUsuario.map((id, index) => `@id${index}`).join(', ')})
+            `);
+            usuariosMap = new Map(usuariosResult.recordset.map(item => [item.UserID, item.Nombre.trim()]));
+        }
 
-        await request.query(`
-            UPDATE [${process.env.DB_NAME}].[dbo].[RevistaVehicular]
-            SET IdEstatus = 2, Folio = @folio
-            WHERE IdRevistaVehicular = @idRevistaVehicular
-        `);
+        const historial = result.recordset.map(item => ({
+            fecha: item.Fecha,
+            idOperacion: item.IdOperacion,
+            operacion: NOMBRES_OPERACION[item.IdOperacion] || 'Desconocida',
+            idUsuario: item.IdUsuario,
+            usuario: usuariosMap.get(item.IdUsuario) || null,
+            estatusAnterior: describirEstatusRevista(item.IdEstatusAnterior),
+            estatusNuevo: describirEstatusRevista(item.IdEstatusNuevo),
+            motivo: item.Motivo,
+            ...(item.Campo ? {
+                campo: item.Campo,
+                etiqueta: CAMPOS_EDITABLES_REVISTA.find(campo => campo.campo === item.Campo)?.etiqueta || item.Campo,
+                valorAnterior: item.ValorAnterior,
+                valorNuevo: item.ValorNuevo
+            } : {})
+        }));
 
-        return { success: true };
+        return {
+            data: {
+                idRV,
+                estatusActual: describirEstatusRevista(revista.IdEstatus),
+                historial
+            },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al obtener el historial de la revista: ${err.message}`);
+    }
+}
+
+/**
+ * Cancela una revista vehicular. La revista cancelada ya no puede imprimirse,
+ * pero sigue apareciendo en las búsquedas (filtrando por su estatus). Si ya estaba impresa, su folio se anula.
+ * @async
+ * @function cancelarRevista
+ * @param {number} idRV - ID de la inspección vehicular.
+ * @param {Object} usuario - Usuario que cancela (`id`, `capacidades`).
+ * @param {string} motivo - Motivo de la cancelación (obligatorio).
+ * @returns {Promise<Object>} Resultado de cambiarEstatusRevista.
+ * @throws {Error} Si falla la consulta.
+ */
+async function cancelarRevista(idRV, usuario, motivo) {
+    return cambiarEstatusRevista(idRV, ESTATUS_REVISTA.CANCELADA, usuario, motivo);
+}
+
+/**
+ * Registra la impresión de una revista vehicular: la pasa de aprobada a impresa y le asigna el siguiente
+ * folio de la serie de su delegación (ver folioService). El cambio de estatus, el folio y el Historial se
+ * guardan en una sola transacción, así que una impresión fallida no consume folios.
+ * Es idempotente: si la revista ya está impresa (incluso por una solicitud simultánea) devuelve el folio
+ * existente con `yaImpresa: true` sin registrar otra impresión; para volver a imprimir se usa reimprimirRevista.
+ * @async
+ * @function imprimirRevista
+ * @param {number} idRV - ID de la inspección vehicular.
+ * @param {Object} usuario - Usuario que registra la impresión (`id`, `capacidades`).
+ * @param {number} idDelegacion - Delegación de cuya serie se toma el folio.
+ * @returns {Promise<Object>} Objeto con `data` (`idRV`, `estatusAnterior`, `estatusNuevo`, `folio`, `yaImpresa`) y `returnValue`,
+ *          o `{ status, message }` con 404 (no existe), 409 (cancelada o sin folios disponibles),
+ *          422 (la revista no está aprobada) o 403 (sin capacidad).
+ * @throws {Error} Si falla la consulta.
+ */
+async function imprimirRevista(idRV, usuario, idDelegacion) {
+    const revista = await obtenerEstatusRevista(idRV);
+    if (!revista) {
+        return { status: 404, message: 'Inspección no encontrada' };
+    }
+    if (revista.IdEstatus === ESTATUS_REVISTA.IMPRESA) {
+        return revistaYaImpresa(idRV, revista);
+    }
+    if (revista.IdEstatus === ESTATUS_REVISTA.CANCELADA) {
+        return { status: 409, message: 'La inspección está cancelada y no puede imprimirse' };
+    }
+    if (revista.IdEstatus !== ESTATUS_REVISTA.APROBADA) {
+        return {
+            status: 422,
+            message: `Solo pueden imprimirse inspecciones aprobadas; la inspección está "${revistaEstatusMap.get(revista.IdEstatus) || revista.IdEstatus}"`,
+            estatusActual: describirEstatusRevista(revista.IdEstatus)
+        };
+    }
+
+    const result = await cambiarEstatusRevista(idRV, ESTATUS_REVISTA.IMPRESA, usuario, null, {
+        enTransaccion: transaction => asignarFolio(transaction, idDelegacion, idRV, usuario.id)
+    });
+    if (result.status === 409) {
+        // Otra solicitud pudo imprimirla entre la lectura y la actualización
+        const actual = await obtenerEstatusRevista(idRV);
+        if (actual?.IdEstatus === ESTATUS_REVISTA.IMPRESA) {
+            return revistaYaImpresa(idRV, actual);
+        }
+    }
+    if (result.data) {
+        result.data.yaImpresa = false;
+    }
+    return result;
+}
+
+/**
+ * Respuesta de imprimirRevista para una revista que ya estaba impresa.
+ * @function revistaYaImpresa
+ * @param {number} idRV - ID de la inspección vehicular.
+ * @param {Object} revista - Estatus y folio actuales (`IdEstatus`, `Folio`).
+ * @returns {Object} Objeto con `data` y `returnValue`.
+ */
+function revistaYaImpresa(idRV, revista) {
+    return {
+        data: {
+            idRV,
+            estatusAnterior: describirEstatusRevista(revista.IdEstatus),
+            estatusNuevo: describirEstatusRevista(revista.IdEstatus),
+            folio: revista.Folio,
+            yaImpresa: true
+        },
+        returnValue: 0
+    };
+}
+
+/**
+ * Registra la reimpresión de una revista ya impresa como una operación aparte (IdOperacion REIMPRESION).
+ * El estatus no cambia. Si la forma original se echó a perder, `nuevoFolio` anula el folio anterior y
+ * asigna uno nuevo de la serie de la delegación, todo en la misma transacción.
+ * @async
+ * @function reimprimirRevista
+ * @param {number} idRV - ID de la inspección vehicular.
+ * @param {Object} usuario - Usuario que registra la reimpresión (`id`).
+ * @param {Object} opciones - Datos de la reimpresión.
+ * @param {string} opciones.motivo - Motivo de la reimpresión.
+ * @param {boolean} [opciones.nuevoFolio] - Anular el folio anterior y asignar uno nuevo.
+ * @param {number} [opciones.idDelegacion] - Delegación de cuya serie se toma el folio nuevo.
+ * @returns {Promise<Object>} Objeto con `data` (`idRV`, `folio`, `folioAnterior`) y `returnValue`,
+ *          o `{ status, message }` con 404 (no existe), 409 (cancelada, cambio simultáneo o sin folios) o 422 (no está impresa).
+ * @throws {Error} Si falla la consulta.
+ */
+async function reimprimirRevista(idRV, usuario, { motivo, nuevoFolio = false, idDelegacion = null }) {
+    try {
+        const revista = await obtenerEstatusRevista(idRV);
+        if (!revista) {
+            return { status: 404, message: 'Inspección no encontrada' };
+        }
+        if (revista.IdEstatus === ESTATUS_REVISTA.CANCELADA) {
+            return { status: 409, message: 'La inspección está cancelada y no puede imprimirse' };
+        }
+        if (revista.IdEstatus !== ESTATUS_REVISTA.IMPRESA) {
+            return {
+                status: 422,
+                message: 'Solo pueden reimprimirse inspecciones ya impresas; use POST /revista/imprimir',
+                estatusActual: describirEstatusRevista(revista.IdEstatus)
+            };
+        }
+
+        const pool = await poolPromise;
+        const transaction = pool.transaction();
+        await transaction.begin();
+        let folio = revista.Folio;
+        let motivoHistorial = motivo;
+        try {
+            // Bloquea la revista y confirma que sigue impresa
+            const bloqueo = await transaction.request()
+                .input('idRevistaVehicular', sql.BigInt, idRV)
+                .input('estatus', sql.Int, ESTATUS_REVISTA.IMPRESA)
+                .query(`
+                    SELECT Folio FROM [${process.env.DB_NAME}].[dbo].[RevistaVehicular] WITH (UPDLOCK, ROWLOCK)
+                    WHERE IdRevistaVehicular = @idRevistaVehicular AND IdEstatus = @estatus
+                `);
+            if (!bloqueo.recordset[0]) {
+                await transaction.rollback();
+                return { status: 409, message: 'La inspección cambió de estatus mientras se procesaba la solicitud, intente de nuevo' };
+            }
+
+            if (nuevoFolio) {
+                const folioAnterior = bloqueo.recordset[0].Folio;
+                if (folioAnterior) {
+                    await anularFolioEnTransaccion(transaction, folioAnterior, `Reimpresión: ${motivo}`, usuario.id);
+                }
+                const asignado = await asignarFolio(transaction, idDelegacion, idRV, usuario.id);
+                if (asignado.status) {
+                    await transaction.rollback();
+                    return asignado;
+                }
+                folio = asignado.folio;
+                motivoHistorial = `${motivo} (folio ${folioAnterior || 'sin folio'} → ${folio})`;
+                await transaction.request()
+                    .input('idRevistaVehicular', sql.BigInt, idRV)
+                    .input('folio', sql.NVarChar(20), folio)
+                    .query(`
+                        UPDATE [${process.env.DB_NAME}].[dbo].[RevistaVehicular]
+                        SET Folio = @folio
+                        WHERE IdRevistaVehicular = @idRevistaVehicular
+                    `);
+            }
+
+            await transaction.request()
+                .input('idRevistaVehicular', sql.BigInt, idRV)
+                .input('idOperacion', sql.Int, OPERACIONES_REVISTA.REIMPRESION)
+                .input('idUsuario', sql.Int, usuario.id)
+                .input('estatus', sql.Int, ESTATUS_REVISTA.IMPRESA)
+                .input('motivo', sql.NVarChar(500), motivoHistorial.slice(0, 500))
+                .query(`
+                    INSERT INTO [${process.env.DB_NAME}].[RevistaVehicular].[Historial]
+                        ([IdRevistaVehicular], [IdOperacion], [IdUsuario], [Fecha], [IdEstatusAnterior], [IdEstatusNuevo], [Motivo])
+                    VALUES
+                        (@idRevistaVehicular, @idOperacion, @idUsuario, GETDATE(), @estatus, @estatus, @motivo)
+                `);
+            await transaction.commit();
+        } catch (err) {
+            await transaction.rollback().catch(() => {});
+            throw err;
+        }
+
+        return {
+            data: {
+                idRV,
+                folio,
+                folioAnterior: nuevoFolio ? revista.Folio : null
+            },
+            returnValue: 0
+        };
     } catch (err) {
-        throw new Error(err.message);
+        throw new Error(`Error al registrar la reimpresión de la revista: ${err.message}`);
     }
 }
 
@@ -1638,8 +2312,13 @@ module.exports = {
     obtenerConcesionPorFolioPlaca,
     obtenerConcesionarioPorId,
     obtenerConcesionariosPorNombre,
+    transmitirConcesionariosPorNombre,
     obtenerConcesionesPorConcesionario,
     obtenerReporteInspecciones,
+    transmitirReporteInspecciones,
+    obtenerSubtotalesReporteInspecciones,
+    obtenerEstadisticasRevistas,
+    obtenerProductividadInspectores,
     obtenerVehiculosPorPlacaNumSerie,
     obtenerBeneficiariosPorConcesionario,
     obtenerDireccionesPorConcesionario,
@@ -1655,7 +2334,6 @@ module.exports = {
     obtenerTiposImagen,
     obtenerDatosVehiculo,
     obtenerVehiculoYAseguradora,
-    generarReporte,
     modificarVehiculoYAseguradora,
     obtenerClasesVehiculo,
     obtenerTiposVehiculo,
@@ -1664,5 +2342,11 @@ module.exports = {
     obtenerSubmarcasPorMarcaCategoria,
     obtenerVersionesPorClaseSubmarca,
     buscarRevistasVehiculares,
-    imprimirRevista
+    obtenerEstatusRevista,
+    describirEstatusRevista,
+    cambiarEstatusRevista,
+    obtenerHistorialRevista,
+    cancelarRevista,
+    imprimirRevista,
+    reimprimirRevista
 };
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Módulo para corregir una revista vehicular antes de imprimirse (solo en estatus capturada o revisada).
+ * Compara campo por campo con lo guardado, actualiza únicamente lo que cambió, recalcula la puntuación
+ * si cambió algún dato de puntuación y registra cada cambio en Historial con su valor anterior y nuevo.
+ * @module edicionRevistaService
+ */
+const sql = require('mssql');
+const poolPromise = require('../config/db');
+const dbService = require('./dbService');
+const puntuacionService = require('./puntuacionService');
+const { CAMPOS_EDITABLES_REVISTA, obtenerValorCampo } = require('../config/checklistRevista');
+const { ESTATUS_EDITABLES, OPERACIONES_REVISTA } = require('../config/estatusRevista');
+require('dotenv').config();
+
+/** Tipo de SQL Server de cada tipo de campo editable. */
+const TIPOS_SQL = {
+    bit: sql.Bit,
+    nivel: sql.TinyInt,
+    entero: sql.Int,
+    texto: sql.NVarChar(500)
+};
+
+/** Columnas de la puntuación calculada, que se registran como cambios si el recálculo las modifica. */
+const CAMPOS_PUNTUACION_CALCULADA = [
+    { campo: 'puntuacion', columna: 'Puntuacion', etiqueta: 'Puntuación', tipo: 'entero' },
+    { campo: 'clasificacionId', columna: 'ClasificacionId', etiqueta: 'Clasificación', tipo: 'entero' }
+];
+
+/**
+ * Lee el valor guardado de un campo editable, por el nombre de su columna o, si no viene así, por el del campo.
+ * @function valorGuardado
+ * @param {Object} revista - Registro de SP_ObtenerRevistaPuntuacionPorId.
+ * @param {Object} definicion - Campo de CAMPOS_EDITABLES_REVISTA.
+ * @returns {*} Valor guardado.
+ */
+function valorGuardado(revista, definicion) {
+    const valor = obtenerValorCampo(revista, definicion.columna);
+    return valor !== undefined ? valor : obtenerValorCampo(revista, definicion.campo);
+}
+
+/**
+ * Normaliza un valor según el tipo del campo para poder compararlo con el guardado.
+ * @function normalizarValor
+ * @param {Object} definicion - Campo de CAMPOS_EDITABLES_REVISTA.
+ * @param {*} valor - Valor enviado o guardado.
+ * @returns {number|string|null} Valor normalizado.
+ */
+function normalizarValor(definicion, valor) {
+    if (valor === null || valor === undefined) return null;
+    if (definicion.tipo === 'texto') return String(valor).trim();
+    if (definicion.tipo === 'bit') {
+        if (typeof valor === 'string') return ['true', '1', 'si', 'sí'].includes(valor.trim().toLowerCase()) ? 1 : 0;
+        return valor ? 1 : 0;
+    }
+    const numero = parseInt(valor);
+    return isNaN(numero) ? null : numero;
+}
+
+/**
+ * Edita una revista vehicular capturada o revisada.
+ * @async
+ * @function editarRevista
+ * @param {number} idRV - ID de la inspección vehicular.
+ * @param {Object} datos - Campos a modificar (ver CAMPOS_EDITABLES_REVISTA); los demás se conservan.
+ * @param {Object} usuario - Usuario que edita (`id`).
+ * @param {Object} [opciones] - Opciones de la edición.
+ * @param {string} [opciones.motivo] - Motivo de la corrección.
+ * @param {number} [opciones.puntuacion] - Puntuación esperada por el cliente (se compara con la recalculada).
+ * @param {number} [opciones.clasificacionId] - Clasificación esperada por el cliente.
+ * @returns {Promise<Object>} Objeto con `data` (`idRV` y `cambios` con campo, valor anterior y nuevo) y `returnValue`,
+ *          o `{ status, message }` con 404 (no existe), 409 (estatus no editable o cambio simultáneo),
+ *          400 (datos de puntuación inválidos) o 422 (la puntuación enviada no coincide).
+ * @throws {Error} Si falla la consulta.
+ */
+async function editarRevista(idRV, datos, usuario, { motivo = null, puntuacion, clasificacionId } = {}) {
+    try {
+        const estado = await dbService.obtenerEstatusRevista(idRV);
+        if (!estado) {
+            return { status: 404, message: 'Inspección no encontrada' };
+        }
+        if (!ESTATUS_EDITABLES.includes(estado.IdEstatus)) {
+            return {
+                status: 409,
+                message: 'Solo se pueden editar inspecciones capturadas o revisadas',
+                estatusActual: dbService.describirEstatusRevista(estado.IdEstatus)
+            };
+        }
+
+        const { data: actual } = await dbService.obtenerRevistaPorId(idRV);
+        if (!actual) {
+            return { status: 404, message: 'Inspección no encontrada' };
+        }
+
+        const cambios = [];
+        for (const definicion of CAMPOS_EDITABLES_REVISTA) {
+            if (!(definicion.campo in datos)) continue;
+            const anterior = normalizarValor(definicion, valorGuardado(actual, definicion));
+            const nuevo = normalizarValor(definicion, datos[definicion.campo]);
+            if (anterior !== nuevo) {
+                cambios.push({ ...definicion, anterior, nuevo });
+            }
+        }
+
+        // Recalcular la puntuación con los datos guardados y los nuevos
+        let calculado = null;
+        if (cambios.some(cambio => cambio.puntuacion)) {
+            const entrada = Object.fromEntries(CAMPOS_EDITABLES_REVISTA
+                .filter(definicion => definicion.puntuacion)
+                .map(definicion => {
+                    const cambio = cambios.find(item => item.campo === definicion.campo);
+                    return [definicion.campo, cambio ? cambio.nuevo : normalizarValor(definicion, valorGuardado(actual, definicion))];
+                }));
+            const puntuacionResult = await puntuacionService.calcularPuntuacion(entrada);
+            if (puntuacionResult.status) {
+                return puntuacionResult;
+            }
+            calculado = puntuacionResult.data;
+            const diferencias = puntuacionService.compararConCliente(calculado, puntuacion, clasificacionId);
+            if (diferencias.length > 0) {
+                return {
+                    status: 422,
+                    message: 'La puntuación o clasificación enviada no coincide con la calculada por el servidor',
+                    diferencias
+                };
+            }
+            for (const definicion of CAMPOS_PUNTUACION_CALCULADA) {
+                const anterior = normalizarValor(definicion, valorGuardado(actual, definicion));
+                const nuevo = calculado[definicion.campo];
+                if (anterior !== nuevo) {
+                    cambios.push({ ...definicion, anterior, nuevo });
+                }
+            }
+        }
+
+        const resumen = cambios.map(({ campo, etiqueta, anterior, nuevo }) => ({ campo, etiqueta, anterior, nuevo }));
+        if (cambios.length === 0) {
+            return {
+                data: { idRV, cambios: resumen },
+                returnValue: 0
+            };
+        }
+
+        const pool = await poolPromise;
+        const transaction = pool.transaction();
+        await transaction.begin();
+        try {
+            const request = transaction.request()
+                .input('idRevistaVehicular', sql.BigInt, idRV)
+                .input('estatus', sql.Int, estado.IdEstatus);
+            cambios.forEach((cambio, index) => request.input(`valor${index}`, TIPOS_SQL[cambio.tipo], cambio.nuevo));
+            // Solo se actualiza si el estatus no cambió desde que se leyó
+            const actualizacion = await request.query(`
+                UPDATE [${process.env.DB_NAME}].[dbo].[RevistaVehicular]
+                SET ${cambios.map((cambio, index) => `[${cambio.columna}] = @valor${index}`).join(', ')}
+                WHERE IdRevistaVehicular = @idRevistaVehicular AND IdEstatus = @estatus
+            `);
+            if (actualizacion.rowsAffected[0] === 0) {
+                await transaction.rollback();
+                return { status: 409, message: 'La inspección cambió de estatus mientras se procesaba la solicitud, intente de nuevo' };
+            }
+
+            for (const cambio of cambios) {
+                await transaction.request()
+                    .input('idRevistaVehicular', sql.BigInt, idRV)
+                    .input('idOperacion', sql.Int, OPERACIONES_REVISTA.EDICION)
+                    .input('idUsuario', sql.Int, usuario.id)
+                    .input('estatus', sql.Int, estado.IdEstatus)
+                    .input('motivo', sql.NVarChar(500), motivo)
+                    .input('campo', sql.NVarChar(100), cambio.campo)
+                    .input('valorAnterior', sql.NVarChar(500), cambio.anterior === null ? null : String(cambio.anterior))
+                    .input('valorNuevo', sql.NVarChar(500), cambio.nuevo === null ? null : String(cambio.nuevo))
+                    .query(`
+                        INSERT INTO [${process.env.DB_NAME}].[RevistaVehicular].[Historial]
+                            ([IdRevistaVehicular], [IdOperacion], [IdUsuario], [Fecha], [IdEstatusAnterior], [IdEstatusNuevo], [Motivo], [Campo], [ValorAnterior], [ValorNuevo])
+                        VALUES
+                            (@idRevistaVehicular, @idOperacion, @idUsuario, GETDATE(), @estatus, @estatus, @motivo, @campo, @valorAnterior, @valorNuevo)
+                    `);
+            }
+            await transaction.commit();
+        } catch (err) {
+            await transaction.rollback().catch(() => {});
+            throw err;
+        }
+
+        return {
+            data: {
+                idRV,
+                cambios: resumen,
+                ...(calculado ? {
+                    puntuacion: calculado.puntuacion,
+                    clasificacionId: calculado.clasificacionId,
+                    clasificacion: calculado.clasificacion
+                } : {})
+            },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al editar la revista: ${err.message}`);
+    }
+}
+
+module.exports = {
+    editarRevista
+};
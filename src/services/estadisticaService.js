@@ -0,0 +1,150 @@
+/**
+ * Módulo de estadísticas de inspecciones (GET /estadisticas/revistas) para el tablero de la dirección:
+ * conteos y tasa de aprobación por periodo, municipio, modalidad, trámite e inspector, los elementos del checklist
+ * que más se reprueban y la distribución de puntuaciones por clasificación.
+ * @module estadisticaService
+ */
+const dbService = require('./dbService');
+const puntuacionService = require('./puntuacionService');
+const { errorValidacion } = require('../middlewares/validacion');
+
+/** Días que cubre la consulta cuando no se indican fechas (incluido el día de hoy). */
+const DIAS_PREDETERMINADOS = 30;
+
+/** Elementos del checklist que se devuelven cuando no se indica `limiteElementos`. */
+const LIMITE_ELEMENTOS = 10;
+
+/**
+ * Convierte una fecha DD/MM/YYYY o YYYY-MM-DD a YYYY-MM-DD.
+ * @function aISO
+ * @param {string} fecha - Fecha recibida.
+ * @returns {string} Fecha en formato YYYY-MM-DD.
+ */
+function aISO(fecha) {
+    if (/^\d{2}\/\d{2}\/\d{4}$/.test(fecha)) {
+        const [day, month, year] = fecha.split('/');
+        return `${year}-${month}-${day}`;
+    }
+    return fecha;
+}
+
+/**
+ * Formatea una fecha local como YYYY-MM-DD.
+ * @function fechaLocal
+ * @param {Date} fecha - Fecha.
+ * @returns {string} Fecha en formato YYYY-MM-DD.
+ */
+function fechaLocal(fecha) {
+    return `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, '0')}-${String(fecha.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Porcentaje con dos decimales; 0 si no hay total.
+ * @function porcentaje
+ * @param {number} parte - Parte.
+ * @param {number} total - Total.
+ * @returns {number} Porcentaje (0-100).
+ */
+function porcentaje(parte, total) {
+    return total ? Math.round(parte * 10000 / total) / 100 : 0;
+}
+
+/**
+ * Agrega pendientes y tasa de aprobación a un conteo de la consulta. La tasa se calcula sobre las inspecciones
+ * ya resueltas por el supervisor (aprobadas más rechazadas).
+ * @function resumirConteo
+ * @param {Object} conteo - Registro con `Inspecciones`, `Aprobadas` y `Rechazadas`.
+ * @returns {Object} `inspecciones`, `aprobadas`, `reprobadas` (rechazadas), `sinResolver` (capturadas, revisadas
+ *          o canceladas) y `tasaAprobacion` (porcentaje).
+ */
+function resumirConteo(conteo) {
+    const inspecciones = conteo.Inspecciones || 0;
+    const aprobadas = conteo.Aprobadas || 0;
+    const reprobadas = conteo.Rechazadas || 0;
+    return {
+        inspecciones,
+        aprobadas,
+        reprobadas,
+        sinResolver: inspecciones - aprobadas - reprobadas,
+        tasaAprobacion: porcentaje(aprobadas, aprobadas + reprobadas)
+    };
+}
+
+/**
+ * Obtiene las estadísticas de inspecciones en un rango de fechas.
+ * @async
+ * @function obtenerEstadisticasRevistas
+ * @param {Object} consulta - `fechaInicio` y `fechaFin` (DD/MM/YYYY o YYYY-MM-DD; por defecto los últimos 30 días),
+ *        `periodo` ('dia', 'semana' o 'mes'; por defecto 'dia') y `limiteElementos` (elementos del checklist a devolver).
+ * @returns {Promise<Object>} Objeto con `data` (`resumen`, `porPeriodo`, `porMunicipio`, `porModalidad`, `porTramite`,
+ *          `porInspector`, `elementosReprobados` y `clasificaciones`) y `returnValue`, o un error de validación (errorValidacion).
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerEstadisticasRevistas({ fechaInicio, fechaFin, periodo = 'dia', limiteElementos } = {}) {
+    try {
+        const hoy = new Date();
+        const fin = fechaFin ? aISO(fechaFin) : fechaLocal(hoy);
+        const inicio = fechaInicio
+            ? aISO(fechaInicio)
+            : fechaLocal(new Date(hoy.getFullYear(), hoy.getMonth(), hoy.getDate() - (DIAS_PREDETERMINADOS - 1)));
+        if (inicio > fin) {
+            return errorValidacion('fechaInicio', 'query', 'Debe ser anterior o igual a fechaFin');
+        }
+        const aConsulta = fecha => {
+            const [year, month, day] = fecha.split('-');
+            return `${month}/${day}/${year}`;
+        };
+
+        const [result, catalogos] = await Promise.all([
+            dbService.obtenerEstadisticasRevistas(aConsulta(inicio), aConsulta(fin), periodo || 'dia'),
+            puntuacionService.obtenerCatalogosPuntuacion()
+        ]);
+        const { totales, porPeriodo, porGrupo, checklist, clasificaciones } = result.data;
+        const limite = parseInt(limiteElementos) || LIMITE_ELEMENTOS;
+        const porGrupoResumido = clave => (porGrupo[clave] || []).map(item => ({ grupo: item.Grupo, ...resumirConteo(item) }));
+
+        return {
+            data: {
+                fechaInicio: inicio,
+                fechaFin: fin,
+                periodo: periodo || 'dia',
+                resumen: {
+                    ...resumirConteo(totales),
+                    puntuacionPromedio: totales.PuntuacionPromedio === null ? null : Math.round(totales.PuntuacionPromedio * 100) / 100
+                },
+                porPeriodo: porPeriodo.map(item => ({
+                    periodo: new Date(item.Periodo).toISOString().slice(0, 10),
+                    ...resumirConteo(item)
+                })),
+                porMunicipio: porGrupoResumido('municipio'),
+                porModalidad: porGrupoResumido('modalidad'),
+                porTramite: porGrupoResumido('tramite'),
+                porInspector: porGrupoResumido('inspector'),
+                elementosReprobados: checklist
+                    .filter(item => item.mal > 0)
+                    .map(item => ({ ...item, porcentaje: porcentaje(item.mal, item.evaluadas) }))
+                    .sort((a, b) => b.mal - a.mal || b.porcentaje - a.porcentaje)
+                    .slice(0, limite),
+                clasificaciones: clasificaciones.map(item => {
+                    const registro = (catalogos.Clasificacion || []).find(clasificacion => clasificacion.id === item.ClasificacionId);
+                    return {
+                        clasificacionId: item.ClasificacionId,
+                        clasificacion: item.ClasificacionId === null ? 'Sin clasificación' : (registro ? registro.descripcion : String(item.ClasificacionId)),
+                        inspecciones: item.Inspecciones,
+                        porcentaje: porcentaje(item.Inspecciones, totales.Inspecciones),
+                        puntuacionMinima: item.PuntuacionMinima,
+                        puntuacionPromedio: item.PuntuacionPromedio === null ? null : Math.round(item.PuntuacionPromedio * 100) / 100,
+                        puntuacionMaxima: item.PuntuacionMaxima
+                    };
+                })
+            },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al calcular las estadísticas de inspecciones: ${err.message}`);
+    }
+}
+
+module.exports = {
+    obtenerEstadisticasRevistas
+};
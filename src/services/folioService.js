@@ -0,0 +1,399 @@
+/**
+ * Módulo para emitir los folios de las revistas impresas a partir de series por delegación.
+ * El número se reserva con un UPDATE atómico de [RevistaVehicular].[FolioSerie].[Siguiente] dentro de la
+ * transacción de la impresión, y cada folio emitido queda en [RevistaVehicular].[Folio] como 'usado' o 'anulado'.
+ * @module folioService
+ */
+const sql = require('mssql');
+const poolPromise = require('../config/db');
+const { OPERACIONES_REVISTA } = require('../config/estatusRevista');
+require('dotenv').config();
+
+/**
+ * Da formato a un folio: prefijo de la serie y número rellenado con ceros.
+ * @function formatearFolio
+ * @param {Object} serie - Serie (`Prefijo`, `Longitud`).
+ * @param {number} numero - Número del folio.
+ * @returns {string} Folio con formato.
+ */
+function formatearFolio(serie, numero) {
+    return `${serie.Prefijo || ''}${String(numero).padStart(serie.Longitud || 0, '0')}`;
+}
+
+/**
+ * Reserva el siguiente número de la serie activa de una delegación y lo registra como usado.
+ * Debe llamarse dentro de una transacción: si la transacción se revierte, el número vuelve a estar disponible.
+ * @async
+ * @function asignarFolio
+ * @param {sql.Transaction} transaction - Transacción en curso.
+ * @param {number} idDelegacion - ID de la delegación.
+ * @param {number} idRV - ID de la revista vehicular.
+ * @param {number} idUsuario - ID del usuario que imprime.
+ * @returns {Promise<Object>} `{ folio, idSerie, numero }` o `{ status: 409, message }` si no hay folios disponibles.
+ */
+async function asignarFolio(transaction, idDelegacion, idRV, idUsuario) {
+    const reserva = await transaction.request()
+        .input('idDelegacion', sql.Int, idDelegacion)
+        .query(`
+            UPDATE s SET Siguiente = s.Siguiente + 1
+            OUTPUT deleted.IdSerie, deleted.Siguiente AS Numero, deleted.Prefijo, deleted.Longitud
+            FROM [${process.env.DB_NAME}].[RevistaVehicular].[FolioSerie] s WITH (UPDLOCK, ROWLOCK)
+            WHERE s.IdSerie = (
+                SELECT TOP 1 IdSerie FROM [${process.env.DB_NAME}].[RevistaVehicular].[FolioSerie] WITH (UPDLOCK)
+                WHERE IdDelegacion = @idDelegacion AND Activa = 1 AND Siguiente <= FolioFinal
+                ORDER BY IdSerie
+            )
+        `);
+    const serie = reserva.recordset[0];
+    if (!serie) {
+        return { status: 409, message: `No hay folios disponibles para la delegación ${idDelegacion}` };
+    }
+
+    const folio = formatearFolio(serie, serie.Numero);
+    await transaction.request()
+        .input('idSerie', sql.Int, serie.IdSerie)
+        .input('numero', sql.Int, serie.Numero)
+        .input('folio', sql.NVarChar(20), folio)
+        .input('idRevistaVehicular', sql.BigInt, idRV)
+        .input('idUsuario', sql.Int, idUsuario)
+        .query(`
+            INSERT INTO [${process.env.DB_NAME}].[RevistaVehicular].[Folio]
+                ([IdSerie], [Numero], [Folio], [Estatus], [IdRevistaVehicular], [IdUsuario], [Fecha])
+            VALUES (@idSerie, @numero, @folio, 'usado', @idRevistaVehicular, @idUsuario, GETDATE())
+        `);
+
+    return { folio, idSerie: serie.IdSerie, numero: serie.Numero };
+}
+
+/**
+ * Anula, dentro de una transacción, el folio usado por una revista (p. ej. al reimprimir en una forma nueva).
+ * @async
+ * @function anularFolioEnTransaccion
+ * @param {sql.Transaction} transaction - Transacción en curso.
+ * @param {string} folio - Folio a anular.
+ * @param {string} motivo - Motivo de la anulación.
+ * @param {number} idUsuario - ID del usuario.
+ * @returns {Promise<boolean>} true si el folio estaba usado y se anuló.
+ */
+async function anularFolioEnTransaccion(transaction, folio, motivo, idUsuario) {
+    const result = await transaction.request()
+        .input('folio', sql.NVarChar(20), folio)
+        .input('motivo', sql.NVarChar(500), motivo)
+        .input('idUsuario', sql.Int, idUsuario)
+        .query(`
+            UPDATE [${process.env.DB_NAME}].[RevistaVehicular].[Folio]
+            SET Estatus = 'anulado', Motivo = @motivo, IdUsuario = @idUsuario, Fecha = GETDATE()
+            WHERE Folio = @folio AND Estatus = 'usado'
+        `);
+    return result.rowsAffected[0] > 0;
+}
+
+/**
+ * Obtiene las series activas con sus folios disponibles.
+ * @async
+ * @function obtenerFoliosDisponibles
+ * @param {number} [idDelegacion] - Filtra por delegación (opcional).
+ * @returns {Promise<Object>} Objeto con `data` (series con `siguienteFolio`, `ultimoFolio` y `disponibles`) y `returnValue`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerFoliosDisponibles(idDelegacion = null) {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('idDelegacion', sql.Int, idDelegacion)
+            .query(`
+                SELECT IdSerie, IdDelegacion, Prefijo, Longitud, FolioInicial, FolioFinal, Siguiente
+                FROM [${process.env.DB_NAME}].[RevistaVehicular].[FolioSerie]
+                WHERE Activa = 1 AND (@idDelegacion IS NULL OR IdDelegacion = @idDelegacion)
+                ORDER BY IdDelegacion, IdSerie
+            `);
+        const data = result.recordset.map(serie => {
+            const disponibles = Math.max(serie.FolioFinal - serie.Siguiente + 1, 0);
+            return {
+                idSerie: serie.IdSerie,
+                idDelegacion: serie.IdDelegacion,
+                prefijo: serie.Prefijo,
+                siguienteFolio: disponibles > 0 ? formatearFolio(serie, serie.Siguiente) : null,
+                ultimoFolio: formatearFolio(serie, serie.FolioFinal),
+                disponibles
+            };
+        });
+        return {
+            data,
+            totalDisponibles: data.reduce((total, serie) => total + serie.disponibles, 0),
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al obtener los folios disponibles: ${err.message}`);
+    }
+}
+
+/**
+ * Crea una serie de folios para una delegación.
+ * @async
+ * @function crearSerie
+ * @param {Object} serie - Datos de la serie.
+ * @param {number} serie.idDelegacion - ID de la delegación.
+ * @param {string} [serie.prefijo] - Prefijo de los folios.
+ * @param {number} [serie.longitud] - Dígitos del número (6 por defecto).
+ * @param {number} serie.folioInicial - Primer número.
+ * @param {number} serie.folioFinal - Último número.
+ * @returns {Promise<Object>} Objeto con `data` (`idSerie`) y `returnValue`,
+ *          o `{ status: 409, message }` si el rango se traslapa con otra serie del mismo prefijo.
+ * @throws {Error} Si falla la consulta.
+ */
+async function crearSerie({ idDelegacion, prefijo = '', longitud = 6, folioInicial, folioFinal }) {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('idDelegacion', sql.Int, idDelegacion)
+            .input('prefijo', sql.NVarChar(8), prefijo)
+            .input('longitud', sql.Int, longitud)
+            .input('folioInicial', sql.Int, folioInicial)
+            .input('folioFinal', sql.Int, folioFinal)
+            .query(`
+                IF EXISTS (
+                    SELECT 1 FROM [${process.env.DB_NAME}].[RevistaVehicular].[FolioSerie]
+                    WHERE Prefijo = @prefijo AND FolioInicial <= @folioFinal AND FolioFinal >= @folioInicial
+                )
+                BEGIN
+                    SELECT CAST(NULL AS INT) AS IdSerie;
+                    RETURN;
+                END
+                INSERT INTO [${process.env.DB_NAME}].[RevistaVehicular].[FolioSerie]
+                    ([IdDelegacion], [Prefijo], [Longitud], [FolioInicial], [FolioFinal], [Siguiente])
+                OUTPUT INSERTED.IdSerie
+                VALUES (@idDelegacion, @prefijo, @longitud, @folioInicial, @folioFinal, @folioInicial);
+            `);
+        const idSerie = result.recordset[0]?.IdSerie;
+        if (!idSerie) {
+            return { status: 409, message: 'El rango de folios se traslapa con otra serie del mismo prefijo' };
+        }
+        return {
+            data: { idSerie },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al crear la serie de folios: ${err.message}`);
+    }
+}
+
+/**
+ * Anula un folio ya emitido (forma echada a perder). El folio no se vuelve a emitir.
+ * Si el folio estaba usado por una revista, la anulación queda en su Historial en la misma transacción;
+ * la revista conserva su estatus y para imprimirla en una forma nueva se usa reimprimirRevista con `nuevoFolio`.
+ * @async
+ * @function anularFolio
+ * @param {string} folio - Folio a anular.
+ * @param {string} motivo - Motivo de la anulación.
+ * @param {number} idUsuario - ID del usuario que anula.
+ * @returns {Promise<Object>} Objeto con `data` (`folio`, `idRV`) y `returnValue`,
+ *          o `{ status: 404|409, message }` si no existe o ya estaba anulado.
+ * @throws {Error} Si falla la consulta.
+ */
+async function anularFolio(folio, motivo, idUsuario) {
+    const pool = await poolPromise;
+    const transaction = pool.transaction();
+    try {
+        await transaction.begin();
+        // Solo la solicitud que cambia el estatus obtiene la fila, aunque dos anulen el mismo folio a la vez
+        const result = await transaction.request()
+            .input('folio', sql.NVarChar(20), folio)
+            .input('motivo', sql.NVarChar(500), motivo)
+            .input('idUsuario', sql.Int, idUsuario)
+            .query(`
+                UPDATE [${process.env.DB_NAME}].[RevistaVehicular].[Folio]
+                SET Estatus = 'anulado', Motivo = @motivo, IdUsuario = @idUsuario, Fecha = GETDATE()
+                OUTPUT deleted.Estatus, deleted.IdRevistaVehicular
+                WHERE Folio = @folio AND Estatus <> 'anulado'
+            `);
+        if (result.rowsAffected[0] === 0) {
+            const existente = await transaction.request()
+                .input('folio', sql.NVarChar(20), folio)
+                .query(`SELECT Estatus FROM [${process.env.DB_NAME}].[RevistaVehicular].[Folio] WHERE Folio = @folio`);
+            await transaction.rollback();
+            return existente.recordset[0]
+                ? { status: 409, message: 'El folio ya estaba anulado' }
+                : { status: 404, message: 'Folio no encontrado' };
+        }
+
+        const idRV = result.recordset[0].IdRevistaVehicular;
+        if (idRV) {
+            await transaction.request()
+                .input('idRevistaVehicular', sql.BigInt, idRV)
+                .input('idOperacion', sql.Int, OPERACIONES_REVISTA.ANULACION_FOLIO)
+                .input('idUsuario', sql.Int, idUsuario)
+                .input('motivo', sql.NVarChar(500), `Folio ${folio} anulado: ${motivo}`.slice(0, 500))
+                .query(`
+                    INSERT INTO [${process.env.DB_NAME}].[RevistaVehicular].[Historial]
+                        ([IdRevistaVehicular], [IdOperacion], [IdUsuario], [Fecha], [IdEstatusAnterior], [IdEstatusNuevo], [Motivo])
+                    SELECT IdRevistaVehicular, @idOperacion, @idUsuario, GETDATE(), IdEstatus, IdEstatus, @motivo
+                    FROM [${process.env.DB_NAME}].[dbo].[RevistaVehicular]
+                    WHERE IdRevistaVehicular = @idRevistaVehicular
+                `);
+        }
+        await transaction.commit();
+        return {
+            data: { folio, idRV },
+            returnValue: 0
+        };
+    } catch (err) {
+        await transaction.rollback().catch(() => {});
+        throw new Error(`Error al anular el folio: ${err.message}`);
+    }
+}
+
+/**
+ * Salta los siguientes números de una serie registrándolos como anulados (formas dañadas antes de usarse).
+ * @async
+ * @function saltarFolios
+ * @param {number} idSerie - ID de la serie.
+ * @param {number} cantidad - Cantidad de números a saltar.
+ * @param {string} motivo - Motivo.
+ * @param {number} idUsuario - ID del usuario.
+ * @returns {Promise<Object>} Objeto con `data` (`folios` anulados) y `returnValue`,
+ *          o `{ status: 404|409, message }` si la serie no existe o no tiene suficientes folios.
+ * @throws {Error} Si falla la consulta.
+ */
+async function saltarFolios(idSerie, cantidad, motivo, idUsuario) {
+    const pool = await poolPromise;
+    const transaction = pool.transaction();
+    try {
+        await transaction.begin();
+        const reserva = await transaction.request()
+            .input('idSerie', sql.Int, idSerie)
+            .input('cantidad', sql.Int, cantidad)
+            .query(`
+                UPDATE s SET Siguiente = s.Siguiente + @cantidad
+                OUTPUT deleted.Siguiente AS Desde, deleted.Prefijo, deleted.Longitud
+                FROM [${process.env.DB_NAME}].[RevistaVehicular].[FolioSerie] s WITH (UPDLOCK, ROWLOCK)
+                WHERE s.IdSerie = @idSerie AND s.Siguiente + @cantidad - 1 <= s.FolioFinal
+            `);
+        const serie = reserva.recordset[0];
+        if (!serie) {
+            await transaction.rollback();
+            return { status: 409, message: 'La serie no existe o no tiene suficientes folios disponibles' };
+        }
+
+        const folios = [];
+        for (let numero = serie.Desde; numero < serie.Desde + cantidad; numero++) {
+            const folio = formatearFolio(serie, numero);
+            await transaction.request()
+                .input('idSerie', sql.Int, idSerie)
+                .input('numero', sql.Int, numero)
+                .input('folio', sql.NVarChar(20), folio)
+                .input('motivo', sql.NVarChar(500), motivo)
+                .input('idUsuario', sql.Int, idUsuario)
+                .query(`
+                    INSERT INTO [${process.env.DB_NAME}].[RevistaVehicular].[Folio]
+                        ([IdSerie], [Numero], [Folio], [Estatus], [IdUsuario], [Motivo], [Fecha])
+                    VALUES (@idSerie, @numero, @folio, 'anulado', @idUsuario, @motivo, GETDATE())
+                `);
+            folios.push(folio);
+        }
+        await transaction.commit();
+        return {
+            data: { folios },
+            returnValue: 0
+        };
+    } catch (err) {
+        await transaction.rollback().catch(() => {});
+        throw new Error(`Error al saltar folios: ${err.message}`);
+    }
+}
+
+/**
+ * Genera el reporte de conciliación de folios: emitidos, usados y anulados por serie, huecos en la
+ * numeración y folios usados que no coinciden con el folio guardado en la revista.
+ * @async
+ * @function obtenerConciliacionFolios
+ * @param {Object} [filtros] - Filtros.
+ * @param {number} [filtros.idDelegacion] - ID de la delegación.
+ * @param {string} [filtros.fechaInicio] - Fecha inicial (YYYY-MM-DD) de emisión.
+ * @param {string} [filtros.fechaFin] - Fecha final (YYYY-MM-DD) de emisión.
+ * @returns {Promise<Object>} Objeto con `data` (`series`, `anulados`, `huecos`, `inconsistencias`) y `returnValue`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerConciliacionFolios({ idDelegacion = null, fechaInicio = null, fechaFin = null } = {}) {
+    try {
+        const pool = await poolPromise;
+        const request = pool.request()
+            .input('idDelegacion', sql.Int, idDelegacion)
+            .input('fechaInicio', sql.Date, fechaInicio)
+            .input('fechaFin', sql.Date, fechaFin);
+        const result = await request.query(`
+            DECLARE @Folios TABLE (IdFolio BIGINT, IdSerie INT, Numero INT, Folio NVARCHAR(20), Estatus VARCHAR(20),
+                                   IdRevistaVehicular BIGINT, IdUsuario INT, Motivo NVARCHAR(500), Fecha DATETIME2);
+            INSERT INTO @Folios
+            SELECT f.IdFolio, f.IdSerie, f.Numero, f.Folio, f.Estatus, f.IdRevistaVehicular, f.IdUsuario, f.Motivo, f.Fecha
+            FROM [${process.env.DB_NAME}].[RevistaVehicular].[Folio] f
+            JOIN [${process.env.DB_NAME}].[RevistaVehicular].[FolioSerie] s ON s.IdSerie = f.IdSerie
+            WHERE (@idDelegacion IS NULL OR s.IdDelegacion = @idDelegacion)
+              AND (@fechaInicio IS NULL OR f.Fecha >= @fechaInicio)
+              AND (@fechaFin IS NULL OR f.Fecha < DATEADD(DAY, 1, @fechaFin));
+
+            -- Resumen por serie
+            SELECT s.IdSerie, s.IdDelegacion, s.Prefijo, s.Longitud, s.FolioInicial, s.FolioFinal, s.Siguiente, s.Activa,
+                   COUNT(f.IdFolio) AS Emitidos,
+                   SUM(CASE WHEN f.Estatus = 'usado' THEN 1 ELSE 0 END) AS Usados,
+                   SUM(CASE WHEN f.Estatus = 'anulado' THEN 1 ELSE 0 END) AS Anulados
+            FROM [${process.env.DB_NAME}].[RevistaVehicular].[FolioSerie] s
+            LEFT JOIN @Folios f ON f.IdSerie = s.IdSerie
+            WHERE (@idDelegacion IS NULL OR s.IdDelegacion = @idDelegacion)
+            GROUP BY s.IdSerie, s.IdDelegacion, s.Prefijo, s.Longitud, s.FolioInicial, s.FolioFinal, s.Siguiente, s.Activa
+            ORDER BY s.IdDelegacion, s.IdSerie;
+
+            -- Folios anulados
+            SELECT Folio, IdRevistaVehicular, IdUsuario, Motivo, Fecha FROM @Folios WHERE Estatus = 'anulado' ORDER BY Fecha;
+
+            -- Huecos: números reservados de la serie sin registro en Folio
+            SELECT IdSerie, Numero + 1 AS Desde, SiguienteNumero - 1 AS Hasta
+            FROM (
+                SELECT f.IdSerie, f.Numero, LEAD(f.Numero) OVER (PARTITION BY f.IdSerie ORDER BY f.Numero) AS SiguienteNumero
+                FROM [${process.env.DB_NAME}].[RevistaVehicular].[Folio] f
+                JOIN [${process.env.DB_NAME}].[RevistaVehicular].[FolioSerie] s ON s.IdSerie = f.IdSerie
+                WHERE (@idDelegacion IS NULL OR s.IdDelegacion = @idDelegacion)
+            ) x
+            WHERE SiguienteNumero - Numero > 1;
+
+            -- Folios usados cuya revista tiene otro folio
+            SELECT f.Folio, f.IdRevistaVehicular, r.Folio AS FolioRevista
+            FROM @Folios f
+            LEFT JOIN [${process.env.DB_NAME}].[dbo].[RevistaVehicular] r ON r.IdRevistaVehicular = f.IdRevistaVehicular
+            WHERE f.Estatus = 'usado' AND (r.IdRevistaVehicular IS NULL OR ISNULL(r.Folio, N'') <> f.Folio);
+        `);
+        const [series, anulados, huecos, inconsistencias] = result.recordsets;
+        return {
+            data: {
+                series: series.map(serie => ({
+                    idSerie: serie.IdSerie,
+                    idDelegacion: serie.IdDelegacion,
+                    prefijo: serie.Prefijo,
+                    rango: `${formatearFolio(serie, serie.FolioInicial)} - ${formatearFolio(serie, serie.FolioFinal)}`,
+                    activa: Boolean(serie.Activa),
+                    emitidos: serie.Emitidos,
+                    usados: serie.Usados || 0,
+                    anulados: serie.Anulados || 0,
+                    disponibles: Math.max(serie.FolioFinal - serie.Siguiente + 1, 0)
+                })),
+                anulados,
+                huecos,
+                inconsistencias
+            },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al generar la conciliación de folios: ${err.message}`);
+    }
+}
+
+module.exports = {
+    formatearFolio,
+    asignarFolio,
+    anularFolioEnTransaccion,
+    obtenerFoliosDisponibles,
+    crearSerie,
+    anularFolio,
+    saltarFolios,
+    obtenerConciliacionFolios
+};
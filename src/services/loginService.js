@@ -1,14 +1,57 @@
 const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const sql = require('mssql');
 const poolPromiseUsers = require('../config/dbUsers');
+const apiKeyService = require('./apiKeyService');
+
+/** Horas de vigencia de la clave API que se emite en cada inicio de sesión. */
+const API_KEY_HORAS_SESION = parseInt(process.env.API_KEY_HORAS_SESION || 24);
+
+/** Rondas de bcrypt para nuevos hashes de contraseña. */
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || 12);
+
+/**
+ * Valor que reemplaza al hash SHA-1 en mUsers.Password cuando BCRYPT_ELIMINAR_SHA1=true.
+ * No corresponde a ningún hash SHA-1, por lo que la contraseña ya no puede verificarse por esa vía.
+ */
+const MARCADOR_SHA1_ELIMINADO = 'BCRYPT';
+
+/**
+ * Guarda el hash bcrypt de la contraseña de un usuario y, si está configurado, elimina su hash SHA-1.
+ * @async
+ * @function migrarPasswordABcrypt
+ * @param {number} userId - ID del usuario.
+ * @param {string} password - Contraseña en texto plano ya verificada.
+ * @returns {Promise<void>}
+ * @throws {Error} Si falla la generación del hash o la consulta.
+ */
+async function migrarPasswordABcrypt(userId, password) {
+    const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const pool = await poolPromiseUsers;
+    const request = pool.request()
+        .input('UserID', sql.Int, userId)
+        .input('PasswordHash', sql.VarChar(100), hash)
+        .input('Marcador', sql.NVarChar(50), MARCADOR_SHA1_ELIMINADO);
+    await request.query(`
+        MERGE [dbo].[dUserPasswordHashes] AS destino
+        USING (SELECT @UserID AS UserID) AS origen ON destino.UserID = origen.UserID
+        WHEN MATCHED THEN UPDATE SET PasswordHash = @PasswordHash, Algorithm = 'bcrypt', UpdatedAt = SYSDATETIME()
+        WHEN NOT MATCHED THEN INSERT (UserID, PasswordHash, Algorithm) VALUES (@UserID, @PasswordHash, 'bcrypt');
+        ${process.env.BCRYPT_ELIMINAR_SHA1 === 'true' ? 'UPDATE [dbo].[mUsers] SET Password = @Marcador WHERE UserID = @UserID;' : ''}
+    `);
+}
 
 /**
- * Autentica a un usuario por username y contraseña, genera o recupera una clave API.
+ * Autentica a un usuario por username y contraseña y emite una clave API nueva.
+ * Como las claves se guardan con hash, no se puede devolver una existente: cada inicio de sesión
+ * crea una clave "Inicio de sesión" que vence en API_KEY_HORAS_SESION horas (24 por defecto).
+ * Verifica el hash bcrypt del usuario si ya fue migrado; si no, usa el hash SHA-1 heredado
+ * y, tras un inicio de sesión correcto, lo migra a bcrypt de forma transparente.
  * @async
  * @function loginUser
  * @param {string} username - Nombre de usuario.
  * @param {string} password - Contraseña del usuario (en texto plano).
- * @returns {Promise<Object>} Objeto con `user` (detalles del usuario), `apiKey` (clave API) y `returnValue`.
+ * @returns {Promise<Object>} Objeto con `user` (detalles del usuario), `apiKey` (clave API), `apiKeyId`, `apiKeyExpiraEn` y `returnValue`.
  * @throws {Error} Si falla la autenticación o la consulta.
  */
 async function loginUser(username, password) {
@@ -19,10 +62,33 @@ async function loginUser(username, password) {
             throw new Error('Entradas inválidas para username o password');
         }
 
-        // Hashear la contraseña con SHA-1
-        const hashedPassword = crypto.createHash('sha1').update(password).digest('hex');
-
         const pool = await poolPromiseUsers;
+
+        // Buscar si el usuario ya tiene hash bcrypt
+        const credencialesResult = await pool.request()
+            .input('Login', sql.VarChar(50), username)
+            .query(`
+                SELECT u.UserID, u.Password AS PasswordLegacy, h.PasswordHash
+                FROM [dbo].[mUsers] u
+                LEFT JOIN [dbo].[dUserPasswordHashes] h ON h.UserID = u.UserID
+                WHERE u.Login = @Login
+            `);
+        const credenciales = credencialesResult.recordset[0];
+
+        let hashedPassword;
+        let requiereMigracion = false;
+        if (credenciales?.PasswordHash) {
+            if (!(await bcrypt.compare(password, credenciales.PasswordHash))) {
+                throw new Error('Usuario no encontrado o contraseña incorrecta');
+            }
+            // spmUser_DoLogin compara contra mUsers.Password, así que se envía el valor almacenado
+            hashedPassword = credenciales.PasswordLegacy;
+        } else {
+            // Hash heredado: SHA-1 sin sal
+            hashedPassword = crypto.createHash('sha1').update(password).digest('hex');
+            requiereMigracion = Boolean(credenciales);
+        }
+
         const request = pool.request();
         request.input('Login', sql.VarChar(50), username);
         request.input('Password', sql.NVarChar(50), hashedPassword);
@@ -39,33 +105,22 @@ async function loginUser(username, password) {
             throw new Error('No se permite la autenticación: sesión no activa');
         }
 
-        // Buscar clave API existente en WP.SIASHidalgo.TransportePublico
-        const poolTransporte = await require('../config/db');
-        const apiKeyRequest = poolTransporte.request();
-        apiKeyRequest.input('user_id', sql.BigInt, user.UserID);
-        const apiKeyResult = await apiKeyRequest.query(
-            'SELECT id, [key], level FROM [dbo].[api_keys] WHERE user_id = @user_id AND deleted_at IS NULL'
-        );
-        let apiKey = apiKeyResult.recordset[0];
-
-        if (!apiKey) {
-            // Generar nueva clave API
-            const newApiKey = crypto.randomBytes(32).toString('hex');
-            const level = user.StatusID || 1; // Usar StatusID como nivel por defecto
-            await apiKeyRequest
-                .input('key', sql.VarChar(255), newApiKey)
-                .input('level', sql.SmallInt, level)
-                .input('ignore_limits', sql.SmallInt, 0)
-                .input('created_at', sql.DateTime2, new Date())
-                .query(`
-                    INSERT INTO [dbo].[api_keys] (user_id, [key], level, ignore_limits, created_at)
-                    VALUES (@user_id, @key, @level, @ignore_limits, @created_at);
-                    SELECT SCOPE_IDENTITY() AS id;
-                `);
-
-            apiKey = { id: apiKeyResult.recordset[0]?.id, key: newApiKey, level };
+        // Migrar el hash SHA-1 a bcrypt; un fallo aquí no debe impedir el inicio de sesión
+        if (requiereMigracion) {
+            try {
+                await migrarPasswordABcrypt(user.UserID, password);
+            } catch (err) {
+                console.error(`Error al migrar la contraseña del usuario ${user.UserID} a bcrypt:`, err.message);
+            }
         }
 
+        // Emitir clave API de sesión en WP.SIASHidalgo.TransportePublico
+        const apiKey = await apiKeyService.crearApiKey(user.UserID, {
+            nombre: apiKeyService.NOMBRE_API_KEY_SESION,
+            nivel: user.StatusID || 1, // Usar StatusID como nivel por defecto
+            expiraEn: new Date(Date.now() + API_KEY_HORAS_SESION * 60 * 60 * 1000)
+        });
+
         return {
             user: {
                 id: user.UserID,
@@ -73,7 +128,9 @@ async function loginUser(username, password) {
                 username: user.Login,
                 level: user.StatusID
             },
-            apiKey: apiKey.key,
+            apiKey: apiKey.data.apiKey,
+            apiKeyId: apiKey.data.id,
+            apiKeyExpiraEn: apiKey.data.expiraEn,
             returnValue: 0
         };
     } catch (err) {
@@ -82,11 +139,12 @@ async function loginUser(username, password) {
 }
 /**
  * Valida una clave API y devuelve el usuario asociado.
+ * La clave debe existir (se busca por su hash), no estar revocada (deleted_at) ni expirada (expires_at).
  * @async
  * @function validateApiKey
  * @param {string} apiKey - Clave API a validar.
- * @returns {Promise<Object>} Objeto con `user` (detalles del usuario) y `returnValue`.
- * @throws {Error} Si la clave es inválida o no encontrada.
+ * @returns {Promise<Object>} Objeto con `user` (detalles del usuario, nivel, ID y alcances de la clave) y `returnValue`.
+ * @throws {Error} Si la clave es inválida, no encontrada, revocada o expirada.
  */
 async function validateApiKey(apiKey) {
     try {
@@ -96,7 +154,7 @@ async function validateApiKey(apiKey) {
 
         const pool = await require('../config/db'); // Conexión a TransportePublico
         const request = pool.request();
-        request.input('key', sql.VarChar(255), apiKey);
+        request.input('key', sql.VarChar(255), apiKeyService.hashApiKey(apiKey));
 
         // Usar mUsers en lugar de users para la validación
         const result = await request.query(`
@@ -104,18 +162,23 @@ async function validateApiKey(apiKey) {
                    u.Name + ' ' + ISNULL(u.LastName, '') + ' ' + ISNULL(u.Surname, '') AS name,
                    u.Login AS username, 
                    u.StatusID AS level,
-                   k.level AS api_key_level
+                   k.level AS api_key_level,
+                   k.id AS api_key_id,
+                   k.name AS api_key_nombre,
+                   k.scopes AS api_key_scopes
             FROM [dbo].[api_keys] k
             JOIN [dbo].[mUsers] u ON k.user_id = u.UserID
             WHERE k.[key] = @key AND k.deleted_at IS NULL
+              AND (k.expires_at IS NULL OR k.expires_at > SYSUTCDATETIME())
         `);
 
         if (!result.recordset[0]) {
-            throw new Error('Clave API inválida o no encontrada');
+            throw new Error('Clave API inválida, no encontrada, revocada o expirada');
         }
 
+        const { api_key_scopes, ...user } = result.recordset[0];
         return {
-            user: result.recordset[0],
+            user: { ...user, api_key_alcances: apiKeyService.leerAlcances(api_key_scopes) },
             returnValue: 0
         };
     } catch (err) {
@@ -123,6 +186,62 @@ async function validateApiKey(apiKey) {
     }
 }
 
+/**
+ * Obtiene los perfiles (ProfileID) asignados a un usuario en dUserProfiles.
+ * @async
+ * @function obtenerPerfilesUsuario
+ * @param {number} userId - ID del usuario.
+ * @returns {Promise<Array<number>>} Lista de ProfileID del usuario (vacía si no tiene perfiles).
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerPerfilesUsuario(userId) {
+    try {
+        const pool = await poolPromiseUsers;
+        const result = await pool.request()
+            .input('UserID', sql.Int, userId)
+            .query('SELECT ProfileID FROM [dbo].[dUserProfiles] WHERE UserID = @UserID');
+        return result.recordset.map(item => item.ProfileID);
+    } catch (err) {
+        throw new Error(`Error al obtener los perfiles del usuario: ${err.message}`);
+    }
+}
+
+/**
+ * Obtiene el progreso de la migración de contraseñas de SHA-1 a bcrypt.
+ * @async
+ * @function obtenerProgresoMigracionPasswords
+ * @returns {Promise<Object>} Objeto con `data` (`totalUsuarios`, `migrados`, `pendientes`, `porcentaje`, `sha1Eliminados`) y `returnValue`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerProgresoMigracionPasswords() {
+    try {
+        const pool = await poolPromiseUsers;
+        const result = await pool.request()
+            .input('Marcador', sql.NVarChar(50), MARCADOR_SHA1_ELIMINADO)
+            .query(`
+                SELECT
+                    COUNT(*) AS totalUsuarios,
+                    COUNT(h.UserID) AS migrados,
+                    SUM(CASE WHEN u.Password = @Marcador THEN 1 ELSE 0 END) AS sha1Eliminados
+                FROM [dbo].[mUsers] u
+                LEFT JOIN [dbo].[dUserPasswordHashes] h ON h.UserID = u.UserID
+            `);
+        const { totalUsuarios, migrados, sha1Eliminados } = result.recordset[0];
+        return {
+            data: {
+                totalUsuarios,
+                migrados,
+                pendientes: totalUsuarios - migrados,
+                porcentaje: totalUsuarios > 0 ? Math.round((migrados / totalUsuarios) * 10000) / 100 : 0,
+                sha1Eliminados: sha1Eliminados || 0
+            },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al obtener el progreso de migración de contraseñas: ${err.message}`);
+    }
+}
+
 /**
  * Registra una solicitud a la API en la tabla api_logs.
  * @async
@@ -130,7 +249,7 @@ async function validateApiKey(apiKey) {
  * @param {string} apiKey - Clave API usada en la solicitud.
  * @param {string} route - Ruta de la solicitud.
  * @param {string} method - Método HTTP.
- * @param {string} publicKey - Clave pública para el campo params.
+ * @param {string} publicKey - Identificador visible de la clave (prefijo) para el campo params.
  * @param {string} ipAddress - Dirección IP del cliente.
  * @returns {Promise<void>}
  */
@@ -143,7 +262,7 @@ async function logApiRequest(apiKey, route, method, publicKey, ipAddress) {
         let apiKeyId = null;
         if (apiKey) {
             const keyResult = await request
-                .input('key', sql.VarChar, apiKey)
+                .input('key', sql.VarChar, apiKeyService.hashApiKey(apiKey))
                 .query('SELECT id FROM [dbo].[api_keys] WHERE [key] = @key AND deleted_at IS NULL');
             apiKeyId = keyResult.recordset[0]?.id || null;
         }
@@ -181,5 +300,7 @@ async function logApiRequest(apiKey, route, method, publicKey, ipAddress) {
 module.exports = {
     loginUser,
     validateApiKey,
+    obtenerPerfilesUsuario,
+    obtenerProgresoMigracionPasswords,
     logApiRequest
 };
\ No newline at end of file
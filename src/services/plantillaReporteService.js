@@ -0,0 +1,567 @@
+/**
+ * Módulo de plantillas de reportes: logo institucional, título, textos de encabezado y pie de página, colores,
+ * orientación, bloques de firma y definiciones de columnas guardados en [Reporte].[Plantilla] y administrados
+ * con /reportes/plantillas. Los generadores de Excel y PDF (reporteService, reporteInspectoresService y
+ * certificadoService) obtienen aquí la plantilla elegida o la predeterminada de su tipo.
+ * @module plantillaReporteService
+ */
+const sql = require('mssql');
+const poolPromise = require('../config/db');
+const { TIPOS_PLANTILLA, ORIENTACIONES, MAXIMO_FIRMAS, PLANTILLA_BASE } = require('../config/plantillaReporte');
+const { errorValidacion } = require('../middlewares/validacion');
+require('dotenv').config();
+
+/** Columnas de [Reporte].[Plantilla] sin el contenido del logo. */
+const COLUMNAS_PLANTILLA = `
+    IdPlantilla, Nombre, TipoReporte, Predeterminada, Titulo, Encabezado, PiePagina, ColorEncabezado, ColorTextoEncabezado,
+    Orientacion, LogoTipo, AnchoLogo, AltoLogo, Firmas, Columnas, IdUsuario, CreadoEn, ActualizadoEn,
+    CAST(CASE WHEN Logo IS NULL THEN 0 ELSE 1 END AS BIT) AS TieneLogo
+`;
+
+const COLOR_HEXADECIMAL = /^#?[0-9A-Fa-f]{6}$/;
+
+/**
+ * Convierte un registro de [Reporte].[Plantilla] al formato de la API (sin el contenido del logo).
+ * @function describirPlantilla
+ * @param {Object} registro - Registro de la tabla.
+ * @returns {Object} Plantilla.
+ */
+function describirPlantilla(registro) {
+    return {
+        idPlantilla: registro.IdPlantilla,
+        nombre: registro.Nombre,
+        tipoReporte: registro.TipoReporte,
+        predeterminada: registro.Predeterminada,
+        titulo: registro.Titulo,
+        encabezado: registro.Encabezado,
+        piePagina: registro.PiePagina,
+        colorEncabezado: registro.ColorEncabezado,
+        colorTextoEncabezado: registro.ColorTextoEncabezado,
+        orientacion: registro.Orientacion,
+        tieneLogo: registro.TieneLogo,
+        logoTipo: registro.LogoTipo,
+        anchoLogo: registro.AnchoLogo,
+        altoLogo: registro.AltoLogo,
+        firmas: registro.Firmas ? JSON.parse(registro.Firmas) : [],
+        columnas: registro.Columnas ? JSON.parse(registro.Columnas) : [],
+        creadoEn: registro.CreadoEn,
+        actualizadoEn: registro.ActualizadoEn
+    };
+}
+
+/**
+ * Convierte un registro con logo en la plantilla que usan los generadores; los campos vacíos toman el valor de PLANTILLA_BASE.
+ * @function aPlantilla
+ * @param {Object} registro - Registro de la tabla, con `Logo`.
+ * @returns {Object} Plantilla con `logo` (`buffer` y `mimetype`) o null.
+ */
+function aPlantilla(registro) {
+    const descrita = describirPlantilla(registro);
+    const definidos = Object.fromEntries(Object.entries(descrita).filter(([, valor]) => valor !== null && valor !== undefined));
+    return {
+        ...PLANTILLA_BASE,
+        ...definidos,
+        logo: registro.Logo ? { buffer: registro.Logo, mimetype: registro.LogoTipo } : null
+    };
+}
+
+/**
+ * Texto opcional: las cadenas vacías se guardan como NULL.
+ * @function textoONulo
+ * @param {*} valor - Valor recibido.
+ * @returns {string|null} Texto recortado o null.
+ */
+function textoONulo(valor) {
+    return valor === null || valor === undefined || String(valor).trim() === '' ? null : String(valor).trim();
+}
+
+/**
+ * Valida y normaliza los datos de una plantilla (completos, ya combinados con los guardados en una edición).
+ * @function normalizarPlantilla
+ * @param {Object} datos - `nombre`, `tipoReporte`, `predeterminada`, `titulo`, `encabezado`, `piePagina`, `colorEncabezado`,
+ *        `colorTextoEncabezado`, `orientacion`, `anchoLogo`, `altoLogo`, `firmas` y `columnas`.
+ * @returns {Object} Objeto con `data` (columnas de la tabla) o un error de validación (errorValidacion).
+ */
+function normalizarPlantilla(datos) {
+    const tipoReporte = textoONulo(datos.tipoReporte);
+    if (tipoReporte && !TIPOS_PLANTILLA[tipoReporte]) {
+        return errorValidacion('tipoReporte', 'body', `Tipo de reporte inválido. Use ${Object.keys(TIPOS_PLANTILLA).join(', ')}`);
+    }
+    const orientacion = textoONulo(datos.orientacion);
+    if (orientacion && !ORIENTACIONES[orientacion]) {
+        return errorValidacion('orientacion', 'body', `Orientación inválida. Use ${Object.keys(ORIENTACIONES).join(', ')}`);
+    }
+    const colores = {};
+    for (const campo of ['colorEncabezado', 'colorTextoEncabezado']) {
+        const color = textoONulo(datos[campo]);
+        if (color && !COLOR_HEXADECIMAL.test(color)) {
+            return errorValidacion(campo, 'body', 'Debe ser un color hexadecimal RRGGBB');
+        }
+        colores[campo] = color ? color.replace('#', '').toUpperCase() : null;
+    }
+
+    const firmas = datos.firmas || [];
+    if (!Array.isArray(firmas) || firmas.length > MAXIMO_FIRMAS) {
+        return errorValidacion('firmas', 'body', `Debe ser una lista de hasta ${MAXIMO_FIRMAS} bloques de firma`);
+    }
+    if (firmas.some(firma => !textoONulo(firma?.nombre))) {
+        return errorValidacion('firmas', 'body', 'Cada bloque de firma requiere nombre');
+    }
+
+    // Las columnas deben existir en el reporte de la plantilla o, si aplica a cualquiera, en alguno de ellos
+    const columnas = datos.columnas || [];
+    const catalogo = tipoReporte ? TIPOS_PLANTILLA[tipoReporte] : Object.values(TIPOS_PLANTILLA).flat();
+    if (!Array.isArray(columnas)) {
+        return errorValidacion('columnas', 'body', 'Debe ser una lista de definiciones de columna');
+    }
+    const desconocidas = columnas
+        .map(columna => columna?.clave)
+        .filter(clave => !catalogo.some(columna => columna.clave === clave));
+    if (desconocidas.length > 0) {
+        return errorValidacion('columnas', 'body', `Columnas desconocidas: ${desconocidas.join(', ')}`, {
+            columnasValidas: [...new Set(catalogo.map(columna => columna.clave))]
+        });
+    }
+    const anchoValido = valor => valor === undefined || valor === null || (Number.isInteger(Number(valor)) && Number(valor) >= 5 && Number(valor) <= 200);
+    if (columnas.some(columna => !anchoValido(columna.anchoExcel) || !anchoValido(columna.anchoPdf))) {
+        return errorValidacion('columnas', 'body', 'Los anchos de columna deben ser enteros entre 5 y 200');
+    }
+
+    return {
+        data: {
+            nombre: String(datos.nombre).trim(),
+            tipoReporte,
+            predeterminada: datos.predeterminada === true || String(datos.predeterminada).toLowerCase() === 'true' || String(datos.predeterminada) === '1',
+            titulo: textoONulo(datos.titulo),
+            encabezado: textoONulo(datos.encabezado),
+            piePagina: textoONulo(datos.piePagina),
+            ...colores,
+            orientacion,
+            anchoLogo: datos.anchoLogo ? parseInt(datos.anchoLogo) : null,
+            altoLogo: datos.altoLogo ? parseInt(datos.altoLogo) : null,
+            firmas: firmas.length
+                ? JSON.stringify(firmas.map(firma => ({ nombre: textoONulo(firma.nombre), cargo: textoONulo(firma.cargo) })))
+                : null,
+            columnas: columnas.length
+                ? JSON.stringify(columnas.map(columna => Object.fromEntries(Object.entries({
+                    clave: columna.clave,
+                    titulo: textoONulo(columna.titulo),
+                    anchoExcel: columna.anchoExcel ? parseInt(columna.anchoExcel) : null,
+                    anchoPdf: columna.anchoPdf ? parseInt(columna.anchoPdf) : null
+                }).filter(([, valor]) => valor !== null))))
+                : null
+        }
+    };
+}
+
+/**
+ * Agrega a una consulta los parámetros de una plantilla normalizada.
+ * @function agregarEntradas
+ * @param {Object} request - Request de mssql.
+ * @param {Object} datos - `data` de normalizarPlantilla.
+ * @returns {Object} El mismo request.
+ */
+function agregarEntradas(request, datos) {
+    return request
+        .input('nombre', sql.NVarChar(100), datos.nombre)
+        .input('tipoReporte', sql.VarChar(30), datos.tipoReporte)
+        .input('predeterminada', sql.Bit, datos.predeterminada)
+        .input('titulo', sql.NVarChar(150), datos.titulo)
+        .input('encabezado', sql.NVarChar(300), datos.encabezado)
+        .input('piePagina', sql.NVarChar(200), datos.piePagina)
+        .input('colorEncabezado', sql.Char(6), datos.colorEncabezado)
+        .input('colorTextoEncabezado', sql.Char(6), datos.colorTextoEncabezado)
+        .input('orientacion', sql.VarChar(10), datos.orientacion)
+        .input('anchoLogo', sql.Int, datos.anchoLogo)
+        .input('altoLogo', sql.Int, datos.altoLogo)
+        .input('firmas', sql.NVarChar(sql.MAX), datos.firmas)
+        .input('columnas', sql.NVarChar(sql.MAX), datos.columnas);
+}
+
+/**
+ * Consulta que quita la marca de predeterminada a las demás plantillas del mismo tipo, si la nueva la tiene.
+ * Usa los parámetros `@predeterminada`, `@tipoReporte` e `@idPlantilla` (NULL al crear).
+ * @constant QUITAR_PREDETERMINADA
+ */
+const QUITAR_PREDETERMINADA = `
+    UPDATE [${process.env.DB_NAME}].[Reporte].[Plantilla]
+    SET Predeterminada = 0
+    WHERE @predeterminada = 1 AND Predeterminada = 1
+      AND (TipoReporte = @tipoReporte OR (TipoReporte IS NULL AND @tipoReporte IS NULL))
+      AND (@idPlantilla IS NULL OR IdPlantilla <> @idPlantilla);
+`;
+
+/**
+ * Indica si un error de mssql es una violación del nombre único de plantilla.
+ * @function esNombreDuplicado
+ * @param {Error} err - Error de la consulta.
+ * @returns {boolean} true si ya existe una plantilla con ese nombre.
+ */
+function esNombreDuplicado(err) {
+    return err.number === 2627 || err.number === 2601;
+}
+
+/**
+ * Lee una plantilla por ID.
+ * @async
+ * @function leerPlantilla
+ * @param {number} idPlantilla - ID de la plantilla.
+ * @param {boolean} [conLogo=false] - Si es true, incluye el contenido del logo.
+ * @returns {Promise<Object|null>} Registro de la plantilla o null si no existe.
+ */
+async function leerPlantilla(idPlantilla, conLogo = false) {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('idPlantilla', sql.Int, idPlantilla)
+        .query(`
+            SELECT ${COLUMNAS_PLANTILLA}${conLogo ? ', Logo' : ''}
+            FROM [${process.env.DB_NAME}].[Reporte].[Plantilla]
+            WHERE IdPlantilla = @idPlantilla
+        `);
+    return result.recordset[0] || null;
+}
+
+/**
+ * Lista las plantillas de reporte (sin el contenido del logo).
+ * @async
+ * @function listarPlantillas
+ * @param {string} [tipoReporte] - Si se indica, solo las de ese tipo y las que aplican a cualquiera.
+ * @returns {Promise<Object>} Objeto con `data` (plantillas) y `returnValue`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function listarPlantillas(tipoReporte = null) {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('tipoReporte', sql.VarChar(30), tipoReporte)
+            .query(`
+                SELECT ${COLUMNAS_PLANTILLA}
+                FROM [${process.env.DB_NAME}].[Reporte].[Plantilla]
+                WHERE @tipoReporte IS NULL OR TipoReporte = @tipoReporte OR TipoReporte IS NULL
+                ORDER BY Nombre
+            `);
+        return {
+            data: result.recordset.map(describirPlantilla),
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al listar las plantillas de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Obtiene una plantilla por ID (sin el contenido del logo).
+ * @async
+ * @function obtenerPlantilla
+ * @param {number} idPlantilla - ID de la plantilla.
+ * @returns {Promise<Object>} Objeto con `data` (plantilla) y `returnValue`, o `{ status: 404, message }`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerPlantilla(idPlantilla) {
+    try {
+        const registro = await leerPlantilla(idPlantilla);
+        if (!registro) {
+            return { status: 404, message: 'Plantilla de reporte no encontrada' };
+        }
+        return {
+            data: describirPlantilla(registro),
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al obtener la plantilla de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Registra una plantilla de reporte. Si es predeterminada, deja de serlo la anterior de su tipo.
+ * @async
+ * @function crearPlantilla
+ * @param {Object} datos - Datos de la plantilla (ver normalizarPlantilla).
+ * @param {Object} usuario - Usuario que la registra (`id`).
+ * @returns {Promise<Object>} Objeto con `data` (plantilla registrada) y `returnValue`, o `{ status, message }` con 400 o 409 (nombre repetido).
+ * @throws {Error} Si falla la consulta.
+ */
+async function crearPlantilla(datos, usuario) {
+    try {
+        const normalizada = normalizarPlantilla(datos);
+        if (normalizada.status) {
+            return normalizada;
+        }
+        const pool = await poolPromise;
+        const result = await agregarEntradas(pool.request(), normalizada.data)
+            .input('idPlantilla', sql.Int, null)
+            .input('idUsuario', sql.Int, usuario.id)
+            .query(`
+                SET XACT_ABORT ON;
+                BEGIN TRANSACTION;
+                ${QUITAR_PREDETERMINADA}
+                INSERT INTO [${process.env.DB_NAME}].[Reporte].[Plantilla]
+                    ([Nombre], [TipoReporte], [Predeterminada], [Titulo], [Encabezado], [PiePagina], [ColorEncabezado],
+                     [ColorTextoEncabezado], [Orientacion], [AnchoLogo], [AltoLogo], [Firmas], [Columnas], [IdUsuario])
+                OUTPUT inserted.IdPlantilla
+                VALUES (@nombre, @tipoReporte, @predeterminada, @titulo, @encabezado, @piePagina, @colorEncabezado,
+                        @colorTextoEncabezado, @orientacion, @anchoLogo, @altoLogo, @firmas, @columnas, @idUsuario);
+                COMMIT TRANSACTION;
+            `);
+        return {
+            data: describirPlantilla(await leerPlantilla(result.recordset[0].IdPlantilla)),
+            returnValue: 0
+        };
+    } catch (err) {
+        if (esNombreDuplicado(err)) {
+            return { status: 409, message: 'Ya existe una plantilla de reporte con ese nombre' };
+        }
+        throw new Error(`Error al registrar la plantilla de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Modifica una plantilla; los campos omitidos conservan su valor. El logo se cambia con guardarLogoPlantilla.
+ * @async
+ * @function actualizarPlantilla
+ * @param {number} idPlantilla - ID de la plantilla.
+ * @param {Object} datos - Campos a modificar (ver normalizarPlantilla); null o '' vacía un campo opcional.
+ * @returns {Promise<Object>} Objeto con `data` (plantilla modificada) y `returnValue`, o `{ status, message }` con 404, 400 o 409.
+ * @throws {Error} Si falla la consulta.
+ */
+async function actualizarPlantilla(idPlantilla, datos) {
+    try {
+        const actual = await leerPlantilla(idPlantilla);
+        if (!actual) {
+            return { status: 404, message: 'Plantilla de reporte no encontrada' };
+        }
+        const definidos = Object.fromEntries(Object.entries(datos).filter(([, valor]) => valor !== undefined));
+        const normalizada = normalizarPlantilla({ ...describirPlantilla(actual), ...definidos });
+        if (normalizada.status) {
+            return normalizada;
+        }
+        const pool = await poolPromise;
+        await agregarEntradas(pool.request(), normalizada.data)
+            .input('idPlantilla', sql.Int, idPlantilla)
+            .query(`
+                SET XACT_ABORT ON;
+                BEGIN TRANSACTION;
+                ${QUITAR_PREDETERMINADA}
+                UPDATE [${process.env.DB_NAME}].[Reporte].[Plantilla]
+                SET Nombre = @nombre, TipoReporte = @tipoReporte, Predeterminada = @predeterminada, Titulo = @titulo,
+                    Encabezado = @encabezado, PiePagina = @piePagina, ColorEncabezado = @colorEncabezado,
+                    ColorTextoEncabezado = @colorTextoEncabezado, Orientacion = @orientacion, AnchoLogo = @anchoLogo,
+                    AltoLogo = @altoLogo, Firmas = @firmas, Columnas = @columnas, ActualizadoEn = SYSUTCDATETIME()
+                WHERE IdPlantilla = @idPlantilla;
+                COMMIT TRANSACTION;
+            `);
+        return {
+            data: describirPlantilla(await leerPlantilla(idPlantilla)),
+            returnValue: 0
+        };
+    } catch (err) {
+        if (esNombreDuplicado(err)) {
+            return { status: 409, message: 'Ya existe una plantilla de reporte con ese nombre' };
+        }
+        throw new Error(`Error al modificar la plantilla de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Elimina una plantilla. Los trabajos y programaciones que la indiquen fallarán con "Plantilla de reporte no encontrada".
+ * @async
+ * @function eliminarPlantilla
+ * @param {number} idPlantilla - ID de la plantilla.
+ * @returns {Promise<Object>} Objeto con `data` (`idPlantilla`) y `returnValue`, o `{ status: 404, message }`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function eliminarPlantilla(idPlantilla) {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('idPlantilla', sql.Int, idPlantilla)
+            .query(`DELETE FROM [${process.env.DB_NAME}].[Reporte].[Plantilla] WHERE IdPlantilla = @idPlantilla`);
+        if (result.rowsAffected[0] === 0) {
+            return { status: 404, message: 'Plantilla de reporte no encontrada' };
+        }
+        return {
+            data: { idPlantilla },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al eliminar la plantilla de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Guarda o quita el logo de una plantilla.
+ * @async
+ * @function guardarLogoPlantilla
+ * @param {number} idPlantilla - ID de la plantilla.
+ * @param {Object|null} logo - Imagen (`buffer` y `mimetype`, JPG o PNG), o null para quitarlo.
+ * @returns {Promise<Object>} Objeto con `data` (plantilla) y `returnValue`, o `{ status: 404, message }`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function guardarLogoPlantilla(idPlantilla, logo) {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('idPlantilla', sql.Int, idPlantilla)
+            .input('logo', sql.VarBinary(sql.MAX), logo ? logo.buffer : null)
+            .input('logoTipo', sql.VarChar(50), logo ? logo.mimetype : null)
+            .query(`
+                UPDATE [${process.env.DB_NAME}].[Reporte].[Plantilla]
+                SET Logo = @logo, LogoTipo = @logoTipo, ActualizadoEn = SYSUTCDATETIME()
+                WHERE IdPlantilla = @idPlantilla
+            `);
+        if (result.rowsAffected[0] === 0) {
+            return { status: 404, message: 'Plantilla de reporte no encontrada' };
+        }
+        return {
+            data: describirPlantilla(await leerPlantilla(idPlantilla)),
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al guardar el logo de la plantilla de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Obtiene la plantilla con la que se genera un reporte: la indicada o, si no se indica, la predeterminada del tipo
+ * (antes que una predeterminada para cualquier reporte). Sin ninguna se usa PLANTILLA_BASE.
+ * @async
+ * @function obtenerPlantillaReporte
+ * @param {number|string|null} idPlantilla - ID de la plantilla elegida.
+ * @param {string} tipoReporte - Clave de TIPOS_PLANTILLA.
+ * @param {string} [ubicacion='query'] - Dónde llegó `plantilla`, para el error de validación ('query' o 'body').
+ * @returns {Promise<Object>} Objeto con `data` (plantilla, ver aPlantilla), o `{ status, message }` con 404
+ *          (no existe) o un error de validación (errorValidacion) si es de otro tipo de reporte.
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerPlantillaReporte(idPlantilla, tipoReporte, ubicacion = 'query') {
+    try {
+        if (idPlantilla) {
+            const registro = await leerPlantilla(parseInt(idPlantilla), true);
+            if (!registro) {
+                return { status: 404, message: 'Plantilla de reporte no encontrada' };
+            }
+            if (registro.TipoReporte && registro.TipoReporte !== tipoReporte) {
+                return errorValidacion('plantilla', ubicacion, `La plantilla es para el reporte de ${registro.TipoReporte}`);
+            }
+            return { data: aPlantilla(registro) };
+        }
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('tipoReporte', sql.VarChar(30), tipoReporte)
+            .query(`
+                SELECT TOP 1 ${COLUMNAS_PLANTILLA}, Logo
+                FROM [${process.env.DB_NAME}].[Reporte].[Plantilla]
+                WHERE Predeterminada = 1 AND (TipoReporte = @tipoReporte OR TipoReporte IS NULL)
+                ORDER BY CASE WHEN TipoReporte IS NULL THEN 1 ELSE 0 END
+            `);
+        return { data: result.recordset[0] ? aPlantilla(result.recordset[0]) : PLANTILLA_BASE };
+    } catch (err) {
+        throw new Error(`Error al obtener la plantilla del reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Aplica las definiciones de columnas de una plantilla: sus títulos y anchos reemplazan los del reporte y, si se pide,
+ * sus columnas (en su orden) reemplazan la selección predeterminada del reporte.
+ * @function aplicarColumnas
+ * @param {Object[]} columnas - Columnas elegidas para el reporte.
+ * @param {Object} plantilla - Plantilla del reporte.
+ * @param {Object[]} catalogo - Todas las columnas del reporte (p. ej. COLUMNAS_REPORTE_INSPECCIONES).
+ * @param {boolean} usarSeleccion - true si la solicitud no eligió columnas y deben usarse las de la plantilla.
+ * @returns {Object[]} Columnas con `clave`, `titulo`, `anchoExcel` y `anchoPdf`.
+ */
+function aplicarColumnas(columnas, plantilla, catalogo, usarSeleccion) {
+    const definiciones = plantilla.columnas;
+    const seleccion = usarSeleccion && definiciones.some(definicion => catalogo.some(columna => columna.clave === definicion.clave))
+        ? definiciones.map(definicion => catalogo.find(columna => columna.clave === definicion.clave)).filter(Boolean)
+        : columnas;
+    return seleccion.map(columna => ({
+        ...columna,
+        ...definiciones.find(definicion => definicion.clave === columna.clave)
+    }));
+}
+
+/**
+ * Convierte un color hexadecimal RRGGBB a [r, g, b] para jsPDF.
+ * @function colorRgb
+ * @param {string} hexadecimal - Color RRGGBB.
+ * @returns {number[]} Componentes rojo, verde y azul.
+ */
+function colorRgb(hexadecimal) {
+    return [0, 2, 4].map(inicio => parseInt(hexadecimal.slice(inicio, inicio + 2), 16));
+}
+
+/**
+ * Texto del pie de página de una plantilla; sin texto, la fecha de generación.
+ * @function textoPiePagina
+ * @param {Object} plantilla - Plantilla del reporte.
+ * @returns {string} Texto del pie de página (sin el número de página).
+ */
+function textoPiePagina(plantilla) {
+    return plantilla.piePagina || `Generado el ${new Date().toLocaleDateString()}`;
+}
+
+/**
+ * Escribe el pie de página con el número de página en todas las hojas de un PDF ya terminado.
+ * @function agregarPiePdf
+ * @param {Object} doc - Documento de jsPDF.
+ * @param {Object} plantilla - Plantilla del reporte.
+ */
+function agregarPiePdf(doc, plantilla) {
+    const totalPages = doc.getNumberOfPages();
+    for (let i = 1; i <= totalPages; i++) {
+        doc.setPage(i);
+        doc.setFontSize(8);
+        doc.text(
+            `${textoPiePagina(plantilla)} - Página ${i} de ${totalPages}`,
+            doc.internal.pageSize.width / 2, doc.internal.pageSize.height - 8, { align: 'center' }
+        );
+    }
+}
+
+/**
+ * Dibuja los bloques de firma de una plantilla, repartidos a lo ancho de la página, debajo de la posición indicada
+ * (en una página nueva si no caben).
+ * @function agregarFirmasPdf
+ * @param {Object} doc - Documento de jsPDF.
+ * @param {Object[]} firmas - Bloques de firma (`nombre` y `cargo`).
+ * @param {number} y - Posición vertical donde termina el contenido.
+ * @param {number} margen - Margen izquierdo y derecho.
+ */
+function agregarFirmasPdf(doc, firmas, y, margen) {
+    if (firmas.length === 0) return;
+    const pageHeight = doc.internal.pageSize.height;
+    // Espacio para firmar sobre la línea, más el nombre y el cargo debajo
+    let linea = y + 25;
+    if (linea + 15 > pageHeight - 15) {
+        doc.addPage();
+        linea = 40;
+    }
+    const espacio = (doc.internal.pageSize.width - margen * 2) / firmas.length;
+    const largo = Math.min(espacio - 10, 70);
+    doc.setLineWidth(0.3);
+    firmas.forEach((firma, index) => {
+        const centro = margen + espacio * index + espacio / 2;
+        doc.line(centro - largo / 2, linea, centro + largo / 2, linea);
+        doc.setFontSize(9);
+        doc.text(firma.nombre, centro, linea + 5, { align: 'center' });
+        if (firma.cargo) {
+            doc.text(firma.cargo, centro, linea + 10, { align: 'center' });
+        }
+    });
+}
+
+module.exports = {
+    listarPlantillas,
+    obtenerPlantilla,
+    crearPlantilla,
+    actualizarPlantilla,
+    eliminarPlantilla,
+    guardarLogoPlantilla,
+    obtenerPlantillaReporte,
+    aplicarColumnas,
+    colorRgb,
+    textoPiePagina,
+    agregarPiePdf,
+    agregarFirmasPdf
+};
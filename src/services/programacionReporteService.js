@@ -0,0 +1,758 @@
+/**
+ * Módulo de reportes programados.
+ * Cada programación en [Reporte].[Programacion] indica cuándo ejecutarse (expresión cron en REPORTES_ZONA_HORARIA),
+ * qué rango de fechas cubrir respecto a la ejecución (p. ej. la semana anterior) y cómo entregar el archivo:
+ * en REPORTES_PROGRAMADOS_DIRECTORIO o por correo. Un programador dentro del proceso revisa las programaciones
+ * vencidas, genera el archivo con el mismo código que los trabajos de reporte (ver reporteTrabajoService) y deja
+ * cada intento en [Reporte].[EjecucionProgramada]; un intento fallido se repite más tarde con el mismo rango.
+ * @module programacionReporteService
+ */
+const fs = require('fs');
+const path = require('path');
+const sql = require('mssql');
+const { CronExpressionParser } = require('cron-parser');
+const poolPromise = require('../config/db');
+const { CONFIG_TRABAJOS, TIPOS_REPORTE, FORMATOS_TRABAJO, generarArchivo } = require('./reporteTrabajoService');
+const plantillaReporteService = require('./plantillaReporteService');
+const { FORMATOS_REPORTE } = require('../config/reporteInspecciones');
+const { REMITENTE_REPORTES, crearTransporteCorreo } = require('../config/correo');
+const { errorValidacion, describirError } = require('../middlewares/validacion');
+require('dotenv').config();
+
+/**
+ * @constant CONFIG_PROGRAMACIONES
+ * @description Configuración del programador, por variables de entorno.
+ */
+const CONFIG_PROGRAMACIONES = {
+    directorio: process.env.REPORTES_PROGRAMADOS_DIRECTORIO || path.join(CONFIG_TRABAJOS.directorio, 'programados'),
+    zonaHoraria: process.env.REPORTES_ZONA_HORARIA || 'America/Mexico_City', // De las expresiones cron y las ventanas
+    intervaloSegundos: parseInt(process.env.REPORTES_PROGRAMADOS_INTERVALO_SEGUNDOS || 60), // Cada cuánto se buscan programaciones vencidas
+    maxIntentos: parseInt(process.env.REPORTES_PROGRAMADOS_MAX_INTENTOS || 3),
+    minutosReintento: parseInt(process.env.REPORTES_PROGRAMADOS_MINUTOS_REINTENTO || 15),
+    minutosSinAvance: parseInt(process.env.REPORTES_PROGRAMADOS_MINUTOS_SIN_AVANCE || 10) // Una ejecución sin avance se da por interrumpida
+};
+
+/** Milisegundos mínimos entre dos registros del avance de una ejecución. */
+const INTERVALO_AVANCE_MS = 2000;
+
+/** Formas de entrega (columna [Entrega]). */
+const ENTREGAS = ['directorio', 'correo'];
+
+/** Estados de una ejecución (columna [Estado] de EjecucionProgramada). */
+const ESTADOS_EJECUCION = {
+    PROCESANDO: 'procesando',
+    ENTREGADO: 'entregado',
+    SIN_DATOS: 'sin_datos',
+    FALLIDO: 'fallido'
+};
+
+/** Un día en milisegundos, para la aritmética de fechas de las ventanas. */
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @constant VENTANAS
+ * @description Rangos de fechas relativos al día de la ejecución (fecha local en REPORTES_ZONA_HORARIA, como Date UTC
+ *              a medianoche). Cada uno devuelve `[inicio, fin]`, ambos incluidos; ninguno incluye el día de la ejecución.
+ */
+const VENTANAS = {
+    dia_anterior: hoy => [new Date(hoy - DIA_MS), new Date(hoy - DIA_MS)],
+    semana_anterior: hoy => {
+        const lunes = new Date(hoy - ((hoy.getUTCDay() + 6) % 7) * DIA_MS);
+        return [new Date(lunes - 7 * DIA_MS), new Date(lunes - DIA_MS)];
+    },
+    mes_anterior: hoy => [
+        new Date(Date.UTC(hoy.getUTCFullYear(), hoy.getUTCMonth() - 1, 1)),
+        new Date(Date.UTC(hoy.getUTCFullYear(), hoy.getUTCMonth(), 0))
+    ],
+    ultimos_7_dias: hoy => [new Date(hoy - 7 * DIA_MS), new Date(hoy - DIA_MS)],
+    ultimos_30_dias: hoy => [new Date(hoy - 30 * DIA_MS), new Date(hoy - DIA_MS)]
+};
+
+/**
+ * Calcula el rango de fechas de una ventana para una ejecución.
+ * @function calcularVentana
+ * @param {string} ventana - Clave de VENTANAS.
+ * @param {Date} programadaPara - Momento de la ejecución.
+ * @returns {Object} `fechaInicio` y `fechaFin` en formato YYYY-MM-DD.
+ */
+function calcularVentana(ventana, programadaPara) {
+    const local = new Intl.DateTimeFormat('en-CA', {
+        timeZone: CONFIG_PROGRAMACIONES.zonaHoraria, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(programadaPara);
+    const [inicio, fin] = VENTANAS[ventana](new Date(`${local}T00:00:00Z`));
+    return { fechaInicio: inicio.toISOString().slice(0, 10), fechaFin: fin.toISOString().slice(0, 10) };
+}
+
+/**
+ * Calcula la siguiente ejecución de una expresión cron después de un momento dado.
+ * @function siguienteEjecucion
+ * @param {string} cron - Expresión cron de 5 campos (o 6 con segundos).
+ * @param {Date} [desde] - Momento a partir del cual buscar (por defecto, ahora).
+ * @returns {Date} Siguiente ejecución.
+ * @throws {Error} Si la expresión no es válida.
+ */
+function siguienteEjecucion(cron, desde = new Date()) {
+    return CronExpressionParser.parse(cron, { currentDate: desde, tz: CONFIG_PROGRAMACIONES.zonaHoraria }).next().toDate();
+}
+
+/**
+ * Separa la lista de destinatarios (cadena separada por comas o arreglo).
+ * @function separarDestinatarios
+ * @param {string|string[]|null} destinatarios - Destinatarios.
+ * @returns {string[]} Correos sin espacios ni vacíos.
+ */
+function separarDestinatarios(destinatarios) {
+    const lista = Array.isArray(destinatarios) ? destinatarios : String(destinatarios || '').split(',');
+    return lista.map(correo => String(correo).trim()).filter(Boolean);
+}
+
+/**
+ * Convierte un registro de [Reporte].[Programacion] al formato de la API.
+ * @function describirProgramacion
+ * @param {Object} programacion - Registro de la tabla.
+ * @returns {Object} Programación.
+ */
+function describirProgramacion(programacion) {
+    return {
+        idProgramacion: programacion.IdProgramacion,
+        nombre: programacion.Nombre,
+        tipo: programacion.Tipo,
+        cron: programacion.Cron,
+        ventana: programacion.Ventana,
+        formato: programacion.Formato,
+        parametros: JSON.parse(programacion.Parametros),
+        entrega: programacion.Entrega,
+        destinatarios: separarDestinatarios(programacion.Destinatarios),
+        activa: programacion.Activa,
+        proximaEjecucion: programacion.ProximaEjecucion,
+        ultimaEjecucion: programacion.UltimaEjecucion,
+        creadoEn: programacion.CreadoEn,
+        actualizadoEn: programacion.ActualizadoEn
+    };
+}
+
+/**
+ * Convierte un registro de [Reporte].[EjecucionProgramada] al formato de la API.
+ * @function describirEjecucion
+ * @param {Object} ejecucion - Registro de la tabla.
+ * @returns {Object} Ejecución.
+ */
+function describirEjecucion(ejecucion) {
+    return {
+        idEjecucion: ejecucion.IdEjecucion,
+        programadaPara: ejecucion.ProgramadaPara,
+        fechaInicio: ejecucion.FechaInicio,
+        fechaFin: ejecucion.FechaFin,
+        intento: ejecucion.Intento,
+        estado: ejecucion.Estado,
+        totalRegistros: ejecucion.TotalRegistros,
+        archivo: ejecucion.Archivo,
+        error: ejecucion.Error,
+        reintentarEn: ejecucion.ReintentarEn,
+        iniciadoEn: ejecucion.IniciadoEn,
+        terminadoEn: ejecucion.TerminadoEn
+    };
+}
+
+/**
+ * Valida y normaliza los datos de una programación (completos, ya combinados con los guardados en una edición).
+ * Los parámetros del reporte se prueban con el generador para no guardar programaciones que fallarían.
+ * @function normalizarProgramacion
+ * @param {Object} datos - `nombre`, `tipo`, `cron`, `ventana`, `format`, `entrega`, `destinatarios`, `activa`,
+ *        y los parámetros del reporte (`columnas`, `ordenarPor`, `direccion`, `agruparPor`, `plantilla`).
+ * @returns {Object} Objeto con `data` (columnas de la tabla) o un error de validación (errorValidacion).
+ */
+function normalizarProgramacion(datos) {
+    const { nombre, tipo = 'inspecciones', cron, ventana, format, entrega, destinatarios, activa = true, ...consulta } = datos;
+    const generador = TIPOS_REPORTE[tipo];
+    if (!generador) {
+        return errorValidacion('tipo', 'body', `Tipo de reporte inválido. Use ${Object.keys(TIPOS_REPORTE).join(', ')}`);
+    }
+    if (!VENTANAS[ventana]) {
+        return errorValidacion('ventana', 'body', `Ventana inválida. Use ${Object.keys(VENTANAS).join(', ')}`);
+    }
+    let proxima;
+    try {
+        proxima = siguienteEjecucion(cron);
+    } catch (err) {
+        return errorValidacion('cron', 'body', `Expresión cron inválida: ${err.message}`);
+    }
+    if (!ENTREGAS.includes(entrega)) {
+        return errorValidacion('entrega', 'body', `Entrega inválida. Use ${ENTREGAS.join(', ')}`);
+    }
+    const correos = separarDestinatarios(destinatarios);
+    if (entrega === 'correo' && correos.length === 0) {
+        return errorValidacion('destinatarios', 'body', 'Se requieren destinatarios para la entrega por correo');
+    }
+
+    const parametros = {
+        columnas: consulta.columnas,
+        ordenarPor: consulta.ordenarPor,
+        direccion: consulta.direccion,
+        agruparPor: consulta.agruparPor,
+        plantilla: consulta.plantilla
+    };
+    // Las fechas las pone cada ejecución; aquí solo se prueban el formato y el resto de los parámetros
+    const preparado = generador.prepararParametros({ ...parametros, fechaInicio: '2000-01-01', fechaFin: '2000-01-01', format, allPages: 'true' }, null, 'body');
+    if (preparado.status) {
+        return preparado;
+    }
+    if (!FORMATOS_TRABAJO.includes(format)) {
+        return errorValidacion('format', 'body', `Formato inválido para un reporte programado. Use ${FORMATOS_TRABAJO.join(', ')}`);
+    }
+
+    const activaBit = activa === true || String(activa).toLowerCase() === 'true' || String(activa) === '1';
+    return {
+        data: {
+            nombre,
+            tipo,
+            cron,
+            ventana,
+            formato: format,
+            parametros: JSON.stringify(Object.fromEntries(Object.entries(parametros).filter(([, valor]) => valor != null && valor !== ''))),
+            entrega,
+            destinatarios: correos.length ? correos.join(', ') : null,
+            activa: activaBit,
+            proximaEjecucion: activaBit ? proxima : null
+        }
+    };
+}
+
+/**
+ * Comprueba que exista la plantilla de una programación normalizada y que corresponda a su tipo de reporte.
+ * @async
+ * @function comprobarPlantilla
+ * @param {Object} datos - `data` de normalizarProgramacion.
+ * @returns {Promise<Object|null>} `{ status, message }` si la plantilla no es válida, o null.
+ */
+async function comprobarPlantilla(datos) {
+    const { plantilla } = JSON.parse(datos.parametros);
+    if (!plantilla) {
+        return null;
+    }
+    const resultado = await plantillaReporteService.obtenerPlantillaReporte(plantilla, datos.tipo, 'body');
+    return resultado.status ? resultado : null;
+}
+
+/**
+ * Agrega a una consulta los parámetros de una programación normalizada.
+ * @function agregarEntradas
+ * @param {Object} request - Request de mssql.
+ * @param {Object} datos - `data` de normalizarProgramacion.
+ * @returns {Object} El mismo request.
+ */
+function agregarEntradas(request, datos) {
+    return request
+        .input('nombre', sql.NVarChar(100), datos.nombre)
+        .input('tipo', sql.VarChar(30), datos.tipo)
+        .input('cron', sql.VarChar(100), datos.cron)
+        .input('ventana', sql.VarChar(20), datos.ventana)
+        .input('formato', sql.VarChar(10), datos.formato)
+        .input('parametros', sql.NVarChar(sql.MAX), datos.parametros)
+        .input('entrega', sql.VarChar(20), datos.entrega)
+        .input('destinatarios', sql.NVarChar(1000), datos.destinatarios)
+        .input('activa', sql.Bit, datos.activa)
+        .input('proximaEjecucion', sql.DateTime2, datos.proximaEjecucion);
+}
+
+/**
+ * Lee una programación por ID.
+ * @async
+ * @function leerProgramacion
+ * @param {number} idProgramacion - ID de la programación.
+ * @returns {Promise<Object|null>} Registro de la programación o null si no existe.
+ */
+async function leerProgramacion(idProgramacion) {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('idProgramacion', sql.Int, idProgramacion)
+        .query(`SELECT * FROM [${process.env.DB_NAME}].[Reporte].[Programacion] WHERE IdProgramacion = @idProgramacion`);
+    return result.recordset[0] || null;
+}
+
+/**
+ * Registra una programación de reporte.
+ * @async
+ * @function crearProgramacion
+ * @param {Object} datos - Datos de la programación (ver normalizarProgramacion).
+ * @param {Object} usuario - Usuario que la registra (`id`).
+ * @returns {Promise<Object>} Objeto con `data` (programación registrada) y `returnValue`, o `{ status, message }` con 400 o 404 (no existe la plantilla).
+ * @throws {Error} Si falla la consulta.
+ */
+async function crearProgramacion(datos, usuario) {
+    try {
+        const normalizada = normalizarProgramacion(datos);
+        if (normalizada.status) {
+            return normalizada;
+        }
+        const errorPlantilla = await comprobarPlantilla(normalizada.data);
+        if (errorPlantilla) {
+            return errorPlantilla;
+        }
+        const pool = await poolPromise;
+        const result = await agregarEntradas(pool.request(), normalizada.data)
+            .input('idUsuario', sql.Int, usuario.id)
+            .query(`
+                INSERT INTO [${process.env.DB_NAME}].[Reporte].[Programacion]
+                    ([Nombre], [Tipo], [Cron], [Ventana], [Formato], [Parametros], [Entrega], [Destinatarios], [Activa], [ProximaEjecucion], [IdUsuario])
+                OUTPUT inserted.*
+                VALUES (@nombre, @tipo, @cron, @ventana, @formato, @parametros, @entrega, @destinatarios, @activa, @proximaEjecucion, @idUsuario)
+            `);
+        return {
+            data: describirProgramacion(result.recordset[0]),
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al registrar la programación de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Modifica una programación; los campos omitidos conservan su valor y la próxima ejecución se recalcula.
+ * @async
+ * @function actualizarProgramacion
+ * @param {number} idProgramacion - ID de la programación.
+ * @param {Object} datos - Campos a modificar (ver normalizarProgramacion).
+ * @returns {Promise<Object>} Objeto con `data` (programación modificada) y `returnValue`, o `{ status, message }` con 404 o 400.
+ * @throws {Error} Si falla la consulta.
+ */
+async function actualizarProgramacion(idProgramacion, datos) {
+    try {
+        const actual = await leerProgramacion(idProgramacion);
+        if (!actual) {
+            return { status: 404, message: 'Programación de reporte no encontrada' };
+        }
+        const definidos = Object.fromEntries(Object.entries(datos).filter(([, valor]) => valor !== undefined));
+        const normalizada = normalizarProgramacion({
+            nombre: actual.Nombre,
+            tipo: actual.Tipo,
+            cron: actual.Cron,
+            ventana: actual.Ventana,
+            format: actual.Formato,
+            entrega: actual.Entrega,
+            destinatarios: actual.Destinatarios,
+            activa: actual.Activa,
+            ...JSON.parse(actual.Parametros),
+            ...definidos
+        });
+        if (normalizada.status) {
+            return normalizada;
+        }
+        const errorPlantilla = await comprobarPlantilla(normalizada.data);
+        if (errorPlantilla) {
+            return errorPlantilla;
+        }
+        const pool = await poolPromise;
+        const result = await agregarEntradas(pool.request(), normalizada.data)
+            .input('idProgramacion', sql.Int, idProgramacion)
+            .query(`
+                UPDATE [${process.env.DB_NAME}].[Reporte].[Programacion]
+                SET Nombre = @nombre, Tipo = @tipo, Cron = @cron, Ventana = @ventana, Formato = @formato, Parametros = @parametros,
+                    Entrega = @entrega, Destinatarios = @destinatarios, Activa = @activa, ProximaEjecucion = @proximaEjecucion,
+                    ActualizadoEn = SYSUTCDATETIME()
+                OUTPUT inserted.*
+                WHERE IdProgramacion = @idProgramacion
+            `);
+        return {
+            data: describirProgramacion(result.recordset[0]),
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al modificar la programación de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Lista las programaciones de reporte con su última ejecución.
+ * @async
+ * @function listarProgramaciones
+ * @returns {Promise<Object>} Objeto con `data` (programaciones) y `returnValue`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function listarProgramaciones() {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request().query(`
+            SELECT p.*, u.IdEjecucion, u.ProgramadaPara, u.FechaInicio, u.FechaFin, u.Intento, u.Estado, u.TotalRegistros,
+                   u.Archivo, u.Error, u.ReintentarEn, u.IniciadoEn, u.TerminadoEn
+            FROM [${process.env.DB_NAME}].[Reporte].[Programacion] p
+            OUTER APPLY (
+                SELECT TOP 1 * FROM [${process.env.DB_NAME}].[Reporte].[EjecucionProgramada] e
+                WHERE e.IdProgramacion = p.IdProgramacion
+                ORDER BY e.IdEjecucion DESC
+            ) u
+            ORDER BY p.IdProgramacion
+        `);
+        return {
+            data: result.recordset.map(registro => ({
+                ...describirProgramacion(registro),
+                ultimaEjecucionDetalle: registro.IdEjecucion ? describirEjecucion(registro) : null
+            })),
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al listar las programaciones de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Obtiene el historial de ejecuciones de una programación, de la más reciente a la más antigua.
+ * @async
+ * @function obtenerEjecuciones
+ * @param {number} idProgramacion - ID de la programación.
+ * @param {number} [limite=50] - Número máximo de ejecuciones.
+ * @returns {Promise<Object>} Objeto con `data` (ejecuciones) y `returnValue`, o `{ status: 404, message }`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerEjecuciones(idProgramacion, limite = 50) {
+    try {
+        if (!await leerProgramacion(idProgramacion)) {
+            return { status: 404, message: 'Programación de reporte no encontrada' };
+        }
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('idProgramacion', sql.Int, idProgramacion)
+            .input('limite', sql.Int, limite)
+            .query(`
+                SELECT TOP (@limite) * FROM [${process.env.DB_NAME}].[Reporte].[EjecucionProgramada]
+                WHERE IdProgramacion = @idProgramacion
+                ORDER BY IdEjecucion DESC
+            `);
+        return {
+            data: result.recordset.map(describirEjecucion),
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al obtener las ejecuciones de la programación de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Actualiza columnas de una ejecución y su ActualizadoEn (sin asignaciones solo registra que sigue avanzando).
+ * @async
+ * @function actualizarEjecucion
+ * @param {number} idEjecucion - ID de la ejecución.
+ * @param {string} [asignaciones] - SET de la actualización, con los parámetros de `valores`.
+ * @param {Object} [valores] - Parámetros `{ nombre: [tipo, valor] }`.
+ * @returns {Promise<void>}
+ */
+async function actualizarEjecucion(idEjecucion, asignaciones = '', valores = {}) {
+    const pool = await poolPromise;
+    const request = pool.request().input('idEjecucion', sql.BigInt, idEjecucion);
+    Object.entries(valores).forEach(([nombre, [tipo, valor]]) => request.input(nombre, tipo, valor));
+    await request.query(`
+        UPDATE [${process.env.DB_NAME}].[Reporte].[EjecucionProgramada]
+        SET ${asignaciones ? `${asignaciones}, ` : ''}ActualizadoEn = SYSUTCDATETIME()
+        WHERE IdEjecucion = @idEjecucion
+    `);
+}
+
+/**
+ * Envía por correo el resultado de una ejecución: el archivo adjunto o, si no hubo datos, solo el aviso.
+ * @async
+ * @function enviarCorreo
+ * @param {Object} programacion - Registro de la programación.
+ * @param {Object} rango - `fechaInicio` y `fechaFin`.
+ * @param {Object|null} adjunto - `nombre` y `ruta` del archivo, o null si no hubo datos.
+ * @returns {Promise<void>}
+ */
+async function enviarCorreo(programacion, { fechaInicio, fechaFin }, adjunto) {
+    const periodo = `del ${fechaInicio} al ${fechaFin}`;
+    await crearTransporteCorreo().sendMail({
+        from: REMITENTE_REPORTES,
+        to: separarDestinatarios(programacion.Destinatarios),
+        subject: `${programacion.Nombre} (${periodo})`,
+        text: adjunto
+            ? `Se adjunta el reporte "${programacion.Nombre}" ${periodo}.`
+            : `El reporte "${programacion.Nombre}" no tiene registros ${periodo}.`,
+        attachments: adjunto ? [{ filename: adjunto.nombre, path: adjunto.ruta }] : []
+    });
+}
+
+/**
+ * Ejecuta una programación para un rango de fechas: genera el archivo, lo entrega y registra el intento.
+ * Si falla y le quedan intentos, la ejecución queda con ReintentarEn para repetirse con el mismo rango.
+ * @async
+ * @function ejecutarProgramacion
+ * @param {Object} programacion - Registro de la programación.
+ * @param {Object} ejecucion - `programadaPara`, `fechaInicio`, `fechaFin` (YYYY-MM-DD) e `intento`.
+ * @returns {Promise<Object>} Registro final de la ejecución.
+ */
+async function ejecutarProgramacion(programacion, { programadaPara, fechaInicio, fechaFin, intento = 1 }) {
+    const pool = await poolPromise;
+    const insercion = await pool.request()
+        .input('idProgramacion', sql.Int, programacion.IdProgramacion)
+        .input('programadaPara', sql.DateTime2, programadaPara)
+        .input('fechaInicio', sql.Date, fechaInicio)
+        .input('fechaFin', sql.Date, fechaFin)
+        .input('intento', sql.Int, intento)
+        .input('procesando', sql.VarChar(20), ESTADOS_EJECUCION.PROCESANDO)
+        .query(`
+            INSERT INTO [${process.env.DB_NAME}].[Reporte].[EjecucionProgramada] ([IdProgramacion], [ProgramadaPara], [FechaInicio], [FechaFin], [Intento], [Estado], [ActualizadoEn])
+            OUTPUT inserted.*
+            VALUES (@idProgramacion, @programadaPara, @fechaInicio, @fechaFin, @intento, @procesando, SYSUTCDATETIME())
+        `);
+    const idEjecucion = insercion.recordset[0].IdEjecucion;
+    enCurso.add(idEjecucion);
+
+    const porCorreo = programacion.Entrega === 'correo';
+    let ruta = null;
+    try {
+        const generador = TIPOS_REPORTE[programacion.Tipo];
+        if (!generador) {
+            throw new Error(`Tipo de reporte desconocido: ${programacion.Tipo}`);
+        }
+        const preparado = generador.prepararParametros({
+            ...JSON.parse(programacion.Parametros), fechaInicio, fechaFin, format: programacion.Formato, allPages: 'true'
+        });
+        if (preparado.status) {
+            throw new Error(describirError(preparado));
+        }
+        const { extension } = FORMATOS_REPORTE[preparado.data.formato];
+        const slug = programacion.Nombre.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || generador.NOMBRE_ARCHIVO;
+        const archivo = `${slug}_${fechaInicio}_${fechaFin}.${extension}`;
+        // Por correo el archivo es temporal; en el directorio de entrega se queda
+        ruta = porCorreo
+            ? path.join(CONFIG_TRABAJOS.directorio, `programado_${idEjecucion}.${extension}`)
+            : path.join(CONFIG_PROGRAMACIONES.directorio, archivo);
+        await fs.promises.mkdir(path.dirname(ruta), { recursive: true });
+
+        // El avance mantiene ActualizadoEn al día para que recuperarInterrumpidas no tome una ejecución larga por interrumpida
+        let ultimoAvance = Date.now();
+        let avance = Promise.resolve();
+        const result = await generarArchivo(generador, preparado.data, ruta, {
+            alAvanzar: () => {
+                if (Date.now() - ultimoAvance < INTERVALO_AVANCE_MS) return;
+                ultimoAvance = Date.now();
+                avance = actualizarEjecucion(idEjecucion)
+                    .catch(err => console.error(`Error al registrar el avance de la ejecución ${idEjecucion}:`, err.message));
+            }
+        });
+        await avance;
+        const sinDatos = Boolean(result.status);
+        if (porCorreo) {
+            await enviarCorreo(programacion, { fechaInicio, fechaFin }, sinDatos ? null : { nombre: archivo, ruta });
+        }
+        await actualizarEjecucion(idEjecucion, 'Estado = @estado, TotalRegistros = @total, Archivo = @archivo, TerminadoEn = SYSUTCDATETIME()', {
+            estado: [sql.VarChar(20), sinDatos ? ESTADOS_EJECUCION.SIN_DATOS : ESTADOS_EJECUCION.ENTREGADO],
+            total: [sql.Int, sinDatos ? 0 : result.data.totalRegistros],
+            archivo: [sql.NVarChar(260), sinDatos || porCorreo ? null : archivo]
+        });
+    } catch (err) {
+        console.error(`Error al ejecutar la programación de reporte ${programacion.IdProgramacion}:`, err);
+        const reintentar = intento < CONFIG_PROGRAMACIONES.maxIntentos;
+        await actualizarEjecucion(idEjecucion, `
+            Estado = @estado, Error = @error, TerminadoEn = SYSUTCDATETIME(),
+            ReintentarEn = ${reintentar ? 'DATEADD(MINUTE, @minutos, SYSUTCDATETIME())' : 'NULL'}
+        `, {
+            estado: [sql.VarChar(20), ESTADOS_EJECUCION.FALLIDO],
+            error: [sql.NVarChar(1000), err.message.substring(0, 1000)],
+            minutos: [sql.Int, CONFIG_PROGRAMACIONES.minutosReintento]
+        }).catch(errFallo => console.error(`Error al registrar el fallo de la ejecución ${idEjecucion}:`, errFallo.message));
+    } finally {
+        enCurso.delete(idEjecucion);
+        if (porCorreo && ruta) {
+            await fs.promises.unlink(ruta).catch(() => {});
+        }
+    }
+    const final = await pool.request()
+        .input('idEjecucion', sql.BigInt, idEjecucion)
+        .query(`SELECT * FROM [${process.env.DB_NAME}].[Reporte].[EjecucionProgramada] WHERE IdEjecucion = @idEjecucion`);
+    return final.recordset[0];
+}
+
+/**
+ * Ejecuta una programación en este momento, fuera de su calendario, con la ventana calculada para ahora.
+ * La ejecución sigue en segundo plano; su resultado aparece en el historial.
+ * @async
+ * @function ejecutarAhora
+ * @param {number} idProgramacion - ID de la programación.
+ * @returns {Promise<Object>} Objeto con `data` (`idProgramacion`, `fechaInicio`, `fechaFin`) y `returnValue`, o `{ status: 404, message }`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function ejecutarAhora(idProgramacion) {
+    try {
+        const programacion = await leerProgramacion(idProgramacion);
+        if (!programacion) {
+            return { status: 404, message: 'Programación de reporte no encontrada' };
+        }
+        const programadaPara = new Date();
+        const rango = calcularVentana(programacion.Ventana, programadaPara);
+        ejecutarProgramacion(programacion, { programadaPara, ...rango })
+            .catch(err => console.error(`Error al ejecutar la programación de reporte ${idProgramacion}:`, err.message));
+        return {
+            data: { idProgramacion, ...rango },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al ejecutar la programación de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Marca como fallidas (con reintento si les quedan intentos) las ejecuciones 'procesando' sin avance reciente,
+ * que quedaron a medias por un reinicio o la caída del proceso que las ejecutaba. Las que otra instancia sigue
+ * generando informan su avance y no se tocan.
+ * @async
+ * @function recuperarInterrumpidas
+ * @returns {Promise<number>} Número de ejecuciones recuperadas.
+ */
+async function recuperarInterrumpidas() {
+    const pool = await poolPromise;
+    const request = pool.request()
+        .input('procesando', sql.VarChar(20), ESTADOS_EJECUCION.PROCESANDO)
+        .input('fallido', sql.VarChar(20), ESTADOS_EJECUCION.FALLIDO)
+        .input('minutos', sql.Int, CONFIG_PROGRAMACIONES.minutosSinAvance)
+        .input('maxIntentos', sql.Int, CONFIG_PROGRAMACIONES.maxIntentos);
+    // Las ejecuciones de este proceso no se tocan aunque tarden
+    const propias = [...enCurso];
+    propias.forEach((id, index) => request.input(`propia${index}`, sql.BigInt, id));
+    // Las ejecuciones registradas antes de la columna ActualizadoEn usan IniciadoEn
+    const result = await request.query(`
+        UPDATE [${process.env.DB_NAME}].[Reporte].[EjecucionProgramada]
+        SET Estado = @fallido, Error = N'La ejecución se interrumpió antes de terminar', TerminadoEn = SYSUTCDATETIME(),
+            ReintentarEn = CASE WHEN Intento < @maxIntentos THEN SYSUTCDATETIME() ELSE NULL END,
+            ActualizadoEn = SYSUTCDATETIME()
+        WHERE Estado = @procesando
+          AND ISNULL(ActualizadoEn, IniciadoEn) < DATEADD(MINUTE, -@minutos, SYSUTCDATETIME())
+          ${propias.length ? `AND IdEjecucion NOT IN (${propias.map((id, index) => `@propia${index}`).join(', ')})` : ''}
+    `);
+    return result.rowsAffected[0];
+}
+
+/**
+ * Toma el siguiente reintento vencido y le quita ReintentarEn. Se toman de uno en uno (READPAST evita que dos
+ * procesos tomen el mismo): si el proceso se detiene, los reintentos que no alcanzó a tomar siguen pendientes.
+ * @async
+ * @function tomarSiguienteReintento
+ * @returns {Promise<Object|null>} Ejecución fallida que se reintenta, o null si no hay reintentos vencidos.
+ */
+async function tomarSiguienteReintento() {
+    const pool = await poolPromise;
+    const result = await pool.request().query(`
+        ;WITH Siguiente AS (
+            SELECT TOP 1 *
+            FROM [${process.env.DB_NAME}].[Reporte].[EjecucionProgramada] WITH (UPDLOCK, READPAST, ROWLOCK)
+            WHERE ReintentarEn <= SYSUTCDATETIME()
+            ORDER BY ReintentarEn, IdEjecucion
+        )
+        UPDATE Siguiente
+        SET ReintentarEn = NULL, ActualizadoEn = SYSUTCDATETIME()
+        OUTPUT inserted.*
+    `);
+    return result.recordset[0] || null;
+}
+
+/**
+ * Toma una programación vencida y la pasa a su siguiente ejecución. El UPDATE solo afecta la fila si nadie
+ * la tomó antes (ProximaEjecucion sin cambios), así dos procesos no ejecutan la misma programación.
+ * @async
+ * @function tomarProgramacion
+ * @param {Object} programacion - Registro de la programación vencida.
+ * @returns {Promise<boolean>} true si este proceso la tomó.
+ */
+async function tomarProgramacion(programacion) {
+    let siguiente = null;
+    try {
+        siguiente = siguienteEjecucion(programacion.Cron);
+    } catch (err) {
+        console.error(`Expresión cron inválida en la programación de reporte ${programacion.IdProgramacion}:`, err.message);
+    }
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('idProgramacion', sql.Int, programacion.IdProgramacion)
+        .input('programadaPara', sql.DateTime2, programacion.ProximaEjecucion)
+        .input('siguiente', sql.DateTime2, siguiente)
+        .query(`
+            UPDATE [${process.env.DB_NAME}].[Reporte].[Programacion]
+            SET ProximaEjecucion = @siguiente, UltimaEjecucion = @programadaPara
+            WHERE IdProgramacion = @idProgramacion AND ProximaEjecucion = @programadaPara
+        `);
+    return result.rowsAffected[0] === 1;
+}
+
+/** IDs de las ejecuciones que este proceso está generando. */
+const enCurso = new Set();
+let temporizador = null;
+let revisando = false;
+
+/**
+ * Un ciclo del programador: recupera las ejecuciones interrumpidas y ejecuta, una tras otra, las programaciones
+ * vencidas y los reintentos pendientes. Si el proceso estuvo detenido varias ocurrencias, solo se ejecuta la más reciente.
+ * @async
+ * @function revisarProgramaciones
+ * @returns {Promise<void>}
+ */
+async function revisarProgramaciones() {
+    if (revisando) return;
+    revisando = true;
+    try {
+        await recuperarInterrumpidas();
+
+        const pool = await poolPromise;
+        const vencidas = await pool.request().query(`
+            SELECT * FROM [${process.env.DB_NAME}].[Reporte].[Programacion]
+            WHERE Activa = 1 AND ProximaEjecucion <= SYSUTCDATETIME()
+            ORDER BY ProximaEjecucion
+        `);
+        for (const programacion of vencidas.recordset) {
+            const programadaPara = programacion.ProximaEjecucion;
+            if (!await tomarProgramacion(programacion)) continue;
+            await ejecutarProgramacion(programacion, { programadaPara, ...calcularVentana(programacion.Ventana, programadaPara) });
+        }
+
+        let anterior;
+        while ((anterior = await tomarSiguienteReintento())) {
+            const programacion = await leerProgramacion(anterior.IdProgramacion);
+            if (!programacion || !programacion.Activa) continue;
+            await ejecutarProgramacion(programacion, {
+                programadaPara: anterior.ProgramadaPara,
+                fechaInicio: new Date(anterior.FechaInicio).toISOString().slice(0, 10),
+                fechaFin: new Date(anterior.FechaFin).toISOString().slice(0, 10),
+                intento: anterior.Intento + 1
+            });
+        }
+    } catch (err) {
+        console.error('Error al revisar las programaciones de reporte:', err.message);
+    } finally {
+        revisando = false;
+    }
+}
+
+/**
+ * Inicia el programador de reportes en este proceso.
+ * @function iniciarProgramador
+ */
+function iniciarProgramador() {
+    if (temporizador) return;
+    fs.mkdirSync(CONFIG_PROGRAMACIONES.directorio, { recursive: true });
+    temporizador = setInterval(revisarProgramaciones, CONFIG_PROGRAMACIONES.intervaloSegundos * 1000);
+    temporizador.unref();
+    setImmediate(revisarProgramaciones);
+}
+
+/**
+ * Detiene el programador; la ejecución en curso termina por su cuenta.
+ * @function detenerProgramador
+ */
+function detenerProgramador() {
+    clearInterval(temporizador);
+    temporizador = null;
+}
+
+module.exports = {
+    CONFIG_PROGRAMACIONES,
+    VENTANAS,
+    ENTREGAS,
+    ESTADOS_EJECUCION,
+    calcularVentana,
+    siguienteEjecucion,
+    crearProgramacion,
+    actualizarProgramacion,
+    listarProgramaciones,
+    obtenerEjecuciones,
+    ejecutarAhora,
+    revisarProgramaciones,
+    iniciarProgramador,
+    detenerProgramador
+};
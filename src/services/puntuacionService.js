@@ -0,0 +1,211 @@
+/**
+ * Módulo para calcular en el servidor la puntuación y la clasificación (esencial/selecto/prime)
+ * de una revista vehicular a partir de los catálogos de VehiculoObtenerDatosPuntuacion.
+ * @module puntuacionService
+ */
+const dbService = require('./dbService');
+const { obtenerValorCampo } = require('../config/checklistRevista');
+const { COLUMNAS_CATALOGOS_PUNTUACION, PUNTOS_CRITERIOS_SIN_CATALOGO } = require('../config/puntuacionRevista');
+
+/**
+ * @constant CRITERIOS_CATALOGO
+ * @description Relación entre cada campo de entrada y el catálogo de puntuación que lo pondera.
+ */
+const CRITERIOS_CATALOGO = [
+    { campo: 'modeloId', catalogo: 'ModeloVehiculo', concepto: 'Modelo del vehículo' },
+    { campo: 'tipoId', catalogo: 'TipoVehiculo', concepto: 'Tipo de vehículo' },
+    { campo: 'capacidadId', catalogo: 'CapacidadPasajeros', concepto: 'Capacidad de pasajeros' },
+    { campo: 'frenoId', catalogo: 'TiposFreno', concepto: 'Tipo de freno' },
+    { campo: 'cinturonId', catalogo: 'CinturonesSeguridad', concepto: 'Cinturones de seguridad' },
+    { campo: 'tapiceriaId', catalogo: 'TapiceriaAsientos', concepto: 'Tapicería de asientos' }
+];
+
+/** Tiempo de vida en milisegundos de los catálogos en memoria. */
+const CATALOGOS_TTL = 10 * 60 * 1000;
+let catalogosCache = null;
+let catalogosCacheFecha = 0;
+
+/**
+ * Lee un valor numérico de un registro de catálogo.
+ * @function valorNumerico
+ * @param {string} nombre - Nombre del catálogo.
+ * @param {Object} registro - Registro del catálogo.
+ * @param {string} columna - Columna a leer.
+ * @param {boolean} [admiteNulo=false] - Si un valor NULL es válido (se devuelve NaN).
+ * @returns {number} El valor de la columna.
+ * @throws {Error} Si el catálogo no trae la columna o el valor no es numérico.
+ */
+function valorNumerico(nombre, registro, columna, admiteNulo = false) {
+    const valor = obtenerValorCampo(registro, columna);
+    if (valor === undefined) {
+        throw new Error(`El catálogo ${nombre} no tiene la columna ${columna}`);
+    }
+    if (valor === null && admiteNulo) return NaN;
+    const numero = valor === null ? NaN : Number(valor);
+    if (isNaN(numero)) {
+        throw new Error(`El catálogo ${nombre} tiene un valor no numérico en la columna ${columna}`);
+    }
+    return numero;
+}
+
+/**
+ * Normaliza un registro de catálogo a `{ id, descripcion, puntos }` o, en Clasificacion, `{ id, descripcion, minimo, maximo }`,
+ * con las columnas de COLUMNAS_CATALOGOS_PUNTUACION.
+ * @function normalizarRegistro
+ * @param {string} nombre - Nombre del catálogo.
+ * @param {Object} registro - Registro del catálogo.
+ * @returns {Object} Registro normalizado.
+ * @throws {Error} Si el catálogo no trae alguna de sus columnas.
+ */
+function normalizarRegistro(nombre, registro) {
+    const columnas = COLUMNAS_CATALOGOS_PUNTUACION[nombre];
+    const descripcion = obtenerValorCampo(registro, columnas.descripcion);
+    if (descripcion === undefined) {
+        throw new Error(`El catálogo ${nombre} no tiene la columna ${columnas.descripcion}`);
+    }
+    const normalizado = {
+        id: valorNumerico(nombre, registro, columnas.id),
+        descripcion
+    };
+    if (columnas.puntos) {
+        normalizado.puntos = valorNumerico(nombre, registro, columnas.puntos);
+    } else {
+        normalizado.minimo = valorNumerico(nombre, registro, columnas.minimo);
+        normalizado.maximo = valorNumerico(nombre, registro, columnas.maximo, true);
+    }
+    return normalizado;
+}
+
+/**
+ * Obtiene los catálogos de puntuación normalizados, usando una copia en memoria con vigencia de 10 minutos.
+ * @async
+ * @function obtenerCatalogosPuntuacion
+ * @returns {Promise<Object>} Catálogos indexados por nombre (ModeloVehiculo, TipoVehiculo, ..., Clasificacion).
+ * @throws {Error} Si falla la consulta de los catálogos o alguno no trae sus columnas de puntos o de rango.
+ */
+async function obtenerCatalogosPuntuacion() {
+    if (catalogosCache && Date.now() - catalogosCacheFecha < CATALOGOS_TTL) {
+        return catalogosCache;
+    }
+    const result = await dbService.obtenerDatosVehiculo();
+    const catalogos = {};
+    for (const nombre of Object.keys(COLUMNAS_CATALOGOS_PUNTUACION)) {
+        catalogos[nombre] = (result.data[nombre] || []).map(registro => normalizarRegistro(nombre, registro));
+    }
+    catalogosCache = catalogos;
+    catalogosCacheFecha = Date.now();
+    return catalogos;
+}
+
+/**
+ * Calcula la puntuación y la clasificación con catálogos ya cargados.
+ * @function calcularConCatalogos
+ * @param {Object} entrada - Datos de puntuación (modeloId, tipoId, capacidadId, tipoBolsa, tieneAire, frenoId, cinturonId, tapiceriaId).
+ * @param {Object} catalogos - Catálogos normalizados.
+ * @returns {Object} `{ puntuacion, clasificacionId, clasificacion, desglose }` o `{ errores }` si hay valores inválidos.
+ */
+function calcularConCatalogos(entrada, catalogos) {
+    const errores = [];
+    const desglose = [];
+
+    for (const criterio of CRITERIOS_CATALOGO) {
+        const id = parseInt(entrada[criterio.campo]);
+        const registro = (catalogos[criterio.catalogo] || []).find(item => item.id === id);
+        if (isNaN(id) || !registro) {
+            errores.push({ campo: criterio.campo, ubicacion: 'body', mensaje: `Valor no encontrado en el catálogo ${criterio.catalogo}` });
+            continue;
+        }
+        desglose.push({ concepto: criterio.concepto, campo: criterio.campo, valor: registro.descripcion, puntos: registro.puntos });
+    }
+
+    for (const criterio of PUNTOS_CRITERIOS_SIN_CATALOGO) {
+        const valor = parseInt(entrada[criterio.campo]);
+        if (isNaN(valor) || criterio.puntos[valor] === undefined) {
+            errores.push({ campo: criterio.campo, ubicacion: 'body', mensaje: `Debe ser un valor entre 0 y ${criterio.puntos.length - 1}` });
+            continue;
+        }
+        desglose.push({ concepto: criterio.concepto, campo: criterio.campo, valor, puntos: criterio.puntos[valor] });
+    }
+
+    if (errores.length > 0) {
+        return { errores };
+    }
+
+    const puntuacion = desglose.reduce((total, item) => total + item.puntos, 0);
+
+    // La clasificación es la de mayor puntuación mínima que la puntuación alcance
+    const clasificacion = (catalogos.Clasificacion || [])
+        .filter(item => !isNaN(item.minimo) && puntuacion >= item.minimo && (isNaN(item.maximo) || puntuacion <= item.maximo))
+        .sort((a, b) => b.minimo - a.minimo)[0];
+
+    if (!clasificacion) {
+        return { errores: [{ campo: 'puntuacion', ubicacion: 'body', mensaje: `La puntuación ${puntuacion} no corresponde a ninguna clasificación` }] };
+    }
+
+    return {
+        puntuacion,
+        clasificacionId: clasificacion.id,
+        clasificacion: clasificacion.descripcion,
+        desglose
+    };
+}
+
+/**
+ * Calcula en el servidor la puntuación y la clasificación de una revista vehicular.
+ * @async
+ * @function calcularPuntuacion
+ * @param {Object} entrada - Datos de puntuación enviados por el cliente.
+ * @returns {Promise<Object>} Objeto con `data` (puntuación, clasificación y desglose) y `returnValue`,
+ *          o `{ status: 400, message, errores }` si algún valor no es válido.
+ * @throws {Error} Si falla la consulta de los catálogos o alguno no trae sus columnas.
+ */
+async function calcularPuntuacion(entrada) {
+    try {
+        const catalogos = await obtenerCatalogosPuntuacion();
+        const resultado = calcularConCatalogos(entrada, catalogos);
+        if (resultado.errores) {
+            return {
+                status: 400,
+                message: 'Datos de puntuación inválidos',
+                errores: resultado.errores
+            };
+        }
+        return {
+            data: resultado,
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al calcular la puntuación: ${err.message}`);
+    }
+}
+
+/** Diferencia máxima entre la puntuación del cliente y la calculada para considerarlas iguales (los puntos pueden tener decimales). */
+const TOLERANCIA_PUNTUACION = 0.01;
+
+/**
+ * Compara la puntuación y clasificación enviadas por el cliente con las calculadas en el servidor.
+ * @function compararConCliente
+ * @param {Object} calculado - Resultado de calcularPuntuacion (`data`).
+ * @param {*} puntuacionCliente - Puntuación enviada por el cliente (opcional).
+ * @param {*} clasificacionIdCliente - Clasificación enviada por el cliente (opcional).
+ * @returns {Array<Object>} Lista de diferencias; vacía si coinciden o si el cliente no envió valores.
+ */
+function compararConCliente(calculado, puntuacionCliente, clasificacionIdCliente) {
+    const diferencias = [];
+    if (puntuacionCliente !== undefined && puntuacionCliente !== null && puntuacionCliente !== ''
+        && !(Math.abs(Number(puntuacionCliente) - calculado.puntuacion) <= TOLERANCIA_PUNTUACION)) {
+        diferencias.push({ campo: 'puntuacion', enviado: puntuacionCliente, calculado: calculado.puntuacion });
+    }
+    if (clasificacionIdCliente !== undefined && clasificacionIdCliente !== null && clasificacionIdCliente !== ''
+        && parseInt(clasificacionIdCliente) !== calculado.clasificacionId) {
+        diferencias.push({ campo: 'clasificacionId', enviado: clasificacionIdCliente, calculado: calculado.clasificacionId });
+    }
+    return diferencias;
+}
+
+module.exports = {
+    obtenerCatalogosPuntuacion,
+    calcularPuntuacion,
+    calcularConCatalogos,
+    compararConCliente
+};
@@ -0,0 +1,236 @@
+/**
+ * Módulo del reporte de productividad de inspectores para auditorías de control interno: por cada usuario que
+ * capturó revistas, inspecciones por día, tasa de aprobación frente a la de sus pares, tiempo promedio entre la
+ * captura y la impresión, fotos por inspección e inspecciones fuera de horario, con alertas de valores atípicos.
+ * Se exporta en los mismos formatos que el reporte de inspecciones, con los escritores de reporteService, y puede
+ * generarse como trabajo en segundo plano o programarse (tipo 'inspectores' en TIPOS_REPORTE).
+ * @module reporteInspectoresService
+ */
+const dbService = require('./dbService');
+const reporteService = require('./reporteService');
+const plantillaReporteService = require('./plantillaReporteService');
+const { FORMATOS_REPORTE } = require('../config/reporteInspecciones');
+const { COLUMNAS_REPORTE_INSPECTORES, UMBRALES_INSPECTORES, ALERTAS_INSPECTORES } = require('../config/reporteInspectores');
+const { errorValidacion } = require('../middlewares/validacion');
+
+/** Nombre de los archivos del reporte, sin extensión. */
+const NOMBRE_ARCHIVO = 'Reporte_Inspectores';
+
+const TITULO_REPORTE = 'Reporte de productividad de inspectores';
+
+/**
+ * Redondea a dos decimales; conserva null.
+ * @function redondear
+ * @param {number|null} valor - Valor.
+ * @returns {number|null} Valor redondeado.
+ */
+function redondear(valor) {
+    return valor === null || valor === undefined || isNaN(valor) ? null : Math.round(valor * 100) / 100;
+}
+
+/**
+ * Valida y normaliza los parámetros del reporte. Recibe los mismos parámetros que el reporte de inspecciones;
+ * las columnas, el orden y la agrupación no aplican y se ignoran.
+ * @function prepararParametros
+ * @param {Object} consulta - `fechaInicio`, `fechaFin` (DD/MM/YYYY o YYYY-MM-DD), `format` y `plantilla` (ID de la plantilla de presentación).
+ * @param {Object} [logo] - Imagen del logo (`buffer` y `mimetype`), solo para Excel y PDF; reemplaza el de la plantilla.
+ * @param {string} [ubicacion='query'] - Dónde llegaron los parámetros, para los errores de validación ('query' o 'body').
+ * @returns {Object} Objeto con `data` (parámetros normalizados) o un error de validación (errorValidacion) si algún parámetro no es válido.
+ */
+function prepararParametros(consulta, logo = null, ubicacion = 'query') {
+    const { fechaInicio, fechaFin, format = 'json', plantilla = null } = consulta;
+    const formatoFecha = /^(\d{2}\/\d{2}\/\d{4}|\d{4}-\d{2}-\d{2})$/;
+    for (const [campo, fecha] of [['fechaInicio', fechaInicio], ['fechaFin', fechaFin]]) {
+        if (!fecha) {
+            return errorValidacion(campo, ubicacion, `Se requiere ${campo}`);
+        }
+        if (!formatoFecha.test(fecha)) {
+            return errorValidacion(campo, ubicacion, 'Debe estar en formato DD/MM/YYYY o YYYY-MM-DD');
+        }
+    }
+    if (!FORMATOS_REPORTE[format]) {
+        return errorValidacion('format', ubicacion, `Formato inválido. Use ${Object.keys(FORMATOS_REPORTE).join(', ')}`);
+    }
+    return {
+        data: {
+            fechaInicio,
+            fechaFin,
+            fechaInicioConsulta: reporteService.aMMDDYYYY(fechaInicio),
+            fechaFinConsulta: reporteService.aMMDDYYYY(fechaFin),
+            formato: format,
+            columnas: COLUMNAS_REPORTE_INSPECTORES,
+            plantilla: plantilla ? parseInt(plantilla) : null,
+            logo
+        }
+    };
+}
+
+/**
+ * Calcula los indicadores de cada inspector, los compara con los de sus pares (el resto de los inspectores)
+ * y señala los valores atípicos según UMBRALES_INSPECTORES.
+ * @function calcularIndicadores
+ * @param {Object[]} registros - Registros de dbService.obtenerProductividadInspectores.
+ * @returns {Object} `inspectores` (filas del reporte, `Alertas` como arreglo de claves de ALERTAS_INSPECTORES) y `resumen` del grupo.
+ */
+function calcularIndicadores(registros) {
+    const totalInspecciones = registros.reduce((suma, item) => suma + item.Inspecciones, 0);
+    const totalAprobadas = registros.reduce((suma, item) => suma + item.Aprobadas, 0);
+    const promedios = registros.map(item => item.Inspecciones / Math.max(item.DiasActivos, 1));
+    const media = promedios.reduce((suma, valor) => suma + valor, 0) / Math.max(promedios.length, 1);
+    const desviacion = Math.sqrt(promedios.reduce((suma, valor) => suma + (valor - media) ** 2, 0) / Math.max(promedios.length, 1));
+    // Promedio de captura a impresión ponderado por las inspecciones impresas de cada inspector
+    const conImpresion = registros.filter(item => item.MinutosCapturaImpresion !== null);
+    const impresas = conImpresion.reduce((suma, item) => suma + item.Impresas, 0);
+    const minutosImpresion = conImpresion.reduce((suma, item) => suma + item.MinutosCapturaImpresion * item.Impresas, 0);
+
+    const inspectores = registros.map((item, index) => {
+        const tasa = item.Aprobadas * 100 / item.Inspecciones;
+        const inspeccionesPares = totalInspecciones - item.Inspecciones;
+        const tasaPares = inspeccionesPares ? (totalAprobadas - item.Aprobadas) * 100 / inspeccionesPares : null;
+        const fotos = item.Fotos / item.Inspecciones;
+        const alertas = [];
+        if (item.Aprobadas === item.Inspecciones && item.Inspecciones >= UMBRALES_INSPECTORES.minimoInspecciones) {
+            alertas.push('aprobacion_total');
+        }
+        if (item.FueraDeHorario * 100 / item.Inspecciones >= UMBRALES_INSPECTORES.porcentajeFueraDeHorario) {
+            alertas.push('fuera_de_horario');
+        }
+        // La desviación solo es significativa con al menos tres inspectores
+        if (registros.length >= 3 && desviacion > 0) {
+            const z = (promedios[index] - media) / desviacion;
+            if (z >= UMBRALES_INSPECTORES.desviaciones) alertas.push('productividad_alta');
+            if (z <= -UMBRALES_INSPECTORES.desviaciones) alertas.push('productividad_baja');
+        }
+        if (fotos < UMBRALES_INSPECTORES.minimoFotos) {
+            alertas.push('pocas_fotos');
+        }
+        return {
+            IdUsuario: item.IdUser,
+            Inspector: item.Inspector,
+            Inspecciones: item.Inspecciones,
+            DiasActivos: item.DiasActivos,
+            PromedioDiario: redondear(promedios[index]),
+            MaximoDiario: item.MaximoDiario,
+            Aprobadas: item.Aprobadas,
+            TasaAprobacion: redondear(tasa),
+            TasaPares: redondear(tasaPares),
+            DiferenciaPares: tasaPares === null ? null : redondear(tasa - tasaPares),
+            Impresas: item.Impresas,
+            HorasCapturaImpresion: item.MinutosCapturaImpresion === null ? null : redondear(item.MinutosCapturaImpresion / 60),
+            FotosPorInspeccion: redondear(fotos),
+            FueraDeHorario: item.FueraDeHorario,
+            Alertas: alertas
+        };
+    });
+
+    return {
+        inspectores,
+        resumen: {
+            inspectores: registros.length,
+            inspecciones: totalInspecciones,
+            promedioDiario: redondear(media),
+            tasaAprobacion: redondear(totalInspecciones ? totalAprobadas * 100 / totalInspecciones : null),
+            horasCapturaImpresion: impresas ? redondear(minutosImpresion / impresas / 60) : null,
+            fotosPorInspeccion: redondear(totalInspecciones ? registros.reduce((suma, item) => suma + item.Fotos, 0) / totalInspecciones : null),
+            umbrales: UMBRALES_INSPECTORES
+        }
+    };
+}
+
+/**
+ * Consulta y calcula los indicadores del rango de fechas.
+ * @async
+ * @function consultarIndicadores
+ * @param {Object} parametros - Parámetros de prepararParametros.
+ * @returns {Promise<Object>} Resultado de calcularIndicadores, o `{ status: 404, message }` si no hay inspecciones.
+ * @throws {Error} Si falla la consulta.
+ */
+async function consultarIndicadores({ fechaInicioConsulta, fechaFinConsulta }) {
+    const result = await dbService.obtenerProductividadInspectores(fechaInicioConsulta, fechaFinConsulta, UMBRALES_INSPECTORES);
+    if (result.data.length === 0) {
+        return { status: 404, message: 'No se encontraron inspecciones', totalRecords: 0 };
+    }
+    return calcularIndicadores(result.data);
+}
+
+/**
+ * Obtiene el reporte en JSON: un registro por inspector con sus alertas descritas y el resumen del grupo.
+ * @async
+ * @function obtenerReporte
+ * @param {Object} parametros - Parámetros de prepararParametros.
+ * @returns {Promise<Object>} Objeto con `data`, `totalRecords`, `columnas`, `resumen`, `alertas` (descripción de cada clave)
+ *          y `returnValue`, o `{ status: 404, message }` si no hay inspecciones.
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerReporte(parametros) {
+    const indicadores = await consultarIndicadores(parametros);
+    if (indicadores.status) {
+        return indicadores;
+    }
+    return {
+        data: indicadores.inspectores,
+        totalRecords: indicadores.inspectores.length,
+        columnas: COLUMNAS_REPORTE_INSPECTORES.map(columna => columna.clave),
+        resumen: indicadores.resumen,
+        alertas: ALERTAS_INSPECTORES,
+        returnValue: 0
+    };
+}
+
+/**
+ * Prepara el contenido del reporte en archivo para reporteService.escribirContenido, con la plantilla elegida o la
+ * predeterminada (sus columnas definen el orden y la selección). Las alertas se escriben como texto.
+ * @async
+ * @function prepararContenido
+ * @param {Object} parametros - Parámetros de prepararParametros.
+ * @returns {Promise<Object>} Contenido para escribirContenido, `{ status: 404, message }` si no hay inspecciones
+ *          o el error de plantillaReporteService.obtenerPlantillaReporte.
+ * @throws {Error} Si falla la consulta.
+ */
+async function prepararContenido(parametros) {
+    const plantilla = await plantillaReporteService.obtenerPlantillaReporte(parametros.plantilla, 'inspectores');
+    if (plantilla.status) {
+        return plantilla;
+    }
+    const indicadores = await consultarIndicadores(parametros);
+    if (indicadores.status) {
+        return indicadores;
+    }
+    return {
+        parametros: {
+            ...parametros,
+            columnas: plantillaReporteService.aplicarColumnas(parametros.columnas, plantilla.data, COLUMNAS_REPORTE_INSPECTORES, true)
+        },
+        plantilla: plantilla.data,
+        titulo: plantilla.data.titulo || TITULO_REPORTE,
+        hoja: 'Productividad de Inspectores',
+        filas: indicadores.inspectores.map(item => ({
+            ...item,
+            Alertas: item.Alertas.map(clave => ALERTAS_INSPECTORES[clave]).join('; ')
+        })),
+        agrupacion: null,
+        totalRecords: indicadores.inspectores.length,
+        resumen: null
+    };
+}
+
+/**
+ * Genera el reporte de productividad de inspectores en el formato solicitado y lo envía en la respuesta.
+ * @async
+ * @function generarReporte
+ * @param {Object} req - Objeto de solicitud (parámetros en `req.query`, logo opcional en `req.file`).
+ * @param {Object} res - Objeto de respuesta.
+ * @returns {Promise<void>}
+ */
+async function generarReporte(req, res) {
+    await reporteService.enviarReporte(module.exports, req, res);
+}
+
+module.exports = {
+    NOMBRE_ARCHIVO,
+    prepararParametros,
+    obtenerReporte,
+    prepararContenido,
+    escribirContenido: reporteService.escribirContenido,
+    generarReporte
+};
@@ -0,0 +1,724 @@
+/**
+ * Módulo para generar el reporte de inspecciones vehiculares en JSON, CSV, JSON Lines, Excel y PDF.
+ * Permite elegir las columnas, el orden y una agrupación con subtotales por municipio, modalidad, inspector o trámite.
+ * Las exportaciones completas (`allPages`) se transmiten fila por fila desde la base de datos, salvo el PDF
+ * y el Excel con logo, que se arman en memoria. El título, el logo, los colores, la orientación, el pie de página,
+ * las firmas y las columnas de los archivos salen de la plantilla elegida (ver plantillaReporteService).
+ * @module reporteService
+ */
+const ExcelJS = require('exceljs');
+const dbService = require('./dbService');
+const plantillaReporteService = require('./plantillaReporteService');
+const { ORIENTACIONES } = require('../config/plantillaReporte');
+const {
+    COLUMNAS_REPORTE_INSPECCIONES,
+    AGRUPACIONES_REPORTE_INSPECCIONES,
+    FORMATOS_REPORTE,
+    resolverColumnas
+} = require('../config/reporteInspecciones');
+const { errorValidacion } = require('../middlewares/validacion');
+
+/** Registros por página del reporte cuando no se exportan todas las páginas. */
+const TAMANO_PAGINA_REPORTE = 20;
+
+/** Longitud máxima de las observaciones en el PDF. */
+const LONGITUD_MAXIMA_PDF = 50;
+
+/** Fila del encabezado de la tabla en la hoja de Excel (título, rango de fechas y una fila en blanco antes). */
+const FILA_ENCABEZADO_EXCEL = 4;
+
+const TITULO_REPORTE = 'Reporte de inspecciones vehiculares';
+
+/** Nombre de los archivos del reporte, sin extensión. */
+const NOMBRE_ARCHIVO = 'Reporte_Inspecciones';
+
+const BORDE_DELGADO = {
+    top: { style: 'thin' },
+    left: { style: 'thin' },
+    bottom: { style: 'thin' },
+    right: { style: 'thin' }
+};
+
+/**
+ * Convierte una fecha DD/MM/YYYY o YYYY-MM-DD al formato MM/DD/YYYY que usa dbService.
+ * @function aMMDDYYYY
+ * @param {string} fecha - Fecha recibida.
+ * @returns {string} Fecha en formato MM/DD/YYYY.
+ */
+function aMMDDYYYY(fecha) {
+    if (/^\d{2}\/\d{2}\/\d{4}$/.test(fecha)) {
+        const [day, month, year] = fecha.split('/');
+        return `${month}/${day}/${year}`;
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(fecha)) {
+        const [year, month, day] = fecha.split('-');
+        return `${month}/${day}/${year}`;
+    }
+    return fecha;
+}
+
+/**
+ * Valida y normaliza los parámetros del reporte de inspecciones.
+ * @function prepararParametros
+ * @param {Object} consulta - `fechaInicio`, `fechaFin` (DD/MM/YYYY o YYYY-MM-DD), `page`, `format`, `allPages`,
+ *        `ordenarPor`, `direccion`, `agruparPor`, `columnas` (claves separadas por comas o arreglo) y `plantilla`
+ *        (ID de la plantilla de presentación; sin ella se usa la predeterminada).
+ * @param {Object} [logo] - Imagen del logo (`buffer` y `mimetype`), solo para Excel y PDF; reemplaza el de la plantilla.
+ * @param {string} [ubicacion='query'] - Dónde llegaron los parámetros, para los errores de validación ('query' o 'body').
+ * @returns {Object} Objeto con `data` (parámetros normalizados) o un error de validación (errorValidacion) si algún parámetro no es válido.
+ */
+function prepararParametros(consulta, logo = null, ubicacion = 'query') {
+    const {
+        fechaInicio, fechaFin, page = '1', format = 'json', allPages = 'false',
+        ordenarPor = 'fecha', direccion = 'asc', agruparPor = null, columnas, plantilla = null
+    } = consulta;
+
+    const formatoFecha = /^(\d{2}\/\d{2}\/\d{4}|\d{4}-\d{2}-\d{2})$/;
+    for (const [campo, fecha] of [['fechaInicio', fechaInicio], ['fechaFin', fechaFin]]) {
+        if (!fecha) {
+            return errorValidacion(campo, ubicacion, `Se requiere ${campo}`);
+        }
+        if (!formatoFecha.test(fecha)) {
+            return errorValidacion(campo, ubicacion, 'Debe estar en formato DD/MM/YYYY o YYYY-MM-DD');
+        }
+    }
+    const pageNumber = parseInt(page, 10);
+    if (isNaN(pageNumber) || pageNumber < 1) {
+        return errorValidacion('page', ubicacion, 'Debe ser un entero positivo');
+    }
+    if (!FORMATOS_REPORTE[format]) {
+        return errorValidacion('format', ubicacion, `Formato inválido. Use ${Object.keys(FORMATOS_REPORTE).join(', ')}`);
+    }
+    if (agruparPor && !AGRUPACIONES_REPORTE_INSPECCIONES[agruparPor]) {
+        return errorValidacion('agruparPor', ubicacion, `Agrupación inválida. Use ${Object.keys(AGRUPACIONES_REPORTE_INSPECCIONES).join(', ')}`);
+    }
+    const { columnas: seleccion, desconocidas } = resolverColumnas(columnas);
+    if (desconocidas.length > 0) {
+        return errorValidacion('columnas', ubicacion, `Columnas desconocidas: ${desconocidas.join(', ')}`, {
+            columnasValidas: COLUMNAS_REPORTE_INSPECCIONES.map(columna => columna.clave)
+        });
+    }
+
+    return {
+        data: {
+            fechaInicio,
+            fechaFin,
+            fechaInicioConsulta: aMMDDYYYY(fechaInicio),
+            fechaFinConsulta: aMMDDYYYY(fechaFin),
+            page: pageNumber,
+            pageSize: TAMANO_PAGINA_REPORTE,
+            formato: format,
+            allPages: String(allPages).toLowerCase() === 'true',
+            orden: { ordenarPor: ordenarPor || 'fecha', direccion: direccion || 'asc', agruparPor: agruparPor || null },
+            columnas: seleccion,
+            // Sin columnas elegidas, las de la plantilla reemplazan la selección predeterminada
+            columnasElegidas: String(columnas ?? '').trim() !== '',
+            plantilla: plantilla ? parseInt(plantilla) : null,
+            logo
+        }
+    };
+}
+
+/**
+ * Deja en una inspección solo las columnas elegidas, en su orden.
+ * @function proyectar
+ * @param {Object} item - Inspección de obtenerReporteInspecciones.
+ * @param {Object[]} columnas - Columnas de COLUMNAS_REPORTE_INSPECCIONES.
+ * @returns {Object} Inspección con las columnas elegidas.
+ */
+function proyectar(item, columnas) {
+    return Object.fromEntries(columnas.map(columna => [columna.clave, item[columna.clave] ?? null]));
+}
+
+/**
+ * Recorre las inspecciones e intercala un subtotal cada vez que cambia el grupo.
+ * Las filas deben venir ordenadas por el grupo (ver `agruparPor` en consultaReporteInspecciones).
+ * @async
+ * @generator
+ * @function conSubtotales
+ * @param {AsyncIterable<Object>|Object[]} filas - Inspecciones del reporte.
+ * @param {Object|null} agrupacion - Definición de AGRUPACIONES_REPORTE_INSPECCIONES, o null para no agrupar.
+ * @yields {Object} `{ item }` por cada inspección o `{ subtotal: { grupo, inspecciones } }` al cerrar cada grupo.
+ */
+async function* conSubtotales(filas, agrupacion) {
+    let grupo;
+    let inspecciones = 0;
+    for await (const item of filas) {
+        if (agrupacion) {
+            const valor = item[agrupacion.clave] ?? null;
+            if (inspecciones > 0 && valor !== grupo) {
+                yield { subtotal: { grupo, inspecciones } };
+                inspecciones = 0;
+            }
+            grupo = valor;
+            inspecciones++;
+        }
+        yield { item };
+    }
+    if (agrupacion && inspecciones > 0) {
+        yield { subtotal: { grupo, inspecciones } };
+    }
+}
+
+/**
+ * Texto de un grupo del reporte, con una etiqueta para los registros sin valor.
+ * @function nombreGrupo
+ * @param {Object} agrupacion - Definición de AGRUPACIONES_REPORTE_INSPECCIONES.
+ * @param {*} grupo - Valor del grupo.
+ * @returns {string} Nombre del grupo.
+ */
+function nombreGrupo(agrupacion, grupo) {
+    return grupo === null || grupo === undefined || grupo === '' ? `Sin ${agrupacion.titulo.toLowerCase()}` : String(grupo);
+}
+
+/**
+ * Texto de la fila de subtotal en CSV, Excel y PDF.
+ * @function etiquetaSubtotal
+ * @param {Object} agrupacion - Definición de AGRUPACIONES_REPORTE_INSPECCIONES.
+ * @param {Object} subtotal - `grupo` e `inspecciones`.
+ * @returns {string} Texto del subtotal.
+ */
+function etiquetaSubtotal(agrupacion, { grupo, inspecciones }) {
+    return `Subtotal ${agrupacion.titulo} ${nombreGrupo(agrupacion, grupo)}: ${inspecciones} inspecciones`;
+}
+
+/**
+ * Escribe en la salida respetando la contrapresión del destino. Si la salida se cierra o falla mientras se espera
+ * a que se vacíe (p. ej. el cliente cerró la conexión), la promesa se rechaza para dejar de leer filas.
+ * @async
+ * @function escribir
+ * @param {Writable} salida - Stream de destino.
+ * @param {string|Buffer} contenido - Contenido a escribir.
+ * @returns {Promise<void>}
+ * @throws {Error} Si la salida ya está cerrada o se cierra antes de vaciarse.
+ */
+async function escribir(salida, contenido) {
+    if (salida.destroyed) {
+        throw new Error('La salida se cerró antes de terminar el reporte');
+    }
+    if (!salida.write(contenido)) {
+        await new Promise((resolve, reject) => {
+            const terminar = err => {
+                salida.off('drain', terminar);
+                salida.off('close', alCerrar);
+                salida.off('error', terminar);
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            };
+            const alCerrar = () => terminar(new Error('La salida se cerró antes de terminar el reporte'));
+            salida.on('drain', terminar);
+            salida.on('close', alCerrar);
+            salida.on('error', terminar);
+        });
+    }
+}
+
+/**
+ * Escapa un valor para CSV. Los textos que empiezan con =, +, -, @, tabulador o retorno de carro se prefijan
+ * con un apóstrofo para que las hojas de cálculo no los interpreten como fórmulas.
+ * @function valorCsv
+ * @param {*} valor - Valor de la celda.
+ * @returns {string} Valor escapado.
+ */
+function valorCsv(valor) {
+    if (valor === null || valor === undefined) return '';
+    let texto = String(valor);
+    if (typeof valor === 'string' && /^[=+\-@\t\r]/.test(texto)) {
+        texto = `'${texto}`;
+    }
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Escribe el reporte en CSV (UTF-8 con BOM para que Excel respete los acentos).
+ * @async
+ * @function escribirCsv
+ * @param {Writable} salida - Stream de destino.
+ * @param {Object} contenido - Contenido preparado por prepararContenido.
+ * @returns {Promise<void>}
+ */
+async function escribirCsv(salida, { parametros, filas, agrupacion, totalRecords }) {
+    const { columnas } = parametros;
+    const linea = valores => valores.map(valorCsv).join(',') + '\r\n';
+    await escribir(salida, '\uFEFF' + linea(columnas.map(columna => columna.titulo)));
+    for await (const { item, subtotal } of conSubtotales(filas, agrupacion)) {
+        await escribir(salida, linea(item
+            ? columnas.map(columna => item[columna.clave])
+            : [etiquetaSubtotal(agrupacion, subtotal)]));
+    }
+    if (agrupacion) {
+        await escribir(salida, linea([`Total: ${totalRecords} inspecciones`]));
+    }
+}
+
+/**
+ * Escribe el reporte en JSON Lines: una inspección por línea y, si se agrupa, una línea `{ "subtotal": ... }` por grupo.
+ * @async
+ * @function escribirJsonl
+ * @param {Writable} salida - Stream de destino.
+ * @param {Object} contenido - Contenido preparado por prepararContenido.
+ * @returns {Promise<void>}
+ */
+async function escribirJsonl(salida, { parametros, filas, agrupacion }) {
+    for await (const { item, subtotal } of conSubtotales(filas, agrupacion)) {
+        const registro = item
+            ? proyectar(item, parametros.columnas)
+            : { subtotal: { agrupacion: parametros.orden.agruparPor, ...subtotal } };
+        await escribir(salida, JSON.stringify(registro) + '\n');
+    }
+}
+
+/**
+ * Confirma una fila o una hoja en el escritor en stream de ExcelJS (en el libro en memoria no hace falta).
+ * @function confirmar
+ * @param {Object} elemento - Fila u hoja de ExcelJS.
+ */
+function confirmar(elemento) {
+    if (typeof elemento.commit === 'function') {
+        elemento.commit();
+    }
+}
+
+/**
+ * Agrega la hoja "Resumen" con los datos del reporte y el conteo de inspecciones por grupo.
+ * @function agregarHojaResumen
+ * @param {Object} workbook - Libro de ExcelJS (en memoria o en stream).
+ * @param {Object} contenido - Contenido preparado por prepararContenido.
+ */
+function agregarHojaResumen(workbook, { parametros, titulo, totalRecords, resumen }) {
+    const hoja = workbook.addWorksheet('Resumen');
+    hoja.columns = [{ width: 35 }, { width: 15 }, { width: 15 }, { width: 15 }];
+    const agregar = (valores, estilo = {}) => {
+        const fila = hoja.addRow(valores);
+        Object.assign(fila, estilo);
+        confirmar(fila);
+    };
+    const grupo = AGRUPACIONES_REPORTE_INSPECCIONES[resumen.agruparPor];
+
+    agregar([titulo], { font: { bold: true, size: 14 } });
+    agregar(['Rango de fechas', `${parametros.fechaInicio} - ${parametros.fechaFin}`]);
+    agregar(['Generado el', new Date().toLocaleString()]);
+    agregar(['Total de inspecciones', totalRecords]);
+    agregar(['Ordenado por', `${parametros.orden.ordenarPor} (${parametros.orden.direccion})`]);
+    agregar(['Agrupado por', parametros.orden.agruparPor ? grupo.titulo : 'Sin agrupar']);
+    agregar([]);
+    agregar([grupo.titulo, 'Inspecciones', 'Aprobadas', 'Reprobadas'], {
+        font: { bold: true },
+        fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFCCCCCC' } },
+        border: BORDE_DELGADO
+    });
+    for (const subtotal of resumen.subtotales) {
+        agregar([nombreGrupo(grupo, subtotal.grupo), subtotal.inspecciones, subtotal.aprobadas, subtotal.reprobadas], { border: BORDE_DELGADO });
+    }
+    agregar([
+        'Total',
+        resumen.subtotales.reduce((suma, item) => suma + item.inspecciones, 0),
+        resumen.subtotales.reduce((suma, item) => suma + item.aprobadas, 0),
+        resumen.subtotales.reduce((suma, item) => suma + item.reprobadas, 0)
+    ], { font: { bold: true }, border: BORDE_DELGADO });
+    confirmar(hoja);
+}
+
+/**
+ * Agrega los bloques de firma de la plantilla al final de la hoja: la línea, el nombre y el cargo de cada firma,
+ * repartidos entre las columnas del reporte.
+ * @function agregarFirmasExcel
+ * @param {Object} worksheet - Hoja de ExcelJS.
+ * @param {Object[]} firmas - Bloques de firma (`nombre` y `cargo`).
+ * @param {number} totalColumnas - Columnas del reporte.
+ */
+function agregarFirmasExcel(worksheet, firmas, totalColumnas) {
+    if (firmas.length === 0) return;
+    const posiciones = firmas.map((firma, index) => Math.floor(index * Math.max(totalColumnas, firmas.length) / firmas.length));
+    const filaDe = valor => {
+        const valores = [];
+        firmas.forEach((firma, index) => { valores[posiciones[index]] = valor(firma); });
+        return valores;
+    };
+    for (let i = 0; i < 3; i++) {
+        confirmar(worksheet.addRow([]));
+    }
+    const linea = worksheet.addRow(filaDe(() => '______________________________'));
+    confirmar(linea);
+    const nombres = worksheet.addRow(filaDe(firma => firma.nombre));
+    nombres.font = { bold: true };
+    confirmar(nombres);
+    confirmar(worksheet.addRow(filaDe(firma => firma.cargo || '')));
+}
+
+/**
+ * Escribe el reporte en Excel con la presentación de la plantilla, el encabezado inmovilizado, filtro automático,
+ * subtotales por grupo, bloques de firma y una hoja de resumen. Sin logo se usa el escritor en stream de ExcelJS;
+ * con logo (el enviado o el de la plantilla) el libro se arma en memoria, porque el escritor en stream no admite imágenes.
+ * @async
+ * @function escribirExcel
+ * @param {Writable} salida - Stream de destino.
+ * @param {Object} contenido - Contenido preparado por prepararContenido.
+ * @returns {Promise<void>}
+ */
+async function escribirExcel(salida, contenido) {
+    const { parametros, plantilla, filas, agrupacion, totalRecords } = contenido;
+    const { columnas } = parametros;
+    const logo = parametros.logo || plantilla.logo;
+    // El texto de la plantilla en encabezados y pies de Excel debe duplicar los & para no tomarse como código
+    const piePagina = plantilla.piePagina ? plantilla.piePagina.replace(/&/g, '&&') : 'Generado el &D';
+    const filaEncabezado = FILA_ENCABEZADO_EXCEL + (plantilla.encabezado ? 1 : 0);
+    // Sin useStyles el escritor en stream descarta fuentes, rellenos y bordes (los colores de la plantilla)
+    const workbook = logo ? new ExcelJS.Workbook() : new ExcelJS.stream.xlsx.WorkbookWriter({ stream: salida, useStyles: true });
+    const worksheet = workbook.addWorksheet(contenido.hoja, {
+        views: [{ state: 'frozen', ySplit: filaEncabezado }]
+    });
+    worksheet.columns = columnas.map(columna => ({ key: columna.clave, width: columna.anchoExcel }));
+    worksheet.autoFilter = {
+        from: { row: filaEncabezado, column: 1 },
+        to: { row: filaEncabezado, column: columnas.length }
+    };
+    worksheet.pageSetup.orientation = ORIENTACIONES[plantilla.orientacion || 'horizontal'];
+    worksheet.headerFooter.oddFooter = `&L${piePagina}&RPágina &P de &N`;
+
+    // Con logo, el título y el rango se recorren a la columna B para dejar la imagen en A1
+    const margen = logo ? [null] : [];
+    const titulo = worksheet.addRow([...margen, contenido.titulo]);
+    titulo.font = { bold: true, size: 14 };
+    titulo.height = 20;
+    confirmar(titulo);
+    if (plantilla.encabezado) {
+        const encabezado = worksheet.addRow([...margen, plantilla.encabezado]);
+        encabezado.font = { size: 11 };
+        confirmar(encabezado);
+    }
+    const rango = worksheet.addRow([...margen, `Rango de fechas: ${parametros.fechaInicio} - ${parametros.fechaFin} (${totalRecords} registros)`]);
+    rango.font = { italic: true };
+    rango.height = logo ? 20 : 15;
+    confirmar(rango);
+    confirmar(worksheet.addRow([]));
+    const headerRow = worksheet.addRow(columnas.map(columna => columna.titulo));
+    headerRow.font = { bold: true, color: { argb: `FF${plantilla.colorTextoEncabezado}` } };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${plantilla.colorEncabezado}` } };
+    headerRow.alignment = { horizontal: 'center' };
+    headerRow.border = { ...BORDE_DELGADO, bottom: { style: 'medium' } };
+    headerRow.height = 25;
+    confirmar(headerRow);
+    // La imagen se ancla después de crear las filas del encabezado: anclarla antes crea la fila 1 y recorre el título.
+    // El tamaño de la plantilla está en milímetros del PDF; en la hoja se usan dos píxeles por milímetro
+    if (logo) {
+        const extension = logo.mimetype.split('/')[1];
+        const imageId = workbook.addImage({ base64: logo.buffer.toString('base64'), extension });
+        worksheet.addImage(imageId, { tl: { col: 0, row: 0 }, ext: { width: plantilla.anchoLogo * 2, height: plantilla.altoLogo * 2 } });
+    }
+
+    for await (const { item, subtotal } of conSubtotales(filas, agrupacion)) {
+        // El escritor en stream escribe por su cuenta en la salida: se deja de leer filas si ya se cerró
+        if (salida.destroyed) {
+            throw new Error('La salida se cerró antes de terminar el reporte');
+        }
+        if (item) {
+            const row = worksheet.addRow(proyectar(item, columnas));
+            row.border = BORDE_DELGADO;
+            row.alignment = { horizontal: 'left' };
+            confirmar(row);
+        } else {
+            const row = worksheet.addRow([etiquetaSubtotal(agrupacion, subtotal)]);
+            row.font = { bold: true };
+            row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEEEEEE' } };
+            confirmar(row);
+        }
+    }
+    if (agrupacion) {
+        const total = worksheet.addRow([`Total: ${totalRecords} inspecciones`]);
+        total.font = { bold: true };
+        confirmar(total);
+    }
+    agregarFirmasExcel(worksheet, plantilla.firmas, columnas.length);
+    confirmar(worksheet);
+
+    if (contenido.resumen) {
+        agregarHojaResumen(workbook, contenido);
+    }
+
+    if (logo) {
+        await workbook.xlsx.write(salida);
+    } else {
+        await workbook.commit();
+    }
+}
+
+/**
+ * Escribe el reporte en PDF con la presentación de la plantilla (horizontal si no indica otra orientación),
+ * con los subtotales como filas resaltadas y los bloques de firma al final.
+ * @async
+ * @function escribirPdf
+ * @param {Writable} salida - Stream de destino.
+ * @param {Object} contenido - Contenido preparado por prepararContenido.
+ * @returns {Promise<void>}
+ */
+async function escribirPdf(salida, { parametros, plantilla, titulo, filas, agrupacion, totalRecords }) {
+    const { jsPDF } = require('jspdf');
+    const { autoTable } = require('jspdf-autotable');
+    const { columnas } = parametros;
+    const logo = parametros.logo || plantilla.logo;
+    const doc = new jsPDF({ orientation: ORIENTACIONES[plantilla.orientacion || 'horizontal'] });
+    const headerY = 10;
+    const { anchoLogo, altoLogo } = plantilla;
+
+    if (logo) {
+        doc.addImage(logo.buffer.toString('base64'), logo.mimetype.split('/')[1].toUpperCase(), 10, headerY, anchoLogo, altoLogo);
+    }
+    const textX = logo ? Math.max(doc.internal.pageSize.width / 2 - anchoLogo / 2 - 10, anchoLogo + 15) : doc.internal.pageSize.width / 2 - 10;
+    doc.setFontSize(16);
+    doc.text(titulo, textX, headerY + 5);
+    doc.setFontSize(12);
+    let textoY = headerY + 15;
+    if (plantilla.encabezado) {
+        doc.text(plantilla.encabezado, textX, textoY);
+        textoY += 8;
+    }
+    doc.text(`Fechas: ${parametros.fechaInicio} - ${parametros.fechaFin} (${totalRecords} registros)`, textX, textoY);
+
+    const recortar = texto => texto.length > LONGITUD_MAXIMA_PDF ? texto.substring(0, LONGITUD_MAXIMA_PDF) + '...' : texto;
+    const filaSubtotal = texto => [{
+        content: texto,
+        colSpan: columnas.length,
+        styles: { fontStyle: 'bold', fillColor: [235, 235, 235] }
+    }];
+    const body = [];
+    for await (const { item, subtotal } of conSubtotales(filas, agrupacion)) {
+        body.push(item
+            ? columnas.map(columna => {
+                const valor = item[columna.clave] ?? '';
+                return columna.clave === 'Observaciones' ? recortar(String(valor)) : valor;
+            })
+            : filaSubtotal(etiquetaSubtotal(agrupacion, subtotal)));
+    }
+    if (agrupacion) {
+        body.push(filaSubtotal(`Total: ${totalRecords} inspecciones`));
+    }
+
+    // Los anchos de las columnas elegidas se escalan para ocupar el ancho de la página
+    const escala = (doc.internal.pageSize.width - 20) / columnas.reduce((suma, columna) => suma + columna.anchoPdf, 0);
+    autoTable(doc, {
+        head: [columnas.map(columna => columna.titulo)],
+        body,
+        startY: Math.max(logo ? headerY + altoLogo + 20 : 50, textoY + 25),
+        margin: { left: 10, right: 10 },
+        styles: { fontSize: 10, cellPadding: 2 },
+        headStyles: {
+            fillColor: plantillaReporteService.colorRgb(plantilla.colorEncabezado),
+            textColor: plantillaReporteService.colorRgb(plantilla.colorTextoEncabezado),
+            fontStyle: 'bold'
+        },
+        columnStyles: Object.fromEntries(columnas.map((columna, index) => [index, { cellWidth: columna.anchoPdf * escala }]))
+    });
+    plantillaReporteService.agregarFirmasPdf(doc, plantilla.firmas, doc.lastAutoTable.finalY, 10);
+    plantillaReporteService.agregarPiePdf(doc, plantilla);
+
+    await escribir(salida, Buffer.from(doc.output('arraybuffer')));
+}
+
+/** Escritor de cada formato de archivo. */
+const ESCRITORES = {
+    csv: escribirCsv,
+    jsonl: escribirJsonl,
+    excel: escribirExcel,
+    pdf: escribirPdf
+};
+
+/**
+ * Obtiene el reporte en JSON: la página solicitada con las columnas elegidas y, si se agrupa,
+ * los subtotales de todo el rango de fechas.
+ * @async
+ * @function obtenerReporte
+ * @param {Object} parametros - Parámetros de prepararParametros.
+ * @returns {Promise<Object>} Objeto con `data`, `page`, `totalRecords`, `totalPages`, `columnas`, `subtotales` (si se agrupa)
+ *          y `returnValue`, o `{ status: 404, message, totalRecords, totalPages }` si no hay inspecciones.
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerReporte(parametros) {
+    const { fechaInicioConsulta, fechaFinConsulta, page, pageSize, orden, columnas } = parametros;
+    const result = await dbService.obtenerReporteInspecciones(fechaInicioConsulta, fechaFinConsulta, page, pageSize, false, orden);
+    if (result.data.length === 0) {
+        return { status: 404, message: 'No se encontraron inspecciones', totalRecords: result.totalRecords, totalPages: result.totalPages };
+    }
+    const subtotales = orden.agruparPor
+        ? (await dbService.obtenerSubtotalesReporteInspecciones(fechaInicioConsulta, fechaFinConsulta, orden.agruparPor)).data
+        : undefined;
+    return {
+        ...result,
+        data: result.data.map(item => proyectar(item, columnas)),
+        columnas: columnas.map(columna => columna.clave),
+        ...(subtotales ? { subtotales } : {})
+    };
+}
+
+/**
+ * Prepara el contenido de un reporte en archivo: obtiene la plantilla, cuenta las inspecciones, obtiene el resumen
+ * por grupo y abre las filas (la página solicitada o, con `allPages`, el stream de todo el rango).
+ * @async
+ * @function prepararContenido
+ * @param {Object} parametros - Parámetros de prepararParametros.
+ * @returns {Promise<Object>} Contenido para escribirContenido (`parametros`, `plantilla`, `titulo`, `hoja`, `filas`, `agrupacion`,
+ *          `totalRecords`, `resumen`), `{ status: 404, message, totalRecords, totalPages }` si no hay inspecciones
+ *          o el error de plantillaReporteService.obtenerPlantillaReporte.
+ * @throws {Error} Si falla la consulta.
+ */
+async function prepararContenido(parametros) {
+    const { fechaInicioConsulta, fechaFinConsulta, page, pageSize, allPages, orden } = parametros;
+    const plantilla = await plantillaReporteService.obtenerPlantillaReporte(parametros.plantilla, 'inspecciones');
+    if (plantilla.status) {
+        return plantilla;
+    }
+    const result = await dbService.obtenerReporteInspecciones(
+        fechaInicioConsulta,
+        fechaFinConsulta,
+        allPages ? 1 : page,
+        allPages ? 1 : pageSize,
+        false,
+        orden
+    );
+    if (result.data.length === 0) {
+        return { status: 404, message: 'No se encontraron inspecciones', totalRecords: result.totalRecords, totalPages: result.totalPages };
+    }
+
+    // El resumen de Excel usa la agrupación elegida o, sin ella, el municipio
+    const agruparResumen = orden.agruparPor || 'municipio';
+    const resumen = parametros.formato === 'excel'
+        ? {
+            agruparPor: agruparResumen,
+            subtotales: (await dbService.obtenerSubtotalesReporteInspecciones(fechaInicioConsulta, fechaFinConsulta, agruparResumen)).data
+        }
+        : null;
+
+    return {
+        parametros: {
+            ...parametros,
+            columnas: plantillaReporteService.aplicarColumnas(parametros.columnas, plantilla.data, COLUMNAS_REPORTE_INSPECCIONES, !parametros.columnasElegidas)
+        },
+        plantilla: plantilla.data,
+        titulo: plantilla.data.titulo || TITULO_REPORTE,
+        hoja: 'Reporte de Inspecciones',
+        filas: allPages
+            ? await dbService.transmitirReporteInspecciones(fechaInicioConsulta, fechaFinConsulta, orden)
+            : result.data,
+        agrupacion: AGRUPACIONES_REPORTE_INSPECCIONES[orden.agruparPor] || null,
+        totalRecords: result.totalRecords,
+        resumen
+    };
+}
+
+/**
+ * Cuenta las filas conforme se escriben e informa el avance.
+ * @async
+ * @generator
+ * @function contarFilas
+ * @param {AsyncIterable<Object>|Object[]} filas - Inspecciones del reporte.
+ * @param {Function} alAvanzar - Recibe el número de filas procesadas.
+ * @yields {Object} Las mismas filas.
+ */
+async function* contarFilas(filas, alAvanzar) {
+    let procesadas = 0;
+    for await (const item of filas) {
+        yield item;
+        alAvanzar(++procesadas);
+    }
+}
+
+/**
+ * Escribe un reporte preparado en el formato de sus parámetros y cierra la salida. Lo usan también otros generadores
+ * de reportes (p. ej. reporteInspectoresService) con contenido de la misma forma.
+ * @async
+ * @function escribirContenido
+ * @param {Object} contenido - Contenido de prepararContenido (`parametros` con `formato` y `columnas`, `titulo`, `hoja`, `filas`, ...).
+ * @param {Writable} salida - Stream de destino (respuesta HTTP o archivo).
+ * @param {Object} [opciones] - Opciones de la escritura.
+ * @param {Function} [opciones.alAvanzar] - Se llama con el número de filas procesadas (para informar el avance de un trabajo).
+ * @returns {Promise<void>}
+ * @throws {Error} Si falla la lectura de las filas o la escritura; el stream de filas se destruye.
+ */
+async function escribirContenido(contenido, salida, { alAvanzar = null } = {}) {
+    try {
+        const filas = alAvanzar ? contarFilas(contenido.filas, alAvanzar) : contenido.filas;
+        await ESCRITORES[contenido.parametros.formato](salida, { ...contenido, filas });
+        if (!salida.writableEnded) {
+            salida.end();
+        }
+    } catch (err) {
+        if (typeof contenido.filas.destroy === 'function') {
+            contenido.filas.destroy();
+        }
+        throw err;
+    }
+}
+
+/**
+ * Genera un reporte en el formato solicitado y lo envía en la respuesta.
+ * @async
+ * @function enviarReporte
+ * @param {Object} generador - Generador de reportes: `prepararParametros`, `obtenerReporte` (JSON), `prepararContenido`,
+ *        `escribirContenido` y `NOMBRE_ARCHIVO` (este módulo o reporteInspectoresService).
+ * @param {Object} req - Objeto de solicitud (parámetros en `req.query`, logo opcional en `req.file`).
+ * @param {Object} res - Objeto de respuesta.
+ * @returns {Promise<void>}
+ */
+async function enviarReporte(generador, req, res) {
+    const preparado = generador.prepararParametros(req.query, req.file ? { buffer: req.file.buffer, mimetype: req.file.mimetype } : null);
+    if (preparado.status) {
+        const { status, message, ...detalle } = preparado;
+        return res.status(status).json({ error: message, ...detalle });
+    }
+    const parametros = preparado.data;
+
+    let contenido;
+    try {
+        contenido = parametros.formato === 'json'
+            ? await generador.obtenerReporte(parametros)
+            : await generador.prepararContenido(parametros);
+    } catch (err) {
+        console.error(`Error al obtener el reporte ${generador.NOMBRE_ARCHIVO}:`, err);
+        return res.status(500).json({ error: 'Error interno al obtener el reporte' });
+    }
+    if (contenido.status) {
+        const { status, message, ...detalle } = contenido;
+        return res.status(status).json({ message, ...detalle, returnValue: 0 });
+    }
+    if (parametros.formato === 'json') {
+        return res.json(contenido);
+    }
+
+    const { contentType, extension } = FORMATOS_REPORTE[parametros.formato];
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${generador.NOMBRE_ARCHIVO}.${extension}`);
+    try {
+        await generador.escribirContenido(contenido, res);
+    } catch (err) {
+        // Los encabezados ya se enviaron: solo queda cortar la respuesta
+        console.error(`Error al transmitir el reporte ${generador.NOMBRE_ARCHIVO}:`, err);
+        res.destroy(err);
+    }
+}
+
+/**
+ * Genera el reporte de inspecciones en el formato solicitado y lo envía en la respuesta.
+ * @async
+ * @function generarReporte
+ * @param {Object} req - Objeto de solicitud (parámetros en `req.query`, logo opcional en `req.file`).
+ * @param {Object} res - Objeto de respuesta.
+ * @returns {Promise<void>}
+ */
+async function generarReporte(req, res) {
+    await enviarReporte(module.exports, req, res);
+}
+
+module.exports = {
+    NOMBRE_ARCHIVO,
+    TAMANO_PAGINA_REPORTE,
+    aMMDDYYYY,
+    prepararParametros,
+    obtenerReporte,
+    prepararContenido,
+    escribirContenido,
+    enviarReporte,
+    generarReporte
+};
@@ -0,0 +1,536 @@
+/**
+ * Módulo de trabajos de generación de reportes en segundo plano.
+ * POST /api/reportes registra el trabajo en [Reporte].[Trabajo]; un trabajador dentro del proceso lo toma,
+ * genera el archivo con el mismo código que GET /reporte/inspecciones (ver reporteService) informando su avance,
+ * y lo deja en REPORTES_DIRECTORIO para descargarse hasta que vence la retención. Como los trabajos viven en la
+ * base de datos, los pendientes sobreviven a un reinicio y los que quedaron a medias se reintentan.
+ * @module reporteTrabajoService
+ */
+const fs = require('fs');
+const path = require('path');
+const { finished } = require('stream/promises');
+const sql = require('mssql');
+const poolPromise = require('../config/db');
+const reporteService = require('./reporteService');
+const reporteInspectoresService = require('./reporteInspectoresService');
+const plantillaReporteService = require('./plantillaReporteService');
+const { CAPACIDADES } = require('../config/permisos');
+const { FORMATOS_REPORTE } = require('../config/reporteInspecciones');
+const { errorValidacion, describirError } = require('../middlewares/validacion');
+require('dotenv').config();
+
+/**
+ * @constant CONFIG_TRABAJOS
+ * @description Configuración del trabajador, por variables de entorno.
+ */
+const CONFIG_TRABAJOS = {
+    directorio: process.env.REPORTES_DIRECTORIO || path.join(__dirname, '..', '..', 'reportes'),
+    retencionHoras: parseInt(process.env.REPORTES_RETENCION_HORAS || 24), // Vigencia del archivo generado
+    intervaloSegundos: parseInt(process.env.REPORTES_INTERVALO_SEGUNDOS || 5), // Cada cuánto se buscan trabajos pendientes
+    simultaneos: parseInt(process.env.REPORTES_TRABAJOS_SIMULTANEOS || 1),
+    minutosSinAvance: parseInt(process.env.REPORTES_MINUTOS_SIN_AVANCE || 10), // Un trabajo sin avance se da por interrumpido
+    maxIntentos: parseInt(process.env.REPORTES_MAX_INTENTOS || 3)
+};
+
+/** Estados de un trabajo (columna [Estado]). */
+const ESTADOS_TRABAJO = {
+    PENDIENTE: 'pendiente',
+    PROCESANDO: 'procesando',
+    TERMINADO: 'terminado',
+    FALLIDO: 'fallido',
+    EXPIRADO: 'expirado'
+};
+
+/**
+ * @constant TIPOS_REPORTE
+ * @description Generadores de reportes que pueden ejecutarse como trabajo. Cada uno expone `prepararParametros`,
+ *              `prepararContenido`, `escribirContenido` y `NOMBRE_ARCHIVO` (ver reporteService).
+ */
+const TIPOS_REPORTE = {
+    inspecciones: reporteService,
+    inspectores: reporteInspectoresService
+};
+
+/** Capacidad adicional a la de POST /reportes que exige cada tipo de reporte (la misma que su ruta en línea). */
+const CAPACIDAD_TIPO_REPORTE = {
+    inspectores: CAPACIDADES.SUPERVISAR
+};
+
+/** Formatos de archivo que puede generar un trabajo (JSON paginado solo tiene sentido en línea). */
+const FORMATOS_TRABAJO = Object.keys(FORMATOS_REPORTE).filter(formato => formato !== 'json');
+
+/** Milisegundos mínimos entre dos actualizaciones del avance en la base de datos. */
+const INTERVALO_AVANCE_MS = 2000;
+
+/** Milisegundos entre dos revisiones de trabajos interrumpidos y archivos vencidos. */
+const INTERVALO_MANTENIMIENTO_MS = 60 * 1000;
+
+/**
+ * Convierte un registro de [Reporte].[Trabajo] al formato de la API.
+ * @function describirTrabajo
+ * @param {Object} trabajo - Registro de la tabla.
+ * @returns {Object} Trabajo con su avance y, si terminó, el enlace de descarga.
+ */
+function describirTrabajo(trabajo) {
+    return {
+        idTrabajo: trabajo.IdTrabajo,
+        tipo: trabajo.Tipo,
+        formato: trabajo.Formato,
+        parametros: JSON.parse(trabajo.Parametros),
+        estado: trabajo.Estado,
+        progreso: trabajo.Progreso,
+        registrosProcesados: trabajo.RegistrosProcesados,
+        totalRegistros: trabajo.TotalRegistros,
+        intentos: trabajo.Intentos,
+        tamanoBytes: trabajo.TamanoBytes,
+        error: trabajo.Error,
+        creadoEn: trabajo.CreadoEn,
+        iniciadoEn: trabajo.IniciadoEn,
+        terminadoEn: trabajo.TerminadoEn,
+        expiraEn: trabajo.ExpiraEn,
+        enlace: trabajo.Estado === ESTADOS_TRABAJO.TERMINADO ? `/api/reportes/${trabajo.IdTrabajo}/archivo` : null
+    };
+}
+
+/**
+ * Registra un trabajo de reporte pendiente. Los parámetros se validan ahora para no encolar trabajos que fallarían.
+ * @async
+ * @function crearTrabajo
+ * @param {string} tipo - Clave de TIPOS_REPORTE.
+ * @param {Object} consulta - Parámetros del reporte (los de GET /reporte/inspecciones, sin paginación).
+ * @param {Object} usuario - Usuario que solicita el reporte (`id`, `capacidades`).
+ * @returns {Promise<Object>} Objeto con `data` (trabajo registrado) y `returnValue`, o `{ status, message }` con 400
+ *          (parámetros no válidos), 403 (el tipo de reporte requiere una capacidad que el usuario no tiene) o 404 (no existe la plantilla).
+ * @throws {Error} Si falla la consulta.
+ */
+async function crearTrabajo(tipo, consulta, usuario) {
+    try {
+        const generador = TIPOS_REPORTE[tipo];
+        if (!generador) {
+            return errorValidacion('tipo', 'body', `Tipo de reporte inválido. Use ${Object.keys(TIPOS_REPORTE).join(', ')}`);
+        }
+        const capacidad = CAPACIDAD_TIPO_REPORTE[tipo];
+        if (capacidad && !usuario.capacidades?.includes(capacidad)) {
+            return { status: 403, message: 'Permiso insuficiente', requerido: capacidad };
+        }
+        const parametros = { ...consulta, allPages: 'true' };
+        delete parametros.page;
+        const preparado = generador.prepararParametros(parametros, null, 'body');
+        if (preparado.status) {
+            return preparado;
+        }
+        if (!FORMATOS_TRABAJO.includes(preparado.data.formato)) {
+            return errorValidacion('format', 'body', `Formato inválido para un trabajo. Use ${FORMATOS_TRABAJO.join(', ')}`);
+        }
+        if (preparado.data.plantilla) {
+            const plantilla = await plantillaReporteService.obtenerPlantillaReporte(preparado.data.plantilla, tipo, 'body');
+            if (plantilla.status) {
+                return plantilla;
+            }
+        }
+
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('tipo', sql.VarChar(30), tipo)
+            .input('formato', sql.VarChar(10), preparado.data.formato)
+            .input('parametros', sql.NVarChar(sql.MAX), JSON.stringify(parametros))
+            .input('idUsuario', sql.Int, usuario.id)
+            .query(`
+                INSERT INTO [${process.env.DB_NAME}].[Reporte].[Trabajo] ([Tipo], [Formato], [Parametros], [IdUsuario])
+                OUTPUT inserted.*
+                VALUES (@tipo, @formato, @parametros, @idUsuario)
+            `);
+        // No esperar al siguiente intervalo si el trabajador está activo en este proceso
+        if (temporizador) {
+            setImmediate(revisarPendientes);
+        }
+        return {
+            data: describirTrabajo(result.recordset[0]),
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al registrar el trabajo de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Lee un trabajo visible para el usuario: el suyo o, con la capacidad de supervisar, cualquiera.
+ * @async
+ * @function leerTrabajo
+ * @param {number} idTrabajo - ID del trabajo.
+ * @param {Object} usuario - Usuario (`id`, `capacidades`).
+ * @returns {Promise<Object|null>} Registro del trabajo o null si no existe o no es visible.
+ */
+async function leerTrabajo(idTrabajo, usuario) {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('idTrabajo', sql.BigInt, idTrabajo)
+        .query(`SELECT * FROM [${process.env.DB_NAME}].[Reporte].[Trabajo] WHERE IdTrabajo = @idTrabajo`);
+    const trabajo = result.recordset[0];
+    if (!trabajo) return null;
+    const supervisa = usuario.capacidades?.includes(CAPACIDADES.SUPERVISAR);
+    return trabajo.IdUsuario === usuario.id || supervisa ? trabajo : null;
+}
+
+/**
+ * Obtiene el estado y el avance de un trabajo.
+ * @async
+ * @function obtenerTrabajo
+ * @param {number} idTrabajo - ID del trabajo.
+ * @param {Object} usuario - Usuario que consulta (`id`, `capacidades`).
+ * @returns {Promise<Object>} Objeto con `data` (trabajo) y `returnValue`, o `{ status: 404, message }`.
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerTrabajo(idTrabajo, usuario) {
+    try {
+        const trabajo = await leerTrabajo(idTrabajo, usuario);
+        if (!trabajo) {
+            return { status: 404, message: 'Trabajo de reporte no encontrado' };
+        }
+        return {
+            data: describirTrabajo(trabajo),
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al obtener el trabajo de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Obtiene la ruta y el nombre de descarga del archivo de un trabajo terminado.
+ * @async
+ * @function obtenerArchivoTrabajo
+ * @param {number} idTrabajo - ID del trabajo.
+ * @param {Object} usuario - Usuario que descarga (`id`, `capacidades`).
+ * @returns {Promise<Object>} Objeto con `data` (`ruta`, `nombre`, `contentType`) y `returnValue`,
+ *          o `{ status, message }` con 404 (no existe), 409 (aún no termina o falló) o 410 (el archivo ya venció).
+ * @throws {Error} Si falla la consulta.
+ */
+async function obtenerArchivoTrabajo(idTrabajo, usuario) {
+    try {
+        const trabajo = await leerTrabajo(idTrabajo, usuario);
+        if (!trabajo) {
+            return { status: 404, message: 'Trabajo de reporte no encontrado' };
+        }
+        if (trabajo.Estado === ESTADOS_TRABAJO.EXPIRADO) {
+            return { status: 410, message: 'El archivo del reporte venció; solicite el reporte de nuevo', expiraEn: trabajo.ExpiraEn };
+        }
+        if (trabajo.Estado !== ESTADOS_TRABAJO.TERMINADO) {
+            return {
+                status: 409,
+                message: trabajo.Estado === ESTADOS_TRABAJO.FALLIDO ? 'El reporte no pudo generarse' : 'El reporte aún no está listo',
+                estado: trabajo.Estado,
+                progreso: trabajo.Progreso,
+                motivo: trabajo.Error
+            };
+        }
+        const ruta = path.join(CONFIG_TRABAJOS.directorio, trabajo.Archivo);
+        if (!fs.existsSync(ruta)) {
+            return { status: 410, message: 'El archivo del reporte ya no está disponible; solicite el reporte de nuevo' };
+        }
+        const { contentType, extension } = FORMATOS_REPORTE[trabajo.Formato];
+        return {
+            data: {
+                ruta,
+                nombre: `${TIPOS_REPORTE[trabajo.Tipo].NOMBRE_ARCHIVO}_${trabajo.IdTrabajo}.${extension}`,
+                contentType
+            },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al obtener el archivo del trabajo de reporte: ${err.message}`);
+    }
+}
+
+/**
+ * Actualiza columnas de un trabajo.
+ * @async
+ * @function actualizarTrabajo
+ * @param {number} idTrabajo - ID del trabajo.
+ * @param {string} asignaciones - SET de la actualización, con los parámetros de `valores`.
+ * @param {Object} [valores] - Parámetros `{ nombre: [tipo, valor] }`.
+ * @returns {Promise<void>}
+ */
+async function actualizarTrabajo(idTrabajo, asignaciones, valores = {}) {
+    const pool = await poolPromise;
+    const request = pool.request().input('idTrabajo', sql.BigInt, idTrabajo);
+    Object.entries(valores).forEach(([nombre, [tipo, valor]]) => request.input(nombre, tipo, valor));
+    await request.query(`
+        UPDATE [${process.env.DB_NAME}].[Reporte].[Trabajo]
+        SET ${asignaciones}, ActualizadoEn = SYSUTCDATETIME()
+        WHERE IdTrabajo = @idTrabajo
+    `);
+}
+
+/**
+ * Marca un trabajo como fallido o, si el error es transitorio y le quedan intentos, lo regresa a pendiente.
+ * @async
+ * @function registrarFallo
+ * @param {Object} trabajo - Registro del trabajo.
+ * @param {string} mensaje - Descripción del error.
+ * @param {boolean} reintentar - Si el error puede resolverse con otro intento.
+ * @returns {Promise<void>}
+ */
+async function registrarFallo(trabajo, mensaje, reintentar) {
+    const estado = reintentar && trabajo.Intentos < CONFIG_TRABAJOS.maxIntentos ? ESTADOS_TRABAJO.PENDIENTE : ESTADOS_TRABAJO.FALLIDO;
+    await actualizarTrabajo(trabajo.IdTrabajo, `Estado = @estado, Error = @error${estado === ESTADOS_TRABAJO.FALLIDO ? ', TerminadoEn = SYSUTCDATETIME()' : ''}`, {
+        estado: [sql.VarChar(20), estado],
+        error: [sql.NVarChar(1000), mensaje.substring(0, 1000)]
+    });
+}
+
+/**
+ * Genera el archivo de un reporte. Se escribe en un archivo temporal que se renombra al terminar,
+ * para que nunca se descargue ni se entregue un archivo a medias.
+ * @async
+ * @function generarArchivo
+ * @param {Object} generador - Generador de TIPOS_REPORTE.
+ * @param {Object} parametros - Parámetros de `generador.prepararParametros`.
+ * @param {string} ruta - Ruta del archivo final.
+ * @param {Object} [opciones] - Avisos durante la generación.
+ * @param {Function} [opciones.alPreparar] - Recibe el total de registros antes de escribir (puede ser asíncrona).
+ * @param {Function} [opciones.alAvanzar] - Recibe las filas procesadas y el total.
+ * @returns {Promise<Object>} Objeto con `data` (`totalRegistros`, `tamanoBytes`), o `{ status: 404, message }` si no hay datos.
+ * @throws {Error} Si falla la consulta o la escritura; el archivo temporal se borra.
+ */
+async function generarArchivo(generador, parametros, ruta, { alPreparar = null, alAvanzar = null } = {}) {
+    const contenido = await generador.prepararContenido(parametros);
+    if (contenido.status) {
+        return contenido;
+    }
+    const temporal = `${ruta}.tmp`;
+    let salida = null;
+    try {
+        if (alPreparar) {
+            await alPreparar(contenido.totalRecords);
+        }
+        salida = fs.createWriteStream(temporal);
+        await generador.escribirContenido(contenido, salida, {
+            alAvanzar: alAvanzar ? procesados => alAvanzar(procesados, contenido.totalRecords) : null
+        });
+        await finished(salida);
+        await fs.promises.rename(temporal, ruta);
+    } catch (err) {
+        if (typeof contenido.filas.destroy === 'function') {
+            contenido.filas.destroy();
+        }
+        if (salida) {
+            salida.destroy();
+            await fs.promises.unlink(temporal).catch(() => {});
+        }
+        throw err;
+    }
+    const { size } = await fs.promises.stat(ruta);
+    return { data: { totalRegistros: contenido.totalRecords, tamanoBytes: size } };
+}
+
+/**
+ * Genera el archivo de un trabajo e informa su avance en [Reporte].[Trabajo].
+ * @async
+ * @function ejecutarTrabajo
+ * @param {Object} trabajo - Registro del trabajo, ya en estado 'procesando'.
+ * @returns {Promise<void>}
+ */
+async function ejecutarTrabajo(trabajo) {
+    const generador = TIPOS_REPORTE[trabajo.Tipo];
+    const preparado = generador ? generador.prepararParametros(JSON.parse(trabajo.Parametros)) : { message: `Tipo de reporte desconocido: ${trabajo.Tipo}` };
+    if (!preparado.data) {
+        return registrarFallo(trabajo, describirError(preparado), false);
+    }
+
+    const { extension } = FORMATOS_REPORTE[preparado.data.formato];
+    const archivo = `reporte_${trabajo.IdTrabajo}.${extension}`;
+    let ultimoAvance = Date.now();
+    let avance = Promise.resolve();
+    try {
+        const result = await generarArchivo(generador, preparado.data, path.join(CONFIG_TRABAJOS.directorio, archivo), {
+            alPreparar: total => actualizarTrabajo(trabajo.IdTrabajo, 'TotalRegistros = @total', { total: [sql.Int, total] }),
+            alAvanzar: (procesados, total) => {
+                if (Date.now() - ultimoAvance < INTERVALO_AVANCE_MS) return;
+                ultimoAvance = Date.now();
+                // El 100 % se registra al terminar el archivo
+                const progreso = Math.min(99, Math.floor(procesados * 100 / Math.max(total, 1)));
+                avance = actualizarTrabajo(trabajo.IdTrabajo, 'Progreso = @progreso, RegistrosProcesados = @procesados', {
+                    progreso: [sql.TinyInt, progreso],
+                    procesados: [sql.Int, procesados]
+                }).catch(err => console.error(`Error al registrar el avance del trabajo ${trabajo.IdTrabajo}:`, err.message));
+            }
+        });
+        if (result.status) {
+            return registrarFallo(trabajo, describirError(result), false);
+        }
+        await avance;
+        await actualizarTrabajo(trabajo.IdTrabajo, `
+            Estado = @estado, Progreso = 100, RegistrosProcesados = @total, Archivo = @archivo, TamanoBytes = @tamano, Error = NULL,
+            TerminadoEn = SYSUTCDATETIME(), ExpiraEn = DATEADD(HOUR, @retencion, SYSUTCDATETIME())
+        `, {
+            estado: [sql.VarChar(20), ESTADOS_TRABAJO.TERMINADO],
+            total: [sql.Int, result.data.totalRegistros],
+            archivo: [sql.NVarChar(260), archivo],
+            tamano: [sql.BigInt, result.data.tamanoBytes],
+            retencion: [sql.Int, CONFIG_TRABAJOS.retencionHoras]
+        });
+    } catch (err) {
+        console.error(`Error al generar el trabajo de reporte ${trabajo.IdTrabajo}:`, err);
+        await registrarFallo(trabajo, err.message, true)
+            .catch(errFallo => console.error(`Error al registrar el fallo del trabajo ${trabajo.IdTrabajo}:`, errFallo.message));
+    }
+}
+
+/**
+ * Toma el siguiente trabajo pendiente. READPAST evita que dos procesos tomen el mismo trabajo.
+ * @async
+ * @function tomarSiguienteTrabajo
+ * @returns {Promise<Object|null>} Registro del trabajo, ya en estado 'procesando', o null si no hay pendientes.
+ */
+async function tomarSiguienteTrabajo() {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('pendiente', sql.VarChar(20), ESTADOS_TRABAJO.PENDIENTE)
+        .input('procesando', sql.VarChar(20), ESTADOS_TRABAJO.PROCESANDO)
+        .query(`
+            ;WITH Siguiente AS (
+                SELECT TOP 1 *
+                FROM [${process.env.DB_NAME}].[Reporte].[Trabajo] WITH (UPDLOCK, READPAST, ROWLOCK)
+                WHERE Estado = @pendiente
+                ORDER BY IdTrabajo
+            )
+            UPDATE Siguiente
+            SET Estado = @procesando, Intentos = Intentos + 1, Progreso = 0, RegistrosProcesados = 0,
+                IniciadoEn = SYSUTCDATETIME(), ActualizadoEn = SYSUTCDATETIME()
+            OUTPUT inserted.*
+        `);
+    return result.recordset[0] || null;
+}
+
+/**
+ * Regresa a pendiente (o marca como fallidos si agotaron sus intentos) los trabajos 'procesando' sin avance reciente,
+ * que quedaron a medias por un reinicio o la caída del proceso que los tomó.
+ * @async
+ * @function recuperarInterrumpidos
+ * @returns {Promise<number>} Número de trabajos recuperados.
+ */
+async function recuperarInterrumpidos() {
+    const pool = await poolPromise;
+    const request = pool.request()
+        .input('procesando', sql.VarChar(20), ESTADOS_TRABAJO.PROCESANDO)
+        .input('pendiente', sql.VarChar(20), ESTADOS_TRABAJO.PENDIENTE)
+        .input('fallido', sql.VarChar(20), ESTADOS_TRABAJO.FALLIDO)
+        .input('minutos', sql.Int, CONFIG_TRABAJOS.minutosSinAvance)
+        .input('maxIntentos', sql.Int, CONFIG_TRABAJOS.maxIntentos);
+    // Los trabajos que este proceso está generando no se tocan aunque tarden
+    const propios = [...enCurso];
+    propios.forEach((id, index) => request.input(`propio${index}`, sql.BigInt, id));
+    const result = await request.query(`
+        UPDATE [${process.env.DB_NAME}].[Reporte].[Trabajo]
+        SET Estado = CASE WHEN Intentos >= @maxIntentos THEN @fallido ELSE @pendiente END,
+            Error = N'El trabajo se interrumpió antes de terminar',
+            TerminadoEn = CASE WHEN Intentos >= @maxIntentos THEN SYSUTCDATETIME() ELSE NULL END,
+            ActualizadoEn = SYSUTCDATETIME()
+        WHERE Estado = @procesando
+          AND ActualizadoEn < DATEADD(MINUTE, -@minutos, SYSUTCDATETIME())
+          ${propios.length ? `AND IdTrabajo NOT IN (${propios.map((id, index) => `@propio${index}`).join(', ')})` : ''}
+    `);
+    return result.rowsAffected[0];
+}
+
+/**
+ * Borra los archivos de los trabajos cuya retención venció y los marca como expirados.
+ * @async
+ * @function limpiarExpirados
+ * @returns {Promise<number>} Número de trabajos expirados.
+ */
+async function limpiarExpirados() {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('terminado', sql.VarChar(20), ESTADOS_TRABAJO.TERMINADO)
+        .query(`
+            SELECT IdTrabajo, Archivo FROM [${process.env.DB_NAME}].[Reporte].[Trabajo]
+            WHERE Estado = @terminado AND ExpiraEn < SYSUTCDATETIME()
+        `);
+    for (const trabajo of result.recordset) {
+        if (trabajo.Archivo) {
+            await fs.promises.unlink(path.join(CONFIG_TRABAJOS.directorio, trabajo.Archivo)).catch(err => {
+                if (err.code !== 'ENOENT') throw err;
+            });
+        }
+        await actualizarTrabajo(trabajo.IdTrabajo, 'Estado = @estado, Archivo = NULL', {
+            estado: [sql.VarChar(20), ESTADOS_TRABAJO.EXPIRADO]
+        });
+    }
+    return result.recordset.length;
+}
+
+/** IDs de los trabajos que este proceso está generando. */
+const enCurso = new Set();
+let temporizador = null;
+let revisando = false;
+let ultimoMantenimiento = 0;
+
+/**
+ * Un ciclo del trabajador: recupera interrumpidos y limpia vencidos (como máximo una vez por minuto)
+ * y toma trabajos pendientes hasta llenar los lugares libres.
+ * @async
+ * @function revisarPendientes
+ * @returns {Promise<void>}
+ */
+async function revisarPendientes() {
+    if (revisando) return;
+    revisando = true;
+    try {
+        if (Date.now() - ultimoMantenimiento >= INTERVALO_MANTENIMIENTO_MS) {
+            ultimoMantenimiento = Date.now();
+            await recuperarInterrumpidos();
+            await limpiarExpirados();
+        }
+        while (enCurso.size < CONFIG_TRABAJOS.simultaneos) {
+            const trabajo = await tomarSiguienteTrabajo();
+            if (!trabajo) break;
+            enCurso.add(trabajo.IdTrabajo);
+            ejecutarTrabajo(trabajo).finally(() => {
+                enCurso.delete(trabajo.IdTrabajo);
+                // Hay un lugar libre: buscar el siguiente sin esperar al intervalo
+                if (temporizador) setImmediate(revisarPendientes);
+            });
+        }
+    } catch (err) {
+        console.error('Error al revisar los trabajos de reporte:', err.message);
+    } finally {
+        revisando = false;
+    }
+}
+
+/**
+ * Inicia el trabajador de reportes en este proceso.
+ * @function iniciarTrabajador
+ */
+function iniciarTrabajador() {
+    if (temporizador) return;
+    fs.mkdirSync(CONFIG_TRABAJOS.directorio, { recursive: true });
+    temporizador = setInterval(revisarPendientes, CONFIG_TRABAJOS.intervaloSegundos * 1000);
+    temporizador.unref();
+    setImmediate(revisarPendientes);
+}
+
+/**
+ * Detiene el trabajador; los trabajos en curso terminan por su cuenta.
+ * @function detenerTrabajador
+ */
+function detenerTrabajador() {
+    clearInterval(temporizador);
+    temporizador = null;
+}
+
+module.exports = {
+    CONFIG_TRABAJOS,
+    ESTADOS_TRABAJO,
+    TIPOS_REPORTE,
+    FORMATOS_TRABAJO,
+    generarArchivo,
+    crearTrabajo,
+    obtenerTrabajo,
+    obtenerArchivoTrabajo,
+    revisarPendientes,
+    iniciarTrabajador,
+    detenerTrabajador
+};
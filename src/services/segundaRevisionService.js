@@ -0,0 +1,251 @@
+/**
+ * Módulo para la segunda revisión de una revista vehicular no aprobada (`aprobado` = 0).
+ * La segunda revisión clona la revista reprobada, reevalúa solo los elementos que reprobaron y queda
+ * enlazada a ella por [IdRevistaOrigen]. Debe hacerse dentro del plazo de REVISION_DIAS_LIMITE días
+ * contados desde la captura de la revista reprobada.
+ * @module segundaRevisionService
+ */
+const sql = require('mssql');
+const poolPromise = require('../config/db');
+const dbService = require('./dbService');
+const { CHECKLIST_REVISTA, obtenerValorCampo, esItemReprobado } = require('../config/checklistRevista');
+const { ESTATUS_REVISTA, OPERACIONES_REVISTA } = require('../config/estatusRevista');
+require('dotenv').config();
+
+/** Días naturales que tiene el vehículo para presentarse a la segunda revisión. */
+const DIAS_LIMITE_REVISION = parseInt(process.env.REVISION_DIAS_LIMITE || 30);
+
+/**
+ * @constant ELEMENTOS_REVISION
+ * @description Elementos que pueden reprobar y reevaluarse: el checklist y la imagen cromática.
+ */
+const ELEMENTOS_REVISION = [
+    ...CHECKLIST_REVISTA,
+    { campo: 'imagenCromaticaVer', etiqueta: 'Imagen cromática', tipo: 'bit' }
+];
+
+/**
+ * Convierte un valor guardado o enviado (booleano, número o texto) a entero.
+ * @function aEntero
+ * @param {*} valor - Valor a convertir.
+ * @returns {number|null} Entero o null si no hay valor.
+ */
+function aEntero(valor) {
+    if (valor === null || valor === undefined || valor === '') return null;
+    if (typeof valor === 'boolean') return Number(valor);
+    if (valor === 'true') return 1;
+    if (valor === 'false') return 0;
+    const numero = parseInt(valor);
+    return isNaN(numero) ? null : numero;
+}
+
+/**
+ * Lee el valor guardado de un campo de la revista, por el nombre de su columna o por el del campo.
+ * @function valorGuardado
+ * @param {Object} revista - Registro de SP_ObtenerRevistaPuntuacionPorId.
+ * @param {string} campo - Campo (ej. 'claxonVer').
+ * @returns {*} Valor guardado.
+ */
+function valorGuardado(revista, campo) {
+    const columna = ELEMENTOS_REVISION.find(item => item.campo === campo)?.columna;
+    const valor = columna ? obtenerValorCampo(revista, columna) : undefined;
+    return valor !== undefined ? valor : obtenerValorCampo(revista, campo);
+}
+
+/**
+ * Obtiene la fecha de captura de una revista (primera operación de captura en Historial,
+ * o la columna FechaInspeccion si no hay historial).
+ * @async
+ * @function obtenerFechaCaptura
+ * @param {number} idRV - ID de la inspección vehicular.
+ * @param {Object} revista - Registro de SP_ObtenerRevistaPuntuacionPorId.
+ * @returns {Promise<Date|null>} Fecha de captura o null si no se conoce.
+ */
+async function obtenerFechaCaptura(idRV, revista) {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('idRevistaVehicular', sql.BigInt, idRV)
+        .input('idOperacion', sql.Int, OPERACIONES_REVISTA.CAPTURA)
+        .query(`
+            SELECT MIN([Fecha]) AS Fecha
+            FROM [${process.env.DB_NAME}].[RevistaVehicular].[Historial]
+            WHERE IdRevistaVehicular = @idRevistaVehicular AND IdOperacion = @idOperacion
+        `);
+    const fecha = result.recordset[0]?.Fecha || obtenerValorCampo(revista, 'FechaInspeccion');
+    return fecha ? new Date(fecha) : null;
+}
+
+/**
+ * Registra la segunda revisión de una revista no aprobada.
+ * @async
+ * @function registrarSegundaRevision
+ * @param {number} idRV - ID de la revista reprobada.
+ * @param {Object} reevaluacion - Nuevos valores de los elementos que reprobaron (mismos campos que POST /revista).
+ * @param {Object} usuario - Inspector (`id`, `nombre`).
+ * @param {string} [observaciones] - Observaciones de la segunda revisión.
+ * @returns {Promise<Object>} Objeto con `data` (`idRV` nuevo, `idRevistaOrigen`, `aprobado`, `reevaluados`, `fechaLimite`) y `returnValue`,
+ *          o `{ status, message }` con 404 (no existe), 409 (cancelada, aprobada, sin elementos reprobados o con segunda revisión previa),
+ *          400 (faltan elementos reprobados o se enviaron elementos que no reprobaron) o 422 (plazo vencido).
+ * @throws {Error} Si falla la consulta.
+ */
+async function registrarSegundaRevision(idRV, reevaluacion, usuario, observaciones = null) {
+    try {
+        const estado = await dbService.obtenerEstatusRevista(idRV);
+        if (!estado) {
+            return { status: 404, message: 'Inspección no encontrada' };
+        }
+        if (estado.IdEstatus === ESTATUS_REVISTA.CANCELADA) {
+            return { status: 409, message: 'La inspección está cancelada' };
+        }
+        const { data: revista } = await dbService.obtenerRevistaPorId(idRV);
+        if (!revista) {
+            return { status: 404, message: 'Inspección no encontrada' };
+        }
+        if (aEntero(obtenerValorCampo(revista, 'Aprobado')) === 1) {
+            return { status: 409, message: 'La inspección fue aprobada y no requiere segunda revisión' };
+        }
+
+        const reprobados = ELEMENTOS_REVISION.filter(item => esItemReprobado(item, valorGuardado(revista, item.campo)));
+        if (reprobados.length === 0) {
+            return { status: 409, message: 'La inspección no tiene elementos reprobados que reevaluar' };
+        }
+        const faltantes = reprobados.filter(item => reevaluacion[item.campo] === undefined || reevaluacion[item.campo] === null);
+        const noPermitidos = ELEMENTOS_REVISION.filter(item => reevaluacion[item.campo] !== undefined && !reprobados.includes(item));
+        if (faltantes.length > 0 || noPermitidos.length > 0) {
+            // Solo deben enviarse, y todos, los elementos que reprobaron en la primera revisión
+            return {
+                status: 400,
+                message: 'Validación fallida',
+                errores: [
+                    ...faltantes.map(({ campo, etiqueta }) => ({ campo, ubicacion: 'body', mensaje: `${etiqueta} reprobó en la primera revisión y debe reevaluarse` })),
+                    ...noPermitidos.map(({ campo, etiqueta }) => ({ campo, ubicacion: 'body', mensaje: `${etiqueta} no reprobó en la primera revisión y no debe enviarse` }))
+                ]
+            };
+        }
+
+        const fechaCaptura = await obtenerFechaCaptura(idRV, revista);
+        const fechaLimite = fechaCaptura
+            ? new Date(fechaCaptura.getTime() + DIAS_LIMITE_REVISION * 24 * 60 * 60 * 1000)
+            : null;
+        if (fechaLimite && fechaLimite < new Date()) {
+            return {
+                status: 422,
+                message: `El plazo de ${DIAS_LIMITE_REVISION} días para la segunda revisión venció; se requiere una inspección nueva`,
+                fechaLimite
+            };
+        }
+
+        const reevaluados = reprobados.map(item => {
+            const nuevo = aEntero(reevaluacion[item.campo]);
+            return {
+                campo: item.campo,
+                etiqueta: item.etiqueta,
+                anterior: aEntero(valorGuardado(revista, item.campo)),
+                nuevo,
+                aprobado: !esItemReprobado(item, nuevo)
+            };
+        });
+        const aprobado = reevaluados.every(item => item.aprobado);
+
+        // Clon de la revista reprobada con los elementos reevaluados
+        const valor = campo => {
+            const reevaluado = reevaluados.find(item => item.campo === campo);
+            return reevaluado ? reevaluado.nuevo : aEntero(valorGuardado(revista, campo));
+        };
+        const datos = {
+            // La columna de la concesión en RevistaVehicular se llama IdConsesion
+            idConcesion: valor('idConcesion') ?? aEntero(obtenerValorCampo(revista, 'IdConsesion')),
+            idPropietario: valor('idPropietario'),
+            idTramite: valor('idTramite'),
+            idVehiculo: valor('idVehiculo'),
+            placa: obtenerValorCampo(revista, 'placa'),
+            propietario: obtenerValorCampo(revista, 'propietario'),
+            ...Object.fromEntries(ELEMENTOS_REVISION.map(item => [item.campo, valor(item.campo)])),
+            observaciones: observaciones || '',
+            aprobado: aprobado ? 1 : 0,
+            folio: '',
+            IdUser: usuario.id,
+            Inspector: usuario.nombre || '',
+            ...Object.fromEntries(['modeloId', 'tipoId', 'capacidadId', 'tipoBolsa', 'tieneAire', 'frenoId', 'cinturonId', 'tapiceriaId', 'puntuacion', 'clasificacionId']
+                .map(campo => [campo, valor(campo)]))
+        };
+
+        const pool = await poolPromise;
+        const transaction = pool.transaction();
+        await transaction.begin();
+        let idNuevo;
+        try {
+            // Bloquea la revista reprobada para que no se registren dos segundas revisiones a la vez
+            const previa = await transaction.request()
+                .input('idRevistaVehicular', sql.BigInt, idRV)
+                .input('cancelada', sql.Int, ESTATUS_REVISTA.CANCELADA)
+                .query(`
+                    SELECT IdRevistaVehicular FROM [${process.env.DB_NAME}].[dbo].[RevistaVehicular] WITH (UPDLOCK, ROWLOCK)
+                    WHERE IdRevistaVehicular = @idRevistaVehicular;
+                    SELECT TOP 1 IdRevistaVehicular FROM [${process.env.DB_NAME}].[dbo].[RevistaVehicular] WITH (UPDLOCK)
+                    WHERE IdRevistaOrigen = @idRevistaVehicular AND IdEstatus <> @cancelada;
+                `);
+            const existente = previa.recordsets[1]?.[0];
+            if (existente) {
+                await transaction.rollback();
+                return {
+                    status: 409,
+                    message: 'La inspección ya tiene una segunda revisión',
+                    idSegundaRevision: existente.IdRevistaVehicular
+                };
+            }
+
+            idNuevo = (await dbService.insertarRevista(datos, transaction)).idRV;
+            await transaction.request()
+                .input('idRevistaVehicular', sql.BigInt, idNuevo)
+                .input('idRevistaOrigen', sql.BigInt, idRV)
+                .query(`
+                    UPDATE [${process.env.DB_NAME}].[dbo].[RevistaVehicular]
+                    SET IdRevistaOrigen = @idRevistaOrigen
+                    WHERE IdRevistaVehicular = @idRevistaVehicular
+                `);
+
+            const registros = [
+                { id: idNuevo, estatus: ESTATUS_REVISTA.CAPTURADA, motivo: `Segunda revisión de la inspección ${idRV}` },
+                { id: idRV, estatus: estado.IdEstatus, motivo: `Segunda revisión registrada en la inspección ${idNuevo}` }
+            ];
+            for (const registro of registros) {
+                await transaction.request()
+                    .input('idRevistaVehicular', sql.BigInt, registro.id)
+                    .input('idOperacion', sql.Int, OPERACIONES_REVISTA.SEGUNDA_REVISION)
+                    .input('idUsuario', sql.Int, usuario.id)
+                    .input('estatus', sql.Int, registro.estatus)
+                    .input('motivo', sql.NVarChar(500), registro.motivo)
+                    .query(`
+                        INSERT INTO [${process.env.DB_NAME}].[RevistaVehicular].[Historial]
+                            ([IdRevistaVehicular], [IdOperacion], [IdUsuario], [Fecha], [IdEstatusAnterior], [IdEstatusNuevo], [Motivo])
+                        VALUES
+                            (@idRevistaVehicular, @idOperacion, @idUsuario, GETDATE(), @estatus, @estatus, @motivo)
+                    `);
+            }
+            await transaction.commit();
+        } catch (err) {
+            await transaction.rollback().catch(() => {});
+            throw err;
+        }
+
+        return {
+            data: {
+                idRV: idNuevo,
+                idRevistaOrigen: idRV,
+                aprobado,
+                reevaluados,
+                fechaLimite
+            },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al registrar la segunda revisión: ${err.message}`);
+    }
+}
+
+module.exports = {
+    DIAS_LIMITE_REVISION,
+    ELEMENTOS_REVISION,
+    registrarSegundaRevision
+};
@@ -0,0 +1,109 @@
+/**
+ * Módulo para consultar y terminar las sesiones de usuario guardadas en el almacén de express-session.
+ * Funciona con cualquier almacén que implemente `all`; usa `listarPorUsuario` cuando existe (SqlServerSessionStore).
+ * @module sesionService
+ */
+const crypto = require('crypto');
+const apiKeyService = require('./apiKeyService');
+
+/**
+ * Identificador público de una sesión. Evita exponer el ID real, que junto con la firma da acceso a la sesión.
+ * @function idPublicoSesion
+ * @param {string} sid - ID de la sesión.
+ * @returns {string} Primeros 16 caracteres del SHA-256 del ID.
+ */
+function idPublicoSesion(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+}
+
+/**
+ * Obtiene las sesiones vigentes de un usuario desde el almacén.
+ * @async
+ * @function sesionesDeUsuario
+ * @param {Object} store - Almacén de sesiones (req.sessionStore).
+ * @param {number} userId - ID del usuario.
+ * @returns {Promise<Object>} Sesiones indexadas por ID de sesión.
+ */
+async function sesionesDeUsuario(store, userId) {
+    if (typeof store.listarPorUsuario === 'function') {
+        return store.listarPorUsuario(userId);
+    }
+    const todas = await new Promise((resolve, reject) => {
+        store.all((err, sesiones) => (err ? reject(err) : resolve(sesiones || {})));
+    });
+    return Object.fromEntries(Object.entries(todas).filter(([, sess]) => sess.userId === userId));
+}
+
+/**
+ * Lista las sesiones vigentes de un usuario.
+ * @async
+ * @function listarSesionesUsuario
+ * @param {Object} store - Almacén de sesiones (req.sessionStore).
+ * @param {number} userId - ID del usuario.
+ * @param {string} [sidActual] - ID de la sesión de quien consulta, para marcarla.
+ * @returns {Promise<Object>} Objeto con `data` (sesiones con `id`, `iniciadaEn`, `expiraEn`, `ip`, `userAgent`, `actual`) y `returnValue`.
+ * @throws {Error} Si falla la consulta al almacén.
+ */
+async function listarSesionesUsuario(store, userId, sidActual) {
+    try {
+        const sesiones = await sesionesDeUsuario(store, userId);
+        const data = Object.entries(sesiones).map(([sid, sess]) => ({
+            id: idPublicoSesion(sid),
+            userId: sess.userId,
+            iniciadaEn: sess.iniciadaEn || null,
+            expiraEn: sess.cookie?.expires || null,
+            ip: sess.ip || null,
+            userAgent: sess.userAgent || null,
+            actual: sid === sidActual
+        }));
+        return {
+            data,
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al listar las sesiones del usuario: ${err.message}`);
+    }
+}
+
+/**
+ * Termina las sesiones de un usuario: todas o solo la indicada. También revoca las claves API emitidas al iniciar
+ * sesión: todas las del usuario o, con una sola sesión, la que se guardó en ella (`apiKeyId`).
+ * @async
+ * @function terminarSesionesUsuario
+ * @param {Object} store - Almacén de sesiones (req.sessionStore).
+ * @param {number} userId - ID del usuario.
+ * @param {string} [idSesion] - Identificador público de la sesión a terminar; sin él se terminan todas.
+ * @returns {Promise<Object>} Objeto con `data` (`terminadas`, `clavesRevocadas`) y `returnValue`,
+ *          o `{ status: 404, message }` si la sesión indicada no existe.
+ * @throws {Error} Si falla la operación en el almacén.
+ */
+async function terminarSesionesUsuario(store, userId, idSesion = null) {
+    try {
+        const sesiones = await sesionesDeUsuario(store, userId);
+        const sids = Object.keys(sesiones).filter(sid => !idSesion || idPublicoSesion(sid) === idSesion);
+        if (idSesion && sids.length === 0) {
+            return { status: 404, message: 'Sesión no encontrada' };
+        }
+        for (const sid of sids) {
+            await new Promise((resolve, reject) => {
+                store.destroy(sid, err => (err ? reject(err) : resolve()));
+            });
+        }
+        const clavesRevocadas = await apiKeyService.revocarApiKeysSesion(
+            userId,
+            idSesion ? sids.map(sid => sesiones[sid].apiKeyId).filter(Boolean) : null
+        );
+        return {
+            data: { terminadas: sids.length, clavesRevocadas },
+            returnValue: 0
+        };
+    } catch (err) {
+        throw new Error(`Error al terminar las sesiones del usuario: ${err.message}`);
+    }
+}
+
+module.exports = {
+    idPublicoSesion,
+    listarSesionesUsuario,
+    terminarSesionesUsuario
+};
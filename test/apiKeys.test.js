@@ -0,0 +1,214 @@
+/**
+ * @file apiKeys.test.js
+ * @description Ciclo de vida de las claves API (apiKeyService y /api/auth/keys): claves guardadas como SHA-256
+ *              (sql/002_api_keys_ciclo_vida.sql), rotación con periodo de gracia, vencimiento y límites al revocar.
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const request = require('supertest');
+const apiKeyService = require('../src/services/apiKeyService');
+const app = require('../app');
+
+const USUARIO = { id: 7, name: 'Usuario de Prueba', username: 'prueba', level: 1 };
+const HORA_MS = 60 * 60 * 1000;
+
+/** Tabla api_keys en memoria. */
+let claves;
+
+/**
+ * Hash con el que sql/002 convierte las claves en texto plano:
+ * LOWER(CONVERT(VARCHAR(64), HASHBYTES('SHA2_256', CAST([key] AS VARCHAR(255))), 2)).
+ * @param {string} clave - Clave en texto plano.
+ * @returns {string} Hash en hexadecimal.
+ */
+function hashMigracion(clave) {
+    // CONVERT(..., 2) devuelve el hexadecimal en mayúsculas y LOWER lo pasa a minúsculas
+    return crypto.createHash('sha256').update(Buffer.from(clave, 'latin1')).digest('hex').toUpperCase().toLowerCase();
+}
+
+/**
+ * Agrega una clave a la tabla.
+ * @param {string} clave - Clave en texto plano.
+ * @param {Object} [datos] - Columnas de api_keys a sobrescribir.
+ * @returns {Object} Registro agregado.
+ */
+function agregarClave(clave, datos = {}) {
+    const registro = {
+        id: claves.length + 1, user_id: USUARIO.id, key: hashMigracion(clave), key_prefix: clave.slice(0, 8),
+        name: 'Integración', level: 4, scopes: null, created_at: new Date(), expires_at: null, deleted_at: null, rotated_from_id: null,
+        ...datos
+    };
+    claves.push(registro);
+    return registro;
+}
+
+/**
+ * Indica si una clave está vigente, como las condiciones `deleted_at IS NULL` y `expires_at > SYSUTCDATETIME()`.
+ * @param {Object} registro - Registro de api_keys.
+ * @returns {boolean} `true` si la clave está vigente.
+ */
+const vigente = registro => !registro.deleted_at && (!registro.expires_at || registro.expires_at > new Date());
+
+beforeEach(() => {
+    claves = [];
+    baseDatos.consultas = [];
+    baseDatos.responder = (consulta, parametros) => {
+        if (consulta.includes('FROM [dbo].[api_keys] k')) {
+            const registro = claves.find(item => item.key === parametros.key && vigente(item));
+            return {
+                recordset: registro
+                    ? [{ ...USUARIO, api_key_level: registro.level, api_key_id: registro.id, api_key_nombre: registro.name, api_key_scopes: registro.scopes }]
+                    : []
+            };
+        }
+        if (consulta.includes('[dbo].[dUserProfiles]')) return { recordset: [{ ProfileID: 1 }] };
+        if (consulta.includes('INSERT INTO [dbo].[api_keys]')) {
+            const registro = {
+                id: claves.length + 1, user_id: parametros.user_id, key: parametros.key, key_prefix: parametros.key_prefix, name: parametros.name,
+                level: parametros.level, scopes: parametros.scopes, created_at: parametros.created_at, expires_at: parametros.expires_at,
+                deleted_at: null, rotated_from_id: parametros.rotated_from_id
+            };
+            claves.push(registro);
+            return { recordset: [registro] };
+        }
+        if (consulta.includes('FROM [dbo].[api_keys]') && consulta.includes('WHERE id = @id')) {
+            const registro = claves.find(item => item.id === parametros.id && item.user_id === parametros.user_id && !item.deleted_at
+                && (!consulta.includes('expires_at >') || vigente(item)));
+            return { recordset: registro ? [registro] : [] };
+        }
+        if (consulta.includes('FROM [dbo].[api_keys]') && consulta.includes('WHERE user_id = @user_id')) {
+            return { recordset: claves.filter(item => item.user_id === parametros.user_id) };
+        }
+        if (consulta.includes('UPDATE [dbo].[api_keys] SET expires_at')) {
+            claves.find(item => item.id === parametros.id).expires_at = parametros.expires_at;
+            return { rowsAffected: [1] };
+        }
+        if (consulta.includes('UPDATE [dbo].[api_keys] SET deleted_at')) {
+            const registro = claves.find(item => item.id === parametros.id && item.user_id === parametros.user_id && !item.deleted_at);
+            if (registro) registro.deleted_at = parametros.deleted_at;
+            return { rowsAffected: [registro ? 1 : 0] };
+        }
+        return {};
+    };
+});
+
+/**
+ * Solicitud autenticada con una clave API.
+ * @param {string} metodo - Método HTTP en minúsculas.
+ * @param {string} ruta - Ruta bajo /api.
+ * @param {string} clave - Clave API en texto plano.
+ * @returns {Object} Solicitud de supertest.
+ */
+const conClave = (metodo, ruta, clave) => request(app)[metodo](`/api${ruta}`).set('Authorization', `Bearer ${clave}`);
+
+test('una clave convertida por la migración sigue autenticando y nunca se busca en texto plano', async () => {
+    agregarClave('clave-anterior-en-texto-plano');
+
+    const respuesta = await conClave('get', '/auth/keys', 'clave-anterior-en-texto-plano');
+
+    assert.equal(respuesta.status, 200);
+    assert.equal(apiKeyService.hashApiKey('clave-anterior-en-texto-plano'), hashMigracion('clave-anterior-en-texto-plano'));
+    const { parametros } = baseDatos.consultas.find(({ consulta }) => consulta.includes('FROM [dbo].[api_keys] k'));
+    assert.equal(parametros.key, hashMigracion('clave-anterior-en-texto-plano'));
+    assert.equal(respuesta.body.data[0].prefijo, 'clave-an');
+    assert.equal(JSON.stringify(respuesta.body).includes(hashMigracion('clave-anterior-en-texto-plano')), false);
+});
+
+test('una clave nueva se guarda solo como hash y se devuelve en claro una única vez', async () => {
+    agregarClave('clave-administrador');
+
+    const respuesta = await conClave('post', '/auth/keys', 'clave-administrador').send({ nombre: 'Tablero', nivel: 1 });
+
+    assert.equal(respuesta.status, 201);
+    const { apiKey, id } = respuesta.body.data;
+    assert.match(apiKey, /^[0-9a-f]{64}$/);
+    const guardada = claves.find(item => item.id === id);
+    assert.equal(guardada.key, apiKeyService.hashApiKey(apiKey));
+    assert.equal(guardada.key_prefix, apiKey.slice(0, 8));
+
+    const lista = await conClave('get', '/auth/keys', apiKey);
+    assert.equal(lista.status, 200);
+    assert.equal(JSON.stringify(lista.body).includes(apiKey), false);
+});
+
+test('al rotar, la clave anterior sigue válida solo durante el periodo de gracia', async () => {
+    agregarClave('clave-rotada-de-prueba');
+
+    const antes = Date.now();
+    const respuesta = await conClave('post', '/auth/keys/1/rotar', 'clave-rotada-de-prueba').send({ horasGracia: 2 });
+
+    assert.equal(respuesta.status, 200);
+    const { nueva, anteriorExpiraEn } = respuesta.body.data;
+    assert.equal(nueva.rotadaDe, 1);
+    assert.equal(nueva.nombre, 'Integración');
+    const finGracia = new Date(anteriorExpiraEn).getTime();
+    assert.ok(finGracia >= antes + 2 * HORA_MS && finGracia <= Date.now() + 2 * HORA_MS);
+    assert.equal(claves[0].expires_at.getTime(), finGracia);
+
+    // Durante la gracia ambas claves autentican
+    assert.equal((await conClave('get', '/auth/keys', 'clave-rotada-de-prueba')).status, 200);
+    assert.equal((await conClave('get', '/auth/keys', nueva.apiKey)).status, 200);
+});
+
+test('la gracia no extiende una clave que vence antes', async () => {
+    const vence = new Date(Date.now() + HORA_MS);
+    agregarClave('clave-por-vencer-prueba', { expires_at: vence });
+
+    const respuesta = await conClave('post', '/auth/keys/1/rotar', 'clave-por-vencer-prueba').send({ horasGracia: 24 });
+
+    assert.equal(respuesta.status, 200);
+    assert.equal(new Date(respuesta.body.data.anteriorExpiraEn).getTime(), vence.getTime());
+    assert.equal(new Date(respuesta.body.data.nueva.expiraEn).getTime(), vence.getTime());
+});
+
+test('una clave vencida ya no autentica y se lista como expirada', async () => {
+    agregarClave('clave-administrador');
+    agregarClave('clave-vencida-de-prueba', { expires_at: new Date(Date.now() - HORA_MS) });
+
+    const vencida = await conClave('get', '/auth/keys', 'clave-vencida-de-prueba');
+    const lista = await conClave('get', '/auth/keys', 'clave-administrador');
+    const rotacion = await conClave('post', '/auth/keys/2/rotar', 'clave-administrador').send({});
+
+    assert.equal(vencida.status, 401);
+    assert.deepEqual(lista.body.data.map(item => item.estado), ['activa', 'expirada']);
+    assert.equal(rotacion.status, 404);
+});
+
+test('una clave de menor nivel no puede revocar una de mayor nivel', async () => {
+    agregarClave('clave-administrador');
+    agregarClave('clave-de-consulta', { level: 1, name: 'Consulta' });
+
+    const respuesta = await conClave('delete', '/auth/keys/1', 'clave-de-consulta');
+
+    assert.equal(respuesta.status, 403);
+    assert.match(respuesta.body.error, /nivel no puede ser mayor/);
+    assert.equal(claves[0].deleted_at, null);
+    assert.equal(baseDatos.consultas.some(({ consulta }) => consulta.includes('SET deleted_at')), false);
+});
+
+test('una clave con alcances no puede revocar una sin alcances', async () => {
+    agregarClave('clave-administrador', { level: 2 });
+    agregarClave('clave-con-alcances', { level: 2, scopes: 'consultar' });
+
+    const respuesta = await conClave('delete', '/auth/keys/1', 'clave-con-alcances');
+
+    assert.equal(respuesta.status, 403);
+    assert.equal(claves[0].deleted_at, null);
+});
+
+test('una clave revoca las que no la superan; una revocada ya no autentica ni puede revocarse otra vez', async () => {
+    agregarClave('clave-administrador');
+    agregarClave('clave-de-consulta', { level: 1 });
+
+    const respuesta = await conClave('delete', '/auth/keys/2', 'clave-administrador');
+    const repetida = await conClave('delete', '/auth/keys/2', 'clave-administrador');
+    const revocada = await conClave('get', '/auth/keys', 'clave-de-consulta');
+
+    assert.equal(respuesta.status, 200);
+    assert.equal(respuesta.body.data.id, 2);
+    assert.ok(claves[1].deleted_at instanceof Date);
+    assert.equal(repetida.status, 404);
+    assert.equal(revocada.status, 401);
+});
@@ -0,0 +1,202 @@
+/**
+ * @file bloqueoLogin.test.js
+ * @description Protección contra fuerza bruta en el inicio de sesión (bloqueoLoginService): bloqueo por usuario y
+ *              por IP, retraso progresivo, reinicio del conteo y desbloqueo con DELETE /api/auth/bloqueos.
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { CLAVE, responderAutenticacion } = require('./helpers/autenticacion');
+const { test, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const loginService = require('../src/services/loginService');
+const bloqueoLoginService = require('../src/services/bloqueoLoginService');
+const app = require('../app');
+
+const { CONFIG_BLOQUEO } = bloqueoLoginService;
+const MINUTO_MS = 60 * 1000;
+
+/** Tabla dLoginAttempts en memoria. */
+let intentos;
+
+/**
+ * Agrega intentos a la bitácora.
+ * @param {number} cantidad - Número de intentos.
+ * @param {Object} datos - Login, IpAddress y Resultado; CreatedAt es opcional.
+ */
+function agregarIntentos(cantidad, { Login = null, IpAddress = null, Resultado = 'fallo', CreatedAt = new Date(Date.now() - MINUTO_MS) }) {
+    for (let i = 0; i < cantidad; i++) intentos.push({ Login, IpAddress, Resultado, CreatedAt });
+}
+
+/**
+ * Cuenta los fallos como la consulta de contarFallos: dentro de la ventana y después del último reinicio.
+ * @param {Function} coincide - Filtro de los intentos del usuario o de la IP.
+ * @param {Function} esReinicio - Filtro de los intentos que reinician el conteo.
+ * @param {number} ventana - Minutos de la ventana.
+ * @returns {Object} `{ fallos, ultimo }`.
+ */
+function contar(coincide, esReinicio, ventana) {
+    const desde = new Date(Date.now() - ventana * MINUTO_MS);
+    const reinicio = Math.max(0, ...intentos.filter(esReinicio).map(item => item.CreatedAt.getTime()));
+    const fallos = intentos.filter(item => coincide(item) && item.Resultado === 'fallo' && item.CreatedAt > desde && item.CreatedAt.getTime() > reinicio);
+    return { fallos: fallos.length, ultimo: fallos.length ? new Date(Math.max(...fallos.map(item => item.CreatedAt.getTime()))) : null };
+}
+
+before(() => {
+    mock.method(loginService, 'loginUser', async (username, password) => {
+        if (password !== 'secreta') throw new Error('Error al autenticar usuario: Usuario no encontrado o contraseña incorrecta');
+        return { user: { id: 9, name: 'Ana Pérez', username, level: 1 }, apiKey: 'clave', apiKeyId: 1, returnValue: 0 };
+    });
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+    intentos = [];
+    baseDatos.consultas = [];
+    baseDatos.responder = (consulta, parametros) => {
+        const autenticacion = responderAutenticacion(consulta);
+        if (autenticacion) return autenticacion;
+        if (consulta.includes('AS fallosUsuario')) {
+            const { Login, IpAddress, Ventana } = parametros;
+            const usuario = contar(
+                item => Login !== null && item.Login === Login,
+                item => Login !== null && item.Login === Login && ['exito', 'desbloqueo'].includes(item.Resultado),
+                Ventana
+            );
+            const ip = contar(
+                item => IpAddress !== null && item.IpAddress === IpAddress,
+                item => IpAddress !== null && item.IpAddress === IpAddress && item.Login === null && item.Resultado === 'desbloqueo',
+                Ventana
+            );
+            return { recordset: [{ fallosUsuario: usuario.fallos, ultimoFalloUsuario: usuario.ultimo, fallosIp: ip.fallos, ultimoFalloIp: ip.ultimo }] };
+        }
+        if (consulta.includes("VALUES (@Login, NULL, 'desbloqueo', @Motivo)")) {
+            if (parametros.Login !== null) agregarIntentos(1, { Login: parametros.Login, Resultado: 'desbloqueo', CreatedAt: new Date() });
+            if (parametros.IpAddress !== null) agregarIntentos(1, { IpAddress: parametros.IpAddress, Resultado: 'desbloqueo', CreatedAt: new Date() });
+            return {};
+        }
+        if (consulta.includes('INSERT INTO [dbo].[dLoginAttempts]')) {
+            agregarIntentos(1, { Login: parametros.Login, IpAddress: parametros.IpAddress, Resultado: parametros.Resultado, CreatedAt: new Date() });
+            return {};
+        }
+        return {};
+    };
+});
+
+/**
+ * Intenta iniciar sesión desde un navegador, con su token CSRF.
+ * @param {string} password - Contraseña enviada.
+ * @returns {Promise<Object>} Respuesta de supertest.
+ */
+async function iniciarSesion(password) {
+    const agente = request.agent(app);
+    const { body } = await agente.get('/api/csrf-token').expect(200);
+    return agente.post('/api/auth/login').set('x-csrf-token', body.csrfToken).send({ username: 'ana', password });
+}
+
+test('el retraso se duplica con cada fallo del usuario hasta el máximo', async () => {
+    const retrasos = [];
+    for (const fallos of [0, 1, 2, 3, 5, 10]) {
+        intentos = [];
+        agregarIntentos(fallos, { Login: 'ana', IpAddress: '10.0.0.1' });
+        retrasos.push((await bloqueoLoginService.evaluarIntento('ana', '10.0.0.2')).retrasoMs);
+    }
+
+    assert.deepEqual(retrasos, [0, 1, 2, 4, 16, 512].map(factor => Math.min(factor * CONFIG_BLOQUEO.retrasoBaseMs, CONFIG_BLOQUEO.retrasoMaxMs)));
+});
+
+test('el usuario se bloquea al llegar a su límite de fallos, desde cualquier IP', async () => {
+    agregarIntentos(CONFIG_BLOQUEO.maxFallosUsuario - 1, { Login: 'ana', IpAddress: '10.0.0.1', CreatedAt: new Date(Date.now() - 5 * MINUTO_MS) });
+    assert.equal((await bloqueoLoginService.evaluarIntento('ana', '10.0.0.2')).bloqueado, false);
+
+    const ultimo = new Date(Date.now() - 2 * MINUTO_MS);
+    agregarIntentos(1, { Login: 'ana', IpAddress: '10.0.0.3', CreatedAt: ultimo });
+    const estado = await bloqueoLoginService.evaluarIntento('ana', '10.0.0.2');
+
+    assert.equal(estado.bloqueado, true);
+    assert.equal(estado.motivo, 'usuario');
+    assert.equal(estado.fallosUsuario, CONFIG_BLOQUEO.maxFallosUsuario);
+    // El bloqueo corre desde el último fallo, no desde el primero
+    assert.equal(estado.bloqueadoHasta.getTime(), ultimo.getTime() + CONFIG_BLOQUEO.bloqueoMinutos * MINUTO_MS);
+});
+
+test('los fallos fuera de la ventana o anteriores a un inicio de sesión exitoso no cuentan', async () => {
+    agregarIntentos(CONFIG_BLOQUEO.maxFallosUsuario, { Login: 'ana', IpAddress: '10.0.0.1', CreatedAt: new Date(Date.now() - (CONFIG_BLOQUEO.ventanaMinutos + 1) * MINUTO_MS) });
+    agregarIntentos(CONFIG_BLOQUEO.maxFallosUsuario, { Login: 'beto', IpAddress: '10.0.0.1', CreatedAt: new Date(Date.now() - 3 * MINUTO_MS) });
+    agregarIntentos(1, { Login: 'beto', IpAddress: '10.0.0.1', Resultado: 'exito', CreatedAt: new Date(Date.now() - 2 * MINUTO_MS) });
+
+    const ana = await bloqueoLoginService.evaluarIntento('ana', '10.0.0.2');
+    const beto = await bloqueoLoginService.evaluarIntento('beto', '10.0.0.2');
+
+    assert.deepEqual([ana.fallosUsuario, ana.bloqueado], [0, false]);
+    assert.deepEqual([beto.fallosUsuario, beto.bloqueado], [0, false]);
+});
+
+test('la IP tolera más fallos que el usuario: sin retraso hasta su umbral y bloqueo solo en su límite', async () => {
+    // Tabletas de una oficina detrás de la misma IP, cada una con pocos errores de captura
+    const ip = '10.0.0.50';
+    const usuarios = n => Array.from({ length: n }, (_, i) => `tableta${i}`);
+    for (const login of usuarios(CONFIG_BLOQUEO.fallosIpSinRetraso)) agregarIntentos(1, { Login: login, IpAddress: ip });
+
+    let estado = await bloqueoLoginService.evaluarIntento('nuevo', ip);
+    assert.deepEqual([estado.fallosIp, estado.retrasoMs, estado.bloqueado], [CONFIG_BLOQUEO.fallosIpSinRetraso, 0, false]);
+
+    agregarIntentos(2, { Login: 'otro', IpAddress: ip });
+    estado = await bloqueoLoginService.evaluarIntento('nuevo', ip);
+    assert.equal(estado.retrasoMs, 2 * CONFIG_BLOQUEO.retrasoBaseMs);
+    assert.equal(estado.bloqueado, false);
+
+    agregarIntentos(CONFIG_BLOQUEO.maxFallosIp - estado.fallosIp, { Login: 'otro', IpAddress: ip });
+    estado = await bloqueoLoginService.evaluarIntento('nuevo', ip);
+    assert.equal(estado.bloqueado, true);
+    assert.equal(estado.motivo, 'ip');
+    assert.equal(estado.fallosUsuario, 0);
+
+    // La misma cuenta desde otra IP no está bloqueada
+    assert.equal((await bloqueoLoginService.evaluarIntento('nuevo', '10.0.0.51')).bloqueado, false);
+});
+
+test('un usuario bloqueado recibe 429 con Retry-After sin comprobar la contraseña', async () => {
+    agregarIntentos(CONFIG_BLOQUEO.maxFallosUsuario, { Login: 'ana', IpAddress: '10.0.0.1' });
+    const llamadas = loginService.loginUser.mock.callCount();
+
+    const respuesta = await iniciarSesion('secreta');
+
+    assert.equal(respuesta.status, 429);
+    assert.ok(Number(respuesta.headers['retry-after']) > 0);
+    assert.ok(respuesta.body.bloqueadoHasta);
+    assert.equal(loginService.loginUser.mock.callCount(), llamadas);
+    assert.equal(intentos.at(-1).Resultado, 'bloqueado');
+});
+
+test('DELETE /auth/bloqueos desbloquea al usuario y el siguiente inicio de sesión se acepta', async () => {
+    agregarIntentos(CONFIG_BLOQUEO.maxFallosUsuario, { Login: 'ana', IpAddress: '10.0.0.1' });
+
+    const desbloqueo = await request(app).delete('/api/auth/bloqueos?login=ana').set('Authorization', `Bearer ${CLAVE}`);
+
+    assert.equal(desbloqueo.status, 200);
+    assert.deepEqual(desbloqueo.body.data, { login: 'ana', ip: null });
+    const registro = intentos.find(item => item.Resultado === 'desbloqueo');
+    assert.deepEqual([registro.Login, registro.IpAddress], ['ana', null]);
+
+    const estado = await request(app).get('/api/auth/bloqueos?login=ana').set('Authorization', `Bearer ${CLAVE}`);
+    assert.deepEqual([estado.body.data.fallosUsuario, estado.body.data.bloqueado], [0, false]);
+
+    const respuesta = await iniciarSesion('secreta');
+    assert.equal(respuesta.status, 200);
+    assert.equal(intentos.at(-1).Resultado, 'exito');
+});
+
+test('desbloquear una IP no reinicia los fallos de los usuarios y exige indicar usuario o IP', async () => {
+    const ip = '10.0.0.60';
+    agregarIntentos(CONFIG_BLOQUEO.maxFallosIp, { Login: 'ana', IpAddress: ip });
+
+    const desbloqueo = await request(app).delete(`/api/auth/bloqueos?ip=${ip}`).set('Authorization', `Bearer ${CLAVE}`);
+    const estado = await bloqueoLoginService.evaluarIntento('ana', ip);
+    const sinFiltro = await request(app).delete('/api/auth/bloqueos').set('Authorization', `Bearer ${CLAVE}`);
+
+    assert.equal(desbloqueo.status, 200);
+    assert.equal(estado.fallosIp, 0);
+    assert.equal(estado.motivo, 'usuario');
+    assert.equal(sinFiltro.status, 400);
+});
@@ -0,0 +1,77 @@
+/**
+ * @file busquedaGlobal.test.js
+ * @description Búsqueda global (busquedaGlobalService): tipos de dato detectados para cada forma de captura y
+ *              búsquedas de dbService que se consultan para cada tipo.
+ */
+require('./helpers/baseDatos');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dbService = require('../src/services/dbService');
+const { detectarTipos, buscar } = require('../src/services/busquedaGlobalService');
+
+before(() => {
+    const vacio = async () => ({ data: [], totalRecords: 0, returnValue: 0 });
+    for (const funcion of ['obtenerConcesionariosPorNombre', 'obtenerVehiculosPorPlacaNumSerie', 'buscarRevistasVehiculares', 'obtenerConcesionPorFolioPlaca']) {
+        mock.method(dbService, funcion, vacio);
+    }
+    mock.method(dbService, 'obtenerConcesionPorFolio', async folio => ({
+        data: { idConcesion: 15, folio, seriePlaca: 'A12BCD', numeroExpediente: '2019/15' },
+        returnValue: 0
+    }));
+});
+
+after(() => mock.restoreAll());
+
+test('cada forma de captura se reconoce como los tipos de dato que puede representar', () => {
+    const casos = [
+        // [texto, tipos esperados]
+        ['HEGJ800101HHGRRN09', ['curp']],
+        ['hegj-800101-ab1', ['rfc']],
+        ['3VWFE21C04M000001', ['niv']],
+        // Una placa también puede ser la serie de placa de un expediente o un número de motor
+        ['A12-BCD', ['placa', 'expediente', 'motor']],
+        ['ABC 123', ['placa', 'expediente', 'motor']],
+        // Un número corto es folio; a partir de seis dígitos también puede ser número de motor
+        ['12345', ['folio']],
+        ['123456', ['motor', 'folio']],
+        ['1234567890', ['motor', 'folio']],
+        ['12345678901', ['motor']],
+        ['MOTOR1234567X', ['motor']],
+        // Sin dígitos no es placa ni motor: se busca como nombre
+        ['ABCDEF', ['nombre']],
+        ['José Hernández', ['nombre']],
+        ['Transportes del Valle', ['nombre']],
+        ['AB', []],
+        ['12#45', []]
+    ];
+    for (const [texto, tipos] of casos) {
+        assert.deepEqual(detectarTipos(texto), tipos, texto);
+    }
+});
+
+test('un folio busca la concesión por folio y no interpreta el número como ID de concesión', async () => {
+    dbService.buscarRevistasVehiculares.mock.resetCalls();
+
+    const result = await buscar('12345');
+
+    assert.deepEqual(result.data.tiposDetectados, ['folio']);
+    assert.deepEqual(result.data.grupos.map(grupo => [grupo.grupo, grupo.etiquetas]), [['concesiones', ['Concesiones por folio']]]);
+    assert.equal(result.data.grupos[0].resultados[0].enlace, '/api/concesion/15');
+    assert.equal(dbService.buscarRevistasVehiculares.mock.callCount(), 0);
+});
+
+test('una placa consulta vehículos y revistas por placa y concesiones por serie de placa, con el texto compacto', async () => {
+    dbService.obtenerVehiculosPorPlacaNumSerie.mock.resetCalls();
+    dbService.buscarRevistasVehiculares.mock.resetCalls();
+    dbService.obtenerConcesionPorFolioPlaca.mock.resetCalls();
+
+    const result = await buscar('a12-bcd');
+
+    assert.equal(result.status, 404);
+    assert.deepEqual(dbService.obtenerVehiculosPorPlacaNumSerie.mock.calls.map(llamada => llamada.arguments), [
+        ['A12BCD', null, null],
+        [null, null, 'A12BCD']
+    ]);
+    assert.deepEqual(dbService.buscarRevistasVehiculares.mock.calls[0].arguments.slice(0, 2), [null, 'A12BCD']);
+    assert.deepEqual(dbService.obtenerConcesionPorFolioPlaca.mock.calls[0].arguments, ['A12BCD', null]);
+});
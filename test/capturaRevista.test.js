@@ -0,0 +1,63 @@
+/**
+ * @file capturaRevista.test.js
+ * @description Captura de una revista (POST /api/revista): el inspector que queda en RevistaVehicular y en la
+ *              operación de captura de Historial es el usuario autenticado, también con una clave API.
+ */
+delete process.env.PUNTUACION_BOLSAS_AIRE;
+delete process.env.PUNTUACION_AIRE_ACONDICIONADO;
+const { baseDatos } = require('./helpers/baseDatos');
+const { CLAVE, USUARIO, responderAutenticacion } = require('./helpers/autenticacion');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { CHECKLIST_REVISTA } = require('../src/config/checklistRevista');
+const app = require('../app');
+
+/**
+ * Catálogo de un solo registro con las columnas de COLUMNAS_CATALOGOS_PUNTUACION.
+ * @param {string} nombre - Nombre del catálogo y de su columna de descripción.
+ * @returns {Array<Object>} Catálogo.
+ */
+const catalogo = nombre => [{ [`Id${nombre}`]: 1, [nombre]: 'Único', Puntos: 5 }];
+
+/** Recordsets de VehiculoObtenerDatosPuntuacion: seis criterios de 5 puntos. */
+const CATALOGOS = [
+    catalogo('CapacidadPasajeros'),
+    catalogo('CinturonesSeguridad'),
+    [{ IdModeloVehiculo: 1, ModeloVehiculo: '2015', Puntos: 5 }],
+    catalogo('TapiceriaAsientos'),
+    catalogo('TiposFreno'),
+    catalogo('TipoVehiculo'),
+    [{ IdClasificacion: 1, Clasificacion: 'Esencial', PuntuacionMinima: 0, PuntuacionMaxima: null }]
+];
+
+/** Cuerpo válido de POST /revista con todos los elementos del checklist en 1. */
+const CAPTURA = {
+    idConcesion: 15, idPropietario: 3, idTramite: 1, idVehiculo: 8, placa: 'A12BCD', propietario: 'JOSÉ HERNÁNDEZ',
+    ...Object.fromEntries(CHECKLIST_REVISTA.map(({ campo }) => [campo, 1])),
+    aprobado: true,
+    modeloId: 1, tipoId: 1, capacidadId: 1, frenoId: 1, cinturonId: 1, tapiceriaId: 1, tipoBolsa: 0, tieneAire: 0
+};
+
+beforeEach(() => {
+    baseDatos.consultas = [];
+    baseDatos.responder = consulta => {
+        const autenticacion = responderAutenticacion(consulta);
+        if (autenticacion) return autenticacion;
+        if (consulta === 'dbo.VehiculoObtenerDatosPuntuacion') return { recordset: CATALOGOS[0], recordsets: CATALOGOS };
+        if (consulta === 'RV_InsertarRevistaPuntuacion') return { recordset: [{ '': '21' }] };
+        return {};
+    };
+});
+
+test('una captura con clave API registra como inspector al dueño de la clave, no al usuario 0', async () => {
+    const respuesta = await request(app).post('/api/revista').set('Authorization', `Bearer ${CLAVE}`).send(CAPTURA);
+
+    assert.equal(respuesta.status, 200);
+    assert.equal(respuesta.body.idRV, '21');
+    const { parametros } = baseDatos.consultas.find(({ consulta }) => consulta === 'RV_InsertarRevistaPuntuacion');
+    // @IdUser es también el usuario de la operación de captura en Historial
+    assert.equal(parametros.IdUser, USUARIO.id);
+    assert.equal(parametros.Inspector, USUARIO.name);
+    assert.equal(parametros.Puntuacion, 30);
+});
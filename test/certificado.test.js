@@ -0,0 +1,98 @@
+/**
+ * @file certificado.test.js
+ * @description Certificado en PDF de una revista vehicular (GET /api/revista/:idRV/certificado).
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { CLAVE, responderAutenticacion } = require('./helpers/autenticacion');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { ESTATUS_REVISTA } = require('../src/config/estatusRevista');
+const app = require('../app');
+
+/** Catálogo de clasificaciones con las columnas en un orden distinto al de COLUMNAS_CATALOGOS_PUNTUACION. */
+const CLASIFICACIONES = [
+    { Clasificacion: 'Esencial', PuntuacionMaxima: 49, PuntuacionMinima: 0, IdClasificacion: 1 },
+    { Clasificacion: 'Selecto', PuntuacionMaxima: 79, PuntuacionMinima: 50, IdClasificacion: 2 },
+    { Clasificacion: 'Prime', PuntuacionMaxima: null, PuntuacionMinima: 80, IdClasificacion: 3 }
+];
+
+let revista;
+let estatus;
+
+beforeEach(() => {
+    revista = { IdRevistaVehicular: '15', IdEstatus: ESTATUS_REVISTA.IMPRESA, FechaInspeccion: new Date(2026, 9, 1, 10, 0), Puntuacion: 62, ClasificacionId: 2, Aprobado: 1 };
+    estatus = { IdEstatus: ESTATUS_REVISTA.IMPRESA, Folio: 'F-000015' };
+    baseDatos.consultas = [];
+    baseDatos.responder = consulta => {
+        const autenticacion = responderAutenticacion(consulta);
+        if (autenticacion) return autenticacion;
+        if (consulta.includes('SELECT IdEstatus, Folio')) return { recordset: estatus ? [estatus] : [] };
+        if (consulta === 'dbo.SP_ObtenerRevistaPuntuacionPorId') return { recordset: revista ? [revista] : [] };
+        if (consulta === 'dbo.VehiculoObtenerDatosPuntuacion') {
+            return { recordset: [], recordsets: [[], [], [], [], [], [], CLASIFICACIONES] };
+        }
+        return {};
+    };
+});
+
+/**
+ * Solicita el certificado con la clave API de prueba y reúne el PDF como texto.
+ * @param {number} idRV - ID de la revista.
+ * @returns {Promise<Object>} Respuesta de supertest; `body` es el PDF en latin1 si la respuesta es un PDF.
+ */
+function pedirCertificado(idRV) {
+    return request(app)
+        .get(`/api/revista/${idRV}/certificado`)
+        .set('Authorization', `Bearer ${CLAVE}`)
+        .buffer(true)
+        .parse((respuesta, callback) => {
+            const partes = [];
+            respuesta.on('data', parte => partes.push(parte));
+            respuesta.on('end', () => {
+                const contenido = Buffer.concat(partes);
+                callback(null, respuesta.headers['content-type'].startsWith('application/pdf')
+                    ? contenido.toString('latin1')
+                    : JSON.parse(contenido.toString()));
+            });
+        });
+}
+
+test('el certificado se genera en PDF con la clasificación tomada del catálogo por nombre de columna', async () => {
+    const respuesta = await pedirCertificado(15);
+
+    assert.equal(respuesta.status, 200);
+    assert.match(respuesta.headers['content-type'], /^application\/pdf/);
+    assert.match(respuesta.headers['content-disposition'], /Certificado_Revista_15\.pdf/);
+    assert.ok(respuesta.body.startsWith('%PDF-'));
+    assert.ok(respuesta.body.includes('(Selecto)'), 'el PDF no muestra el nombre de la clasificación');
+    assert.ok(respuesta.body.includes('(APROBADO)'));
+});
+
+test('sin registro en el catálogo se muestra el ID de la clasificación', async () => {
+    revista.ClasificacionId = 9;
+
+    const respuesta = await pedirCertificado(15);
+
+    assert.equal(respuesta.status, 200);
+    assert.ok(respuesta.body.includes('(9)'));
+    assert.equal(respuesta.body.includes('(Selecto)'), false);
+});
+
+test('una revista inexistente responde 404', async () => {
+    revista = null;
+
+    const respuesta = await pedirCertificado(99);
+
+    assert.equal(respuesta.status, 404);
+    assert.equal(respuesta.body.message, 'Inspección no encontrada');
+});
+
+test('una revista cancelada no puede imprimirse (409) y no se genera el PDF', async () => {
+    estatus = { IdEstatus: ESTATUS_REVISTA.CANCELADA, Folio: null };
+
+    const respuesta = await pedirCertificado(15);
+
+    assert.equal(respuesta.status, 409);
+    assert.equal(baseDatos.consultas.some(({ consulta }) => consulta === 'dbo.SP_ObtenerRevistaPuntuacionPorId'), false);
+});
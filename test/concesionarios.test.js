@@ -0,0 +1,156 @@
+/**
+ * @file concesionarios.test.js
+ * @description Búsqueda de concesionarios por nombre, RFC o CURP (GET /api/concesion/titular): coincidencias sin acentos
+ *              y aproximadas, orden por relevancia y campos que coincidieron (sql/010_concesionario_busqueda_aproximada.sql).
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { CLAVE, responderAutenticacion } = require('./helpers/autenticacion');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../app');
+
+/** Caracteres de origen y destino del TRANSLATE de dbo.fnSinAcentos. */
+const [, ACENTUADAS, SIN_ACENTOS] = fs.readFileSync(path.join(__dirname, '..', 'sql', '010_concesionario_busqueda_aproximada.sql'), 'utf8')
+    .match(/TRANSLATE\(@texto, N'([^']+)', N'([^']+)'\)/);
+
+/**
+ * Equivalente de dbo.fnSinAcentos.
+ * @param {string} texto - Texto con acentos.
+ * @returns {string} Texto sin acentos.
+ */
+const sinAcentos = texto => [...texto].map(letra => (ACENTUADAS.includes(letra) ? SIN_ACENTOS[ACENTUADAS.indexOf(letra)] : letra)).join('');
+
+/**
+ * SOUNDEX de SQL Server: primera letra y tres dígitos; H y W no separan consonantes con el mismo código.
+ * @param {string} texto - Palabra sin acentos.
+ * @returns {string} Código de cuatro caracteres.
+ */
+function soundex(texto) {
+    const codigos = { B: 1, F: 1, P: 1, V: 1, C: 2, G: 2, J: 2, K: 2, Q: 2, S: 2, X: 2, Z: 2, D: 3, T: 3, L: 4, M: 5, N: 5, R: 6 };
+    const letras = texto.toUpperCase().replace(/[^A-Z]/g, '');
+    let resultado = letras[0];
+    let anterior = codigos[letras[0]];
+    for (const letra of letras.slice(1)) {
+        const codigo = codigos[letra];
+        if (codigo && codigo !== anterior) resultado += codigo;
+        if (letra !== 'H' && letra !== 'W') anterior = codigo;
+    }
+    return (resultado + '000').slice(0, 4);
+}
+
+/** Concesionarios en [Concesion].[Concesionario]. */
+const CONCESIONARIOS = [
+    { IdConcesionario: 1, Nombre: 'LUIS', ApellidoPaterno: 'GARCÍA HERNÁNDEZ', RFC: 'GAHL800101AB1' },
+    { IdConcesionario: 2, Nombre: 'JOSÉ', ApellidoPaterno: 'HERNÁNDEZ', RFC: 'HELJ800101AB1' },
+    { IdConcesionario: 3, Nombre: 'ANA', ApellidoPaterno: 'HERNANDES', RFC: 'HEAA800101AB1' },
+    { IdConcesionario: 4, Nombre: 'MARÍA', ApellidoPaterno: 'HERNÁNDEZ DE LA O', RFC: 'HEMA800101AB1' },
+    { IdConcesionario: 5, Nombre: 'PEDRO', ApellidoPaterno: 'PÉREZ', RFC: 'PEPE800101AB1' }
+];
+
+/**
+ * Puntaje del apellido paterno como lo calcula ConcesionarioObtenerPorNombreRfcPaginado: la columna
+ * ApellidoPaternoBusqueda no distingue acentos ni mayúsculas y el sonido se compara palabra por palabra.
+ * @param {Object} concesionario - Fila de CONCESIONARIOS.
+ * @param {string} paterno - Criterio recibido.
+ * @returns {number|null} 100, 80, 60, 40 o null si no coincide.
+ */
+function puntajePaterno(concesionario, paterno) {
+    const columna = sinAcentos(concesionario.ApellidoPaterno).toUpperCase();
+    const criterio = sinAcentos(paterno).toUpperCase();
+    if (columna === criterio) return 100;
+    if (columna.startsWith(criterio)) return 80;
+    if (columna.includes(criterio)) return 60;
+    const sonidos = columna.split(' ').filter(palabra => palabra.length > 2).map(soundex);
+    return sonidos.includes(soundex(criterio)) ? 40 : null;
+}
+
+beforeEach(() => {
+    baseDatos.consultas = [];
+    baseDatos.responder = (consulta, parametros) => {
+        const autenticacion = responderAutenticacion(consulta);
+        if (autenticacion) return autenticacion;
+        if (consulta === 'ConcesionarioObtenerPorNombreRfcPaginado') {
+            const filas = CONCESIONARIOS
+                .map(item => ({ ...item, PuntajePaterno: puntajePaterno(item, parametros.paterno) }))
+                .filter(item => item.PuntajePaterno !== null)
+                .map(item => ({
+                    IdConcesionario: item.IdConcesionario,
+                    TipoPersona: 0,
+                    NombreConcesionario: `${item.Nombre} ${item.ApellidoPaterno}`,
+                    RFC: item.RFC,
+                    CURP: null,
+                    PuntajeNombre: null,
+                    PuntajePaterno: item.PuntajePaterno,
+                    PuntajeMaterno: null,
+                    PuntajeRfc: null,
+                    PuntajeCurp: null,
+                    Puntaje: item.PuntajePaterno
+                }))
+                .sort((a, b) => b.Puntaje - a.Puntaje || a.IdConcesionario - b.IdConcesionario);
+            return { recordset: filas, recordsets: [filas, [{ Total: filas.length }]] };
+        }
+        return {};
+    };
+});
+
+/**
+ * Busca concesionarios con la clave API de prueba.
+ * @param {Object} query - Criterios de búsqueda.
+ * @returns {Promise<Object>} Respuesta de supertest.
+ */
+const buscar = query => request(app).get('/api/concesion/titular').query(query).set('Authorization', `Bearer ${CLAVE}`);
+
+test('dbo.fnSinAcentos quita los acentos y la eñe sin cambiar la longitud del texto', () => {
+    assert.equal([...ACENTUADAS].length, [...SIN_ACENTOS].length);
+    assert.equal(sinAcentos('Hernández'), 'Hernandez');
+    assert.equal(sinAcentos('NÚÑEZ MÉNDEZ'), 'NUNEZ MENDEZ');
+    assert.equal(soundex('HERNANDES'), soundex('HERNANDEZ'));
+});
+
+test('"Hernandez" encuentra "Hernández" y los resultados llegan ordenados por relevancia', async () => {
+    const respuesta = await buscar({ paterno: ' Hernandez ' });
+
+    assert.equal(respuesta.status, 200);
+    const { parametros } = baseDatos.consultas.find(({ consulta }) => consulta === 'ConcesionarioObtenerPorNombreRfcPaginado');
+    assert.equal(parametros.paterno, 'Hernandez');
+    assert.equal(parametros.ordenarPor, 'relevancia');
+    assert.deepEqual(respuesta.body.data.map(item => [item.nombreCompleto, item.puntaje, item.coincidencias[0].tipo]), [
+        ['JOSÉ HERNÁNDEZ', 100, 'exacta'],
+        ['MARÍA HERNÁNDEZ DE LA O', 80, 'prefijo'],
+        ['LUIS GARCÍA HERNÁNDEZ', 60, 'parcial'],
+        ['ANA HERNANDES', 40, 'aproximada']
+    ]);
+    assert.equal(respuesta.body.totalRecords, 4);
+});
+
+test('las coincidencias indican cada campo que coincidió, de la mejor a la peor, y omiten los criterios no enviados', async () => {
+    baseDatos.responder = consulta => {
+        const autenticacion = responderAutenticacion(consulta);
+        if (autenticacion) return autenticacion;
+        const filas = [{
+            IdConcesionario: 2, TipoPersona: 0, NombreConcesionario: 'JOSÉ HERNÁNDEZ', RFC: 'HELJ800101AB1', CURP: null,
+            PuntajeNombre: 40, PuntajePaterno: 100, PuntajeMaterno: null, PuntajeRfc: 80, PuntajeCurp: null, Puntaje: 220
+        }];
+        return { recordset: filas, recordsets: [filas, [{ Total: 1 }]] };
+    };
+
+    const respuesta = await buscar({ nombre: 'Jose', paterno: 'Hernández', rfc: 'helj' });
+
+    const { parametros } = baseDatos.consultas.find(({ consulta }) => consulta === 'ConcesionarioObtenerPorNombreRfcPaginado');
+    assert.equal(parametros.RFC, 'HELJ');
+    assert.deepEqual(respuesta.body.data[0].coincidencias, [
+        { campo: 'paterno', tipo: 'exacta' },
+        { campo: 'rfc', tipo: 'prefijo' },
+        { campo: 'nombre', tipo: 'aproximada' }
+    ]);
+    assert.equal(respuesta.body.data[0].tipoPersona, 'Física');
+});
+
+test('sin coincidencias se responde 404', async () => {
+    const respuesta = await buscar({ paterno: 'Zúñiga' });
+
+    assert.equal(respuesta.status, 404);
+});
@@ -0,0 +1,105 @@
+/**
+ * @file csrf.test.js
+ * @description Protección CSRF de las solicitudes autenticadas con la cookie de sesión (src/config/csrf.js).
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const loginService = require('../src/services/loginService');
+const bloqueoLoginService = require('../src/services/bloqueoLoginService');
+const { doubleCsrfProtection, invalidCsrfTokenError } = require('../src/config/csrf');
+const app = require('../app');
+
+const USUARIO = { id: 7, name: 'Usuario de Prueba', username: 'prueba', level: 1 };
+
+before(() => {
+    mock.method(bloqueoLoginService, 'evaluarIntento', async () => ({ bloqueado: false, retrasoMs: 0 }));
+    mock.method(bloqueoLoginService, 'registrarIntento', async () => {});
+    mock.method(loginService, 'loginUser', async () => ({ user: USUARIO, apiKey: 'clave', apiKeyId: 1, returnValue: 0 }));
+    baseDatos.responder = consulta => {
+        if (consulta.includes('[dbo].[mUsers]')) return { recordset: [{ ...USUARIO }] };
+        if (consulta.includes('[dbo].[dUserProfiles]')) return { recordset: [{ ProfileID: 1 }] };
+        return {};
+    };
+});
+
+after(() => mock.restoreAll());
+
+/**
+ * Inicia sesión con un agente que conserva las cookies, como lo haría el navegador de la víctima:
+ * primero obtiene el token CSRF y lo envía con el inicio de sesión.
+ * @returns {Promise<Object>} Agente de supertest con la cookie de sesión.
+ */
+async function iniciarSesion() {
+    const agente = request.agent(app);
+    const { body } = await agente.get('/api/csrf-token').expect(200);
+    await agente.post('/api/auth/login').set('x-csrf-token', body.csrfToken).send({ username: 'prueba', password: 'secreta' }).expect(200);
+    return agente;
+}
+
+/**
+ * Indica si se intentó crear una clave API en la base de datos.
+ * @returns {boolean} `true` si hubo un INSERT en api_keys.
+ */
+function seCreoClave() {
+    return baseDatos.consultas.some(({ consulta }) => consulta.includes('INSERT INTO [dbo].[api_keys]'));
+}
+
+test('un POST falsificado desde otro sitio (cookie de sesión sin token CSRF) se rechaza con 403', async () => {
+    const agente = await iniciarSesion();
+    baseDatos.consultas = [];
+
+    const respuesta = await agente.post('/api/auth/keys').send({ nombre: 'Clave falsificada', nivel: 4 });
+
+    assert.equal(respuesta.status, 403);
+    assert.equal(respuesta.body.error, 'Token CSRF inválido');
+    assert.equal(seCreoClave(), false);
+});
+
+test('un inicio de sesión falsificado desde otro sitio (sin token CSRF) se rechaza sin autenticar', async () => {
+    const agente = request.agent(app);
+    const llamadasLogin = loginService.loginUser.mock.callCount();
+
+    const respuesta = await agente.post('/api/auth/login').send({ username: 'prueba', password: 'secreta' });
+
+    assert.equal(respuesta.status, 403);
+    assert.equal(respuesta.body.error, 'Token CSRF inválido');
+    assert.equal(loginService.loginUser.mock.callCount(), llamadasLogin);
+    assert.equal((await agente.get('/api/auth/me')).status, 401);
+});
+
+test('el token CSRF de otra sesión no sirve', async () => {
+    const agente = await iniciarSesion();
+    const atacante = await iniciarSesion();
+    const { body } = await atacante.get('/api/csrf-token').expect(200);
+
+    const respuesta = await agente.post('/api/auth/logout').set('x-csrf-token', body.csrfToken);
+
+    assert.equal(respuesta.status, 403);
+});
+
+test('una cabecera Bearer sin clave no omite la protección', () => {
+    // El servidor HTTP recorta los espacios finales de la cabecera, así que se llama al middleware directamente
+    const req = { method: 'POST', headers: { authorization: 'Bearer ' }, cookies: {}, body: {}, query: {}, session: { id: 'sesion', userId: USUARIO.id } };
+    let error;
+    doubleCsrfProtection(req, {}, err => { error = err; });
+
+    assert.equal(error, invalidCsrfTokenError);
+});
+
+test('con el token CSRF de la propia sesión el POST se acepta', async () => {
+    const agente = await iniciarSesion();
+    const { body } = await agente.get('/api/csrf-token').expect(200);
+
+    const respuesta = await agente.post('/api/auth/logout').set('x-csrf-token', body.csrfToken);
+
+    assert.equal(respuesta.status, 200);
+    assert.equal(respuesta.body.message, 'Sesión cerrada');
+});
+
+test('los clientes con clave API (Bearer) no necesitan token CSRF', async () => {
+    const respuesta = await request(app).post('/api/auth/logout').set('Authorization', 'Bearer clave-de-prueba');
+
+    assert.equal(respuesta.status, 200);
+});
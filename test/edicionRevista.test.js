@@ -0,0 +1,153 @@
+/**
+ * @file edicionRevista.test.js
+ * @description Corrección de una revista antes de imprimirse (PUT /api/revista/:idRV, edicionRevistaService):
+ *              estatus editables, recálculo de la puntuación y un registro en Historial por campo modificado.
+ */
+delete process.env.PUNTUACION_BOLSAS_AIRE;
+delete process.env.PUNTUACION_AIRE_ACONDICIONADO;
+const { baseDatos } = require('./helpers/baseDatos');
+const { CLAVE, responderAutenticacion } = require('./helpers/autenticacion');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { ESTATUS_REVISTA, OPERACIONES_REVISTA } = require('../src/config/estatusRevista');
+const app = require('../app');
+
+/**
+ * Catálogo de un solo registro con las columnas de COLUMNAS_CATALOGOS_PUNTUACION.
+ * @param {string} nombre - Nombre del catálogo y de su columna de descripción.
+ * @returns {Array<Object>} Catálogo.
+ */
+const catalogo = nombre => [{ [`Id${nombre}`]: 1, [nombre]: 'Único', Puntos: 5 }];
+
+/** Recordsets de VehiculoObtenerDatosPuntuacion: el modelo 1 vale 10 puntos y el 2 vale 30; los demás criterios suman 25. */
+const CATALOGOS = [
+    catalogo('CapacidadPasajeros'),
+    catalogo('CinturonesSeguridad'),
+    [{ IdModeloVehiculo: 1, ModeloVehiculo: '2015', Puntos: 10 }, { IdModeloVehiculo: 2, ModeloVehiculo: '2024', Puntos: 30 }],
+    catalogo('TapiceriaAsientos'),
+    catalogo('TiposFreno'),
+    catalogo('TipoVehiculo'),
+    [
+        { IdClasificacion: 1, Clasificacion: 'Esencial', PuntuacionMinima: 0, PuntuacionMaxima: 49 },
+        { IdClasificacion: 2, Clasificacion: 'Selecto', PuntuacionMinima: 50, PuntuacionMaxima: null }
+    ]
+];
+
+let estatus;
+let revista;
+
+beforeEach(() => {
+    estatus = ESTATUS_REVISTA.CAPTURADA;
+    revista = {
+        IdRevistaVehicular: '15', PlacaDelanteraVer: true, Observaciones: 'Sin observaciones',
+        ModeloId: 1, TipoId: 1, CapacidadId: 1, TipoBolsa: 0, TieneAire: false, FrenoId: 1, CinturonId: 1, TapiceriaId: 1,
+        Puntuacion: 35, ClasificacionId: 1
+    };
+    baseDatos.consultas = [];
+    baseDatos.responder = (consulta, parametros) => {
+        const autenticacion = responderAutenticacion(consulta);
+        if (autenticacion) return autenticacion;
+        if (consulta.includes('SELECT IdEstatus, Folio')) return { recordset: [{ IdEstatus: estatus, Folio: null }] };
+        if (consulta === 'dbo.SP_ObtenerRevistaPuntuacionPorId') return { recordset: [revista] };
+        if (consulta === 'dbo.VehiculoObtenerDatosPuntuacion') return { recordset: CATALOGOS[0], recordsets: CATALOGOS };
+        if (consulta.includes('UPDATE') && consulta.includes('[dbo].[RevistaVehicular]')) {
+            return { rowsAffected: [parametros.estatus === estatus ? 1 : 0] };
+        }
+        return {};
+    };
+});
+
+/**
+ * Edita la revista 15 con la clave API de prueba.
+ * @param {Object} cuerpo - Campos a modificar, motivo y puntuación esperada.
+ * @returns {Promise<Object>} Respuesta de supertest.
+ */
+const editar = cuerpo => request(app).put('/api/revista/15').set('Authorization', `Bearer ${CLAVE}`).send(cuerpo);
+
+/**
+ * Actualización de RevistaVehicular enviada por la edición.
+ * @returns {Object|undefined} Consulta registrada con sus parámetros.
+ */
+const actualizacion = () => baseDatos.consultas.find(({ consulta }) => consulta.includes('UPDATE') && consulta.includes('[dbo].[RevistaVehicular]'));
+
+/**
+ * Filas insertadas en [RevistaVehicular].[Historial].
+ * @returns {Array<Object>} Parámetros de cada INSERT.
+ */
+const historial = () => baseDatos.consultas
+    .filter(({ consulta }) => consulta.includes('INSERT INTO') && consulta.includes('[RevistaVehicular].[Historial]'))
+    .map(({ parametros }) => parametros);
+
+test('una revista impresa, aprobada o cancelada ya no se puede editar', async () => {
+    for (const IdEstatus of [ESTATUS_REVISTA.IMPRESA, ESTATUS_REVISTA.APROBADA, ESTATUS_REVISTA.CANCELADA]) {
+        estatus = IdEstatus;
+
+        const respuesta = await editar({ observaciones: 'Corrección tardía' });
+
+        assert.equal(respuesta.status, 409, `estatus ${IdEstatus}`);
+        assert.equal(respuesta.body.estatusActual.idEstatus, IdEstatus);
+    }
+    assert.equal(actualizacion(), undefined);
+    assert.deepEqual(historial(), []);
+});
+
+test('cada campo modificado se actualiza y deja su propia fila en Historial; los que no cambian se ignoran', async () => {
+    estatus = ESTATUS_REVISTA.REVISADA;
+
+    const respuesta = await editar({
+        placaDelanteraVer: false, observaciones: ' Parabrisas estrellado ', tieneAire: 0, motivo: 'Error de captura'
+    });
+
+    assert.equal(respuesta.status, 200);
+    assert.deepEqual(respuesta.body.data.cambios.map(({ campo, anterior, nuevo }) => [campo, anterior, nuevo]), [
+        ['placaDelanteraVer', 1, 0],
+        ['observaciones', 'Sin observaciones', 'Parabrisas estrellado']
+    ]);
+    const { consulta, parametros } = actualizacion();
+    assert.ok(consulta.includes('[PlacaDelanteraVer] = @valor0, [Observaciones] = @valor1'));
+    assert.equal(consulta.includes('TieneAire'), false);
+    assert.equal(parametros.estatus, ESTATUS_REVISTA.REVISADA);
+    assert.deepEqual(historial().map(({ idOperacion, campo, valorAnterior, valorNuevo, motivo, estatus: estatusFila }) => (
+        [idOperacion, campo, valorAnterior, valorNuevo, motivo, estatusFila]
+    )), [
+        [OPERACIONES_REVISTA.EDICION, 'placaDelanteraVer', '1', '0', 'Error de captura', ESTATUS_REVISTA.REVISADA],
+        [OPERACIONES_REVISTA.EDICION, 'observaciones', 'Sin observaciones', 'Parabrisas estrellado', 'Error de captura', ESTATUS_REVISTA.REVISADA]
+    ]);
+    // Ningún dato de puntuación cambió: no se recalcula
+    assert.equal(respuesta.body.data.puntuacion, undefined);
+});
+
+test('cambiar un dato de puntuación recalcula Puntuacion y ClasificacionId y los registra como cambios', async () => {
+    const respuesta = await editar({ modeloId: 2, puntuacion: 55, clasificacionId: 2 });
+
+    assert.equal(respuesta.status, 200);
+    assert.equal(respuesta.body.data.puntuacion, 55);
+    assert.equal(respuesta.body.data.clasificacionId, 2);
+    assert.equal(respuesta.body.data.clasificacion, 'Selecto');
+    const { consulta, parametros } = actualizacion();
+    assert.ok(consulta.includes('[ModeloId] = @valor0, [Puntuacion] = @valor1, [ClasificacionId] = @valor2'));
+    assert.deepEqual([parametros.valor0, parametros.valor1, parametros.valor2], [2, 55, 2]);
+    assert.deepEqual(historial().map(({ campo, valorAnterior, valorNuevo }) => [campo, valorAnterior, valorNuevo]), [
+        ['modeloId', '1', '2'],
+        ['puntuacion', '35', '55'],
+        ['clasificacionId', '1', '2']
+    ]);
+});
+
+test('si la puntuación esperada por el cliente no coincide con la recalculada no se guarda nada', async () => {
+    const respuesta = await editar({ modeloId: 2, puntuacion: 35 });
+
+    assert.equal(respuesta.status, 422);
+    assert.deepEqual(respuesta.body.diferencias.map(item => item.campo), ['puntuacion']);
+    assert.equal(actualizacion(), undefined);
+    assert.deepEqual(historial(), []);
+});
+
+test('sin cambios reales no se escribe en la base de datos', async () => {
+    const respuesta = await editar({ observaciones: 'Sin observaciones', modeloId: 1 });
+
+    assert.equal(respuesta.status, 200);
+    assert.deepEqual(respuesta.body.data.cambios, []);
+    assert.equal(actualizacion(), undefined);
+});
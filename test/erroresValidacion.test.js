@@ -0,0 +1,84 @@
+/**
+ * @file erroresValidacion.test.js
+ * @description Los 400 de los servicios de reportes tienen el formato del middleware validar:
+ *              `{ error: 'Validación fallida', errores: [{ campo, ubicacion, mensaje }] }`.
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { CLAVE, responderAutenticacion } = require('./helpers/autenticacion');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const reporteService = require('../src/services/reporteService');
+const app = require('../app');
+
+beforeEach(() => {
+    baseDatos.consultas = [];
+    baseDatos.responder = consulta => responderAutenticacion(consulta) || {};
+});
+
+/**
+ * Indica si se intentó guardar algo en la base de datos, aparte del registro de la solicitud en api_logs.
+ * @returns {boolean} `true` si hubo un INSERT.
+ */
+function seGuardo() {
+    return baseDatos.consultas.some(({ consulta }) => consulta.includes('INSERT INTO') && !consulta.includes('api_logs'));
+}
+
+test('prepararParametros reporta las columnas desconocidas con campo, ubicación y columnas válidas', () => {
+    const result = reporteService.prepararParametros({ fechaInicio: '2026-10-01', fechaFin: '2026-10-31', columnas: 'Placa,Color,Sabor' });
+
+    assert.equal(result.status, 400);
+    assert.equal(result.message, 'Validación fallida');
+    assert.deepEqual(result.errores, [{ campo: 'columnas', ubicacion: 'query', mensaje: 'Columnas desconocidas: Color, Sabor' }]);
+    assert.ok(result.columnasValidas.includes('Placa'));
+});
+
+test('prepararParametros usa la ubicación indicada para los parámetros del cuerpo', () => {
+    const formato = reporteService.prepararParametros({ fechaInicio: '2026-10-01', fechaFin: '2026-10-31', format: 'docx' }, null, 'body');
+    const fecha = reporteService.prepararParametros({ fechaInicio: '2026-10-01', fechaFin: '31-10-2026' }, null, 'body');
+
+    assert.deepEqual(formato.errores.map(({ campo, ubicacion }) => ({ campo, ubicacion })), [{ campo: 'format', ubicacion: 'body' }]);
+    assert.deepEqual(fecha.errores, [{ campo: 'fechaFin', ubicacion: 'body', mensaje: 'Debe estar en formato DD/MM/YYYY o YYYY-MM-DD' }]);
+});
+
+test('una programación con una expresión cron inválida responde 400 con el formato de validación', async () => {
+    const respuesta = await request(app)
+        .post('/api/reportes/programaciones')
+        .set('Authorization', `Bearer ${CLAVE}`)
+        .send({ nombre: 'Diario', cron: 'cada lunes', ventana: 'dia_anterior', format: 'csv', entrega: 'directorio' });
+
+    assert.equal(respuesta.status, 400);
+    assert.equal(respuesta.body.error, 'Validación fallida');
+    assert.equal(respuesta.body.errores.length, 1);
+    assert.equal(respuesta.body.errores[0].campo, 'cron');
+    assert.equal(respuesta.body.errores[0].ubicacion, 'body');
+    assert.match(respuesta.body.errores[0].mensaje, /^Expresión cron inválida/);
+    assert.equal(seGuardo(), false);
+});
+
+test('una programación por correo sin destinatarios responde 400 en el campo destinatarios', async () => {
+    const respuesta = await request(app)
+        .post('/api/reportes/programaciones')
+        .set('Authorization', `Bearer ${CLAVE}`)
+        .send({ nombre: 'Diario', cron: '0 7 * * *', ventana: 'dia_anterior', format: 'csv', entrega: 'correo' });
+
+    assert.equal(respuesta.status, 400);
+    assert.deepEqual(respuesta.body, {
+        error: 'Validación fallida',
+        errores: [{ campo: 'destinatarios', ubicacion: 'body', mensaje: 'Se requieren destinatarios para la entrega por correo' }]
+    });
+});
+
+test('una plantilla con columnas de otro reporte responde 400 con las columnas válidas de su tipo', async () => {
+    const respuesta = await request(app)
+        .post('/api/reportes/plantillas')
+        .set('Authorization', `Bearer ${CLAVE}`)
+        .send({ nombre: 'Inspectores', tipoReporte: 'inspectores', columnas: [{ clave: 'Inspector' }, { clave: 'Placa' }] });
+
+    assert.equal(respuesta.status, 400);
+    assert.equal(respuesta.body.error, 'Validación fallida');
+    assert.deepEqual(respuesta.body.errores, [{ campo: 'columnas', ubicacion: 'body', mensaje: 'Columnas desconocidas: Placa' }]);
+    assert.ok(respuesta.body.columnasValidas.includes('Inspecciones'));
+    assert.equal(respuesta.body.columnasValidas.includes('Placa'), false);
+    assert.equal(seGuardo(), false);
+});
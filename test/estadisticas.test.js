@@ -0,0 +1,75 @@
+/**
+ * @file estadisticas.test.js
+ * @description Estadísticas de inspecciones: elementos reprobados del checklist con la misma regla en esItemReprobado
+ *              (segunda revisión) y en dbService.obtenerEstadisticasRevistas, y aprobadas y rechazadas contadas por estatus.
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { test, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dbService = require('../src/services/dbService');
+const puntuacionService = require('../src/services/puntuacionService');
+const estadisticaService = require('../src/services/estadisticaService');
+const { CHECKLIST_REVISTA, esItemReprobado } = require('../src/config/checklistRevista');
+const { ESTATUS_REVISTA } = require('../src/config/estatusRevista');
+
+const NIVEL = CHECKLIST_REVISTA.find(item => item.campo === 'defensasVer');
+const BIT = CHECKLIST_REVISTA.find(item => item.campo === 'placaDelanteraVer');
+
+test('solo el valor 1 aprueba un elemento, sea bit o nivel; sin dato no se reprueba', () => {
+    assert.deepEqual([0, 1, 2].map(valor => esItemReprobado(NIVEL, valor)), [true, false, true]);
+    assert.deepEqual([0, 1, true, false].map(valor => esItemReprobado(BIT, valor)), [true, false, false, true]);
+    assert.equal(esItemReprobado(NIVEL, null), false);
+});
+
+test('las estadísticas cuentan como reprobado todo valor distinto de 1, también el 0 (No tiene) de un nivel', async () => {
+    baseDatos.consultas = [];
+    baseDatos.responder = consulta => {
+        if (!consulta.includes('AS [Mal_')) return {};
+        const checklist = Object.fromEntries(CHECKLIST_REVISTA.flatMap(item => [[`Mal_${item.campo}`, 0], [`Evaluadas_${item.campo}`, 0]]));
+        const recordsets = [[{ Inspecciones: 0, Aprobadas: 0 }], [], [], [], [], [], [checklist], []];
+        return { recordset: recordsets[0], recordsets };
+    };
+
+    await dbService.obtenerEstadisticasRevistas('10/01/2026', '10/31/2026');
+
+    const { consulta } = baseDatos.consultas.find(({ consulta }) => consulta.includes('AS [Mal_'));
+    assert.match(consulta, /SUM\(CASE WHEN rv\.\[DefensasVer\] <> 1 THEN 1 ELSE 0 END\) AS \[Mal_defensasVer\]/);
+    assert.match(consulta, /SUM\(CASE WHEN rv\.\[PlacaDelanteraVer\] <> 1 THEN 1 ELSE 0 END\) AS \[Mal_placaDelanteraVer\]/);
+    assert.match(consulta, /SUM\(CASE WHEN rv\.\[HerramientaVer\] <> 1 THEN 1 ELSE 0 END\) AS \[Mal_herramientasVer\]/);
+});
+
+test('aprobadas y rechazadas se cuentan por estatus y no por el bit Aprobado que captura el inspector', async () => {
+    mock.method(puntuacionService, 'obtenerCatalogosPuntuacion', async () => ({ Clasificacion: [] }));
+    after(() => mock.restoreAll());
+    // El bit Aprobado contradice al estatus en todas menos la capturada
+    const revistas = [
+        { IdEstatus: ESTATUS_REVISTA.APROBADA, Aprobado: 0 },
+        { IdEstatus: ESTATUS_REVISTA.IMPRESA, Aprobado: 0 },
+        { IdEstatus: ESTATUS_REVISTA.RECHAZADA, Aprobado: 1 },
+        { IdEstatus: ESTATUS_REVISTA.CAPTURADA, Aprobado: 1 },
+        { IdEstatus: ESTATUS_REVISTA.CANCELADA, Aprobado: 1 }
+    ];
+    baseDatos.consultas = [];
+    baseDatos.responder = (consulta, parametros) => {
+        if (!consulta.includes('AS [Mal_')) return {};
+        const aprobadas = [parametros.estatusAprobada, parametros.estatusImpresa];
+        const totales = {
+            Inspecciones: revistas.length,
+            Aprobadas: revistas.filter(item => aprobadas.includes(item.IdEstatus)).length,
+            Rechazadas: revistas.filter(item => item.IdEstatus === parametros.estatusRechazada).length,
+            PuntuacionPromedio: null
+        };
+        const recordsets = [[totales], [], [], [], [], [], [{}], []];
+        return { recordset: recordsets[0], recordsets };
+    };
+
+    const result = await estadisticaService.obtenerEstadisticasRevistas({ fechaInicio: '2026-10-01', fechaFin: '2026-10-31' });
+
+    const { consulta } = baseDatos.consultas.find(({ consulta }) => consulta.includes('AS [Mal_'));
+    assert.match(consulta, /rv\.IdEstatus IN \(@estatusAprobada, @estatusImpresa\)/);
+    assert.equal(consulta.includes('rv.Aprobado'), false);
+    // La tasa es sobre las resueltas: 2 de 3
+    assert.deepEqual(result.data.resumen, {
+        inspecciones: 5, aprobadas: 2, reprobadas: 1, sinResolver: 2, tasaAprobacion: 66.67, puntuacionPromedio: null
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * @file estatusRevista.test.js
+ * @description Flujo de estatus de la revista vehicular: tabla de transiciones (src/config/estatusRevista.js),
+ *              capacidad requerida por transición, bloqueo optimista y registro en Historial
+ *              (POST /api/revista/:idRV/estatus).
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { CLAVE, responderAutenticacion } = require('./helpers/autenticacion');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { CAPACIDADES } = require('../src/config/permisos');
+const { ESTATUS_REVISTA, OPERACIONES_REVISTA, obtenerTransicion, transicionesDesde } = require('../src/config/estatusRevista');
+const app = require('../app');
+
+const { CAPTURADA, IMPRESA, REVISADA, APROBADA, RECHAZADA, CANCELADA } = ESTATUS_REVISTA;
+
+/** Perfiles del usuario de la clave de prueba (2 = Inspector, 1 = Administrador). */
+let perfiles;
+/** Estatus de la revista 15 en RevistaVehicular. */
+let estatus;
+/** Estatus al que otra solicitud cambia la revista entre la lectura y la actualización, si se indica. */
+let cambioSimultaneo;
+
+beforeEach(() => {
+    perfiles = [1];
+    estatus = CAPTURADA;
+    cambioSimultaneo = null;
+    baseDatos.consultas = [];
+    baseDatos.responder = (consulta, parametros) => {
+        const autenticacion = responderAutenticacion(consulta, { perfiles });
+        if (autenticacion) return autenticacion;
+        if (consulta.includes('SELECT IdEstatus, Folio')) {
+            return { recordset: parametros.idRevistaVehicular === 15 ? [{ IdEstatus: estatus, Folio: null }] : [] };
+        }
+        if (consulta.includes('SET IdEstatus = @estatusNuevo')) {
+            if (cambioSimultaneo) estatus = cambioSimultaneo;
+            if (estatus !== parametros.estatusAnterior) return { rowsAffected: [0] };
+            estatus = parametros.estatusNuevo;
+            return { rowsAffected: [1] };
+        }
+        return {};
+    };
+});
+
+/**
+ * Solicita un cambio de estatus de la revista 15.
+ * @param {number} nuevo - Estatus destino.
+ * @param {string} [motivo] - Motivo del cambio.
+ * @returns {Promise<Object>} Respuesta de supertest.
+ */
+const cambiarEstatus = (nuevo, motivo) => request(app)
+    .post('/api/revista/15/estatus')
+    .set('Authorization', `Bearer ${CLAVE}`)
+    .send({ estatus: nuevo, ...(motivo ? { motivo } : {}) });
+
+/**
+ * Filas insertadas en [RevistaVehicular].[Historial].
+ * @returns {Array<Object>} Parámetros de cada INSERT.
+ */
+const historial = () => baseDatos.consultas
+    .filter(({ consulta }) => consulta.includes('INSERT INTO') && consulta.includes('[RevistaVehicular].[Historial]'))
+    .map(({ parametros }) => parametros);
+
+test('la tabla de transiciones solo permite el flujo capturada → revisada → aprobada/rechazada → impresa y la cancelación', () => {
+    const permitidas = {
+        [CAPTURADA]: [REVISADA, CANCELADA],
+        [REVISADA]: [APROBADA, RECHAZADA, CANCELADA],
+        [APROBADA]: [IMPRESA, CANCELADA],
+        [RECHAZADA]: [CANCELADA],
+        [IMPRESA]: [CANCELADA],
+        [CANCELADA]: []
+    };
+    const todos = Object.values(ESTATUS_REVISTA);
+
+    for (const de of todos) {
+        assert.deepEqual(transicionesDesde(de).map(item => item.a).sort(), [...permitidas[de]].sort(), `desde ${de}`);
+        for (const a of todos) {
+            assert.equal(Boolean(obtenerTransicion(de, a)), permitidas[de].includes(a), `${de} → ${a}`);
+        }
+    }
+});
+
+test('cada transición exige su capacidad y solo el rechazo y la cancelación exigen motivo', () => {
+    const casos = [
+        [CAPTURADA, REVISADA, CAPACIDADES.INSPECCIONAR, false],
+        [REVISADA, APROBADA, CAPACIDADES.SUPERVISAR, false],
+        [REVISADA, RECHAZADA, CAPACIDADES.SUPERVISAR, true],
+        [APROBADA, IMPRESA, CAPACIDADES.IMPRIMIR, false],
+        [IMPRESA, CANCELADA, CAPACIDADES.SUPERVISAR, true]
+    ];
+    for (const [de, a, capacidad, requiereMotivo] of casos) {
+        assert.deepEqual(obtenerTransicion(de, a), { de, a, capacidad, requiereMotivo });
+    }
+});
+
+test('un inspector puede marcar la revista como revisada pero no aprobarla', async () => {
+    perfiles = [2];
+
+    const revisada = await cambiarEstatus(REVISADA);
+    const aprobada = await cambiarEstatus(APROBADA);
+
+    assert.equal(revisada.status, 200);
+    assert.equal(revisada.body.data.estatusNuevo.idEstatus, REVISADA);
+    assert.equal(aprobada.status, 403);
+    assert.equal(aprobada.body.requerido, CAPACIDADES.SUPERVISAR);
+    assert.equal(estatus, REVISADA);
+    assert.equal(historial().length, 1);
+});
+
+test('una transición fuera de la tabla responde 409 con los estatus permitidos', async () => {
+    const respuesta = await cambiarEstatus(IMPRESA);
+
+    assert.equal(respuesta.status, 409);
+    assert.equal(respuesta.body.estatusActual.idEstatus, CAPTURADA);
+    assert.deepEqual(respuesta.body.permitidos.map(item => item.idEstatus).sort(), [REVISADA, CANCELADA].sort());
+    assert.equal(estatus, CAPTURADA);
+    assert.deepEqual(historial(), []);
+});
+
+test('rechazar sin motivo responde 400 sin cambiar el estatus', async () => {
+    estatus = REVISADA;
+
+    const respuesta = await cambiarEstatus(RECHAZADA);
+
+    assert.equal(respuesta.status, 400);
+    assert.deepEqual(respuesta.body.errores.map(item => item.campo), ['motivo']);
+    assert.equal(estatus, REVISADA);
+});
+
+test('si otra solicitud cambia el estatus entre la lectura y la actualización se responde 409 sin escribir el historial', async () => {
+    estatus = REVISADA;
+    cambioSimultaneo = RECHAZADA;
+
+    const respuesta = await cambiarEstatus(APROBADA);
+
+    assert.equal(respuesta.status, 409);
+    assert.match(respuesta.body.error, /cambió de estatus/);
+    assert.equal(estatus, RECHAZADA);
+    assert.deepEqual(historial(), []);
+});
+
+test('cada cambio de estatus escribe en Historial el estatus anterior, el nuevo, el usuario y el motivo', async () => {
+    estatus = REVISADA;
+
+    const respuesta = await cambiarEstatus(RECHAZADA, 'Llantas lisas');
+
+    assert.equal(respuesta.status, 200);
+    const [fila] = historial();
+    assert.equal(fila.idRevistaVehicular, 15);
+    assert.equal(fila.idOperacion, OPERACIONES_REVISTA.CAMBIO_ESTATUS);
+    assert.equal(fila.idUsuario, 7);
+    assert.equal(fila.estatusAnterior, REVISADA);
+    assert.equal(fila.estatusNuevo, RECHAZADA);
+    assert.equal(fila.motivo, 'Llantas lisas');
+});
@@ -0,0 +1,151 @@
+/**
+ * @file folios.test.js
+ * @description Series de folios (folioService): emisión del siguiente folio, salto de folios, anulación con su
+ *              registro en Historial y conciliación.
+ */
+const { baseDatos, pool } = require('./helpers/baseDatos');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { OPERACIONES_REVISTA } = require('../src/config/estatusRevista');
+const folioService = require('../src/services/folioService');
+
+/** Serie en memoria y tabla [RevistaVehicular].[Folio]. */
+let serie;
+let folios;
+
+beforeEach(() => {
+    serie = { IdSerie: 1, IdDelegacion: 3, Prefijo: 'F-', Longitud: 6, Siguiente: 8, FolioFinal: 10 };
+    folios = [
+        { Folio: 'F-000006', Estatus: 'anulado', IdRevistaVehicular: null },
+        { Folio: 'F-000007', Estatus: 'usado', IdRevistaVehicular: 15 }
+    ];
+    baseDatos.consultas = [];
+    baseDatos.responder = (consulta, parametros) => {
+        if (consulta.includes('UPDATE s SET Siguiente = s.Siguiente + 1')) {
+            if (parametros.idDelegacion !== serie.IdDelegacion || serie.Siguiente > serie.FolioFinal) return { recordset: [] };
+            serie.Siguiente += 1;
+            return { recordset: [{ IdSerie: serie.IdSerie, Numero: serie.Siguiente - 1, Prefijo: serie.Prefijo, Longitud: serie.Longitud }] };
+        }
+        if (consulta.includes('UPDATE s SET Siguiente = s.Siguiente + @cantidad')) {
+            if (parametros.idSerie !== serie.IdSerie || serie.Siguiente + parametros.cantidad - 1 > serie.FolioFinal) return { recordset: [] };
+            serie.Siguiente += parametros.cantidad;
+            return { recordset: [{ Desde: serie.Siguiente - parametros.cantidad, Prefijo: serie.Prefijo, Longitud: serie.Longitud }] };
+        }
+        if (consulta.includes('INSERT INTO') && consulta.includes('[RevistaVehicular].[Folio]')) {
+            const estatus = consulta.includes("'usado'") ? 'usado' : 'anulado';
+            folios.push({ Folio: parametros.folio, Estatus: estatus, IdRevistaVehicular: parametros.idRevistaVehicular ?? null });
+            return { rowsAffected: [1] };
+        }
+        if (consulta.includes('OUTPUT deleted.Estatus, deleted.IdRevistaVehicular')) {
+            const folio = folios.find(item => item.Folio === parametros.folio && item.Estatus !== 'anulado');
+            if (!folio) return { recordset: [], rowsAffected: [0] };
+            const anterior = { Estatus: folio.Estatus, IdRevistaVehicular: folio.IdRevistaVehicular };
+            folio.Estatus = 'anulado';
+            return { recordset: [anterior], rowsAffected: [1] };
+        }
+        if (consulta.includes('SELECT Estatus FROM')) {
+            return { recordset: folios.filter(item => item.Folio === parametros.folio).map(({ Estatus }) => ({ Estatus })) };
+        }
+        return {};
+    };
+});
+
+/**
+ * Filas insertadas en [RevistaVehicular].[Historial].
+ * @returns {Array<Object>} Parámetros de cada INSERT.
+ */
+const historial = () => baseDatos.consultas
+    .filter(({ consulta }) => consulta.includes('INSERT INTO') && consulta.includes('[RevistaVehicular].[Historial]'))
+    .map(({ parametros }) => parametros);
+
+test('el folio emitido es el siguiente número de la serie con prefijo y ceros, y se registra como usado', async () => {
+    const transaction = pool.transaction();
+
+    const primero = await folioService.asignarFolio(transaction, 3, 20, 7);
+    const segundo = await folioService.asignarFolio(transaction, 3, 21, 7);
+
+    assert.deepEqual(primero, { folio: 'F-000008', idSerie: 1, numero: 8 });
+    assert.equal(segundo.folio, 'F-000009');
+    assert.deepEqual(folios.slice(-2), [
+        { Folio: 'F-000008', Estatus: 'usado', IdRevistaVehicular: 20 },
+        { Folio: 'F-000009', Estatus: 'usado', IdRevistaVehicular: 21 }
+    ]);
+});
+
+test('sin folios disponibles en la delegación se responde 409 sin registrar folio', async () => {
+    serie.Siguiente = 11;
+
+    const agotada = await folioService.asignarFolio(pool.transaction(), 3, 20, 7);
+    const otraDelegacion = await folioService.asignarFolio(pool.transaction(), 4, 20, 7);
+
+    assert.equal(agotada.status, 409);
+    assert.equal(otraDelegacion.status, 409);
+    assert.match(otraDelegacion.message, /delegación 4/);
+    assert.equal(folios.length, 2);
+});
+
+test('saltar folios los registra como anulados y avanza la serie', async () => {
+    const result = await folioService.saltarFolios(1, 2, 'Formas dañadas', 7);
+
+    assert.deepEqual(result.data.folios, ['F-000008', 'F-000009']);
+    assert.equal(serie.Siguiente, 10);
+    assert.deepEqual(folios.slice(-2).map(item => item.Estatus), ['anulado', 'anulado']);
+});
+
+test('no se saltan más folios de los que quedan en la serie', async () => {
+    const result = await folioService.saltarFolios(1, 4, 'Formas dañadas', 7);
+
+    assert.equal(result.status, 409);
+    assert.equal(serie.Siguiente, 8);
+    assert.equal(folios.length, 2);
+});
+
+test('anular un folio usado lo registra en el historial de su revista', async () => {
+    const result = await folioService.anularFolio('F-000007', 'Forma manchada', 7);
+
+    assert.deepEqual(result, { data: { folio: 'F-000007', idRV: 15 }, returnValue: 0 });
+    assert.equal(folios[1].Estatus, 'anulado');
+    const [fila] = historial();
+    assert.equal(fila.idRevistaVehicular, 15);
+    assert.equal(fila.idOperacion, OPERACIONES_REVISTA.ANULACION_FOLIO);
+    assert.equal(fila.idUsuario, 7);
+    assert.equal(fila.motivo, 'Folio F-000007 anulado: Forma manchada');
+});
+
+test('anular un folio ya anulado responde 409 y uno inexistente 404, sin escribir el historial', async () => {
+    const anulado = await folioService.anularFolio('F-000006', 'Otra vez', 7);
+    const inexistente = await folioService.anularFolio('F-999999', 'No existe', 7);
+
+    assert.equal(anulado.status, 409);
+    assert.equal(inexistente.status, 404);
+    assert.deepEqual(historial(), []);
+});
+
+test('la conciliación resume cada serie y devuelve anulados, huecos e inconsistencias', async () => {
+    const anulados = [{ Folio: 'F-000006', IdRevistaVehicular: null, IdUsuario: 7, Motivo: 'Formas dañadas', Fecha: new Date() }];
+    const huecos = [{ IdSerie: 1, Desde: 3, Hasta: 4 }];
+    const inconsistencias = [{ Folio: 'F-000005', IdRevistaVehicular: 12, FolioRevista: 'F-000009' }];
+    baseDatos.responder = () => ({
+        recordsets: [
+            [
+                { IdSerie: 1, IdDelegacion: 3, Prefijo: 'F-', Longitud: 6, FolioInicial: 1, FolioFinal: 10, Siguiente: 8, Activa: 1, Emitidos: 5, Usados: 4, Anulados: 1 },
+                { IdSerie: 2, IdDelegacion: 3, Prefijo: 'G-', Longitud: 4, FolioInicial: 1, FolioFinal: 50, Siguiente: 51, Activa: 0, Emitidos: 0, Usados: null, Anulados: null }
+            ],
+            anulados,
+            huecos,
+            inconsistencias
+        ]
+    });
+
+    const result = await folioService.obtenerConciliacionFolios({ idDelegacion: 3, fechaInicio: '2026-10-01', fechaFin: '2026-10-31' });
+
+    assert.deepEqual(result.data.series, [
+        { idSerie: 1, idDelegacion: 3, prefijo: 'F-', rango: 'F-000001 - F-000010', activa: true, emitidos: 5, usados: 4, anulados: 1, disponibles: 3 },
+        { idSerie: 2, idDelegacion: 3, prefijo: 'G-', rango: 'G-0001 - G-0050', activa: false, emitidos: 0, usados: 0, anulados: 0, disponibles: 0 }
+    ]);
+    assert.deepEqual(result.data.anulados, anulados);
+    assert.deepEqual(result.data.huecos, huecos);
+    assert.deepEqual(result.data.inconsistencias, inconsistencias);
+    const { parametros } = baseDatos.consultas.at(-1);
+    assert.deepEqual([parametros.idDelegacion, parametros.fechaInicio, parametros.fechaFin], [3, '2026-10-01', '2026-10-31']);
+});
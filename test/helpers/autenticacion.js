@@ -0,0 +1,36 @@
+/**
+ * @file autenticacion.js
+ * @description Respuestas de la base de datos falsa para autenticar solicitudes con una clave API (Bearer):
+ *              la validación de la clave en api_keys y los perfiles del dueño en dUserProfiles.
+ */
+
+/** Clave API que aceptan las pruebas en la cabecera Authorization. */
+const CLAVE = 'clave-de-prueba';
+
+/** Usuario dueño de la clave. */
+const USUARIO = { id: 7, name: 'Usuario de Prueba', username: 'prueba', level: 1 };
+
+/**
+ * Responde las consultas de autenticación; las demás quedan a cargo de quien llama.
+ * @function responderAutenticacion
+ * @param {string} consulta - Texto de la consulta.
+ * @param {Object} [opciones] - Perfiles del usuario y nivel de la clave.
+ * @param {Array<number>} [opciones.perfiles=[1]] - ProfileID del usuario (1 = Administrador).
+ * @param {number} [opciones.nivel=4] - Nivel de la clave API.
+ * @returns {Object|undefined} Respuesta para la base de datos falsa, o undefined si la consulta no es de autenticación.
+ */
+function responderAutenticacion(consulta, { perfiles = [1], nivel = 4 } = {}) {
+    if (consulta.includes('FROM [dbo].[api_keys] k')) {
+        return { recordset: [{ ...USUARIO, api_key_level: nivel, api_key_id: 1, api_key_nombre: 'Pruebas', api_key_scopes: null }] };
+    }
+    if (consulta.includes('[dbo].[dUserProfiles]')) {
+        return { recordset: perfiles.map(ProfileID => ({ ProfileID })) };
+    }
+    return undefined;
+}
+
+module.exports = {
+    CLAVE,
+    USUARIO,
+    responderAutenticacion
+};
@@ -0,0 +1,77 @@
+/**
+ * @file baseDatos.js
+ * @description Reemplaza los pools de src/config/db, dbVehicle y dbUsers por uno en memoria para que las pruebas
+ *              no se conecten a SQL Server. Debe cargarse antes que cualquier módulo de src. Cada consulta,
+ *              procedimiento o lote se registra en `baseDatos.consultas` y se resuelve con `baseDatos.responder`.
+ */
+const path = require('path');
+
+process.env.SESSION_STORE = 'memory';
+
+/**
+ * @constant baseDatos
+ * @description Estado de la base de datos falsa: consultas recibidas y función que decide la respuesta
+ *              a partir del texto de la consulta (o el nombre del procedimiento) y sus parámetros.
+ */
+const baseDatos = {
+    consultas: [],
+    responder: () => ({})
+};
+
+/**
+ * Completa una respuesta con los campos que devuelve mssql.
+ * @function resultado
+ * @param {Object} respuesta - Respuesta parcial de `baseDatos.responder`.
+ * @returns {Object} Resultado con `recordset`, `recordsets`, `rowsAffected` y `returnValue`.
+ */
+function resultado(respuesta = {}) {
+    const recordset = respuesta.recordset || [];
+    return { recordset, recordsets: [recordset], rowsAffected: [recordset.length], returnValue: 0, ...respuesta };
+}
+
+/**
+ * Crea una solicitud con la interfaz de mssql (input, query, execute, batch).
+ * @function crearRequest
+ * @returns {Object} Solicitud falsa.
+ */
+function crearRequest() {
+    const parametros = {};
+    const ejecutar = async consulta => {
+        baseDatos.consultas.push({ consulta, parametros });
+        return resultado(await baseDatos.responder(consulta, parametros));
+    };
+    const request = {
+        input(nombre, tipo, valor) {
+            parametros[nombre] = valor === undefined ? tipo : valor;
+            return request;
+        },
+        query: ejecutar,
+        execute: ejecutar,
+        batch: ejecutar
+    };
+    return request;
+}
+
+const pool = {
+    connected: true,
+    request: crearRequest,
+    transaction() {
+        const transaccion = {
+            begin: async () => transaccion,
+            commit: async () => {},
+            rollback: async () => {},
+            request: crearRequest
+        };
+        return transaccion;
+    }
+};
+
+for (const modulo of ['db', 'dbVehicle', 'dbUsers']) {
+    const archivo = require.resolve(path.join(__dirname, '..', '..', 'src', 'config', modulo));
+    require.cache[archivo] = { id: archivo, filename: archivo, loaded: true, exports: Promise.resolve(pool) };
+}
+
+module.exports = {
+    baseDatos,
+    pool
+};
@@ -0,0 +1,243 @@
+/**
+ * @file impresionRevista.test.js
+ * @description Impresión, reimpresión y cancelación de revistas vehiculares con sus folios (POST /api/revista/imprimir,
+ *              /revista/:idRV/reimprimir y /revista/:idRV/cancelar): impresión idempotente, estatus que no se pueden
+ *              imprimir, folio devuelto a la serie si la impresión falla y folio nuevo al reimprimir.
+ */
+const { baseDatos, pool } = require('./helpers/baseDatos');
+const { CLAVE, responderAutenticacion } = require('./helpers/autenticacion');
+const { test, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { ESTATUS_REVISTA, OPERACIONES_REVISTA } = require('../src/config/estatusRevista');
+const app = require('../app');
+
+/** Tablas en memoria: RevistaVehicular (IdEstatus y Folio por ID), Folio y la serie de la delegación 3. */
+let revistas;
+let folios;
+let serie;
+/** Hace fallar el INSERT en Historial, como un error de la base de datos a mitad de la transacción. */
+let fallaHistorial;
+
+before(() => {
+    // Las transacciones de la base de datos falsa no revierten nada: esta restaura las tablas en memoria
+    const transaccionOriginal = pool.transaction;
+    mock.method(pool, 'transaction', () => {
+        const transaccion = transaccionOriginal.call(pool);
+        let copia;
+        transaccion.begin = async () => {
+            copia = structuredClone({ revistas, folios, serie });
+            return transaccion;
+        };
+        transaccion.rollback = async () => {
+            ({ revistas, folios, serie } = copia);
+        };
+        return transaccion;
+    });
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+    fallaHistorial = false;
+    revistas = new Map([[15, { IdEstatus: ESTATUS_REVISTA.IMPRESA, Folio: 'F-000007' }]]);
+    folios = [{ Folio: 'F-000007', Estatus: 'usado', IdRevistaVehicular: 15, Motivo: null }];
+    serie = { IdSerie: 1, IdDelegacion: 3, Prefijo: 'F-', Longitud: 6, Siguiente: 8, FolioFinal: 10 };
+    baseDatos.consultas = [];
+    baseDatos.responder = (consulta, parametros) => {
+        const autenticacion = responderAutenticacion(consulta);
+        if (autenticacion) return autenticacion;
+        const revista = revistas.get(parametros.idRevistaVehicular);
+        if (consulta.includes('SELECT IdEstatus, Folio')) return { recordset: revista ? [{ ...revista }] : [] };
+        if (consulta.includes('SET IdEstatus = @estatusNuevo')) {
+            if (!revista || revista.IdEstatus !== parametros.estatusAnterior) return { rowsAffected: [0] };
+            revista.IdEstatus = parametros.estatusNuevo;
+            return { rowsAffected: [1] };
+        }
+        if (consulta.includes('SELECT Folio FROM') && consulta.includes('[dbo].[RevistaVehicular]')) {
+            const vigente = revista && (parametros.estatus === undefined || revista.IdEstatus === parametros.estatus);
+            return { recordset: vigente ? [{ Folio: revista.Folio }] : [] };
+        }
+        if (consulta.includes('SET Folio = @folio')) {
+            revista.Folio = parametros.folio;
+            return { rowsAffected: [1] };
+        }
+        if (consulta.includes("SET Estatus = 'anulado'") && consulta.includes("Estatus = 'usado'")) {
+            const folio = folios.find(item => item.Folio === parametros.folio && item.Estatus === 'usado');
+            if (folio) Object.assign(folio, { Estatus: 'anulado', Motivo: parametros.motivo });
+            return { rowsAffected: [folio ? 1 : 0] };
+        }
+        if (consulta.includes('UPDATE s SET Siguiente = s.Siguiente + 1')) {
+            if (parametros.idDelegacion !== serie.IdDelegacion || serie.Siguiente > serie.FolioFinal) return { recordset: [] };
+            serie.Siguiente += 1;
+            return { recordset: [{ IdSerie: serie.IdSerie, Numero: serie.Siguiente - 1, Prefijo: serie.Prefijo, Longitud: serie.Longitud }] };
+        }
+        if (consulta.includes('INSERT INTO') && consulta.includes('[RevistaVehicular].[Folio]')) {
+            folios.push({ Folio: parametros.folio, Estatus: 'usado', IdRevistaVehicular: parametros.idRevistaVehicular, Motivo: null });
+            return { rowsAffected: [1] };
+        }
+        if (consulta.includes('INSERT INTO') && consulta.includes('[RevistaVehicular].[Historial]') && fallaHistorial) {
+            throw new Error('Se perdió la conexión');
+        }
+        return {};
+    };
+});
+
+/**
+ * Solicitud autenticada con la clave API de prueba (administrador).
+ * @param {string} metodo - Método HTTP en minúsculas.
+ * @param {string} ruta - Ruta bajo /api.
+ * @returns {Object} Solicitud de supertest.
+ */
+const conClave = (metodo, ruta) => request(app)[metodo](`/api${ruta}`).set('Authorization', `Bearer ${CLAVE}`);
+
+/**
+ * Filas insertadas en [RevistaVehicular].[Historial].
+ * @returns {Array<Object>} Parámetros de cada INSERT.
+ */
+const historial = () => baseDatos.consultas
+    .filter(({ consulta }) => consulta.includes('INSERT INTO') && consulta.includes('[RevistaVehicular].[Historial]'))
+    .map(({ parametros }) => parametros);
+
+test('cancelar una revista impresa anula su folio y ya no permite el certificado ni otra impresión', async () => {
+    const cancelacion = await conClave('post', '/revista/15/cancelar').send({ motivo: 'Capturada con la placa equivocada' });
+
+    assert.equal(cancelacion.status, 200);
+    assert.equal(cancelacion.body.data.estatusNuevo.idEstatus, ESTATUS_REVISTA.CANCELADA);
+    assert.equal(cancelacion.body.data.folioAnulado, 'F-000007');
+    assert.deepEqual(folios[0], {
+        Folio: 'F-000007', Estatus: 'anulado', IdRevistaVehicular: 15, Motivo: 'Cancelación: Capturada con la placa equivocada'
+    });
+    const [fila] = historial();
+    assert.equal(fila.idOperacion, OPERACIONES_REVISTA.CAMBIO_ESTATUS);
+    assert.equal(fila.estatusAnterior, ESTATUS_REVISTA.IMPRESA);
+    assert.equal(fila.estatusNuevo, ESTATUS_REVISTA.CANCELADA);
+
+    const certificado = await conClave('get', '/revista/15/certificado');
+    const impresion = await conClave('post', '/revista/imprimir').send({ idRV: 15, idDelegacion: 3 });
+    const reimpresion = await conClave('post', '/revista/15/reimprimir').send({ motivo: 'Forma dañada', nuevoFolio: true, idDelegacion: 3 });
+
+    assert.equal(certificado.status, 409);
+    assert.equal(impresion.status, 409);
+    assert.equal(reimpresion.status, 409);
+    assert.match(impresion.body.error, /cancelada/);
+    // Ningún intento consumió un folio nuevo
+    assert.equal(serie.Siguiente, 8);
+    assert.equal(folios.length, 1);
+});
+
+test('cancelar una revista sin imprimir no anula ningún folio', async () => {
+    revistas.set(16, { IdEstatus: ESTATUS_REVISTA.APROBADA, Folio: null });
+
+    const cancelacion = await conClave('post', '/revista/16/cancelar').send({ motivo: 'Duplicada' });
+
+    assert.equal(cancelacion.status, 200);
+    assert.equal(cancelacion.body.data.folioAnulado, undefined);
+    assert.equal(folios[0].Estatus, 'usado');
+    assert.equal(baseDatos.consultas.some(({ consulta }) => consulta.includes("SET Estatus = 'anulado'")), false);
+});
+
+/**
+ * Registra la impresión de una revista con la serie de la delegación 3.
+ * @param {number} idRV - ID de la revista.
+ * @returns {Promise<Object>} Respuesta de supertest.
+ */
+const imprimir = idRV => conClave('post', '/revista/imprimir').send({ idRV, idDelegacion: 3 });
+
+test('imprimir una revista aprobada asigna el siguiente folio, la marca impresa y registra la impresión', async () => {
+    revistas.set(20, { IdEstatus: ESTATUS_REVISTA.APROBADA, Folio: null });
+
+    const respuesta = await imprimir(20);
+
+    assert.equal(respuesta.status, 200);
+    assert.equal(respuesta.body.data.folio, 'F-000008');
+    assert.equal(respuesta.body.data.yaImpresa, false);
+    assert.deepEqual(revistas.get(20), { IdEstatus: ESTATUS_REVISTA.IMPRESA, Folio: 'F-000008' });
+    assert.deepEqual(folios.at(-1), { Folio: 'F-000008', Estatus: 'usado', IdRevistaVehicular: 20, Motivo: null });
+    const [fila] = historial();
+    assert.equal(fila.idOperacion, OPERACIONES_REVISTA.IMPRESION);
+    assert.equal(fila.estatusAnterior, ESTATUS_REVISTA.APROBADA);
+    assert.equal(fila.estatusNuevo, ESTATUS_REVISTA.IMPRESA);
+});
+
+test('imprimir otra vez devuelve el folio asignado con yaImpresa sin consumir folio ni registrar otra impresión', async () => {
+    const respuesta = await imprimir(15);
+
+    assert.equal(respuesta.status, 200);
+    assert.equal(respuesta.body.data.yaImpresa, true);
+    assert.equal(respuesta.body.data.folio, 'F-000007');
+    assert.equal(serie.Siguiente, 8);
+    assert.deepEqual(historial(), []);
+});
+
+test('una revista cancelada responde 409 y una que no está aprobada 422', async () => {
+    revistas.set(21, { IdEstatus: ESTATUS_REVISTA.CANCELADA, Folio: null });
+    const estatusNoAprobados = [ESTATUS_REVISTA.CAPTURADA, ESTATUS_REVISTA.REVISADA, ESTATUS_REVISTA.RECHAZADA];
+    estatusNoAprobados.forEach((IdEstatus, i) => revistas.set(30 + i, { IdEstatus, Folio: null }));
+
+    const cancelada = await imprimir(21);
+    assert.equal(cancelada.status, 409);
+    for (const [i, IdEstatus] of estatusNoAprobados.entries()) {
+        const respuesta = await imprimir(30 + i);
+        assert.equal(respuesta.status, 422, `estatus ${IdEstatus}`);
+        assert.equal(respuesta.body.estatusActual.idEstatus, IdEstatus);
+    }
+    assert.equal(serie.Siguiente, 8);
+    assert.equal(folios.length, 1);
+});
+
+test('si la impresión falla a mitad de la transacción el folio vuelve a la serie y la revista sigue aprobada', async () => {
+    revistas.set(20, { IdEstatus: ESTATUS_REVISTA.APROBADA, Folio: null });
+    fallaHistorial = true;
+
+    const fallida = await imprimir(20);
+
+    assert.equal(fallida.status, 500);
+    assert.deepEqual(revistas.get(20), { IdEstatus: ESTATUS_REVISTA.APROBADA, Folio: null });
+    assert.equal(serie.Siguiente, 8);
+    assert.equal(folios.length, 1);
+
+    // El reintento recibe el mismo folio: no quedan huecos en la serie
+    fallaHistorial = false;
+    const reintento = await imprimir(20);
+    assert.equal(reintento.body.data.folio, 'F-000008');
+});
+
+test('sin folios disponibles la impresión responde 409 y la revista sigue aprobada', async () => {
+    revistas.set(20, { IdEstatus: ESTATUS_REVISTA.APROBADA, Folio: null });
+    serie.Siguiente = 11;
+
+    const respuesta = await imprimir(20);
+
+    assert.equal(respuesta.status, 409);
+    assert.match(respuesta.body.error, /No hay folios disponibles/);
+    assert.equal(revistas.get(20).IdEstatus, ESTATUS_REVISTA.APROBADA);
+});
+
+test('reimprimir con nuevoFolio anula el folio anterior, asigna uno nuevo y lo registra como reimpresión', async () => {
+    const respuesta = await conClave('post', '/revista/15/reimprimir').send({ motivo: 'Forma manchada', nuevoFolio: true, idDelegacion: 3 });
+
+    assert.equal(respuesta.status, 200);
+    assert.deepEqual(respuesta.body.data, { idRV: 15, folio: 'F-000008', folioAnterior: 'F-000007' });
+    assert.deepEqual(revistas.get(15), { IdEstatus: ESTATUS_REVISTA.IMPRESA, Folio: 'F-000008' });
+    assert.deepEqual(folios.map(({ Folio, Estatus }) => [Folio, Estatus]), [['F-000007', 'anulado'], ['F-000008', 'usado']]);
+    assert.equal(folios[0].Motivo, 'Reimpresión: Forma manchada');
+    const [fila] = historial();
+    assert.equal(fila.idOperacion, OPERACIONES_REVISTA.REIMPRESION);
+    assert.equal(fila.estatus, ESTATUS_REVISTA.IMPRESA);
+    assert.equal(fila.motivo, 'Forma manchada (folio F-000007 → F-000008)');
+});
+
+test('reimprimir sin nuevoFolio conserva el folio y reimprimir una revista no impresa responde 422', async () => {
+    revistas.set(20, { IdEstatus: ESTATUS_REVISTA.APROBADA, Folio: null });
+
+    const misma = await conClave('post', '/revista/15/reimprimir').send({ motivo: 'Copia para el concesionario' });
+    const noImpresa = await conClave('post', '/revista/20/reimprimir').send({ motivo: 'Copia' });
+
+    assert.equal(misma.status, 200);
+    assert.deepEqual(misma.body.data, { idRV: 15, folio: 'F-000007', folioAnterior: null });
+    assert.equal(folios[0].Estatus, 'usado');
+    assert.equal(serie.Siguiente, 8);
+    assert.equal(historial().length, 1);
+    assert.equal(noImpresa.status, 422);
+});
@@ -0,0 +1,121 @@
+/**
+ * @file login.test.js
+ * @description Inicio de sesión (loginService.loginUser): hash SHA-1 heredado, migración a bcrypt en
+ *              dUserPasswordHashes, BCRYPT_ELIMINAR_SHA1 y contraseña incorrecta.
+ */
+process.env.BCRYPT_ROUNDS = '4';
+const { baseDatos } = require('./helpers/baseDatos');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const loginService = require('../src/services/loginService');
+
+const PASSWORD = 'secreta';
+const SHA1 = crypto.createHash('sha1').update(PASSWORD).digest('hex');
+
+let credenciales;
+let fallaMigracion;
+
+beforeEach(() => {
+    delete process.env.BCRYPT_ELIMINAR_SHA1;
+    credenciales = { UserID: 7, PasswordLegacy: SHA1, PasswordHash: null };
+    fallaMigracion = false;
+    baseDatos.consultas = [];
+    baseDatos.responder = (consulta, parametros) => {
+        if (consulta.includes('LEFT JOIN [dbo].[dUserPasswordHashes]')) return { recordset: credenciales ? [credenciales] : [] };
+        if (consulta === 'spmUser_DoLogin') {
+            // El procedimiento compara contra mUsers.Password
+            return parametros.Password === credenciales?.PasswordLegacy
+                ? { recordset: [{ UserID: 7, Name: 'Ana', LastName: 'Pérez', Surname: null, Login: 'ana', StatusID: 2, IsActiveSession: 1 }] }
+                : { recordset: [] };
+        }
+        if (consulta.includes('MERGE [dbo].[dUserPasswordHashes]') && fallaMigracion) throw new Error('Sin conexión');
+        if (consulta.includes('INSERT INTO [dbo].[api_keys]')) {
+            return { recordset: [{ id: 31, name: 'Inicio de sesión', key_prefix: 'abcdef12', level: 2, scopes: null, created_at: new Date(), expires_at: new Date(), deleted_at: null, rotated_from_id: null }] };
+        }
+        return {};
+    };
+});
+
+/**
+ * Busca la consulta que migra la contraseña a bcrypt.
+ * @returns {Object|undefined} Consulta registrada con sus parámetros.
+ */
+function migracion() {
+    return baseDatos.consultas.find(({ consulta }) => consulta.includes('MERGE [dbo].[dUserPasswordHashes]'));
+}
+
+/**
+ * Indica si se emitió una clave API de sesión.
+ * @returns {boolean} `true` si hubo un INSERT en api_keys.
+ */
+function seEmitioClave() {
+    return baseDatos.consultas.some(({ consulta }) => consulta.includes('INSERT INTO [dbo].[api_keys]'));
+}
+
+test('con el hash SHA-1 heredado se inicia sesión y la contraseña se migra a bcrypt', async () => {
+    const result = await loginService.loginUser('ana', PASSWORD);
+
+    const { parametros } = baseDatos.consultas.find(({ consulta }) => consulta === 'spmUser_DoLogin');
+    assert.equal(parametros.Password, SHA1);
+    assert.deepEqual(result.user, { id: 7, name: 'Ana Pérez', username: 'ana', level: 2 });
+    assert.equal(result.apiKeyId, 31);
+    assert.match(result.apiKey, /^[0-9a-f]{64}$/);
+
+    const merge = migracion();
+    assert.ok(merge, 'no se guardó el hash bcrypt');
+    assert.equal(merge.parametros.UserID, 7);
+    assert.ok(await bcrypt.compare(PASSWORD, merge.parametros.PasswordHash));
+    assert.equal(merge.consulta.includes('UPDATE [dbo].[mUsers]'), false, 'sin BCRYPT_ELIMINAR_SHA1 el hash SHA-1 se conserva');
+});
+
+test('con BCRYPT_ELIMINAR_SHA1=true la migración reemplaza el hash SHA-1 por el marcador', async () => {
+    process.env.BCRYPT_ELIMINAR_SHA1 = 'true';
+
+    await loginService.loginUser('ana', PASSWORD);
+
+    const merge = migracion();
+    assert.ok(merge.consulta.includes('UPDATE [dbo].[mUsers] SET Password = @Marcador WHERE UserID = @UserID'));
+    assert.equal(merge.parametros.Marcador, 'BCRYPT');
+});
+
+test('un usuario ya migrado se verifica con bcrypt y se envía al procedimiento el valor almacenado', async () => {
+    credenciales = { UserID: 7, PasswordLegacy: 'BCRYPT', PasswordHash: await bcrypt.hash(PASSWORD, 4) };
+
+    const result = await loginService.loginUser('ana', PASSWORD);
+
+    const { parametros } = baseDatos.consultas.find(({ consulta }) => consulta === 'spmUser_DoLogin');
+    assert.equal(parametros.Password, 'BCRYPT');
+    assert.equal(result.user.id, 7);
+    assert.equal(migracion(), undefined);
+});
+
+test('una contraseña incorrecta con hash SHA-1 se rechaza sin migrar ni emitir clave', async () => {
+    await assert.rejects(
+        loginService.loginUser('ana', 'otra'),
+        { message: 'Error al autenticar usuario: Usuario no encontrado o contraseña incorrecta' }
+    );
+    assert.equal(migracion(), undefined);
+    assert.equal(seEmitioClave(), false);
+});
+
+test('una contraseña incorrecta con hash bcrypt se rechaza sin llamar al procedimiento', async () => {
+    credenciales = { UserID: 7, PasswordLegacy: SHA1, PasswordHash: await bcrypt.hash(PASSWORD, 4) };
+
+    await assert.rejects(
+        loginService.loginUser('ana', PASSWORD.toUpperCase()),
+        { message: 'Error al autenticar usuario: Usuario no encontrado o contraseña incorrecta' }
+    );
+    assert.equal(baseDatos.consultas.some(({ consulta }) => consulta === 'spmUser_DoLogin'), false);
+    assert.equal(seEmitioClave(), false);
+});
+
+test('si la migración a bcrypt falla el inicio de sesión continúa', async () => {
+    fallaMigracion = true;
+
+    const result = await loginService.loginUser('ana', PASSWORD);
+
+    assert.equal(result.user.id, 7);
+    assert.equal(seEmitioClave(), true);
+});
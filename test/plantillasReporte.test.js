@@ -0,0 +1,238 @@
+/**
+ * @file plantillasReporte.test.js
+ * @description Plantillas de reporte (plantillaReporteService): validación y normalización de los datos, una sola
+ *              predeterminada por tipo de reporte, y su presentación en los reportes Excel y PDF de inspecciones y en
+ *              el certificado de la revista.
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { CLAVE, responderAutenticacion } = require('./helpers/autenticacion');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const request = require('supertest');
+const plantillaReporteService = require('../src/services/plantillaReporteService');
+const reporteService = require('../src/services/reporteService');
+const { ESTATUS_REVISTA } = require('../src/config/estatusRevista');
+const app = require('../app');
+
+/**
+ * Registro de [Reporte].[Plantilla] con toda la presentación definida.
+ * @param {Object} [cambios] - Columnas que reemplazan a las del registro.
+ * @returns {Object} Registro con `Logo`.
+ */
+const registroPlantilla = (cambios = {}) => ({
+    IdPlantilla: 4,
+    Nombre: 'Dirección',
+    TipoReporte: 'inspecciones',
+    Predeterminada: true,
+    Titulo: 'Inspecciones de la Dirección',
+    Encabezado: 'Secretaría de Movilidad y Transporte',
+    PiePagina: 'Uso interno',
+    ColorEncabezado: '1F4E79',
+    ColorTextoEncabezado: 'FFFFFF',
+    Orientacion: 'vertical',
+    LogoTipo: null,
+    AnchoLogo: null,
+    AltoLogo: null,
+    Firmas: JSON.stringify([{ nombre: 'Ana López', cargo: 'Directora' }, { nombre: 'Luis Pérez', cargo: null }]),
+    Columnas: JSON.stringify([{ clave: 'Folio', titulo: 'Folio impreso', anchoExcel: 30 }, { clave: 'Inspector' }]),
+    TieneLogo: false,
+    Logo: null,
+    ...cambios
+});
+
+let plantilla;
+
+beforeEach(() => {
+    plantilla = registroPlantilla();
+    baseDatos.consultas = [];
+    baseDatos.responder = consulta => {
+        if (consulta.includes('WHERE Predeterminada = 1 AND (TipoReporte = @tipoReporte')) return { recordset: [plantilla] };
+        if (consulta === 'RV_ReporteRealizadasUsuarioPaginado') {
+            const filas = [{ IdRevistaVehicular: '5', FechaInspeccion: new Date(2026, 9, 1, 10, 0), Folio: 'F-000005', Inspector: 'Ana López' }];
+            return { recordset: filas, recordsets: [filas, [{ Total: 1 }]] };
+        }
+        return {};
+    };
+});
+
+/**
+ * Prepara y escribe el reporte de inspecciones con la plantilla predeterminada.
+ * @param {string} format - 'excel' o 'pdf'.
+ * @returns {Promise<Buffer>} Archivo generado.
+ */
+async function generarReporte(format) {
+    const preparado = reporteService.prepararParametros({ fechaInicio: '2026-10-01', fechaFin: '2026-10-31', format });
+    const contenido = await reporteService.prepararContenido(preparado.data);
+    const partes = [];
+    const salida = new Writable({
+        write(parte, codificacion, callback) {
+            partes.push(parte);
+            callback();
+        }
+    });
+    await reporteService.escribirContenido(contenido, salida);
+    return Buffer.concat(partes);
+}
+
+test('los datos de una plantilla se validan y normalizan antes de guardarse', async () => {
+    const casos = [
+        // [datos, campo con error]
+        [{ tipoReporte: 'ventas' }, 'tipoReporte'],
+        [{ orientacion: 'diagonal' }, 'orientacion'],
+        [{ colorEncabezado: 'azul' }, 'colorEncabezado'],
+        [{ colorTextoEncabezado: '#FFF' }, 'colorTextoEncabezado'],
+        [{ firmas: Array.from({ length: 5 }, (_, index) => ({ nombre: `Firma ${index}` })) }, 'firmas'],
+        [{ firmas: [{ nombre: ' ', cargo: 'Director' }] }, 'firmas'],
+        [{ columnas: 'Folio' }, 'columnas'],
+        [{ columnas: [{ clave: 'Folio', anchoPdf: 300 }] }, 'columnas'],
+        // Una columna del reporte de inspectores no existe en el de inspecciones
+        [{ tipoReporte: 'inspecciones', columnas: [{ clave: 'Inspecciones' }] }, 'columnas']
+    ];
+    for (const [datos, campo] of casos) {
+        const result = await plantillaReporteService.crearPlantilla({ nombre: 'Prueba', ...datos }, { id: 7 });
+        assert.equal(result.status, 400, JSON.stringify(datos));
+        assert.equal(result.errores[0].campo, campo, JSON.stringify(datos));
+    }
+    const desconocida = await plantillaReporteService.crearPlantilla({ nombre: 'Prueba', tipoReporte: 'inspecciones', columnas: [{ clave: 'Nada' }] }, { id: 7 });
+    assert.ok(desconocida.columnasValidas.includes('Folio'));
+    assert.equal(baseDatos.consultas.some(({ consulta }) => consulta.includes('INSERT INTO')), false);
+
+    baseDatos.responder = consulta => (consulta.includes('INSERT INTO') ? { recordset: [{ IdPlantilla: 4 }] } : { recordset: [plantilla] });
+    await plantillaReporteService.crearPlantilla({
+        nombre: ' Dirección ', tipoReporte: 'inspecciones', predeterminada: 'true', titulo: '', encabezado: '  Secretaría  ',
+        colorEncabezado: '#1f4e79', orientacion: 'vertical',
+        firmas: [{ nombre: ' Ana López ', cargo: '' }],
+        columnas: [{ clave: 'Folio', titulo: ' Folio impreso ', anchoExcel: '30' }]
+    }, { id: 7 });
+
+    const { parametros } = baseDatos.consultas.find(({ consulta }) => consulta.includes('INSERT INTO'));
+    assert.deepEqual(
+        [parametros.nombre, parametros.predeterminada, parametros.titulo, parametros.encabezado, parametros.colorEncabezado, parametros.colorTextoEncabezado],
+        ['Dirección', true, null, 'Secretaría', '1F4E79', null]
+    );
+    assert.deepEqual(JSON.parse(parametros.firmas), [{ nombre: 'Ana López', cargo: null }]);
+    assert.deepEqual(JSON.parse(parametros.columnas), [{ clave: 'Folio', titulo: 'Folio impreso', anchoExcel: 30 }]);
+});
+
+test('marcar una plantilla como predeterminada quita la marca a la anterior de su tipo, en la misma transacción', async () => {
+    const tabla = [
+        { IdPlantilla: 1, TipoReporte: 'inspecciones', Predeterminada: true },
+        { IdPlantilla: 2, TipoReporte: 'inspectores', Predeterminada: true },
+        { IdPlantilla: 3, TipoReporte: null, Predeterminada: true },
+        { IdPlantilla: 4, TipoReporte: 'inspecciones', Predeterminada: false }
+    ];
+    // Ejecuta el lote como lo haría SQL Server: primero QUITAR_PREDETERMINADA y después el INSERT o UPDATE
+    baseDatos.responder = (consulta, parametros) => {
+        if (consulta.includes('SET Predeterminada = 0')) {
+            assert.ok(consulta.indexOf('BEGIN TRANSACTION') < consulta.indexOf('SET Predeterminada = 0'));
+            for (const fila of tabla) {
+                if (parametros.predeterminada && fila.Predeterminada && fila.TipoReporte === parametros.tipoReporte
+                    && fila.IdPlantilla !== parametros.idPlantilla) {
+                    fila.Predeterminada = false;
+                }
+            }
+        }
+        if (consulta.includes('INSERT INTO')) {
+            tabla.push({ IdPlantilla: 5, TipoReporte: parametros.tipoReporte, Predeterminada: parametros.predeterminada });
+            return { recordset: [{ IdPlantilla: 5 }] };
+        }
+        if (consulta.includes('UPDATE') && consulta.includes('Nombre = @nombre')) {
+            tabla.find(fila => fila.IdPlantilla === parametros.idPlantilla).Predeterminada = parametros.predeterminada;
+            return {};
+        }
+        return { recordset: [registroPlantilla({ IdPlantilla: parametros.idPlantilla, Predeterminada: false })] };
+    };
+    const predeterminadas = () => tabla.filter(fila => fila.Predeterminada).map(fila => fila.IdPlantilla);
+
+    await plantillaReporteService.crearPlantilla({ nombre: 'Nueva', tipoReporte: 'inspecciones', predeterminada: true }, { id: 7 });
+    assert.deepEqual(predeterminadas(), [2, 3, 5]);
+
+    // Al editar, la propia plantilla no se desmarca
+    await plantillaReporteService.actualizarPlantilla(4, { predeterminada: true });
+    assert.deepEqual(predeterminadas(), [2, 3, 4]);
+
+    // Una que no es predeterminada no cambia las demás
+    await plantillaReporteService.crearPlantilla({ nombre: 'Otra', tipoReporte: 'inspectores' }, { id: 7 });
+    assert.deepEqual(predeterminadas(), [2, 3, 4]);
+});
+
+test('el Excel usa el título, encabezado, colores, orientación, columnas y firmas de la plantilla predeterminada', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await generarReporte('excel'));
+    const hoja = workbook.getWorksheet('Reporte de Inspecciones');
+
+    assert.equal(hoja.getRow(1).getCell(1).value, 'Inspecciones de la Dirección');
+    assert.equal(hoja.getRow(2).getCell(1).value, 'Secretaría de Movilidad y Transporte');
+    const encabezados = hoja.getRow(5);
+    assert.deepEqual([encabezados.getCell(1).value, encabezados.getCell(2).value], ['Folio impreso', 'Inspector']);
+    assert.equal(encabezados.getCell(1).fill.fgColor.argb, 'FF1F4E79');
+    assert.equal(encabezados.getCell(1).font.color.argb, 'FFFFFFFF');
+    assert.deepEqual([hoja.getColumn(1).width, hoja.getColumn(2).width], [30, 20]);
+    assert.deepEqual([hoja.getRow(6).getCell(1).value, hoja.getRow(6).getCell(2).value], ['F-000005', 'Ana López']);
+    assert.equal(hoja.pageSetup.orientation, 'portrait');
+    assert.match(hoja.headerFooter.oddFooter, /Uso interno/);
+    const valores = [];
+    hoja.eachRow(fila => valores.push(...fila.values.filter(Boolean)));
+    assert.ok(valores.includes('Directora'));
+    assert.ok(valores.includes('Luis Pérez'));
+});
+
+test('el PDF usa el título, encabezado, colores, orientación, columnas, firmas y pie de página de la plantilla', async () => {
+    const pdf = (await generarReporte('pdf')).toString('latin1');
+
+    assert.ok(pdf.startsWith('%PDF-'));
+    // Vertical: la página A4 es más alta que ancha
+    assert.match(pdf, /MediaBox \[0 0 595\.\d+ 841\.\d+\]/);
+    for (const texto of ['Inspecciones de la Dirección', 'Secretaría de Movilidad y Transporte', 'Folio impreso', 'Ana López', 'Directora', 'Luis Pérez']) {
+        assert.ok(pdf.includes(`(${texto})`), texto);
+    }
+    assert.match(pdf, /\(Uso interno - Página 1 de 1\)/);
+    assert.ok(pdf.includes('0.12 0.31 0.47 rg'), 'el encabezado de la tabla no usa el color de la plantilla');
+});
+
+test('el certificado usa la plantilla indicada, y una plantilla de otro tipo de reporte responde 400', async () => {
+    plantilla = registroPlantilla({
+        TipoReporte: 'certificado', Titulo: 'Constancia de Revista', Orientacion: 'horizontal', Columnas: null,
+        Firmas: JSON.stringify([{ nombre: 'Ana López', cargo: 'Directora' }])
+    });
+    baseDatos.responder = consulta => {
+        const autenticacion = responderAutenticacion(consulta);
+        if (autenticacion) return autenticacion;
+        if (consulta.includes('WHERE IdPlantilla = @idPlantilla')) return { recordset: [plantilla] };
+        if (consulta.includes('SELECT IdEstatus, Folio')) return { recordset: [{ IdEstatus: ESTATUS_REVISTA.IMPRESA, Folio: 'F-000015' }] };
+        if (consulta === 'dbo.SP_ObtenerRevistaPuntuacionPorId') {
+            return { recordset: [{ IdRevistaVehicular: '15', IdEstatus: ESTATUS_REVISTA.IMPRESA, FechaInspeccion: new Date(2026, 9, 1, 10, 0), Aprobado: 1 }] };
+        }
+        if (consulta === 'dbo.VehiculoObtenerDatosPuntuacion') return { recordset: [], recordsets: [[], [], [], [], [], [], []] };
+        return {};
+    };
+    const pedir = () => request(app)
+        .get('/api/revista/15/certificado')
+        .query({ plantilla: 4 })
+        .set('Authorization', `Bearer ${CLAVE}`)
+        .buffer(true)
+        .parse((respuesta, callback) => {
+            const partes = [];
+            respuesta.on('data', parte => partes.push(parte));
+            respuesta.on('end', () => callback(null, Buffer.concat(partes).toString('latin1')));
+        });
+
+    const respuesta = await pedir();
+
+    assert.equal(respuesta.status, 200);
+    const pdf = respuesta.body;
+    // Horizontal: la página A4 es más ancha que alta
+    assert.match(pdf, /MediaBox \[0 0 841\.\d+ 595\.\d+\]/);
+    for (const texto of ['Constancia de Revista', 'Secretaría de Movilidad y Transporte', 'Ana López', 'Directora']) {
+        assert.ok(pdf.includes(`(${texto})`), texto);
+    }
+    assert.match(pdf, /\(Uso interno - Página 1 de \d+\)/);
+    assert.ok(pdf.includes('0.12 0.31 0.47 rg'));
+
+    plantilla = registroPlantilla({ TipoReporte: 'inspecciones' });
+    const otroTipo = await pedir();
+    assert.equal(otroTipo.status, 400);
+    assert.match(otroTipo.body, /La plantilla es para el reporte de inspecciones/);
+});
@@ -0,0 +1,210 @@
+/**
+ * @file programacionReporte.test.js
+ * @description Reportes programados (programacionReporteService): ventanas de fechas, reintentos de una ejecución
+ *              fallida, recuperación de ejecuciones interrumpidas y entrega por correo con el transporte json de
+ *              src/config/correo.js.
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { test, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'reportes-'));
+process.env.REPORTES_DIRECTORIO = directorio;
+process.env.REPORTES_ZONA_HORARIA = 'America/Mexico_City';
+process.env.REPORTES_PROGRAMADOS_MAX_INTENTOS = '3';
+process.env.REPORTES_SMTP_TRANSPORTE = 'json';
+
+const nodemailer = require('nodemailer');
+const reporteService = require('../src/services/reporteService');
+const programacionReporteService = require('../src/services/programacionReporteService');
+
+const PROGRAMACION = {
+    IdProgramacion: 3,
+    Nombre: 'Inspecciones semanales',
+    Tipo: 'inspecciones',
+    Parametros: '{}',
+    Formato: 'csv',
+    Ventana: 'semana_anterior',
+    Entrega: 'correo',
+    Destinatarios: 'supervision@example.com, direccion@example.com',
+    Activa: true
+};
+
+let enviados;
+
+/**
+ * Responde las consultas de un ciclo del programador sin programaciones vencidas y con reintentos pendientes,
+ * que se entregan uno por toma como lo hace READPAST.
+ * @param {...Object} anteriores - Ejecuciones fallidas que se reintentan (`Intento`, `FechaInicio`, `FechaFin`).
+ */
+function conReintentoPendiente(...anteriores) {
+    const pendientes = anteriores.map((anterior, index) => ({
+        IdEjecucion: 9 - index, IdProgramacion: 3, ProgramadaPara: new Date('2026-10-19T14:00:00Z'), ...anterior
+    }));
+    baseDatos.responder = consulta => {
+        if (consulta.includes('ProximaEjecucion <= SYSUTCDATETIME()')) return { recordset: [] };
+        if (consulta.includes('WHERE ReintentarEn <= SYSUTCDATETIME()')) {
+            return { recordset: pendientes.splice(0, 1) };
+        }
+        if (consulta.includes('[Reporte].[Programacion] WHERE IdProgramacion')) return { recordset: [{ ...PROGRAMACION }] };
+        if (consulta.includes('INSERT INTO')) return { recordset: [{ IdEjecucion: 10 }] };
+        if (consulta.includes('[EjecucionProgramada] WHERE IdEjecucion')) return { recordset: [{ IdEjecucion: 10 }] };
+        return {};
+    };
+}
+
+/**
+ * Busca la actualización de la ejecución que registra su resultado.
+ * @returns {Object} Consulta y parámetros del UPDATE.
+ */
+function registroResultado() {
+    return baseDatos.consultas.find(({ consulta }) => consulta.includes('UPDATE') && consulta.includes('Estado = @estado'));
+}
+
+before(() => {
+    const crearTransporte = nodemailer.createTransport;
+    mock.method(nodemailer, 'createTransport', opciones => {
+        const transporte = crearTransporte.call(nodemailer, opciones);
+        const enviar = transporte.sendMail.bind(transporte);
+        transporte.sendMail = async correo => {
+            const info = await enviar(correo);
+            enviados.push({ opciones, mensaje: JSON.parse(info.message) });
+            return info;
+        };
+        return transporte;
+    });
+});
+
+beforeEach(() => {
+    baseDatos.consultas = [];
+    enviados = [];
+});
+
+after(() => {
+    mock.restoreAll();
+    fs.rmSync(directorio, { recursive: true, force: true });
+});
+
+test('semana_anterior va del lunes al domingo de la semana pasada según la fecha local', () => {
+    const { calcularVentana } = programacionReporteService;
+
+    // Miércoles 21 de octubre de 2026 a mediodía en la Ciudad de México
+    assert.deepEqual(calcularVentana('semana_anterior', new Date('2026-10-21T18:00:00Z')), { fechaInicio: '2026-10-12', fechaFin: '2026-10-18' });
+    // Lunes 19 en UTC, pero todavía domingo 18 en la Ciudad de México: la semana pasada es la anterior a esa
+    assert.deepEqual(calcularVentana('semana_anterior', new Date('2026-10-19T03:00:00Z')), { fechaInicio: '2026-10-05', fechaFin: '2026-10-11' });
+    // En lunes, la semana pasada termina el día anterior
+    assert.deepEqual(calcularVentana('semana_anterior', new Date('2026-10-19T14:00:00Z')), { fechaInicio: '2026-10-12', fechaFin: '2026-10-18' });
+});
+
+test('mes_anterior cubre el mes calendario anterior completo', () => {
+    const { calcularVentana } = programacionReporteService;
+
+    assert.deepEqual(calcularVentana('mes_anterior', new Date('2026-03-15T18:00:00Z')), { fechaInicio: '2026-02-01', fechaFin: '2026-02-28' });
+    // 1 de marzo en UTC, pero 28 de febrero en la Ciudad de México
+    assert.deepEqual(calcularVentana('mes_anterior', new Date('2026-03-01T05:00:00Z')), { fechaInicio: '2026-01-01', fechaFin: '2026-01-31' });
+    assert.deepEqual(calcularVentana('mes_anterior', new Date('2026-01-10T18:00:00Z')), { fechaInicio: '2025-12-01', fechaFin: '2025-12-31' });
+    assert.deepEqual(calcularVentana('mes_anterior', new Date('2028-03-02T18:00:00Z')), { fechaInicio: '2028-02-01', fechaFin: '2028-02-29' });
+});
+
+test('un reintento repite el rango de la ejecución fallida y entrega el archivo por correo con el transporte json', async () => {
+    conReintentoPendiente({ Intento: 1, FechaInicio: new Date('2026-10-12T00:00:00Z'), FechaFin: new Date('2026-10-18T00:00:00Z') });
+    mock.method(reporteService, 'prepararContenido', async parametros => ({
+        parametros,
+        plantilla: {},
+        filas: [
+            { IdRevistaVehicular: '1', Inspector: 'Ana López', Municipio: 'Pachuca' },
+            { IdRevistaVehicular: '2', Inspector: 'Luis Pérez', Municipio: 'Tulancingo' }
+        ],
+        agrupacion: null,
+        totalRecords: 2
+    }));
+
+    await programacionReporteService.revisarProgramaciones();
+
+    const insercion = baseDatos.consultas.find(({ consulta }) => consulta.includes('INSERT INTO'));
+    assert.equal(insercion.parametros.intento, 2);
+    assert.equal(insercion.parametros.fechaInicio, '2026-10-12');
+    assert.equal(insercion.parametros.fechaFin, '2026-10-18');
+    assert.equal(reporteService.prepararContenido.mock.calls[0].arguments[0].fechaInicio, '2026-10-12');
+
+    assert.equal(enviados.length, 1);
+    const [{ opciones, mensaje }] = enviados;
+    assert.equal(opciones.jsonTransport, true);
+    assert.deepEqual(mensaje.to.map(destinatario => destinatario.address), ['supervision@example.com', 'direccion@example.com']);
+    assert.equal(mensaje.subject, 'Inspecciones semanales (del 2026-10-12 al 2026-10-18)');
+    assert.equal(mensaje.attachments[0].filename, 'Inspecciones_semanales_2026-10-12_2026-10-18.csv');
+    assert.match(Buffer.from(mensaje.attachments[0].content, 'base64').toString('utf8'), /Ana López[\s\S]*Luis Pérez/);
+
+    const { parametros } = registroResultado();
+    assert.equal(parametros.estado, programacionReporteService.ESTADOS_EJECUCION.ENTREGADO);
+    assert.equal(parametros.total, 2);
+    // El archivo temporal del correo se borra
+    assert.deepEqual(fs.readdirSync(directorio), []);
+});
+
+test('una ejecución fallida con intentos restantes queda para reintentarse; en el último intento ya no', async () => {
+    mock.method(reporteService, 'prepararContenido', async () => {
+        throw new Error('Tiempo de espera agotado');
+    });
+
+    conReintentoPendiente({ Intento: 1, FechaInicio: new Date('2026-10-12T00:00:00Z'), FechaFin: new Date('2026-10-18T00:00:00Z') });
+    await programacionReporteService.revisarProgramaciones();
+    let fallo = registroResultado();
+    assert.equal(fallo.parametros.estado, programacionReporteService.ESTADOS_EJECUCION.FALLIDO);
+    assert.equal(fallo.parametros.error, 'Tiempo de espera agotado');
+    assert.match(fallo.consulta, /ReintentarEn = DATEADD\(MINUTE, @minutos, SYSUTCDATETIME\(\)\)/);
+
+    baseDatos.consultas = [];
+    conReintentoPendiente({ Intento: 2, FechaInicio: new Date('2026-10-12T00:00:00Z'), FechaFin: new Date('2026-10-18T00:00:00Z') });
+    await programacionReporteService.revisarProgramaciones();
+    fallo = registroResultado();
+    assert.equal(baseDatos.consultas.find(({ consulta }) => consulta.includes('INSERT INTO')).parametros.intento, 3);
+    assert.match(fallo.consulta, /ReintentarEn = NULL/);
+    assert.equal(enviados.length, 0);
+});
+
+test('los reintentos se toman de uno en uno, cada uno justo antes de ejecutarse', async () => {
+    mock.method(reporteService, 'prepararContenido', async parametros => ({ parametros, plantilla: {}, filas: [], agrupacion: null, totalRecords: 0 }));
+    const rango = { FechaInicio: new Date('2026-10-12T00:00:00Z'), FechaFin: new Date('2026-10-18T00:00:00Z') };
+    conReintentoPendiente({ Intento: 1, ...rango }, { Intento: 2, ...rango });
+
+    await programacionReporteService.revisarProgramaciones();
+
+    const orden = baseDatos.consultas
+        .filter(({ consulta }) => consulta.includes('WHERE ReintentarEn <= SYSUTCDATETIME()') || consulta.includes('INSERT INTO'))
+        .map(({ consulta, parametros }) => (consulta.includes('INSERT INTO') ? `ejecución ${parametros.intento}` : 'toma'));
+    assert.deepEqual(orden, ['toma', 'ejecución 2', 'toma', 'ejecución 3', 'toma']);
+    const toma = baseDatos.consultas.find(({ consulta }) => consulta.includes('WHERE ReintentarEn <= SYSUTCDATETIME()')).consulta;
+    assert.match(toma, /SELECT TOP 1 \*/);
+    assert.match(toma, /WITH \(UPDLOCK, READPAST, ROWLOCK\)/);
+});
+
+test('solo se recuperan las ejecuciones sin avance reciente y nunca las que este proceso sigue generando', async () => {
+    let liberar;
+    mock.method(reporteService, 'prepararContenido', parametros => new Promise(resolve => {
+        liberar = () => resolve({ parametros, plantilla: {}, filas: [], agrupacion: null, totalRecords: 0 });
+    }));
+    conReintentoPendiente();
+
+    // La ejecución 10 sigue en curso en segundo plano
+    await programacionReporteService.ejecutarAhora(3);
+    while (!liberar) await new Promise(resolve => setImmediate(resolve));
+    await programacionReporteService.revisarProgramaciones();
+
+    const recuperacion = baseDatos.consultas.find(({ consulta }) => consulta.includes('WHERE Estado = @procesando'));
+    assert.match(recuperacion.consulta, /ISNULL\(ActualizadoEn, IniciadoEn\) < DATEADD\(MINUTE, -@minutos, SYSUTCDATETIME\(\)\)/);
+    assert.match(recuperacion.consulta, /AND IdEjecucion NOT IN \(@propia0\)/);
+    assert.equal(recuperacion.parametros.propia0, 10);
+    assert.equal(recuperacion.parametros.minutos, 10);
+
+    liberar();
+    while (!registroResultado()) await new Promise(resolve => setImmediate(resolve));
+    // Terminada la ejecución, el siguiente ciclo ya no la excluye
+    baseDatos.consultas = [];
+    await programacionReporteService.revisarProgramaciones();
+    const siguiente = baseDatos.consultas.find(({ consulta }) => consulta.includes('WHERE Estado = @procesando'));
+    assert.equal(siguiente.consulta.includes('NOT IN'), false);
+});
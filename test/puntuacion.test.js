@@ -0,0 +1,65 @@
+/**
+ * @file puntuacion.test.js
+ * @description Cálculo de la puntuación de la revista (puntuacionService): puntos por defecto de bolsas de aire y aire
+ *              acondicionado, y comparación con la puntuación enviada por el cliente.
+ */
+delete process.env.PUNTUACION_BOLSAS_AIRE;
+delete process.env.PUNTUACION_AIRE_ACONDICIONADO;
+require('./helpers/baseDatos');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const puntuacionService = require('../src/services/puntuacionService');
+
+/**
+ * Catálogo normalizado de un solo registro.
+ * @param {number} puntos - Puntos del registro.
+ * @returns {Array<Object>} Catálogo.
+ */
+const catalogo = puntos => [{ id: 1, descripcion: 'Único', puntos }];
+
+const CATALOGOS = {
+    ModeloVehiculo: catalogo(20.5),
+    TipoVehiculo: catalogo(10),
+    CapacidadPasajeros: catalogo(5),
+    TiposFreno: catalogo(5),
+    CinturonesSeguridad: catalogo(5),
+    TapiceriaAsientos: catalogo(5),
+    Clasificacion: [
+        { id: 1, descripcion: 'Esencial', minimo: 0, maximo: 59.99 },
+        { id: 2, descripcion: 'Selecto', minimo: 60, maximo: NaN }
+    ]
+};
+
+const ENTRADA = { modeloId: 1, tipoId: 1, capacidadId: 1, frenoId: 1, cinturonId: 1, tapiceriaId: 1, tipoBolsa: 2, tieneAire: 1 };
+
+test('sin variables de entorno se usan los puntos por defecto de bolsas de aire y aire acondicionado', () => {
+    const resultado = puntuacionService.calcularConCatalogos(ENTRADA, CATALOGOS);
+
+    assert.equal(resultado.errores, undefined);
+    assert.equal(resultado.desglose.find(item => item.campo === 'tipoBolsa').puntos, 10);
+    assert.equal(resultado.desglose.find(item => item.campo === 'tieneAire').puntos, 5);
+    assert.equal(resultado.puntuacion, 65.5);
+    assert.equal(resultado.clasificacion, 'Selecto');
+});
+
+test('un valor fuera de los puntos configurados es un error de validación, no una excepción', () => {
+    const resultado = puntuacionService.calcularConCatalogos({ ...ENTRADA, tipoBolsa: 3 }, CATALOGOS);
+
+    assert.deepEqual(resultado.errores, [{ campo: 'tipoBolsa', ubicacion: 'body', mensaje: 'Debe ser un valor entre 0 y 2' }]);
+});
+
+test('la puntuación del cliente se compara como número con tolerancia', () => {
+    const calculado = puntuacionService.calcularConCatalogos(ENTRADA, CATALOGOS);
+
+    assert.deepEqual(puntuacionService.compararConCliente(calculado, '65.5', 2), []);
+    assert.deepEqual(puntuacionService.compararConCliente(calculado, 65.504, '2'), []);
+    assert.deepEqual(puntuacionService.compararConCliente(calculado, undefined, undefined), []);
+    assert.deepEqual(
+        puntuacionService.compararConCliente(calculado, '65', 2).map(item => item.campo),
+        ['puntuacion']
+    );
+    assert.deepEqual(
+        puntuacionService.compararConCliente(calculado, 'abc', 1).map(item => item.campo),
+        ['puntuacion', 'clasificacionId']
+    );
+});
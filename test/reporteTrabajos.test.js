@@ -0,0 +1,265 @@
+/**
+ * @file reporteTrabajos.test.js
+ * @description Trabajos de reporte en segundo plano (reporteTrabajoService y GET /api/reportes/:id/archivo): toma atómica
+ *              de pendientes, reintento de fallos transitorios, recuperación de trabajos interrumpidos, vencimiento
+ *              de la retención y respuestas 409/410 de la descarga.
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { CLAVE, responderAutenticacion } = require('./helpers/autenticacion');
+const { test, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'trabajos-'));
+process.env.REPORTES_DIRECTORIO = directorio;
+process.env.REPORTES_MAX_INTENTOS = '3';
+process.env.REPORTES_MINUTOS_SIN_AVANCE = '10';
+process.env.REPORTES_TRABAJOS_SIMULTANEOS = '1';
+
+const request = require('supertest');
+const reporteService = require('../src/services/reporteService');
+const reporteTrabajoService = require('../src/services/reporteTrabajoService');
+const app = require('../app');
+
+const { PENDIENTE, PROCESANDO, TERMINADO, FALLIDO, EXPIRADO } = reporteTrabajoService.ESTADOS_TRABAJO;
+
+/** Date.now sin el desplazamiento de las pruebas, para las fechas de la tabla en memoria. */
+const ahora = Date.now;
+
+/** Tabla [Reporte].[Trabajo] en memoria. */
+let trabajos;
+/** Consultas de toma de trabajos recibidas. */
+let tomas;
+/** Desplazamiento de Date.now para que cada ciclo del trabajador haga su mantenimiento (una vez por minuto). */
+let desplazamiento = 0;
+/** Comportamiento de reporteService.prepararContenido en la prueba actual. */
+let preparar;
+
+/**
+ * Fecha relativa a ahora.
+ * @param {number} minutos - Minutos a sumar (negativos para el pasado).
+ * @returns {Date} Fecha.
+ */
+const haceMinutos = minutos => new Date(ahora.call(Date) + minutos * 60 * 1000);
+
+/**
+ * Registro de trabajo con los valores por omisión de la tabla.
+ * @param {Object} campos - Columnas a reemplazar.
+ * @returns {Object} Registro.
+ */
+function trabajo(campos) {
+    return {
+        Tipo: 'inspecciones', Formato: 'csv', Parametros: JSON.stringify({ fechaInicio: '2026-10-01', fechaFin: '2026-10-31', format: 'csv', allPages: 'true' }),
+        Estado: PENDIENTE, Progreso: 0, RegistrosProcesados: 0, TotalRegistros: null, Intentos: 0, Archivo: null, TamanoBytes: null,
+        Error: null, IdUsuario: 7, CreadoEn: haceMinutos(-60), IniciadoEn: null, ActualizadoEn: null, TerminadoEn: null, ExpiraEn: null,
+        ...campos
+    };
+}
+
+/**
+ * Aplica un UPDATE de actualizarTrabajo o recuperarInterrumpidos a la tabla en memoria.
+ * @param {string} consulta - Texto del UPDATE.
+ * @param {Object} parametros - Parámetros enlazados.
+ * @returns {Object} Respuesta con `rowsAffected`.
+ */
+function actualizar(consulta, parametros) {
+    if (consulta.includes('WHERE Estado = @procesando')) {
+        const limite = haceMinutos(-parametros.minutos);
+        const propios = Object.entries(parametros).filter(([nombre]) => nombre.startsWith('propio')).map(([, id]) => id);
+        const interrumpidos = trabajos.filter(item =>
+            item.Estado === PROCESANDO && item.ActualizadoEn < limite && !propios.includes(item.IdTrabajo));
+        for (const item of interrumpidos) {
+            item.Estado = item.Intentos >= parametros.maxIntentos ? FALLIDO : PENDIENTE;
+            item.Error = 'El trabajo se interrumpió antes de terminar';
+            item.ActualizadoEn = new Date();
+        }
+        return { rowsAffected: [interrumpidos.length] };
+    }
+    const item = trabajos.find(fila => fila.IdTrabajo === parametros.idTrabajo);
+    if (parametros.estado !== undefined) item.Estado = parametros.estado;
+    if (parametros.error !== undefined) item.Error = parametros.error;
+    if (parametros.archivo !== undefined) item.Archivo = parametros.archivo;
+    if (parametros.tamano !== undefined) item.TamanoBytes = parametros.tamano;
+    if (parametros.total !== undefined) item.TotalRegistros = parametros.total;
+    if (consulta.includes('Progreso = 100')) item.Progreso = 100;
+    if (consulta.includes('Archivo = NULL')) item.Archivo = null;
+    if (consulta.includes('TerminadoEn = SYSUTCDATETIME()')) item.TerminadoEn = new Date();
+    if (consulta.includes('ExpiraEn = DATEADD(HOUR, @retencion')) item.ExpiraEn = haceMinutos(parametros.retencion * 60);
+    item.ActualizadoEn = new Date();
+    return { rowsAffected: [1] };
+}
+
+before(() => {
+    mock.method(Date, 'now', () => ahora.call(Date) + desplazamiento);
+    mock.method(reporteService, 'prepararContenido', parametros => preparar(parametros));
+});
+
+beforeEach(() => {
+    trabajos = [];
+    tomas = [];
+    desplazamiento += 2 * 60 * 1000;
+    preparar = async parametros => ({
+        parametros,
+        plantilla: {},
+        filas: [{ IdRevistaVehicular: '1', Inspector: 'Ana López' }, { IdRevistaVehicular: '2', Inspector: 'Luis Pérez' }],
+        agrupacion: null,
+        totalRecords: 2
+    });
+    baseDatos.consultas = [];
+    baseDatos.responder = (consulta, parametros) => {
+        const autenticacion = responderAutenticacion(consulta);
+        if (autenticacion) return autenticacion;
+        if (consulta.includes('WITH Siguiente')) {
+            tomas.push(consulta);
+            const siguiente = trabajos.filter(item => item.Estado === parametros.pendiente).sort((a, b) => a.IdTrabajo - b.IdTrabajo)[0];
+            if (!siguiente) return { recordset: [] };
+            Object.assign(siguiente, { Estado: parametros.procesando, Intentos: siguiente.Intentos + 1, Progreso: 0, IniciadoEn: new Date(), ActualizadoEn: new Date() });
+            return { recordset: [{ ...siguiente }] };
+        }
+        if (consulta.includes('WHERE Estado = @terminado AND ExpiraEn < SYSUTCDATETIME()')) {
+            return { recordset: trabajos.filter(item => item.Estado === TERMINADO && item.ExpiraEn < new Date()).map(({ IdTrabajo, Archivo }) => ({ IdTrabajo, Archivo })) };
+        }
+        if (consulta.includes('SELECT * FROM') && consulta.includes('[Reporte].[Trabajo]')) {
+            return { recordset: trabajos.filter(item => item.IdTrabajo === parametros.idTrabajo).map(item => ({ ...item })) };
+        }
+        if (consulta.includes('UPDATE') && consulta.includes('[Reporte].[Trabajo]')) return actualizar(consulta, parametros);
+        return {};
+    };
+});
+
+after(() => {
+    mock.restoreAll();
+    fs.rmSync(directorio, { recursive: true, force: true });
+});
+
+/**
+ * Espera a que ningún trabajo quede en 'procesando' (el trabajador no espera a que terminen los que toma).
+ * @returns {Promise<void>}
+ */
+async function esperarTrabajos() {
+    for (let vuelta = 0; vuelta < 200 && trabajos.some(item => item.Estado === PROCESANDO); vuelta++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * Ejecuta un ciclo del trabajador (con mantenimiento) y espera a que terminen los trabajos que tomó.
+ * @returns {Promise<void>}
+ */
+async function cicloTrabajador() {
+    desplazamiento += 2 * 60 * 1000;
+    await reporteTrabajoService.revisarPendientes();
+    await esperarTrabajos();
+}
+
+/**
+ * Descarga el archivo de un trabajo con la clave API de prueba.
+ * @param {number} idTrabajo - ID del trabajo.
+ * @returns {Promise<Object>} Respuesta de supertest.
+ */
+const descargar = idTrabajo => request(app).get(`/api/reportes/${idTrabajo}/archivo`).set('Authorization', `Bearer ${CLAVE}`);
+
+test('cada ciclo toma el pendiente más antiguo con UPDLOCK y READPAST, genera el archivo y lo deja para descarga', async () => {
+    trabajos.push(trabajo({ IdTrabajo: 1 }), trabajo({ IdTrabajo: 2 }));
+
+    await cicloTrabajador();
+
+    assert.match(tomas[0], /SELECT TOP 1 \*[\s\S]*WITH \(UPDLOCK, READPAST, ROWLOCK\)[\s\S]*ORDER BY IdTrabajo/);
+    const [primero, segundo] = trabajos;
+    assert.equal(primero.Estado, TERMINADO);
+    assert.equal(primero.Intentos, 1);
+    assert.equal(primero.Progreso, 100);
+    assert.equal(primero.TotalRegistros, 2);
+    assert.equal(primero.Archivo, 'reporte_1.csv');
+    assert.ok(Math.abs(primero.ExpiraEn - haceMinutos(reporteTrabajoService.CONFIG_TRABAJOS.retencionHoras * 60)) < 60 * 1000);
+    // Con un solo lugar de trabajo, el ciclo no toma el segundo mientras genera el primero
+    assert.equal(tomas.length, 1);
+    assert.equal(segundo.Estado, PENDIENTE);
+    assert.deepEqual(fs.readdirSync(directorio).filter(archivo => archivo.endsWith('.tmp')), []);
+
+    const respuesta = await descargar(1);
+
+    assert.equal(respuesta.status, 200);
+    assert.match(respuesta.headers['content-disposition'], /Reporte_Inspecciones_1\.csv/);
+    assert.match(respuesta.text, /Ana López[\s\S]*Luis Pérez/);
+});
+
+test('un fallo transitorio regresa el trabajo a pendiente hasta agotar los intentos; después la descarga responde 409', async () => {
+    trabajos.push(trabajo({ IdTrabajo: 3 }));
+    preparar = async () => {
+        throw new Error('Tiempo de espera agotado');
+    };
+
+    await cicloTrabajador();
+    assert.deepEqual([trabajos[0].Estado, trabajos[0].Intentos, trabajos[0].Error], [PENDIENTE, 1, 'Tiempo de espera agotado']);
+    const pendiente = await descargar(3);
+    assert.equal(pendiente.status, 409);
+    assert.equal(pendiente.body.error, 'El reporte aún no está listo');
+
+    await cicloTrabajador();
+    await cicloTrabajador();
+
+    assert.deepEqual([trabajos[0].Estado, trabajos[0].Intentos], [FALLIDO, 3]);
+    assert.ok(trabajos[0].TerminadoEn);
+    const fallido = await descargar(3);
+    assert.equal(fallido.status, 409);
+    assert.equal(fallido.body.error, 'El reporte no pudo generarse');
+    assert.equal(fallido.body.motivo, 'Tiempo de espera agotado');
+});
+
+test('los trabajos sin avance reciente se recuperan, salvo los que este proceso sigue generando', async () => {
+    let liberar;
+    preparar = parametros => new Promise(resolve => {
+        liberar = () => resolve({ parametros, plantilla: {}, filas: [], agrupacion: null, totalRecords: 0 });
+    });
+    trabajos.push(trabajo({ IdTrabajo: 4 }));
+    await reporteTrabajoService.revisarPendientes();
+    assert.equal(trabajos[0].Estado, PROCESANDO);
+
+    // El trabajo 4 lleva más del límite sin informar avance, pero sigue en curso en este proceso
+    trabajos[0].ActualizadoEn = haceMinutos(-30);
+    trabajos.push(
+        trabajo({ IdTrabajo: 5, Estado: PROCESANDO, Intentos: 1, ActualizadoEn: haceMinutos(-30) }),
+        trabajo({ IdTrabajo: 6, Estado: PROCESANDO, Intentos: 3, ActualizadoEn: haceMinutos(-30) }),
+        trabajo({ IdTrabajo: 7, Estado: PROCESANDO, Intentos: 1, ActualizadoEn: haceMinutos(-2) })
+    );
+    baseDatos.consultas = [];
+    desplazamiento += 2 * 60 * 1000;
+    await reporteTrabajoService.revisarPendientes();
+
+    const recuperacion = baseDatos.consultas.find(({ consulta }) => consulta.includes('WHERE Estado = @procesando'));
+    assert.equal(recuperacion.parametros.propio0, 4);
+    assert.equal(recuperacion.parametros.minutos, 10);
+    const estados = Object.fromEntries(trabajos.map(item => [item.IdTrabajo, item.Estado]));
+    assert.deepEqual(estados, { 4: PROCESANDO, 5: PENDIENTE, 6: FALLIDO, 7: PROCESANDO });
+    assert.equal(trabajos[2].Error, 'El trabajo se interrumpió antes de terminar');
+
+    liberar();
+    trabajos[3].Estado = FALLIDO;
+    await esperarTrabajos();
+});
+
+test('al vencer la retención se borra el archivo y la descarga responde 410', async () => {
+    fs.writeFileSync(path.join(directorio, 'reporte_8.csv'), 'vencido');
+    trabajos.push(
+        trabajo({ IdTrabajo: 8, Estado: TERMINADO, Archivo: 'reporte_8.csv', ExpiraEn: haceMinutos(-1) }),
+        // Terminado y vigente, pero su archivo ya no está (p. ej. otro servidor sin el directorio compartido)
+        trabajo({ IdTrabajo: 9, Estado: TERMINADO, Archivo: 'reporte_9.csv', ExpiraEn: haceMinutos(60) })
+    );
+
+    await cicloTrabajador();
+
+    assert.equal(trabajos[0].Estado, EXPIRADO);
+    assert.equal(trabajos[0].Archivo, null);
+    assert.equal(fs.existsSync(path.join(directorio, 'reporte_8.csv')), false);
+    const vencido = await descargar(8);
+    assert.equal(vencido.status, 410);
+    assert.match(vencido.body.error, /venció/);
+    const sinArchivo = await descargar(9);
+    assert.equal(sinArchivo.status, 410);
+    assert.match(sinArchivo.body.error, /ya no está disponible/);
+    const inexistente = await descargar(99);
+    assert.equal(inexistente.status, 404);
+});
@@ -0,0 +1,189 @@
+/**
+ * @file reportes.test.js
+ * @description Reporte de inspecciones (reporteService y dbService.obtenerReporteInspecciones): procedimiento paginado,
+ *              selección de columnas, CSV con fórmulas neutralizadas, subtotales por grupo en CSV y JSON Lines,
+ *              y corte de la transmisión cuando el cliente cierra la conexión.
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable, Writable } = require('stream');
+const dbService = require('../src/services/dbService');
+const reporteService = require('../src/services/reporteService');
+const { AGRUPACIONES_REPORTE_INSPECCIONES } = require('../src/config/reporteInspecciones');
+
+beforeEach(() => {
+    baseDatos.consultas = [];
+    baseDatos.responder = consulta => {
+        if (consulta === 'RV_ReporteRealizadasUsuarioPaginado') {
+            const filas = [{ IdRevistaVehicular: '5', FechaInspeccion: new Date(2026, 9, 1, 10, 0), IdConsesion: 15, Aprobado: 1, IdEstatus: 1 }];
+            return { recordset: filas, recordsets: [filas, [{ Total: 41 }]] };
+        }
+        return {};
+    };
+});
+
+test('el reporte se pagina y ordena en RV_ReporteRealizadasUsuarioPaginado', async () => {
+    const result = await dbService.obtenerReporteInspecciones('10/01/2026', '10/31/2026', 3, 20, false, {
+        ordenarPor: 'inspector',
+        direccion: 'desc',
+        agruparPor: 'municipio'
+    });
+
+    const { parametros } = baseDatos.consultas.find(({ consulta }) => consulta === 'RV_ReporteRealizadasUsuarioPaginado');
+    assert.deepEqual(
+        { pagina: parametros.pagina, objetosPorPagina: parametros.objetosPorPagina, ordenarPor: parametros.ordenarPor, direccion: parametros.direccion, agruparPor: parametros.agruparPor },
+        { pagina: 3, objetosPorPagina: 20, ordenarPor: 'inspector', direccion: 'desc', agruparPor: 'municipio' }
+    );
+    assert.equal(result.totalRecords, 41);
+    assert.equal(result.totalPages, 3);
+    assert.equal(result.data[0].Aprobado, 'Sí');
+});
+
+test('un orden o una agrupación desconocidos no llegan al procedimiento', async () => {
+    await dbService.obtenerReporteInspecciones('10/01/2026', '10/31/2026', 1, 20, true, { ordenarPor: 'x; DROP', agruparPor: 'otro' });
+
+    const { parametros } = baseDatos.consultas.find(({ consulta }) => consulta === 'RV_ReporteRealizadasUsuarioPaginado');
+    assert.equal(parametros.ordenarPor, 'fecha');
+    assert.equal(parametros.agruparPor, null);
+    assert.equal(parametros.objetosPorPagina, null);
+});
+
+test('si el cliente cierra la conexión mientras se espera el drenado, la escritura falla y el stream de filas se destruye', async () => {
+    let leidas = 0;
+    const filas = new Readable({
+        objectMode: true,
+        read() {
+            leidas++;
+            this.push({ IdRevistaVehicular: String(leidas), Observaciones: 'x'.repeat(100) });
+        }
+    });
+    // Un cliente lento: nunca confirma la escritura, así que la salida no se vacía
+    const salida = new Writable({ highWaterMark: 16, write() {} });
+    const preparado = reporteService.prepararParametros({ fechaInicio: '2026-10-01', fechaFin: '2026-10-31', format: 'jsonl', allPages: 'true' });
+    const contenido = {
+        parametros: preparado.data,
+        filas,
+        agrupacion: null,
+        totalRecords: 0
+    };
+
+    const escritura = reporteService.escribirContenido(contenido, salida);
+    let leidasAlCerrar;
+    setImmediate(() => {
+        leidasAlCerrar = leidas;
+        salida.destroy();
+    });
+
+    await assert.rejects(escritura, /se cerró antes de terminar/);
+    assert.equal(filas.destroyed, true);
+    assert.equal(leidas, leidasAlCerrar);
+});
+
+/**
+ * Escribe un reporte en archivo con las filas indicadas y devuelve el texto generado.
+ * @param {Object} consulta - Parámetros del reporte (`format`, `columnas`, `agruparPor`, ...).
+ * @param {Object[]} filas - Inspecciones con el formato de mapearInspeccionReporte.
+ * @returns {Promise<string>} Contenido escrito.
+ */
+async function escribirReporte(consulta, filas) {
+    const { data: parametros } = reporteService.prepararParametros({ fechaInicio: '2026-10-01', fechaFin: '2026-10-31', allPages: 'true', ...consulta });
+    const partes = [];
+    const salida = new Writable({
+        write(parte, codificacion, callback) {
+            partes.push(parte);
+            callback();
+        }
+    });
+    await reporteService.escribirContenido({
+        parametros,
+        filas: Readable.from(filas),
+        agrupacion: AGRUPACIONES_REPORTE_INSPECCIONES[parametros.orden.agruparPor] || null,
+        totalRecords: filas.length
+    }, salida);
+    return Buffer.concat(partes).toString('utf8');
+}
+
+test('las columnas elegidas se devuelven en el orden pedido, sin repetir, y una desconocida responde 400', () => {
+    const elegidas = reporteService.prepararParametros({ fechaInicio: '2026-10-01', fechaFin: '2026-10-31', columnas: 'Placa, Inspector,Placa' });
+    const predeterminadas = reporteService.prepararParametros({ fechaInicio: '2026-10-01', fechaFin: '2026-10-31' });
+    const desconocida = reporteService.prepararParametros({ fechaInicio: '2026-10-01', fechaFin: '2026-10-31', columnas: 'Placa,Color' });
+
+    assert.deepEqual(elegidas.data.columnas.map(columna => columna.clave), ['Placa', 'Inspector']);
+    assert.equal(elegidas.data.columnasElegidas, true);
+    assert.equal(predeterminadas.data.columnas.length, 9);
+    assert.equal(predeterminadas.data.columnasElegidas, false);
+    assert.equal(desconocida.status, 400);
+    assert.deepEqual(desconocida.errores.map(({ campo, mensaje }) => [campo, mensaje]), [['columnas', 'Columnas desconocidas: Color']]);
+    assert.ok(desconocida.columnasValidas.includes('Estatus'));
+});
+
+test('el CSV neutraliza los textos que una hoja de cálculo interpretaría como fórmula', async () => {
+    const filas = [
+        { Placa: '=HYPERLINK("http://x","y")', Inspector: '+52 771', Observaciones: '-Sin luz' },
+        { Placa: '@SUMA(A1)', Inspector: '\tJuan', Observaciones: '\rcmd' },
+        { Placa: 'A12BCD', Inspector: 'Pérez, Juan', Observaciones: -5 }
+    ];
+
+    const csv = await escribirReporte({ format: 'csv', columnas: 'Placa,Inspector,Observaciones' }, filas);
+
+    assert.equal(csv, [
+        '\uFEFFPlaca,Inspector,Observaciones',
+        '"\'=HYPERLINK(""http://x"",""y"")",\'+52 771,\'-Sin luz',
+        '\'@SUMA(A1),\'\tJuan,"\'\rcmd"',
+        'A12BCD,"Pérez, Juan",-5',
+        ''
+    ].join('\r\n'));
+});
+
+test('con agrupación, el CSV intercala un subtotal al cerrar cada grupo y termina con el total', async () => {
+    const filas = [
+        { IdRevistaVehicular: '1', Municipio: 'Pachuca' },
+        { IdRevistaVehicular: '2', Municipio: 'Pachuca' },
+        { IdRevistaVehicular: '3', Municipio: null }
+    ];
+
+    const csv = await escribirReporte({ format: 'csv', columnas: 'IdRevistaVehicular,Municipio', agruparPor: 'municipio' }, filas);
+
+    assert.deepEqual(csv.replace('\uFEFF', '').split('\r\n'), [
+        'ID Revista,Municipio',
+        '1,Pachuca',
+        '2,Pachuca',
+        'Subtotal Municipio Pachuca: 2 inspecciones',
+        '3,',
+        'Subtotal Municipio Sin municipio: 1 inspecciones',
+        'Total: 3 inspecciones',
+        ''
+    ]);
+});
+
+test('JSON Lines proyecta las columnas elegidas y agrega una línea de subtotal por grupo', async () => {
+    // Las filas llegan ordenadas por grupo; si un grupo reaparece, se cierra y se abre otro subtotal
+    const filas = [
+        { IdRevistaVehicular: '1', Inspector: 'Ana', Placa: 'A1' },
+        { IdRevistaVehicular: '2', Inspector: 'Luis', Placa: 'B2' },
+        { IdRevistaVehicular: '3', Inspector: 'Luis', Placa: 'C3' },
+        { IdRevistaVehicular: '4', Inspector: 'Ana', Placa: 'D4' }
+    ];
+
+    const jsonl = await escribirReporte({ format: 'jsonl', columnas: 'Placa,IdRevistaVehicular', agruparPor: 'inspector' }, filas);
+
+    assert.deepEqual(jsonl.trimEnd().split('\n').map(linea => JSON.parse(linea)), [
+        { Placa: 'A1', IdRevistaVehicular: '1' },
+        { subtotal: { agrupacion: 'inspector', grupo: 'Ana', inspecciones: 1 } },
+        { Placa: 'B2', IdRevistaVehicular: '2' },
+        { Placa: 'C3', IdRevistaVehicular: '3' },
+        { subtotal: { agrupacion: 'inspector', grupo: 'Luis', inspecciones: 2 } },
+        { Placa: 'D4', IdRevistaVehicular: '4' },
+        { subtotal: { agrupacion: 'inspector', grupo: 'Ana', inspecciones: 1 } }
+    ]);
+});
+
+test('sin agrupación, JSON Lines no agrega subtotales y conserva los campos vacíos como null', async () => {
+    const jsonl = await escribirReporte({ format: 'jsonl', columnas: 'Placa,Folio' }, [{ Placa: 'A1' }, { Placa: 'B2', Folio: 'F-000008' }]);
+
+    assert.deepEqual(jsonl.trimEnd().split('\n').map(linea => JSON.parse(linea)), [
+        { Placa: 'A1', Folio: null },
+        { Placa: 'B2', Folio: 'F-000008' }
+    ]);
+});
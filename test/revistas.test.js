@@ -0,0 +1,124 @@
+/**
+ * @file revistas.test.js
+ * @description Búsqueda de revistas vehiculares (dbService.buscarRevistasVehiculares): filtros y paginación enviados a
+ *              RV_ObtenerListaRevistaPaginado, cadena de revisiones y modo cursor.
+ */
+const { baseDatos } = require('./helpers/baseDatos');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbService = require('../src/services/dbService');
+
+/**
+ * Revista como la devuelve el driver: IdRevistaVehicular e IdRevistaOrigen son BIGINT y llegan como cadena.
+ * @param {string} id - ID de la revista.
+ * @param {string|null} origen - ID de la revista reprobada a la que corresponde la segunda revisión.
+ * @returns {Object} Fila de RevistaVehicular.
+ */
+function revista(id, origen = null) {
+    return {
+        IdRevistaVehicular: id,
+        IdConsesion: 15,
+        IdTramite: 1,
+        IdEstatus: 1,
+        IdRevistaOrigen: origen,
+        Placa: 'A12BCD',
+        FechaInspeccion: new Date('2026-10-01T10:00:00Z'),
+        Aprobado: origen ? 1 : 0
+    };
+}
+
+beforeEach(() => {
+    baseDatos.consultas = [];
+    baseDatos.responder = consulta => {
+        if (consulta === 'RV_ObtenerTipoTramite') return { recordset: [{ IdTramite: 1, Tramite: 'Revista' }] };
+        if (consulta.includes('WITH Ascendentes')) {
+            return {
+                recordset: [
+                    { IdBuscada: '9007199254740993', IdRevistaVehicular: '9007199254740993', IdRevistaOrigen: null, IdEstatus: 1, Aprobado: 0, Paso: 0 },
+                    { IdBuscada: '9007199254740993', IdRevistaVehicular: '9007199254740995', IdRevistaOrigen: '9007199254740993', IdEstatus: 1, Aprobado: 1, Paso: 1 },
+                    { IdBuscada: '9007199254740995', IdRevistaVehicular: '9007199254740993', IdRevistaOrigen: null, IdEstatus: 1, Aprobado: 0, Paso: 0 },
+                    { IdBuscada: '9007199254740995', IdRevistaVehicular: '9007199254740995', IdRevistaOrigen: '9007199254740993', IdEstatus: 1, Aprobado: 1, Paso: 1 }
+                ]
+            };
+        }
+        if (consulta === 'RV_ObtenerListaRevistaPaginado') {
+            const filas = [revista('9007199254740995', '9007199254740993'), revista('9007199254740993'), revista('42')];
+            return { recordset: filas, recordsets: [filas, [{ Total: filas.length }]] };
+        }
+        return {};
+    };
+});
+
+test('la cadena de revisiones se arma con IDs BIGINT devueltos como cadena', async () => {
+    const result = await dbService.buscarRevistasVehiculares(null, null, null, null, null, 1, 10);
+
+    const consultaCadenas = baseDatos.consultas.find(({ consulta }) => consulta.includes('WITH Ascendentes'));
+    assert.ok(consultaCadenas, 'no se consultaron las cadenas de revisión');
+    assert.deepEqual(Object.values(consultaCadenas.parametros), ['9007199254740995', '9007199254740993', '42']);
+
+    const [segunda, reprobada, sinCadena] = result.data;
+    assert.deepEqual(segunda.CadenaRevision.map(item => item.IdRevistaVehicular), ['9007199254740993', '9007199254740995']);
+    assert.deepEqual(reprobada.CadenaRevision.map(item => item.Paso), [0, 1]);
+    assert.deepEqual(sinCadena.CadenaRevision, []);
+});
+
+test('los IDs que no son enteros no se envían a la consulta de cadenas', async () => {
+    baseDatos.responder = consulta => {
+        if (consulta === 'RV_ObtenerTipoTramite') return { recordset: [] };
+        if (consulta === 'RV_ObtenerListaRevistaPaginado') {
+            const filas = [revista('12a'), revista(null)];
+            return { recordset: filas, recordsets: [filas, [{ Total: filas.length }]] };
+        }
+        return {};
+    };
+
+    const result = await dbService.buscarRevistasVehiculares(null, null, null, null, null, 1, 10);
+
+    assert.equal(baseDatos.consultas.some(({ consulta }) => consulta.includes('WITH Ascendentes')), false);
+    assert.deepEqual(result.data.map(item => item.CadenaRevision), [[], []]);
+});
+
+test('el cursor conserva el ID BIGINT completo y se enlaza como cadena', async () => {
+    const primera = await dbService.buscarRevistasVehiculares(null, null, null, null, null, null, 2, { cursor: '' });
+    assert.ok(primera.nextCursor);
+    const contenido = JSON.parse(Buffer.from(primera.nextCursor, 'base64url').toString('utf8'));
+    assert.equal(contenido.id, '9007199254740993');
+
+    baseDatos.consultas = [];
+    await dbService.buscarRevistasVehiculares(null, null, null, null, null, null, 2, { cursor: primera.nextCursor });
+
+    const { parametros } = baseDatos.consultas.find(({ consulta }) => consulta === 'RV_ObtenerListaRevistaPaginado');
+    assert.equal(parametros.cursorId, '9007199254740993');
+    assert.deepEqual(parametros.cursorFecha, new Date('2026-10-01T10:00:00Z'));
+    assert.equal(parametros.objetosPorPagina, 3);
+});
+
+test('un cursor con un ID que no es una cadena de dígitos se rechaza con 400', async () => {
+    for (const id of [12, '12a', '-5', '1'.repeat(20)]) {
+        const cursor = Buffer.from(JSON.stringify({ o: 'fecha', d: 'desc', v: '2026-10-01T10:00:00.000Z', id })).toString('base64url');
+
+        const result = await dbService.buscarRevistasVehiculares(null, null, null, null, null, null, 2, { cursor });
+
+        assert.equal(result.status, 400, `id ${JSON.stringify(id)}`);
+    }
+});
+
+test('todos los filtros y la página se envían juntos al procedimiento, que devuelve el total real', async () => {
+    const result = await dbService.buscarRevistasVehiculares(15, 'A12BCD', 6, '10/01/2026', '10/31/2026', 2, 2, { ordenarPor: 'concesion', direccion: 'asc' });
+
+    const { parametros } = baseDatos.consultas.find(({ consulta }) => consulta === 'RV_ObtenerListaRevistaPaginado');
+    assert.deepEqual(parametros, {
+        numeroConcesion: 15,
+        placa: 'A12BCD',
+        estatus: 6,
+        fechaInspeccionInicio: '10/01/2026',
+        fechaInspeccionFin: '10/31/2026',
+        ordenarPor: 'concesion',
+        direccion: 'asc',
+        modoCursor: false,
+        pagina: 2,
+        objetosPorPagina: 2
+    });
+    assert.equal(result.totalRecords, 3);
+    assert.equal(result.totalPages, 2);
+});
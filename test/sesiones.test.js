@@ -0,0 +1,238 @@
+/**
+ * @file sesiones.test.js
+ * @description Almacén de sesiones en SQL Server (SqlServerSessionStore) y administración de sesiones por usuario
+ *              (/api/auth/usuarios/:userId/sesiones), incluida la revocación de las claves API de inicio de sesión.
+ */
+const { baseDatos, pool } = require('./helpers/baseDatos');
+const { CLAVE, responderAutenticacion } = require('./helpers/autenticacion');
+const { test, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const loginService = require('../src/services/loginService');
+const bloqueoLoginService = require('../src/services/bloqueoLoginService');
+const { SqlServerSessionStore } = require('../src/config/sessionStore');
+const { idPublicoSesion } = require('../src/services/sesionService');
+const app = require('../app');
+
+/** Usuarios que inician sesión, con la clave API que emite cada inicio de sesión. */
+const USUARIOS = { ana: { id: 9, name: 'Ana Pérez' }, beto: { id: 10, name: 'Beto Ruiz' } };
+let siguienteClave;
+
+/** Tabla dSessions en memoria. */
+let sesiones;
+
+/**
+ * Promesa de una operación con callback del almacén.
+ * @param {Function} operacion - Recibe el callback (err, resultado).
+ * @returns {Promise<*>} Resultado de la operación.
+ */
+const conCallback = operacion => new Promise((resolve, reject) => operacion((err, resultado) => (err ? reject(err) : resolve(resultado))));
+
+before(() => {
+    mock.method(bloqueoLoginService, 'evaluarIntento', async () => ({ bloqueado: false, retrasoMs: 0 }));
+    mock.method(bloqueoLoginService, 'registrarIntento', async () => {});
+    mock.method(loginService, 'loginUser', async username => {
+        const { id, name } = USUARIOS[username];
+        siguienteClave += 1;
+        return { user: { id, name, username, level: 1 }, apiKey: `clave-${siguienteClave}`, apiKeyId: siguienteClave, returnValue: 0 };
+    });
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+    siguienteClave = 40;
+    sesiones = new Map();
+    baseDatos.consultas = [];
+    baseDatos.responder = (consulta, parametros) => {
+        const autenticacion = responderAutenticacion(consulta);
+        if (autenticacion) return autenticacion;
+        if (consulta.includes('FROM [dbo].[mUsers]')) {
+            const usuario = Object.entries(USUARIOS).find(([, item]) => item.id === parametros.UserID);
+            return { recordset: usuario ? [{ id: usuario[1].id, name: usuario[1].name, username: usuario[0], level: 1 }] : [] };
+        }
+        if (consulta.includes('UPDATE [dbo].[api_keys] SET deleted_at')) {
+            return { rowsAffected: [Object.keys(parametros).filter(nombre => /^id\d+$/.test(nombre)).length || 2] };
+        }
+        // dSessions
+        const vigentes = () => [...sesiones.entries()].filter(([, item]) => item.ExpiresAt > new Date());
+        if (consulta.includes('MERGE [dbo].[dSessions]')) {
+            sesiones.set(parametros.SessionID, { UserID: parametros.UserID, Data: parametros.Data, ExpiresAt: parametros.ExpiresAt });
+            return {};
+        }
+        if (consulta.includes('SELECT Data FROM [dbo].[dSessions]')) {
+            const sesion = vigentes().find(([sid]) => sid === parametros.SessionID);
+            return { recordset: sesion ? [{ Data: sesion[1].Data }] : [] };
+        }
+        if (consulta.includes('UPDATE [dbo].[dSessions] SET ExpiresAt')) {
+            if (sesiones.has(parametros.SessionID)) sesiones.get(parametros.SessionID).ExpiresAt = parametros.ExpiresAt;
+            return {};
+        }
+        if (consulta.includes('DELETE FROM [dbo].[dSessions] WHERE SessionID')) {
+            sesiones.delete(parametros.SessionID);
+            return {};
+        }
+        if (consulta.includes('DELETE FROM [dbo].[dSessions] WHERE ExpiresAt')) {
+            for (const [sid, item] of [...sesiones.entries()]) if (item.ExpiresAt <= new Date()) sesiones.delete(sid);
+            return {};
+        }
+        if (consulta.includes('SELECT SessionID, Data FROM [dbo].[dSessions]')) {
+            const filas = vigentes().filter(([, item]) => parametros.UserID === undefined || item.UserID === parametros.UserID);
+            return { recordset: filas.map(([SessionID, item]) => ({ SessionID, Data: item.Data })) };
+        }
+        if (consulta.includes('COUNT(*) AS total FROM [dbo].[dSessions]')) return { recordset: [{ total: vigentes().length }] };
+        return {};
+    };
+});
+
+/**
+ * Crea un almacén sobre la base de datos falsa, sin limpieza periódica.
+ * @returns {SqlServerSessionStore} Almacén de sesiones.
+ */
+const crearAlmacen = () => new SqlServerSessionStore({ poolPromise: Promise.resolve(pool), intervaloLimpieza: 0 });
+
+test('el almacén guarda la sesión con su usuario y la vigencia de la cookie, y la devuelve mientras no vence', async () => {
+    const almacen = crearAlmacen();
+    const expira = new Date(Date.now() + 60 * 60 * 1000);
+
+    await conCallback(callback => almacen.set('sid-1', { cookie: { expires: expira }, userId: 9, ip: '10.0.0.1' }, callback));
+
+    assert.equal(sesiones.get('sid-1').UserID, 9);
+    assert.equal(sesiones.get('sid-1').ExpiresAt.getTime(), expira.getTime());
+    const sesion = await conCallback(callback => almacen.get('sid-1', callback));
+    assert.equal(sesion.userId, 9);
+    assert.equal(sesion.ip, '10.0.0.1');
+    assert.equal(await conCallback(callback => almacen.get('no-existe', callback)), null);
+});
+
+test('sin expiración en la cookie se usa el ttl; una sesión vencida ya no se devuelve y la limpieza la borra', async () => {
+    const almacen = new SqlServerSessionStore({ poolPromise: Promise.resolve(pool), ttl: 1000, intervaloLimpieza: 0 });
+
+    const antes = Date.now();
+    await conCallback(callback => almacen.set('sid-ttl', { cookie: {}, userId: 9 }, callback));
+    const { ExpiresAt } = sesiones.get('sid-ttl');
+    assert.ok(ExpiresAt.getTime() >= antes + 1000 && ExpiresAt.getTime() <= Date.now() + 1000);
+
+    sesiones.get('sid-ttl').ExpiresAt = new Date(Date.now() - 1);
+    assert.equal(await conCallback(callback => almacen.get('sid-ttl', callback)), null);
+    await almacen.limpiarExpiradas();
+    assert.equal(sesiones.has('sid-ttl'), false);
+});
+
+test('touch extiende la vigencia y destroy borra la sesión', async () => {
+    const almacen = crearAlmacen();
+    await conCallback(callback => almacen.set('sid-2', { cookie: { expires: new Date(Date.now() + 1000) }, userId: 9 }, callback));
+
+    const nueva = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    await conCallback(callback => almacen.touch('sid-2', { cookie: { expires: nueva } }, callback));
+    assert.equal(sesiones.get('sid-2').ExpiresAt.getTime(), nueva.getTime());
+
+    await conCallback(callback => almacen.destroy('sid-2', callback));
+    assert.equal(sesiones.has('sid-2'), false);
+});
+
+test('listarPorUsuario solo devuelve las sesiones vigentes del usuario', async () => {
+    const almacen = crearAlmacen();
+    const vigente = { expires: new Date(Date.now() + 60 * 1000) };
+    await conCallback(callback => almacen.set('sid-ana', { cookie: vigente, userId: 9 }, callback));
+    await conCallback(callback => almacen.set('sid-beto', { cookie: vigente, userId: 10 }, callback));
+    await conCallback(callback => almacen.set('sid-vencida', { cookie: { expires: new Date(Date.now() - 1000) }, userId: 9 }, callback));
+
+    assert.deepEqual(Object.keys(await almacen.listarPorUsuario(9)), ['sid-ana']);
+    assert.equal(await conCallback(callback => almacen.length(callback)), 2);
+});
+
+/**
+ * Inicia sesión con un agente que conserva las cookies.
+ * @param {string} username - Usuario de USUARIOS.
+ * @returns {Promise<Object>} `agente` de supertest con la cookie de sesión e `idSesion`, el identificador público de su sesión.
+ */
+async function iniciarSesion(username) {
+    const agente = request.agent(app);
+    const token = await agente.get('/api/csrf-token').expect(200);
+    await agente.post('/api/auth/login').set('x-csrf-token', token.body.csrfToken).send({ username, password: 'secreta' }).expect(200);
+    // Cookie firmada de express-session: s:<ID de sesión>.<firma>
+    const cookie = token.headers['set-cookie'].find(item => item.startsWith('SessionId='));
+    const sid = decodeURIComponent(cookie.split(';')[0].slice('SessionId='.length)).match(/^s:([^.]+)\./)[1];
+    return { agente, idSesion: idPublicoSesion(sid) };
+}
+
+/**
+ * Solicitud del administrador, autenticada con la clave API de prueba.
+ * @param {string} metodo - Método HTTP en minúsculas.
+ * @param {string} ruta - Ruta bajo /api.
+ * @returns {Object} Solicitud de supertest.
+ */
+const comoAdministrador = (metodo, ruta) => request(app)[metodo](`/api${ruta}`).set('Authorization', `Bearer ${CLAVE}`);
+
+/**
+ * Busca la revocación de claves API de inicio de sesión.
+ * @returns {Object|undefined} Consulta registrada con sus parámetros.
+ */
+const revocacion = () => baseDatos.consultas.find(({ consulta }) => consulta.includes('UPDATE [dbo].[api_keys] SET deleted_at'));
+
+test('el administrador lista las sesiones de un usuario sin exponer su ID real', async () => {
+    const sesionesAna = [await iniciarSesion('ana'), await iniciarSesion('ana')];
+    const beto = await iniciarSesion('beto');
+
+    const respuesta = await comoAdministrador('get', '/auth/usuarios/9/sesiones');
+
+    assert.equal(respuesta.status, 200);
+    const ids = respuesta.body.data.map(sesion => sesion.id);
+    for (const { idSesion } of sesionesAna) assert.ok(ids.includes(idSesion));
+    assert.equal(ids.includes(beto.idSesion), false);
+    for (const sesion of respuesta.body.data) {
+        assert.match(sesion.id, /^[0-9a-f]{16}$/);
+        assert.equal(sesion.userId, 9);
+        assert.ok(sesion.iniciadaEn);
+        assert.equal(sesion.actual, false);
+    }
+});
+
+test('terminar una sesión la cierra y revoca solo la clave API de ese inicio de sesión', async () => {
+    // Las claves se emiten en orden: 41 en la primera sesión y 42 en la segunda
+    const primera = await iniciarSesion('ana');
+    const segunda = await iniciarSesion('ana');
+    baseDatos.consultas = [];
+
+    const respuesta = await comoAdministrador('delete', `/auth/usuarios/9/sesiones/${primera.idSesion}`);
+
+    assert.equal(respuesta.status, 200);
+    assert.deepEqual(respuesta.body.data, { terminadas: 1, clavesRevocadas: 1 });
+    const { consulta, parametros } = revocacion();
+    assert.ok(consulta.includes('AND id IN (@id0)'));
+    assert.equal(parametros.user_id, 9);
+    assert.equal(parametros.name, 'Inicio de sesión');
+    assert.equal(parametros.id0, 41);
+    assert.equal((await primera.agente.get('/api/auth/me')).status, 401);
+    assert.equal((await segunda.agente.get('/api/auth/me')).status, 200);
+});
+
+test('terminar todas las sesiones de un usuario revoca todas sus claves de inicio de sesión y no toca las de otros', async () => {
+    const ana = await iniciarSesion('ana');
+    const beto = await iniciarSesion('beto');
+    // El almacén de la aplicación conserva las sesiones de las pruebas anteriores
+    const abiertas = (await comoAdministrador('get', '/auth/usuarios/9/sesiones')).body.data.length;
+    baseDatos.consultas = [];
+
+    const respuesta = await comoAdministrador('delete', '/auth/usuarios/9/sesiones');
+
+    assert.equal(respuesta.status, 200);
+    assert.equal(respuesta.body.data.terminadas, abiertas);
+    assert.equal((await comoAdministrador('get', '/auth/usuarios/9/sesiones')).body.data.length, 0);
+    const { consulta, parametros } = revocacion();
+    assert.equal(consulta.includes('AND id IN'), false);
+    assert.equal(parametros.user_id, 9);
+    assert.equal((await ana.agente.get('/api/auth/me')).status, 401);
+    assert.equal((await beto.agente.get('/api/auth/me')).status, 200);
+});
+
+test('una sesión inexistente responde 404 sin revocar claves', async () => {
+    await iniciarSesion('ana');
+    baseDatos.consultas = [];
+
+    const respuesta = await comoAdministrador('delete', '/auth/usuarios/9/sesiones/0123456789abcdef');
+
+    assert.equal(respuesta.status, 404);
+    assert.equal(revocacion(), undefined);
+});